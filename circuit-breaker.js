@@ -0,0 +1,315 @@
+/**
+ * Circuit Breaker
+ * Stops calling a platform that keeps failing so requests fail fast instead of
+ * waiting through the whole retry schedule.
+ *
+ * Each breaker moves between three states:
+ *   closed    - calls pass through; consecutive failures are counted
+ *   open      - calls are rejected until the reset timeout has elapsed
+ *   half-open - a limited number of trial calls decide whether to close or re-open
+ */
+
+const { AdapterError } = require('./platform-adapters/src/errors');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Error thrown when a call is rejected by an open circuit breaker
+ */
+class PlatformUnavailableError extends AdapterError {
+  /**
+   * @param {string} platform - Platform identifier
+   * @param {string} operation - Operation that was rejected
+   * @param {number} retryAt - Timestamp after which the platform is tried again
+   */
+  constructor(platform, operation, retryAt) {
+    super(`Platform ${platform} is unavailable, ${operation} was not attempted. Try again after ${new Date(retryAt).toISOString()}`, {
+      platformId: platform,
+      operation,
+      retryable: false,
+      statusCode: 503
+    });
+    this.code = 'PLATFORM_UNAVAILABLE';
+    this.retryAt = retryAt;
+  }
+}
+
+class CircuitBreaker {
+  /**
+   * Create a new circuit breaker
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures that open the breaker
+   * @param {number} options.resetTimeout - Time in milliseconds to stay open before trial calls
+   * @param {number} options.halfOpenMaxCalls - Trial calls allowed at once while half-open
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+  }
+
+  /**
+   * Check whether a call may go through, without claiming a trial slot
+   * @returns {boolean} - Whether the call is allowed
+   */
+  canRequest() {
+    if (this.state === STATES.OPEN && Date.now() < this.getNextAttemptAt()) {
+      return false;
+    }
+
+    if (this.state !== STATES.CLOSED && this.halfOpenCalls >= this.halfOpenMaxCalls) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Let a call through, moving an expired open breaker to half-open
+   * Callers must check canRequest() first.
+   */
+  acquire() {
+    if (this.state === STATES.OPEN) {
+      this.state = STATES.HALF_OPEN;
+      this.halfOpenCalls = 0;
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.halfOpenCalls++;
+    }
+  }
+
+  /**
+   * Give back the trial slot of a call that ended without reaching a verdict
+   * on the platform's health, so the next call can be the trial
+   */
+  release() {
+    if (this.state === STATES.HALF_OPEN && this.halfOpenCalls > 0) {
+      this.halfOpenCalls--;
+    }
+  }
+
+  /**
+   * Record a call that reached the platform successfully
+   */
+  recordSuccess() {
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+  }
+
+  /**
+   * Record a call that failed because the platform is unhealthy
+   */
+  recordFailure() {
+    this.failures++;
+
+    // A failed trial call re-opens the breaker straight away
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+      this.halfOpenCalls = 0;
+    }
+  }
+
+  /**
+   * Get the time after which an open breaker allows trial calls
+   * @returns {number|null} - Timestamp, or null if the breaker isn't open
+   */
+  getNextAttemptAt() {
+    return this.openedAt ? this.openedAt + this.resetTimeout : null;
+  }
+
+  /**
+   * Get the breaker state for status reporting
+   * @returns {Object} - State, failure count and timing
+   */
+  getState() {
+    // Report an open breaker whose timeout has passed as ready for a trial call
+    const state = this.state === STATES.OPEN && Date.now() >= this.getNextAttemptAt()
+      ? STATES.HALF_OPEN
+      : this.state;
+
+    return {
+      state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextAttemptAt: this.openedAt ? new Date(this.getNextAttemptAt()).toISOString() : null
+    };
+  }
+}
+
+/**
+ * Circuit breakers for every platform and every platform operation
+ * A call must pass both its operation breaker and its platform breaker, so a
+ * single broken endpoint doesn't take the whole platform down, while a platform
+ * that fails across operations is cut off as a whole.
+ */
+class CircuitBreakerRegistry {
+  /**
+   * Create a new circuit breaker registry
+   * @param {Object} options - Registry options
+   * @param {number} options.failureThreshold - Consecutive failures that open an operation breaker
+   * @param {number} options.platformFailureThreshold - Consecutive failures that open a platform breaker
+   * @param {number} options.resetTimeout - Time in milliseconds a breaker stays open
+   * @param {number} options.halfOpenMaxCalls - Trial calls allowed at once while half-open
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold ||
+      parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD || '5', 10);
+    this.platformFailureThreshold = options.platformFailureThreshold ||
+      parseInt(process.env.CIRCUIT_BREAKER_PLATFORM_FAILURE_THRESHOLD || '10', 10);
+    this.resetTimeout = options.resetTimeout ||
+      parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT || '30000', 10);
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls ||
+      parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_MAX_CALLS || '1', 10);
+
+    this.platforms = {};
+    this.operations = {};
+  }
+
+  /**
+   * Get (creating if needed) the breaker of a platform
+   * @param {string} platform - Platform identifier
+   * @returns {CircuitBreaker} - Platform breaker
+   */
+  getPlatformBreaker(platform) {
+    if (!this.platforms[platform]) {
+      this.platforms[platform] = new CircuitBreaker({
+        failureThreshold: this.platformFailureThreshold,
+        resetTimeout: this.resetTimeout,
+        halfOpenMaxCalls: this.halfOpenMaxCalls
+      });
+    }
+
+    return this.platforms[platform];
+  }
+
+  /**
+   * Get (creating if needed) the breaker of a platform operation
+   * @param {string} platform - Platform identifier
+   * @param {string} operation - Operation name
+   * @returns {CircuitBreaker} - Operation breaker
+   */
+  getOperationBreaker(platform, operation) {
+    const key = `${platform}:${operation}`;
+
+    if (!this.operations[key]) {
+      this.operations[key] = new CircuitBreaker({
+        failureThreshold: this.failureThreshold,
+        resetTimeout: this.resetTimeout,
+        halfOpenMaxCalls: this.halfOpenMaxCalls
+      });
+    }
+
+    return this.operations[key];
+  }
+
+  /**
+   * Check whether both breakers guarding a call would let it through
+   * @param {string} platform - Platform identifier
+   * @param {string} operation - Operation name
+   * @returns {boolean} - Whether the call is allowed
+   */
+  isAvailable(platform, operation) {
+    return this.getPlatformBreaker(platform).canRequest() &&
+      this.getOperationBreaker(platform, operation).canRequest();
+  }
+
+  /**
+   * Throw if either breaker guarding a call is open
+   * @param {string} platform - Platform identifier
+   * @param {string} operation - Operation name
+   * @throws {PlatformUnavailableError} - If the call must not be attempted
+   */
+  assertAvailable(platform, operation) {
+    const platformBreaker = this.getPlatformBreaker(platform);
+    const operationBreaker = this.getOperationBreaker(platform, operation);
+
+    // Check both before acquiring, so a rejected call never holds a trial slot
+    for (const breaker of [platformBreaker, operationBreaker]) {
+      if (!breaker.canRequest()) {
+        throw new PlatformUnavailableError(platform, operation, breaker.getNextAttemptAt() || Date.now());
+      }
+    }
+
+    platformBreaker.acquire();
+    operationBreaker.acquire();
+  }
+
+  /**
+   * Give back the trial slots a call claimed with assertAvailable()
+   * For calls that end without telling whether the platform is healthy.
+   * @param {string} platform - Platform identifier
+   * @param {string} operation - Operation name
+   */
+  release(platform, operation) {
+    this.getPlatformBreaker(platform).release();
+    this.getOperationBreaker(platform, operation).release();
+  }
+
+  /**
+   * Record a call that reached the platform
+   * @param {string} platform - Platform identifier
+   * @param {string} operation - Operation name
+   */
+  recordSuccess(platform, operation) {
+    this.getPlatformBreaker(platform).recordSuccess();
+    this.getOperationBreaker(platform, operation).recordSuccess();
+  }
+
+  /**
+   * Record a call that failed because the platform is unhealthy
+   * @param {string} platform - Platform identifier
+   * @param {string} operation - Operation name
+   */
+  recordFailure(platform, operation) {
+    this.getPlatformBreaker(platform).recordFailure();
+    this.getOperationBreaker(platform, operation).recordFailure();
+  }
+
+  /**
+   * Get the state of every breaker, grouped by platform
+   * @returns {Object} - Map of platform to platform and operation breaker states
+   */
+  getStates() {
+    const states = {};
+
+    for (const platform of Object.keys(this.platforms)) {
+      states[platform] = {
+        ...this.platforms[platform].getState(),
+        operations: {}
+      };
+    }
+
+    for (const key of Object.keys(this.operations)) {
+      const [platform, operation] = key.split(':');
+      states[platform].operations[operation] = this.operations[key].getState();
+    }
+
+    return states;
+  }
+
+  /**
+   * Close every breaker
+   */
+  reset() {
+    this.platforms = {};
+    this.operations = {};
+  }
+}
+
+module.exports = CircuitBreakerRegistry;
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.PlatformUnavailableError = PlatformUnavailableError;
+module.exports.STATES = STATES;
@@ -3,20 +3,456 @@
  * 
  * Handles cookie storage, retrieval, and refresh for e-commerce platform adapters.
  * This system ensures that cookies are always up-to-date and properly formatted.
+ * 
+ * This is the only cookie manager: the platform registry, the cookie storage
+ * and the refresh scheduler in cookie-management-system/ are all driven from
+ * here. Cookies are read from storage first and seeded from the *_COOKIE
+ * environment variables when storage has none.
  */
 const crypto = require('crypto');
+const axios = require('axios');
+const CookieJar = require('./cookie-management-system/cookie-jar');
+const config = require('./cookie-management-system/config');
+const { createStorage } = require('./cookie-management-system/storage');
+const MemoryCookieStorage = require('./cookie-management-system/storage/memory-storage');
+const { parseCookieImport } = require('./cookie-management-system/cookie-import');
+const { CookieHistoryError, summarizeVersion } = require('./cookie-management-system/cookie-history');
+const { createRefreshJob, countCookies } = require('./cookie-management-system/refresh-jobs');
+const { encryption } = require('./cookie-management-system/encryption');
+const { AuthenticationError } = require('./platform-adapters/src/errors');
 const logger = require('./error-monitoring').logger || console;
 
+/**
+ * Built-in refresh strategies
+ * A strategy takes a platform id and extraction options ({ flow }) and
+ * resolves to fresh cookie records (see cookie-jar.js) or a cookie string.
+ */
+const REFRESH_STRATEGIES = {
+  /**
+   * Extract fresh cookies with a headless browser
+   * @param {string} platformId - Platform identifier
+   * @param {Object} options - Extraction options
+   * @param {Array} options.flow - Flow steps the browser runs (see extraction-flow.js)
+   * @returns {Promise<Array>} - Cookie records
+   */
+  browser: async (platformId, options) => {
+    // Loaded on first use so Puppeteer isn't required unless a refresh runs
+    const cookieExtractor = require('./cookie-management-system/cookie-extractor');
+    return cookieExtractor.extractCookies(platformId, options);
+  },
+  
+  /**
+   * Re-read the cookies from the platform's environment variable
+   * @param {string} platformId - Platform identifier
+   * @returns {Promise<string>} - Cookie string
+   */
+  env: async platformId => {
+    const cookieEnvVar = `${platformId.toUpperCase()}_COOKIE`;
+    if (!process.env[cookieEnvVar]) {
+      throw new Error(`No cookies found in environment variable ${cookieEnvVar}`);
+    }
+    return process.env[cookieEnvVar];
+  }
+};
+
 class CookieManagementSystem {
   constructor() {
     this.cookies = {};
     this.refreshTimers = {};
-    this.encryptionKey = process.env.ENCRYPTION_KEY || 'default-encryption-key';
     this.lastRefreshTime = {};
+    // Per-user cookie jars keyed by session id, then platform id
+    this.sessionJars = {};
+    this.pendingBootstraps = {};
+    // In-flight platform refreshes, so concurrent callers share one extraction
+    this.pendingRefreshes = {};
+    this.pendingRefreshJobs = {};
+    this.lastRefreshResult = {};
+    // Refresh job records are kept here until storage is started, or when it can't be opened
+    this.memoryJobStorage = new MemoryCookieStorage();
+    this.refreshJobRetention = parseInt(process.env.REFRESH_JOB_RETENTION || '2592000000', 10); // 30 days
+    this.refreshStrategy = null;
+    // Persistent storage, set by start(); cookies are kept in memory only until then
+    this.storage = null;
+    this.scheduler = null;
+    // Live refresh schedule (the dashboard configuration), read by the scheduler
+    this.scheduleConfig = null;
+    // Identifies this process as the owner of storage locks
+    this.instanceId = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    this.refreshLockTtl = parseInt(process.env.COOKIE_REFRESH_LOCK_TTL || '120000', 10);
+    this.refreshLockPollInterval = 1000;
+    // Results of session probes (see validateSession), keyed by platform
+    this.sessionValidity = {};
+    this.pendingValidations = {};
+    this.validationTimer = null;
+    this.sessionValidationInterval = parseInt(process.env.SESSION_VALIDATION_INTERVAL || '900000', 10); // 15 minutes
+    this.sessionValidationMaxAge = parseInt(process.env.SESSION_VALIDATION_MAX_AGE || '300000', 10); // 5 minutes
+    this.probeAdapterFactory = null;
+  }
+
+  /**
+   * Start persistent storage and scheduled extraction
+   * Cookies of every registered platform are loaded from storage, or seeded
+   * from environment variables. If the storage can't be opened the manager
+   * keeps working from memory and environment variables. In production it
+   * refuses to start with missing or default encryption keys.
+   * @param {Object} options - Start options
+   * @param {Object} options.storage - Storage backend to use instead of the configured one
+   * @param {boolean} options.scheduler - Whether to run scheduled extraction (default: config.scheduler.enabled)
+   * @returns {Promise<void>}
+   * @throws {EncryptionKeyError} - If the encryption keys are unsafe in production
+   */
+  async start(options = {}) {
+    encryption.assertKeyConfiguration();
+    
+    try {
+      this.storage = options.storage || createStorage();
+      await this.storage.initialize();
+      logger.info(`Cookie storage opened (${options.storage ? 'custom' : config.storage.type})`);
+    } catch (error) {
+      this.storage = null;
+      logger.warn(`Cookie storage unavailable, keeping cookies in memory only: ${error.message}`);
+    }
+    
+    for (const platformId of this.getPlatforms()) {
+      await this.initializeCookies(platformId);
+    }
+    
+    const schedulerEnabled = options.scheduler !== undefined ? options.scheduler : config.scheduler.enabled;
+    if (schedulerEnabled) {
+      this.scheduler = require('./cookie-management-system/scheduler');
+      this.scheduler.start();
+    }
+    
+    if (this.sessionValidationInterval > 0) {
+      this.startSessionValidation(this.sessionValidationInterval);
+    }
+  }
+
+  /**
+   * Stop scheduled extraction and close persistent storage
+   */
+  stop() {
+    if (this.validationTimer) {
+      clearInterval(this.validationTimer);
+      this.validationTimer = null;
+    }
+    
+    if (this.scheduler) {
+      this.scheduler.stop();
+      this.scheduler = null;
+    }
+    
+    if (this.storage) {
+      this.storage.close();
+      this.storage = null;
+    }
+  }
+
+  /**
+   * Set the live refresh schedule configuration
+   * The scheduler takes each platform's refreshInterval (or the system's
+   * defaultRefreshInterval) from it, and running jobs are rescheduled.
+   * Platform flows in it replace the configured extraction flows.
+   * @param {Object} scheduleConfig - Configuration with system and platforms sections, as kept by the dashboard
+   */
+  setScheduleConfig(scheduleConfig) {
+    this.scheduleConfig = scheduleConfig;
+    
+    if (this.scheduler) {
+      this.scheduler.reschedule();
+    }
+  }
+
+  /**
+   * Get the identifiers of all registered platforms
+   * @returns {Array<string>} - Platform identifiers
+   */
+  getPlatforms() {
+    return Object.keys(config.platforms);
+  }
+
+  /**
+   * Get the registry entry of a platform
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @returns {Object|null} - Platform configuration, or null if the platform isn't registered
+   */
+  getPlatformConfig(platformId) {
+    return config.platforms[platformId] || null;
+  }
+
+  /**
+   * Get the steps a browser runs to extract a platform's cookies
+   * The platform's flow in the live dashboard configuration wins over the one in config.js.
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @returns {Array|null} - Flow steps (see extraction-flow.js), or null if the platform isn't registered
+   */
+  getExtractionFlow(platformId) {
+    const liveFlow = this.scheduleConfig?.platforms?.[platformId]?.flow;
+    if (Array.isArray(liveFlow)) {
+      return liveFlow;
+    }
+    
+    return config.platforms[platformId]?.flow || null;
+  }
+
+  /**
+   * Set how refreshPlatformCookies obtains fresh cookies
+   * @param {string|Function} strategy - Name of a built-in strategy ('browser' or 'env'),
+   *   or a function taking a platform id and extraction options and resolving to cookie records or a cookie string
+   */
+  setRefreshStrategy(strategy) {
+    if (typeof strategy === 'string' && !REFRESH_STRATEGIES[strategy]) {
+      throw new Error(`Unknown cookie refresh strategy: ${strategy}`);
+    }
+    
+    this.refreshStrategy = strategy;
+  }
+
+  /**
+   * Get the refresh strategy function in use
+   * @returns {Function} - Strategy taking a platform id and extraction options and resolving to cookie records or a cookie string
+   */
+  getRefreshStrategy() {
+    const strategy = this.refreshStrategy || process.env.COOKIE_REFRESH_STRATEGY || 'browser';
+    
+    if (typeof strategy === 'function') {
+      return strategy;
+    }
+    
+    if (!REFRESH_STRATEGIES[strategy]) {
+      throw new Error(`Unknown cookie refresh strategy: ${strategy}`);
+    }
+    
+    return REFRESH_STRATEGIES[strategy];
+  }
+
+  /**
+   * Store cookies as the current cookies of a platform
+   * The cookies are kept in memory and, once started, written to storage.
+   * They expire with the earliest-expiring essential cookie (see getCookieExpiry).
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {Array|string} cookies - Cookie records, or a cookie header value
+   * @param {Object} options - Store options
+   * @param {number} options.expiresAt - Expiry timestamp to keep instead of computing one
+   * @returns {Promise<Object>} - Stored cookie object
+   */
+  async storeCookies(platformId, cookies, options = {}) {
+    const records = CookieJar.toRecords(cookies);
+    const now = Date.now();
+    const expiresAt = options.expiresAt || this.getCookieExpiry(platformId, records, now);
+    
+    this.cookies[platformId] = {
+      id: null,
+      cookieString: CookieJar.formatCookieString(records),
+      records,
+      timestamp: now,
+      expiresAt
+    };
+    
+    // Record last refresh time
+    this.lastRefreshTime[platformId] = now;
+    
+    if (this.storage) {
+      try {
+        this.cookies[platformId].id = await this.storage.storeCookies(platformId, records, expiresAt - now);
+      } catch (error) {
+        // The in-memory copy still serves requests until the next restart
+        logger.error(`Error persisting cookies for platform ${platformId}: ${error.message}`);
+      }
+    }
+    
+    return this.cookies[platformId];
+  }
+
+  /**
+   * Import cookies from a browser export (HAR, cookies.txt or EditThisCookie JSON)
+   * Only the platform's essential cookies on the platform's domain are kept,
+   * and they become the platform's current cookies.
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {string} content - Export file content
+   * @param {Object} options - Import options
+   * @param {string} options.format - 'har', 'netscape' or 'json' (default: detected from the content)
+   * @returns {Promise<Object>} - Import summary with the format, imported cookie names, skipped counts and expiry
+   * @throws {CookieImportError} - If the export holds none of the platform's cookies
+   */
+  async importCookies(platformId, content, options = {}) {
+    const { format, records, skipped } = parseCookieImport(platformId, content, options);
+    const cookies = await this.storeCookies(platformId, records);
+    
+    logger.info(`Imported ${records.length} ${platformId} cookies from a ${format} export`);
+    
+    return {
+      platform: platformId,
+      format,
+      imported: records.map(cookie => cookie.name),
+      skipped,
+      expiresAt: cookies.expiresAt
+    };
+  }
+
+  /**
+   * Load the latest unexpired cookies of a platform from storage
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @returns {Promise<boolean>} - Whether stored cookies were found
+   */
+  async loadStoredCookies(platformId) {
+    if (!this.storage) {
+      return false;
+    }
+    
+    try {
+      const stored = await this.storage.getLatestCookies(platformId);
+      if (!stored) {
+        return false;
+      }
+      
+      this.cookies[platformId] = {
+        id: stored.id,
+        cookieString: stored.cookieString,
+        records: stored.records,
+        timestamp: stored.createdAt,
+        expiresAt: stored.expiresAt
+      };
+      this.lastRefreshTime[platformId] = Date.now();
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error loading stored cookies for platform ${platformId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Delete expired cookies from storage
+   * @returns {Promise<number>} - Number of deleted entries
+   */
+  async cleanupExpiredCookies() {
+    return this.storage ? this.storage.cleanupExpiredCookies() : 0;
+  }
+
+  /**
+   * Get the storage backend for cookie history
+   * @returns {Object} - Storage backend
+   * @throws {CookieHistoryError} - If storage isn't started
+   */
+  getHistoryStorage() {
+    if (!this.storage) {
+      throw new CookieHistoryError('Cookie history is unavailable without cookie storage', 503);
+    }
+    
+    return this.storage;
+  }
+
+  /**
+   * Get a stored cookie version of a platform
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {number} versionId - Version (storage entry) id
+   * @returns {Promise<Object>} - Storage entry
+   * @throws {CookieHistoryError} - If the platform or the version doesn't exist
+   */
+  async getStoredVersion(platformId, versionId) {
+    if (!this.getPlatformConfig(platformId)) {
+      throw new CookieHistoryError(`Platform ${platformId} is not configured`, 404);
+    }
+    
+    const entry = await this.getHistoryStorage().getEntry(platformId, versionId);
+    if (!entry) {
+      throw new CookieHistoryError(`Cookie version ${versionId} of ${platformId} not found`, 404);
+    }
+    
+    return entry;
+  }
+
+  /**
+   * Summarize a storage entry for the cookie history API
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {Object} entry - Storage entry
+   * @returns {Object} - Version summary (see cookie-history.js)
+   */
+  summarizeCookieVersion(platformId, entry) {
+    const essentialCookies = this.getPlatformConfig(platformId).essentialCookies || [];
+    const currentId = this.cookies[platformId] ? this.cookies[platformId].id : null;
+    
+    return summarizeVersion(entry, essentialCookies, currentId);
+  }
+
+  /**
+   * List the stored cookie versions of a platform, newest first
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {Object} options - History options
+   * @param {number} options.limit - Maximum number of versions (default: 20)
+   * @returns {Promise<Array>} - Version summaries
+   * @throws {CookieHistoryError} - If the platform isn't configured or storage isn't started
+   */
+  async getCookieHistory(platformId, options = {}) {
+    if (!this.getPlatformConfig(platformId)) {
+      throw new CookieHistoryError(`Platform ${platformId} is not configured`, 404);
+    }
+    
+    const entries = await this.getHistoryStorage().getHistory(platformId, options);
+    return entries.map(entry => this.summarizeCookieVersion(platformId, entry));
+  }
+
+  /**
+   * Get one stored cookie version of a platform
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {number} versionId - Version id
+   * @returns {Promise<Object>} - Version summary
+   * @throws {CookieHistoryError} - If the version doesn't exist
+   */
+  async getCookieVersion(platformId, versionId) {
+    const entry = await this.getStoredVersion(platformId, versionId);
+    return this.summarizeCookieVersion(platformId, entry);
+  }
+
+  /**
+   * Pin or unpin a cookie version; pinned versions survive expired cookie cleanup
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {number} versionId - Version id
+   * @param {boolean} pinned - Whether to pin the version (default: true)
+   * @returns {Promise<Object>} - Updated version summary
+   * @throws {CookieHistoryError} - If the version doesn't exist
+   */
+  async pinCookieVersion(platformId, versionId, pinned = true) {
+    const entry = await this.getStoredVersion(platformId, versionId);
+    await this.storage.setPinned(platformId, versionId, pinned);
+    
+    logger.info(`${pinned ? 'Pinned' : 'Unpinned'} cookie version ${versionId} of ${platformId}`);
+    return this.summarizeCookieVersion(platformId, { ...entry, pinned });
+  }
+
+  /**
+   * Make an earlier cookie version the current cookies of a platform
+   * The version's cookies are stored again as a new version with their
+   * original expiry, so the rollback itself shows up in the history and can
+   * be rolled back too.
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {number} versionId - Version id to roll back to
+   * @returns {Promise<Object>} - Summary of the new current version
+   * @throws {CookieHistoryError} - If the version doesn't exist or has expired
+   */
+  async rollbackCookies(platformId, versionId) {
+    const entry = await this.getStoredVersion(platformId, versionId);
+    
+    if (entry.expiresAt <= Date.now()) {
+      throw new CookieHistoryError(`Cookie version ${versionId} of ${platformId} has expired and can't be restored`, 409);
+    }
+    
+    const cookies = await this.storeCookies(platformId, entry.records, { expiresAt: entry.expiresAt });
+    
+    logger.info(`Rolled back ${platformId} cookies to version ${versionId}`);
+    return this.summarizeCookieVersion(platformId, {
+      id: cookies.id,
+      records: cookies.records,
+      pinned: false,
+      createdAt: cookies.timestamp,
+      expiresAt: cookies.expiresAt
+    });
   }
 
   /**
    * Initialize cookies for a specific platform
+   * Stored cookies take precedence; the environment variable is the fallback.
    * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
    * @returns {Promise<boolean>} - Success status
    */
@@ -24,6 +460,11 @@ class CookieManagementSystem {
     try {
       logger.info(`Initializing cookies for platform: ${platformId}`);
       
+      if (await this.loadStoredCookies(platformId)) {
+        logger.info(`Cookies loaded from storage for platform: ${platformId}`);
+        return true;
+      }
+      
       // Get cookies from environment variable
       const cookieEnvVar = `${platformId.toUpperCase()}_COOKIE`;
       const cookieString = process.env[cookieEnvVar];
@@ -33,15 +474,7 @@ class CookieManagementSystem {
         return false;
       }
       
-      // Store cookies
-      this.cookies[platformId] = {
-        cookieString,
-        timestamp: Date.now(),
-        expiresAt: Date.now() + this.getCookieMaxAge(platformId)
-      };
-      
-      // Record last refresh time
-      this.lastRefreshTime[platformId] = Date.now();
+      await this.storeCookies(platformId, cookieString);
       
       logger.info(`Cookies initialized for platform: ${platformId}`);
       return true;
@@ -54,7 +487,7 @@ class CookieManagementSystem {
   /**
    * Get the latest cookies for a specific platform
    * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
-   * @returns {Promise<Object>} - Cookie object with cookieString and metadata
+   * @returns {Promise<Object>} - Cookie object with cookieString, records and metadata
    */
   async getLatestCookies(platformId) {
     try {
@@ -70,17 +503,9 @@ class CookieManagementSystem {
         }
       }
       
-      // Check if cookies are expired or close to expiration (within 10 minutes)
-      const nearExpiration = this.cookies[platformId].expiresAt < (Date.now() + 10 * 60 * 1000);
-      if (this.cookies[platformId].expiresAt < Date.now() || nearExpiration) {
-        logger.info(`Cookies for ${platformId} are expired or near expiration, refreshing...`);
-        await this.refreshCookies(platformId);
-      }
-      
-      // Check if it's been more than 30 minutes since last refresh for critical operations
-      const thirtyMinutesAgo = Date.now() - (30 * 60 * 1000);
-      if (this.lastRefreshTime[platformId] < thirtyMinutesAgo) {
-        logger.info(`It's been more than 30 minutes since last cookie refresh for ${platformId}, refreshing...`);
+      // Past their max age, cookies are reloaded unless a recent probe showed they still work
+      if (this.cookies[platformId].expiresAt < Date.now() && !this.isProvenValid(platformId)) {
+        logger.info(`Cookies for ${platformId} are expired, refreshing...`);
         await this.refreshCookies(platformId);
       }
       
@@ -92,6 +517,350 @@ class CookieManagementSystem {
     }
   }
 
+  /**
+   * Check whether a platform session probe recently confirmed the current cookies
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @returns {boolean} - Whether the current cookies were probed valid within two validation intervals
+   */
+  isProvenValid(platformId) {
+    const validity = this.sessionValidity[platformId];
+    const cookies = this.cookies[platformId];
+    
+    return !!validity && !!cookies &&
+      validity.status === 'valid' &&
+      validity.cookieTimestamp === cookies.timestamp &&
+      Date.now() - validity.checkedAt < this.sessionValidationInterval * 2;
+  }
+
+  /**
+   * Get the adapter used to probe a platform's session
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @returns {Object} - Platform adapter
+   */
+  getProbeAdapter(platformId) {
+    if (!this.probeAdapterFactory) {
+      // Loaded on first use: the adapters depend on this manager, not the other way round
+      const ECommerceAdapterFactory = require('./platform-adapters/src/adapter-factory');
+      this.probeAdapterFactory = new ECommerceAdapterFactory(this);
+    }
+    
+    return this.probeAdapterFactory.getPlatformAdapter(platformId);
+  }
+
+  /**
+   * Probe whether a platform's current cookies hold a working session and record the result
+   * Concurrent calls for the same platform share one probe.
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @returns {Promise<Object>} - Validity with status ('valid', 'invalid' or 'unknown'), reason and checkedAt
+   */
+  async validateSession(platformId) {
+    if (!this.pendingValidations[platformId]) {
+      this.pendingValidations[platformId] = this.runValidation(platformId)
+        .finally(() => delete this.pendingValidations[platformId]);
+    }
+    
+    return this.pendingValidations[platformId];
+  }
+
+  /**
+   * Run one session probe of a platform
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @returns {Promise<Object>} - Recorded validity
+   */
+  async runValidation(platformId) {
+    if (!this.cookies[platformId]) {
+      await this.initializeCookies(platformId);
+    }
+    
+    const cookies = this.cookies[platformId];
+    let result;
+    
+    if (!cookies) {
+      result = { status: 'invalid', reason: 'No cookies available', statusCode: null };
+    } else {
+      try {
+        result = await this.getProbeAdapter(platformId).validateSession(cookies);
+      } catch (error) {
+        result = { status: 'unknown', reason: error.message, statusCode: null };
+      }
+    }
+    
+    this.sessionValidity[platformId] = {
+      ...result,
+      checkedAt: Date.now(),
+      cookieTimestamp: cookies ? cookies.timestamp : null
+    };
+    
+    const log = result.status === 'invalid' ? 'warn' : 'info';
+    logger[log](`Session of ${platformId} is ${result.status}${result.reason ? `: ${result.reason}` : ''}`);
+    
+    return this.sessionValidity[platformId];
+  }
+
+  /**
+   * Make sure a platform's cookies hold a working session before a critical operation
+   * A recent probe of the current cookies is reused. Invalid sessions are
+   * replaced with freshly extracted cookies, which are probed again.
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @returns {Promise<Object>} - Validity of the cookies to use
+   * @throws {AuthenticationError} - If the session is invalid and refreshing the cookies failed
+   */
+  async ensureValidSession(platformId) {
+    const validity = this.sessionValidity[platformId];
+    const cookies = this.cookies[platformId];
+    const recent = !!validity && !!cookies &&
+      validity.cookieTimestamp === cookies.timestamp &&
+      Date.now() - validity.checkedAt < this.sessionValidationMaxAge;
+    
+    const result = recent ? validity : await this.validateSession(platformId);
+    if (result.status !== 'invalid') {
+      return result;
+    }
+    
+    try {
+      await this.refreshWithJob(platformId, 'recovery');
+    } catch (error) {
+      throw new AuthenticationError(`Session of ${platformId} is invalid and refreshing cookies failed: ${error.message}`, {
+        platformId,
+        retryable: false,
+        cause: error
+      });
+    }
+    
+    return this.validateSession(platformId);
+  }
+
+  /**
+   * Probe every platform's session, refreshing the cookies of invalid ones
+   * @returns {Promise<Object>} - Validity keyed by platform
+   */
+  async validateAllSessions() {
+    const results = {};
+    
+    for (const platformId of this.getPlatforms()) {
+      results[platformId] = await this.validateSession(platformId);
+      
+      if (results[platformId].status === 'invalid') {
+        try {
+          await this.refreshWithJob(platformId, 'recovery');
+          results[platformId] = await this.validateSession(platformId);
+        } catch (error) {
+          logger.error(`Could not replace invalid session of ${platformId}: ${error.message}`);
+        }
+      }
+    }
+    
+    return results;
+  }
+
+  /**
+   * Probe every platform's session on an interval
+   * @param {number} intervalMs - Probe interval in milliseconds
+   */
+  startSessionValidation(intervalMs) {
+    if (this.validationTimer) {
+      clearInterval(this.validationTimer);
+    }
+    
+    this.validationTimer = setInterval(() => {
+      this.validateAllSessions().catch(error => {
+        logger.error(`Scheduled session validation failed: ${error.message}`);
+      });
+    }, intervalMs);
+    
+    // Don't keep the process alive just for probes
+    this.validationTimer.unref();
+    
+    logger.info(`Session validation set up every ${intervalMs}ms`);
+  }
+
+  /**
+   * Get the last probe result of a platform's session
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @returns {Object} - Validity with status, reason and checkedAt
+   */
+  getSessionValidity(platformId) {
+    const validity = this.sessionValidity[platformId];
+    
+    if (!validity) {
+      return { status: 'unknown', reason: 'Not checked yet', checkedAt: null };
+    }
+    
+    return {
+      status: validity.status,
+      reason: validity.reason,
+      checkedAt: new Date(validity.checkedAt).toISOString()
+    };
+  }
+
+  /**
+   * Get the cookies of a user session for a specific platform
+   * Bootstraps a new anonymous platform session the first time a user needs one,
+   * so each shopper gets their own cart instead of the shared platform cookies.
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {string} sessionId - User session identifier
+   * @param {Object} options - Options
+   * @param {string} options.bootstrapUrl - Page to visit to obtain anonymous session cookies
+   * @returns {Promise<Object>} - Cookie object with cookieString, records and metadata
+   */
+  async getSessionCookies(platformId, sessionId, options = {}) {
+    let entry = this.sessionJars[sessionId]?.[platformId];
+    
+    if (!entry) {
+      // Share a single bootstrap between concurrent requests of the same user
+      const key = `${sessionId}:${platformId}`;
+      if (!this.pendingBootstraps[key]) {
+        this.pendingBootstraps[key] = this.bootstrapSessionJar(platformId, sessionId, options.bootstrapUrl)
+          .finally(() => delete this.pendingBootstraps[key]);
+      }
+      entry = await this.pendingBootstraps[key];
+    }
+    
+    entry.lastUsed = Date.now();
+    
+    return {
+      cookieString: entry.jar.toCookieString(),
+      records: entry.jar.getCookies(),
+      sessionId,
+      timestamp: entry.createdAt,
+      lastUsed: entry.lastUsed
+    };
+  }
+
+  /**
+   * Create a cookie jar for a user session by visiting the platform anonymously
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {string} sessionId - User session identifier
+   * @param {string} bootstrapUrl - Page to visit to obtain anonymous session cookies
+   * @returns {Promise<Object>} - Jar entry
+   */
+  async bootstrapSessionJar(platformId, sessionId, bootstrapUrl) {
+    logger.info(`Bootstrapping ${platformId} cookies for session ${sessionId}`);
+    
+    const jar = new CookieJar();
+    
+    if (bootstrapUrl) {
+      try {
+        const response = await axios({
+          method: 'get',
+          url: bootstrapUrl,
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36'
+          },
+          maxRedirects: 0,
+          validateStatus: status => status < 400,
+          timeout: 10000
+        });
+        
+        const merged = jar.mergeSetCookieHeaders(response.headers['set-cookie'], bootstrapUrl);
+        logger.info(`Bootstrapped ${merged} ${platformId} cookies for session ${sessionId}`);
+      } catch (error) {
+        // Cookies set by later responses are still merged into the empty jar
+        logger.warn(`Failed to bootstrap ${platformId} cookies for session ${sessionId}: ${error.message}`);
+      }
+    }
+    
+    const entry = {
+      jar,
+      createdAt: Date.now(),
+      lastUsed: Date.now()
+    };
+    
+    if (!this.sessionJars[sessionId]) {
+      this.sessionJars[sessionId] = {};
+    }
+    this.sessionJars[sessionId][platformId] = entry;
+    
+    return entry;
+  }
+
+  /**
+   * Merge Set-Cookie headers from a platform response into a user's cookie jar
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {string} sessionId - User session identifier
+   * @param {Array|string} setCookieHeaders - Set-Cookie header value(s)
+   * @param {string} url - URL of the request the headers answered
+   * @returns {number} - Number of cookies merged
+   */
+  mergeSessionCookies(platformId, sessionId, setCookieHeaders, url = null) {
+    const entry = this.sessionJars[sessionId]?.[platformId];
+    
+    if (!entry || !setCookieHeaders) {
+      return 0;
+    }
+    
+    return entry.jar.mergeSetCookieHeaders(setCookieHeaders, url);
+  }
+
+  /**
+   * Make sure a user session's platform cookies hold a working session before a critical operation
+   * A recent probe of the same jar is reused. An invalid jar is dropped and a
+   * new anonymous platform session bootstrapped in its place.
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {string} sessionId - User session identifier
+   * @param {Object} options - Options
+   * @param {string} options.bootstrapUrl - Page to visit to obtain anonymous session cookies
+   * @returns {Promise<Object>} - Validity of the jar to use
+   */
+  async ensureValidSessionCookies(platformId, sessionId, options = {}) {
+    const cookies = await this.getSessionCookies(platformId, sessionId, options);
+    const entry = this.sessionJars[sessionId][platformId];
+    
+    if (entry.validity && Date.now() - entry.validity.checkedAt < this.sessionValidationMaxAge) {
+      return entry.validity;
+    }
+    
+    let result;
+    try {
+      result = await this.getProbeAdapter(platformId).validateSession(cookies);
+    } catch (error) {
+      result = { status: 'unknown', reason: error.message, statusCode: null };
+    }
+    
+    if (result.status !== 'invalid') {
+      entry.validity = { ...result, checkedAt: Date.now() };
+      return entry.validity;
+    }
+    
+    logger.warn(`Session ${sessionId} of ${platformId} is invalid: ${result.reason}`);
+    await this.resetSessionCookies(platformId, sessionId, options);
+    
+    // A new anonymous session isn't probed again; the operation itself shows whether it works
+    return { status: 'unknown', reason: 'Replaced an invalid session', statusCode: null, checkedAt: Date.now() };
+  }
+
+  /**
+   * Replace a user session's platform cookie jar with a new anonymous platform session
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {string} sessionId - User session identifier
+   * @param {Object} options - Options
+   * @param {string} options.bootstrapUrl - Page to visit to obtain anonymous session cookies
+   * @returns {Promise<Object>} - Cookie object of the new jar
+   */
+  async resetSessionCookies(platformId, sessionId, options = {}) {
+    this.clearSessionCookies(sessionId, platformId);
+    return this.getSessionCookies(platformId, sessionId, options);
+  }
+
+  /**
+   * Remove the cookie jars of a user session (e.g. when the session expires)
+   * @param {string} sessionId - User session identifier
+   * @param {string} platformId - Only remove the jar of this platform (default: all platforms)
+   */
+  clearSessionCookies(sessionId, platformId = null) {
+    if (!this.sessionJars[sessionId]) {
+      return;
+    }
+    
+    if (platformId) {
+      delete this.sessionJars[sessionId][platformId];
+      logger.info(`Cleared ${platformId} cookie jar for session ${sessionId}`);
+    } else {
+      delete this.sessionJars[sessionId];
+      logger.info(`Cleared cookie jars for session ${sessionId}`);
+    }
+  }
+
   /**
    * Refresh cookies for a specific platform
    * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
@@ -101,8 +870,8 @@ class CookieManagementSystem {
     try {
       logger.info(`Refreshing cookies for platform: ${platformId}`);
       
-      // For now, just re-initialize from environment variables
-      // In a production system, this would use a headless browser to refresh cookies
+      // Reload what scheduled extraction stored, falling back to environment variables.
+      // Extracting new cookies is refreshPlatformCookies' job.
       const initialized = await this.initializeCookies(platformId);
       
       if (!initialized) {
@@ -121,15 +890,274 @@ class CookieManagementSystem {
     }
   }
 
+  /**
+   * Obtain fresh cookies for a platform with the refresh strategy and store them
+   * Used when a platform rejects the current cookies. Concurrent calls for the
+   * same platform share one refresh, so a burst of authentication errors only
+   * launches one extraction.
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @returns {Promise<Object>} - Stored cookie object
+   * @throws {Error} - If the strategy fails or returns no cookies
+   */
+  async refreshPlatformCookies(platformId) {
+    if (!this.pendingRefreshes[platformId]) {
+      this.pendingRefreshes[platformId] = this.runRefresh(platformId)
+        .finally(() => delete this.pendingRefreshes[platformId]);
+    }
+    
+    return this.pendingRefreshes[platformId];
+  }
+
+  /**
+   * Run one refresh of a platform's cookies
+   * With persistent storage, a storage lock makes sure only one process
+   * extracts cookies; the others wait and load what it stored.
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @returns {Promise<Object>} - Stored cookie object
+   */
+  async runRefresh(platformId) {
+    if (!this.storage) {
+      return this.extractAndStoreCookies(platformId);
+    }
+    
+    const lockName = `refresh:${platformId}`;
+    
+    if (!(await this.storage.acquireLock(lockName, this.instanceId, this.refreshLockTtl))) {
+      return this.waitForRefreshElsewhere(platformId, lockName);
+    }
+    
+    try {
+      return await this.extractAndStoreCookies(platformId);
+    } finally {
+      await this.storage.releaseLock(lockName, this.instanceId).catch(error => {
+        logger.error(`Error releasing cookie refresh lock for ${platformId}: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Wait for another process to finish refreshing a platform and load its cookies
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {string} lockName - Name of the refresh lock
+   * @returns {Promise<Object>} - Cookie object stored by the other process
+   */
+  async waitForRefreshElsewhere(platformId, lockName) {
+    logger.info(`Cookies for ${platformId} are being refreshed by another process, waiting for it`);
+    
+    // The lock expires after refreshLockTtl, so this can't wait forever
+    while (await this.storage.isLocked(lockName)) {
+      await new Promise(resolve => setTimeout(resolve, this.refreshLockPollInterval));
+    }
+    
+    if (!(await this.loadStoredCookies(platformId))) {
+      throw new Error(`Another process refreshed cookies for ${platformId} but stored none`);
+    }
+    
+    return this.cookies[platformId];
+  }
+
+  /**
+   * Extract cookies with the refresh strategy, store them and record the outcome
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @returns {Promise<Object>} - Stored cookie object
+   */
+  async extractAndStoreCookies(platformId) {
+    const startedAt = Date.now();
+    logger.info(`Extracting fresh cookies for platform: ${platformId}`);
+    
+    try {
+      const extracted = await this.getRefreshStrategy()(platformId, { flow: this.getExtractionFlow(platformId) });
+      
+      if (!extracted || extracted.length === 0) {
+        throw new Error(`Refresh strategy returned no cookies for ${platformId}`);
+      }
+      
+      const cookies = await this.storeCookies(platformId, extracted);
+      this.lastRefreshResult[platformId] = {
+        success: true,
+        timestamp: Date.now(),
+        durationMs: Date.now() - startedAt,
+        error: null
+      };
+      
+      logger.info(`Stored fresh cookies for ${platformId}`);
+      return cookies;
+    } catch (error) {
+      this.lastRefreshResult[platformId] = {
+        success: false,
+        timestamp: Date.now(),
+        durationMs: Date.now() - startedAt,
+        error: error.message
+      };
+      
+      logger.error(`Error extracting fresh cookies for platform ${platformId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the storage refresh job records are kept in
+   * @returns {Object} - Storage backend
+   */
+  getJobStorage() {
+    return this.storage || this.memoryJobStorage;
+  }
+
+  /**
+   * Record a new refresh job of a platform (see cookie-management-system/refresh-jobs.js)
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {string} trigger - What started the refresh: 'cron', 'startup', 'manual' or 'recovery'
+   * @returns {Promise<Object>} - Queued job record
+   */
+  async createRefreshJob(platformId, trigger) {
+    const job = createRefreshJob(platformId, trigger);
+    await this.saveRefreshJob(job);
+    return job;
+  }
+
+  /**
+   * Persist the current state of a refresh job
+   * A job that can't be saved is logged; the refresh itself goes on.
+   * @param {Object} job - Job record
+   * @returns {Promise<void>}
+   */
+  async saveRefreshJob(job) {
+    try {
+      await this.getJobStorage().saveRefreshJob(job);
+    } catch (error) {
+      logger.error(`Error saving refresh job ${job.id} of ${job.platform}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark a refresh job as finished
+   * @param {Object} job - Job record
+   * @param {string} status - 'succeeded', 'failed' or 'cancelled'
+   * @returns {Promise<void>}
+   */
+  async finishRefreshJob(job, status) {
+    job.status = status;
+    job.finishedAt = Date.now();
+    job.durationMs = job.startedAt ? job.finishedAt - job.startedAt : null;
+    await this.saveRefreshJob(job);
+  }
+
+  /**
+   * Run a queued refresh job, retrying failed attempts
+   * @param {Object} job - Queued job record
+   * @param {Object} options - Run options
+   * @param {number} options.maxAttempts - Number of attempts before the job fails (default: 1)
+   * @param {number} options.retryDelay - Delay between attempts in milliseconds (default: 0)
+   * @returns {Promise<Object>} - Stored cookie object
+   * @throws {Error} - Error of the last attempt if every attempt failed
+   */
+  async runRefreshJob(job, options = {}) {
+    const { maxAttempts = 1, retryDelay = 0 } = options;
+    let lastError = null;
+    
+    job.status = 'running';
+    job.startedAt = Date.now();
+    await this.saveRefreshJob(job);
+    
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      job.attempts = attempt;
+      
+      try {
+        const cookies = await this.refreshPlatformCookies(job.platform);
+        const essentialCookies = this.getPlatformConfig(job.platform)?.essentialCookies || [];
+        
+        job.error = null;
+        job.cookies = countCookies(cookies.records || [], essentialCookies);
+        job.cookieVersionId = cookies.id || null;
+        await this.finishRefreshJob(job, 'succeeded');
+        return cookies;
+      } catch (error) {
+        lastError = error;
+        job.error = error.message;
+        
+        if (attempt < maxAttempts) {
+          logger.warn(`Cookie refresh of ${job.platform} failed (attempt ${attempt}/${maxAttempts}), retrying in ${retryDelay}ms: ${error.message}`);
+          await this.saveRefreshJob(job);
+          await new Promise(resolve => setTimeout(resolve, retryDelay));
+        }
+      }
+    }
+    
+    await this.finishRefreshJob(job, 'failed');
+    throw lastError;
+  }
+
+  /**
+   * Refresh a platform's cookies as a recorded job
+   * Concurrent calls for the same platform share one job.
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {string} trigger - What started the refresh (see createRefreshJob)
+   * @returns {Promise<Object>} - Stored cookie object
+   */
+  async refreshWithJob(platformId, trigger) {
+    if (!this.pendingRefreshJobs[platformId]) {
+      this.pendingRefreshJobs[platformId] = this.createRefreshJob(platformId, trigger)
+        .then(job => this.runRefreshJob(job))
+        .finally(() => delete this.pendingRefreshJobs[platformId]);
+    }
+    
+    return this.pendingRefreshJobs[platformId];
+  }
+
+  /**
+   * Start a refresh job without waiting for it
+   * Progress can be followed with getRefreshJob().
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {string} trigger - What started the refresh (see createRefreshJob)
+   * @returns {Promise<Object>} - Queued job record
+   */
+  async startRefreshJob(platformId, trigger) {
+    const job = await this.createRefreshJob(platformId, trigger);
+    
+    this.runRefreshJob(job).catch(error => {
+      logger.error(`Refresh job ${job.id} of ${platformId} failed: ${error.message}`);
+    });
+    
+    return job;
+  }
+
+  /**
+   * Get a refresh job record
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} - Job record, or null if not found
+   */
+  async getRefreshJob(jobId) {
+    return this.getJobStorage().getRefreshJob(jobId);
+  }
+
+  /**
+   * List refresh job records, newest first
+   * @param {Object} filters - platform, trigger, status, since and limit (see MemoryCookieStorage.getRefreshJobs)
+   * @returns {Promise<Array>} - Job records
+   */
+  async getRefreshJobs(filters = {}) {
+    return this.getJobStorage().getRefreshJobs(filters);
+  }
+
+  /**
+   * Delete refresh jobs that finished longer than refreshJobRetention ago
+   * @returns {Promise<number>} - Number of deleted jobs
+   */
+  async cleanupRefreshJobs() {
+    return this.getJobStorage().cleanupRefreshJobs(Date.now() - this.refreshJobRetention);
+  }
+
   /**
    * Force refresh cookies for a specific platform regardless of expiration
+   * The refresh is recorded as a manual refresh job.
    * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
    * @returns {Promise<boolean>} - Success status
    */
   async forceRefreshCookies(platformId) {
     try {
       logger.info(`Force refreshing cookies for platform: ${platformId}`);
-      return await this.refreshCookies(platformId);
+      await this.runRefreshJob(await this.createRefreshJob(platformId, 'manual'));
+      return true;
     } catch (error) {
       logger.error(`Error force refreshing cookies for platform ${platformId}: ${error.message}`);
       return false;
@@ -168,35 +1196,42 @@ class CookieManagementSystem {
     const envVarName = `${platformId.toUpperCase()}_COOKIE_MAX_AGE`;
     const defaultMaxAge = 24 * 60 * 60 * 1000; // 24 hours
     
-    return parseInt(process.env[envVarName], 10) || defaultMaxAge;
+    return parseInt(process.env[envVarName], 10) || this.getPlatformConfig(platformId)?.cookieMaxAge || defaultMaxAge;
   }
 
   /**
-   * Encrypt sensitive data
+   * Get when a platform's cookies stop working
+   * Extracted cookies carry their real expiry, so this is when the earliest of
+   * the platform's essentialCookies expires. Cookie strings and session-only
+   * cookies have no expiry and fall back to the platform's cookie max age.
+   * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+   * @param {Array} records - Cookie records
+   * @param {number} now - Current timestamp in milliseconds
+   * @returns {number} - Expiry timestamp in milliseconds
+   */
+  getCookieExpiry(platformId, records, now = Date.now()) {
+    const essentialCookies = this.getPlatformConfig(platformId)?.essentialCookies || [];
+    const expiresAt = CookieJar.getEffectiveExpiry(records, essentialCookies);
+    
+    return expiresAt !== null ? expiresAt : now + this.getCookieMaxAge(platformId);
+  }
+
+  /**
+   * Encrypt sensitive data with the storage keyring (see cookie-management-system/encryption.js)
    * @param {string} data - Data to encrypt
-   * @returns {string} - Encrypted data
+   * @returns {string} - Encrypted token
    */
   encrypt(data) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(this.encryptionKey), iv);
-    let encrypted = cipher.update(data);
-    encrypted = Buffer.concat([encrypted, cipher.final()]);
-    return iv.toString('hex') + ':' + encrypted.toString('hex');
+    return encryption.encrypt(data);
   }
 
   /**
-   * Decrypt sensitive data
-   * @param {string} data - Data to decrypt
+   * Decrypt data encrypted with encrypt()
+   * @param {string} data - Encrypted token
    * @returns {string} - Decrypted data
    */
   decrypt(data) {
-    const textParts = data.split(':');
-    const iv = Buffer.from(textParts.shift(), 'hex');
-    const encryptedText = Buffer.from(textParts.join(':'), 'hex');
-    const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(this.encryptionKey), iv);
-    let decrypted = decipher.update(encryptedText);
-    decrypted = Buffer.concat([decrypted, decipher.final()]);
-    return decrypted.toString();
+    return encryption.decrypt(data);
   }
 
   /**
@@ -213,12 +1248,22 @@ class CookieManagementSystem {
         expired: cookieData ? cookieData.expiresAt < Date.now() : true,
         expiresAt: cookieData ? new Date(cookieData.expiresAt).toISOString() : null,
         autoRefresh: !!this.refreshTimers[platformId],
-        lastRefreshed: this.lastRefreshTime[platformId] ? new Date(this.lastRefreshTime[platformId]).toISOString() : null
+        lastRefreshed: this.lastRefreshTime[platformId] ? new Date(this.lastRefreshTime[platformId]).toISOString() : null,
+        lastRefreshResult: this.lastRefreshResult[platformId] || null,
+        session: this.getSessionValidity(platformId)
       };
     }
     
     return status;
   }
+
+  /**
+   * Get the number of user sessions holding cookie jars
+   * @returns {number} - Session count
+   */
+  getSessionJarCount() {
+    return Object.keys(this.sessionJars).length;
+  }
 }
 
 // Create singleton instance
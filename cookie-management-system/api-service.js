@@ -3,8 +3,7 @@
  * Provides REST API endpoints for cookie management
  */
 const express = require('express');
-const database = require('./database');
-const cookieExtractor = require('./cookie-extractor');
+const cookieManager = require('../cookie-management-system');
 const scheduler = require('./scheduler');
 const logger = require('./logger');
 const config = require('./config');
@@ -54,7 +53,7 @@ class ApiService {
           return res.status(404).json({ error: `Platform ${platform} not found` });
         }
         
-        const cookies = await database.getLatestCookies(platform);
+        const cookies = await cookieManager.getLatestCookies(platform).catch(() => null);
         
         if (!cookies) {
           return res.status(404).json({ 
@@ -66,7 +65,7 @@ class ApiService {
         res.json({
           platform,
           cookies: cookies.cookieString,
-          createdAt: new Date(cookies.createdAt).toISOString(),
+          createdAt: new Date(cookies.timestamp).toISOString(),
           expiresAt: new Date(cookies.expiresAt).toISOString()
         });
       } catch (error) {
@@ -86,17 +85,19 @@ class ApiService {
         
         logger.info(`Manual refresh requested for ${platform}`);
         
-        // Trigger cookie refresh
-        await scheduler.refreshCookies(platform);
+        // Trigger cookie refresh, recorded as a manual refresh job
+        const job = await cookieManager.createRefreshJob(platform, 'manual');
+        await scheduler.refreshCookies(platform, { job });
         
         // Get the newly refreshed cookies
-        const cookies = await database.getLatestCookies(platform);
+        const cookies = cookieManager.cookies[platform];
         
         res.json({
           platform,
+          jobId: job.id,
           message: `Successfully refreshed cookies for ${platform}`,
           cookies: cookies.cookieString,
-          createdAt: new Date(cookies.createdAt).toISOString(),
+          createdAt: new Date(cookies.timestamp).toISOString(),
           expiresAt: new Date(cookies.expiresAt).toISOString()
         });
       } catch (error) {
@@ -112,12 +113,13 @@ class ApiService {
         const statuses = {};
         
         for (const platform of platforms) {
-          const cookies = await database.getLatestCookies(platform);
+          const cookies = cookieManager.cookies[platform];
           
           statuses[platform] = {
             configured: true,
-            hasValidCookies: !!cookies,
-            cookieExpiry: cookies ? new Date(cookies.expiresAt).toISOString() : null
+            hasValidCookies: !!cookies && cookies.expiresAt > Date.now(),
+            cookieExpiry: cookies ? new Date(cookies.expiresAt).toISOString() : null,
+            refreshInterval: scheduler.intervals[platform] || scheduler.getRefreshInterval(platform)
           };
         }
         
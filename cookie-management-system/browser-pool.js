@@ -0,0 +1,263 @@
+/**
+ * Browser Pool module for cookie management system
+ * Shares one headless Chrome between every cookie extraction instead of
+ * launching a browser per platform and per retry:
+ * - Each job gets its own incognito context, so jobs never see each other's cookies
+ * - At most maxContexts jobs run at once; the others wait for a free context
+ * - A health check replaces a browser that stopped responding
+ * - A crashed browser is relaunched, and a job it took down is retried once
+ * - The browser is closed after idleTimeout milliseconds without jobs
+ */
+const puppeteer = require('puppeteer-core');
+const config = require('./config');
+const logger = require('./logger');
+
+class BrowserPool {
+  /**
+   * @param {Object} options - Pool options (default: config.browser)
+   * @param {Object} options.launcher - Object with a puppeteer-style launch(options) (default: puppeteer-core)
+   * @param {number} options.maxContexts - Maximum number of jobs running at once
+   * @param {number} options.idleTimeout - Time in milliseconds without jobs before the browser is closed
+   * @param {number} options.healthCheckInterval - Time in milliseconds between health checks; 0 turns them off
+   * @param {number} options.healthCheckTimeout - Time in milliseconds the browser has to answer a health check
+   */
+  constructor(options = {}) {
+    const settings = { ...config.browser, ...options };
+
+    this.launcher = options.launcher || puppeteer;
+    this.launchOptions = {
+      executablePath: settings.executablePath,
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    };
+    this.maxContexts = settings.maxContexts;
+    this.idleTimeout = settings.idleTimeout;
+    this.healthCheckInterval = settings.healthCheckInterval;
+    this.healthCheckTimeout = settings.healthCheckTimeout;
+
+    this.browser = null;
+    this.pendingLaunch = null;
+    // Jobs holding a context, and jobs waiting for one
+    this.activeJobs = 0;
+    this.queue = [];
+    this.idleTimer = null;
+    this.healthTimer = null;
+    this.stats = { launches: 0, crashes: 0, jobs: 0 };
+  }
+
+  /**
+   * Run a job on a new page in its own incognito context
+   * The context is closed when the job finishes, whatever the outcome. If the
+   * browser crashes during the job, the job is retried once on a new browser.
+   * @param {Function} job - Receives the page and its context, resolves to the job result
+   * @param {Object} options - Job options
+   * @param {string} options.label - Name of the job for logging (e.g. the platform)
+   * @returns {Promise<*>} - Result of the job
+   */
+  async withPage(job, options = {}) {
+    const label = options.label || 'browser job';
+
+    await this.acquire();
+    try {
+      try {
+        return await this.runInContext(job);
+      } catch (error) {
+        if (this.browser) {
+          throw error;
+        }
+
+        logger.warn(`Browser crashed during ${label}, retrying on a new browser: ${error.message}`);
+        return await this.runInContext(job);
+      }
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Run a job in a fresh incognito context of the shared browser
+   * @param {Function} job - Receives the page and its context
+   * @returns {Promise<*>} - Result of the job
+   */
+  async runInContext(job) {
+    const browser = await this.getBrowser();
+    const context = await browser.createIncognitoBrowserContext();
+
+    this.stats.jobs++;
+    try {
+      const page = await context.newPage();
+      return await job(page, context);
+    } finally {
+      await context.close().catch(error => {
+        // Closing fails when the browser went away with the context
+        logger.warn(`Error closing browser context: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Wait until fewer than maxContexts jobs are running
+   * A finishing job hands its slot straight to the next queued one.
+   * @returns {Promise<void>}
+   */
+  async acquire() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+
+    if (this.activeJobs >= this.maxContexts) {
+      await new Promise(resolve => this.queue.push(resolve));
+    } else {
+      this.activeJobs++;
+    }
+  }
+
+  /**
+   * Give a job slot to the next queued job, or start the idle countdown
+   */
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      next();
+      return;
+    }
+
+    this.activeJobs--;
+    if (this.activeJobs === 0 && this.browser) {
+      this.idleTimer = setTimeout(() => {
+        logger.info('Closing idle browser');
+        this.close();
+      }, this.idleTimeout);
+      this.idleTimer.unref?.();
+    }
+  }
+
+  /**
+   * Get the shared browser, launching it if needed
+   * Concurrent callers share one launch.
+   * @returns {Promise<Object>} - Puppeteer browser
+   */
+  async getBrowser() {
+    if (this.browser) {
+      return this.browser;
+    }
+
+    if (!this.pendingLaunch) {
+      this.pendingLaunch = this.launch().finally(() => {
+        this.pendingLaunch = null;
+      });
+    }
+
+    return this.pendingLaunch;
+  }
+
+  /**
+   * Launch a browser and watch it for crashes
+   * @returns {Promise<Object>} - Puppeteer browser
+   */
+  async launch() {
+    logger.info('Launching shared headless browser');
+    const browser = await this.launcher.launch(this.launchOptions);
+
+    this.stats.launches++;
+    this.browser = browser;
+
+    browser.on('disconnected', () => {
+      // close() forgets the browser before closing it, so this only catches crashes
+      if (this.browser === browser) {
+        logger.error('Shared browser disconnected unexpectedly; the next job launches a new one');
+        this.stats.crashes++;
+        this.forgetBrowser();
+      }
+    });
+
+    if (this.healthCheckInterval > 0) {
+      this.healthTimer = setInterval(() => this.checkHealth(), this.healthCheckInterval);
+      this.healthTimer.unref?.();
+    }
+
+    return browser;
+  }
+
+  /**
+   * Check that the browser still answers, replacing it if it doesn't
+   * @returns {Promise<boolean>} - Whether the browser is healthy (true when none is running)
+   */
+  async checkHealth() {
+    const browser = this.browser;
+    if (!browser) {
+      return true;
+    }
+
+    let timer;
+    try {
+      await Promise.race([
+        browser.version(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`no answer within ${this.healthCheckTimeout}ms`)), this.healthCheckTimeout);
+        })
+      ]);
+      return true;
+    } catch (error) {
+      if (this.browser !== browser) {
+        return true;
+      }
+
+      logger.error(`Shared browser failed its health check, replacing it: ${error.message}`);
+      this.stats.crashes++;
+      this.forgetBrowser();
+      // A hung browser may not close by itself
+      browser.process()?.kill('SIGKILL');
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Drop the current browser so the next job launches a new one
+   */
+  forgetBrowser() {
+    this.browser = null;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+  }
+
+  /**
+   * Close the browser
+   * Running jobs fail; the next job launches a new browser.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+
+    const browser = this.browser;
+    this.forgetBrowser();
+
+    if (browser) {
+      await browser.close().catch(error => {
+        logger.warn(`Error closing browser: ${error.message}`);
+      });
+      logger.info('Shared browser closed');
+    }
+  }
+
+  /**
+   * Get the pool status
+   * @returns {Object} - Whether a browser is running, job counts and launch statistics
+   */
+  getStatus() {
+    return {
+      running: !!this.browser,
+      activeJobs: this.activeJobs,
+      queuedJobs: this.queue.length,
+      maxContexts: this.maxContexts,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = {
+  browserPool: new BrowserPool(),
+  BrowserPool
+};
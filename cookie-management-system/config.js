@@ -4,42 +4,89 @@
 require('dotenv').config();
 
 module.exports = {
-  // Database configuration
-  database: {
-    path: process.env.DB_PATH || './cookies.db',
+  // Cookie storage configuration
+  storage: {
+    // 'sqlite', 'json' or 'memory' (see storage/index.js)
+    type: process.env.COOKIE_STORAGE || 'sqlite',
+    path: process.env.COOKIE_STORAGE === 'json'
+      ? process.env.COOKIE_STORAGE_PATH || './cookies.json'
+      : process.env.COOKIE_STORAGE_PATH || process.env.DB_PATH || './cookies.db',
   },
   
-  // Encryption configuration
+  // Encryption configuration (see encryption.js)
   encryption: {
-    secret: process.env.ENCRYPTION_KEY || 'default-encryption-key-change-in-production',
+    // Comma-separated id:secret pairs; the first key encrypts, the others only decrypt
+    keys: process.env.ENCRYPTION_KEYS || '',
+    // Single key, used as key 'default' when ENCRYPTION_KEYS is not set
+    secret: process.env.ENCRYPTION_KEY || '',
   },
   
   // Scheduler configuration
   scheduler: {
+    // Whether the cookie manager runs scheduled extraction when it starts
+    enabled: process.env.COOKIE_SCHEDULER_ENABLED !== 'false',
     // Run cookie refresh every 12 hours by default
     refreshInterval: process.env.REFRESH_INTERVAL || '0 */12 * * *',
     // Maximum retry attempts for cookie refresh
     maxRetries: parseInt(process.env.MAX_RETRIES || '3', 10),
     // Delay between retries in milliseconds
     retryDelay: parseInt(process.env.RETRY_DELAY || '60000', 10),
+    // Scheduled refreshes start after a random delay of up to this many milliseconds
+    jitter: parseInt(process.env.REFRESH_JITTER || '300000', 10),
+    // Maximum number of refreshes (browser launches) running at once
+    maxConcurrentRefreshes: parseInt(process.env.MAX_CONCURRENT_REFRESHES || '1', 10),
   },
-  
+
+  // Shared headless browser configuration (see browser-pool.js)
+  browser: {
+    executablePath: process.env.CHROME_BIN || '/app/.apt/usr/bin/google-chrome',
+    // Maximum number of extractions (incognito contexts) running at once
+    maxContexts: parseInt(process.env.BROWSER_MAX_CONTEXTS || '2', 10),
+    // Close the browser after this many milliseconds without extractions
+    idleTimeout: parseInt(process.env.BROWSER_IDLE_TIMEOUT || '60000', 10),
+    // Check that the browser still answers every this many milliseconds (0 turns checks off)
+    healthCheckInterval: parseInt(process.env.BROWSER_HEALTH_CHECK_INTERVAL || '30000', 10),
+    healthCheckTimeout: parseInt(process.env.BROWSER_HEALTH_CHECK_TIMEOUT || '10000', 10),
+    // Timeout of extraction flow steps without their own (see extraction-flow.js)
+    stepTimeout: parseInt(process.env.BROWSER_STEP_TIMEOUT || '30000', 10),
+  },
+
   // Platform-specific configurations
   platforms: {
     motonet: {
       url: process.env.MOTONET_URL || 'https://www.motonet.fi',
-      loginRequired: false,
       username: process.env.MOTONET_USERNAME || '',
       password: process.env.MOTONET_PASSWORD || '',
       cookieMaxAge: parseInt(process.env.MOTONET_COOKIE_MAX_AGE || '86400000', 10), // 24 hours in milliseconds
+      // Steps a browser takes to collect the cookies (see extraction-flow.js)
+      flow: [
+        { type: 'goto' },
+        { type: 'acceptConsent', selectors: ['#onetrust-accept-btn-handler'], timeout: 5000 },
+        // A product page sets the cart cookies
+        { type: 'goto', url: '/fi/tuote/79-0007/Moottorioljy-5W-30-4-l-Mobil-Super-3000-XE' },
+        { type: 'waitFor', delay: 2000 },
+      ],
       essentialCookies: ['cartId', 'puid', 'first_session'],
     },
-    smarket: {
-      url: process.env.SMARKET_URL || 'https://www.s-kaupat.fi',
-      loginRequired: true,
-      username: process.env.SMARKET_USERNAME || '',
-      password: process.env.SMARKET_PASSWORD || '',
-      cookieMaxAge: parseInt(process.env.SMARKET_COOKIE_MAX_AGE || '86400000', 10),
+    // SMARKET_* variables are read as a fallback from when the platform was called 'smarket'
+    sryhma: {
+      url: process.env.SRYHMA_URL || process.env.SMARKET_URL || 'https://www.s-kaupat.fi',
+      username: process.env.SRYHMA_USERNAME || process.env.SMARKET_USERNAME || '',
+      password: process.env.SRYHMA_PASSWORD || process.env.SMARKET_PASSWORD || '',
+      cookieMaxAge: parseInt(process.env.SRYHMA_COOKIE_MAX_AGE || process.env.SMARKET_COOKIE_MAX_AGE || '86400000', 10),
+      flow: [
+        { type: 'goto' },
+        { type: 'acceptConsent', selectors: ['#onetrust-accept-btn-handler'], timeout: 5000 },
+        { type: 'goto', url: '/kirjaudu' },
+        { type: 'typeCredential', selector: '#username', credential: 'username' },
+        { type: 'typeCredential', selector: '#password', credential: 'password' },
+        { type: 'click', selector: 'button[type="submit"]', waitForNavigation: true },
+        { type: 'goto', url: '/tuotteet/ruoka' },
+        // Adding a product creates the cart; the session cookies are enough without it
+        { type: 'click', selector: '.product-card', waitForNavigation: true, timeout: 5000, optional: true },
+        { type: 'click', selector: 'button[data-testid="add-to-cart-button"]', timeout: 5000, optional: true },
+        { type: 'waitFor', delay: 2000 },
+      ],
       essentialCookies: [
         'JSESSIONID',
         'AWSALB',
@@ -58,10 +105,17 @@ module.exports = {
     },
     gigantti: {
       url: process.env.GIGANTTI_URL || 'https://www.gigantti.fi',
-      loginRequired: false,
       username: process.env.GIGANTTI_USERNAME || '',
       password: process.env.GIGANTTI_PASSWORD || '',
       cookieMaxAge: parseInt(process.env.GIGANTTI_COOKIE_MAX_AGE || '86400000', 10),
+      flow: [
+        { type: 'goto' },
+        { type: 'acceptConsent', selectors: ['#coiPage-1 button[data-index="1"]'], timeout: 5000 },
+        { type: 'goto', url: '/tietokoneet/kannettavat-tietokoneet' },
+        { type: 'click', selector: '.product-list-item', waitForNavigation: true, timeout: 5000, optional: true },
+        { type: 'click', selector: 'button.add-to-cart', timeout: 5000, optional: true },
+        { type: 'waitFor', delay: 2000 },
+      ],
       essentialCookies: [
         'JSESSIONID',
         'ASP.NET_SessionId',
@@ -83,6 +137,27 @@ module.exports = {
         'dw_'
       ],
     },
+    rusta: {
+      url: process.env.RUSTA_URL || 'https://www.rusta.com/fi',
+      username: process.env.RUSTA_USERNAME || '',
+      password: process.env.RUSTA_PASSWORD || '',
+      cookieMaxAge: parseInt(process.env.RUSTA_COOKIE_MAX_AGE || '86400000', 10),
+      flow: [
+        { type: 'goto' },
+        { type: 'acceptConsent', selectors: ['#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll'], timeout: 5000 },
+        // The garden section creates the cart session
+        { type: 'goto', url: '/fi/puutarha' },
+        { type: 'waitFor', delay: 2000 },
+      ],
+      essentialCookies: [
+        'ASP.NET_SessionId',
+        'ARRAffinity',
+        'ARRAffinitySameSite',
+        'EPiStateMarker',
+        'rusta_cart',
+        'CookieConsent'
+      ],
+    },
   },
   
   // Logging configuration
@@ -0,0 +1,66 @@
+/**
+ * Cookie History module for cookie management system
+ * Every refresh or import stores a new cookie version, so a refresh that
+ * captured a broken session (a consent wall, a logged-out page) can be
+ * inspected and rolled back. This module summarizes stored versions for the
+ * dashboard: which cookies a version holds and how it differs from the
+ * platform's essentialCookies. Cookie values are never included.
+ */
+const CookieJar = require('./cookie-jar');
+
+/**
+ * Error raised when a cookie version can't be read, pinned or rolled back
+ */
+class CookieHistoryError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code for the dashboard API
+   */
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'CookieHistoryError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Compare the cookie names of a version with a platform's essential cookies
+ * @param {Array} records - Cookie records of the version
+ * @param {Array} essentialCookies - Essential cookie names and prefixes (ending in '_')
+ * @returns {Object} - added: names that aren't essential, removed: essential names with no cookie
+ */
+function diffEssentialCookies(records, essentialCookies) {
+  const names = [...new Set(records.map(cookie => cookie.name))];
+
+  return {
+    added: essentialCookies.length > 0 ? names.filter(name => !CookieJar.isEssential(name, essentialCookies)) : [],
+    removed: essentialCookies.filter(essential => !names.some(name => CookieJar.isEssential(name, [essential])))
+  };
+}
+
+/**
+ * Summarize a stored cookie version without its cookie values
+ * @param {Object} entry - Storage entry
+ * @param {Array} essentialCookies - Essential cookie names and prefixes of the platform
+ * @param {number|null} currentId - Id of the version the platform currently uses
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {Object} - Version summary
+ */
+function summarizeVersion(entry, essentialCookies, currentId, now = Date.now()) {
+  return {
+    id: entry.id,
+    createdAt: entry.createdAt,
+    expiresAt: entry.expiresAt,
+    expired: entry.expiresAt <= now,
+    pinned: !!entry.pinned,
+    current: entry.id === currentId,
+    cookies: entry.records.map(cookie => cookie.name),
+    diff: diffEssentialCookies(entry.records, essentialCookies)
+  };
+}
+
+module.exports = {
+  CookieHistoryError,
+  diffEssentialCookies,
+  summarizeVersion
+};
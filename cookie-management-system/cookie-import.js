@@ -0,0 +1,270 @@
+/**
+ * Cookie Import module for cookie management system
+ * Parses cookies exported from a browser so operators don't have to paste raw
+ * cookie strings into environment variables. Supported formats:
+ * - har: HAR files saved from the browser's network panel
+ * - netscape: Netscape/curl cookies.txt files
+ * - json: EditThisCookie-style JSON arrays (also used by Cookie-Editor)
+ *
+ * Imported cookies are filtered to the platform's essentialCookies and to the
+ * platform's domain, then handed to the cookie manager as cookie records.
+ */
+const config = require('./config');
+const CookieJar = require('./cookie-jar');
+
+const IMPORT_FORMATS = ['har', 'netscape', 'json'];
+
+/**
+ * Error raised when an export can't be imported for a platform
+ */
+class CookieImportError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'CookieImportError';
+  }
+}
+
+/**
+ * Build a cookie record, normalizing the domain
+ * @param {Object} fields - Cookie fields
+ * @returns {Object} - Cookie record
+ */
+function createRecord({ name, value, domain, path, expiresAt, secure, httpOnly }) {
+  return {
+    name,
+    value: value === undefined || value === null ? '' : String(value),
+    domain: domain ? domain.replace(/^\./, '').toLowerCase() : null,
+    path: path || '/',
+    expiresAt: expiresAt || null,
+    secure: !!secure,
+    httpOnly: !!httpOnly
+  };
+}
+
+/**
+ * Guess the format of an export from its content
+ * @param {string} content - Export file content
+ * @returns {string} - 'har', 'netscape' or 'json'
+ * @throws {CookieImportError} - If the content matches no format
+ */
+function detectFormat(content) {
+  const trimmed = content.trim();
+
+  if (trimmed.startsWith('{') && /"log"\s*:/.test(trimmed)) {
+    return 'har';
+  }
+
+  if (trimmed.startsWith('[')) {
+    return 'json';
+  }
+
+  if (trimmed.split('\n').some(line => line.split('\t').length >= 7)) {
+    return 'netscape';
+  }
+
+  throw new CookieImportError('Unrecognized cookie export format; expected a HAR file, cookies.txt or a JSON cookie array');
+}
+
+/**
+ * Parse JSON, reporting syntax errors as import errors
+ * @param {string} content - JSON text
+ * @param {string} format - Format name for the error message
+ * @returns {*} - Parsed value
+ */
+function parseJson(content, format) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new CookieImportError(`Invalid ${format} export: ${error.message}`);
+  }
+}
+
+/**
+ * Parse the cookies of a HAR file
+ * Cookies set by responses keep their attributes; cookies only seen in
+ * requests are scoped to the requested host. Later entries win.
+ * @param {string} content - HAR file content
+ * @returns {Array} - Cookie records
+ */
+function parseHar(content) {
+  const har = parseJson(content, 'HAR');
+
+  if (!har.log || !Array.isArray(har.log.entries)) {
+    throw new CookieImportError('Invalid HAR export: log.entries is missing');
+  }
+
+  const jar = new Map();
+
+  for (const entry of har.log.entries) {
+    let host = null;
+    try {
+      host = new URL(entry.request.url).hostname;
+    } catch (error) {
+      // Entries without a usable URL can still carry response cookies with a domain
+    }
+
+    for (const cookie of entry.request?.cookies || []) {
+      const record = createRecord({ ...cookie, domain: host, path: '/' });
+      jar.set(CookieJar.getKey(record), record);
+    }
+
+    for (const cookie of entry.response?.cookies || []) {
+      const record = createRecord({
+        ...cookie,
+        domain: cookie.domain || host,
+        expiresAt: cookie.expires ? Date.parse(cookie.expires) || null : null
+      });
+      jar.set(CookieJar.getKey(record), record);
+    }
+  }
+
+  return [...jar.values()];
+}
+
+/**
+ * Parse a Netscape cookies.txt file
+ * Lines have seven tab-separated fields: domain, include subdomains, path,
+ * secure, expiry in seconds (0 for session cookies), name and value.
+ * @param {string} content - cookies.txt content
+ * @returns {Array} - Cookie records
+ */
+function parseNetscape(content) {
+  const records = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine;
+    let httpOnly = false;
+
+    // curl marks HttpOnly cookies with a prefix on an otherwise commented line
+    if (line.startsWith('#HttpOnly_')) {
+      line = line.slice('#HttpOnly_'.length);
+      httpOnly = true;
+    } else if (!line.trim() || line.startsWith('#')) {
+      continue;
+    }
+
+    const fields = line.split('\t');
+    if (fields.length < 7) {
+      continue;
+    }
+
+    const [domain, , path, secure, expires, name, ...value] = fields;
+    const expiresSeconds = parseInt(expires, 10);
+
+    records.push(createRecord({
+      name,
+      value: value.join('\t'),
+      domain,
+      path,
+      expiresAt: expiresSeconds > 0 ? expiresSeconds * 1000 : null,
+      secure: secure.toUpperCase() === 'TRUE',
+      httpOnly
+    }));
+  }
+
+  return records;
+}
+
+/**
+ * Parse an EditThisCookie JSON export
+ * @param {string} content - JSON array of cookies
+ * @returns {Array} - Cookie records
+ */
+function parseEditThisCookie(content) {
+  const cookies = parseJson(content, 'JSON');
+
+  if (!Array.isArray(cookies)) {
+    throw new CookieImportError('Invalid JSON export: expected an array of cookies');
+  }
+
+  return cookies
+    .filter(cookie => cookie && cookie.name)
+    .map(cookie => createRecord({
+      ...cookie,
+      expiresAt: !cookie.session && cookie.expirationDate ? Math.round(cookie.expirationDate * 1000) : null
+    }));
+}
+
+const PARSERS = {
+  har: parseHar,
+  netscape: parseNetscape,
+  json: parseEditThisCookie
+};
+
+/**
+ * Check whether a cookie belongs to a platform's site
+ * The cookie domain must be the site domain (e.g. motonet.fi for www.motonet.fi)
+ * or one of its subdomains. Cookies scoped more widely, such as to the public
+ * suffix fi, are sent to the site too but don't belong to it.
+ * @param {Object} cookie - Cookie record
+ * @param {string} host - Host of the platform's site
+ * @returns {boolean} - Whether the cookie belongs to the platform
+ */
+function matchesPlatformDomain(cookie, host) {
+  if (!cookie.domain) {
+    return false;
+  }
+
+  const siteDomain = host.replace(/^www\./, '');
+  return cookie.domain === siteDomain || cookie.domain.endsWith(`.${siteDomain}`);
+}
+
+/**
+ * Parse an export and keep the cookies a platform needs
+ * @param {string} platformId - Platform identifier (e.g., 'motonet', 'sryhma')
+ * @param {string} content - Export file content
+ * @param {Object} options - Import options
+ * @param {string} options.format - 'har', 'netscape' or 'json' (default: detected from the content)
+ * @returns {Object} - Imported cookie records, the format and the number of cookies skipped per reason
+ * @throws {CookieImportError} - If the export can't be parsed or holds none of the platform's cookies
+ */
+function parseCookieImport(platformId, content, options = {}) {
+  const platformConfig = config.platforms[platformId];
+
+  if (!platformConfig) {
+    throw new CookieImportError(`Platform ${platformId} is not configured`);
+  }
+
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new CookieImportError('Cookie export is empty');
+  }
+
+  const format = options.format || detectFormat(content);
+  if (!PARSERS[format]) {
+    throw new CookieImportError(`Unknown cookie export format: ${format} (expected one of ${IMPORT_FORMATS.join(', ')})`);
+  }
+
+  const host = new URL(platformConfig.url).hostname.toLowerCase();
+  const essentialCookies = platformConfig.essentialCookies || [];
+  const now = Date.now();
+  const skipped = { foreignDomain: 0, nonEssential: 0, expired: 0 };
+  const records = [];
+
+  for (const cookie of PARSERS[format](content)) {
+    if (!matchesPlatformDomain(cookie, host)) {
+      skipped.foreignDomain++;
+    } else if (essentialCookies.length > 0 && !CookieJar.isEssential(cookie.name, essentialCookies)) {
+      skipped.nonEssential++;
+    } else if (cookie.expiresAt !== null && cookie.expiresAt <= now) {
+      skipped.expired++;
+    } else {
+      records.push(cookie);
+    }
+  }
+
+  if (records.length === 0) {
+    throw new CookieImportError(`No usable ${platformId} cookies found in the ${format} export`);
+  }
+
+  return { format, records, skipped };
+}
+
+module.exports = {
+  parseCookieImport,
+  detectFormat,
+  CookieImportError,
+  IMPORT_FORMATS
+};
@@ -0,0 +1,327 @@
+/**
+ * Cookie Jar module for cookie management system
+ * Holds the cookies of a single user session on a single platform, and the
+ * structured cookie records extracted for a platform's shared session.
+ *
+ * A cookie record has the shape
+ * { name, value, domain, path, expiresAt, secure, httpOnly, hostOnly }, where
+ * a null domain matches every host of the platform, a hostOnly cookie matches
+ * its domain exactly (no subdomains) and a null expiresAt marks a session
+ * cookie.
+ */
+
+class CookieJar {
+  /**
+   * Create a new cookie jar
+   * @param {Array} cookies - Optional initial cookie records
+   */
+  constructor(cookies = []) {
+    this.cookies = new Map();
+    cookies.forEach(cookie => this.setCookie(cookie));
+  }
+
+  /**
+   * Parse a single Set-Cookie header value into a cookie record
+   * A cookie without a Domain attribute belongs to the host that set it only.
+   * A Domain attribute that doesn't cover that host makes the cookie invalid.
+   * @param {string} header - Set-Cookie header value
+   * @param {number} now - Current timestamp in milliseconds
+   * @param {string} requestHost - Host of the request the header answered (unknown if omitted)
+   * @returns {Object|null} - Cookie record or null if the header is malformed
+   */
+  static parseSetCookie(header, now = Date.now(), requestHost = null) {
+    const [pair, ...attributes] = header.split(';');
+    const separatorIndex = pair.indexOf('=');
+
+    if (separatorIndex <= 0) {
+      return null;
+    }
+
+    const cookie = {
+      name: pair.slice(0, separatorIndex).trim(),
+      value: pair.slice(separatorIndex + 1).trim(),
+      domain: null,
+      path: '/',
+      expiresAt: null,
+      secure: false,
+      httpOnly: false,
+      hostOnly: false
+    };
+    let expires = null;
+    let maxAge = null;
+
+    for (const attribute of attributes) {
+      const [rawKey, ...rawValue] = attribute.split('=');
+      const key = rawKey.trim().toLowerCase();
+      const value = rawValue.join('=').trim();
+
+      switch (key) {
+        case 'domain':
+          cookie.domain = value.replace(/^\./, '').toLowerCase();
+          break;
+
+        case 'path':
+          cookie.path = value || '/';
+          break;
+
+        case 'expires':
+          expires = Date.parse(value);
+          break;
+
+        case 'max-age':
+          maxAge = parseInt(value, 10);
+          break;
+
+        case 'secure':
+          cookie.secure = true;
+          break;
+
+        case 'httponly':
+          cookie.httpOnly = true;
+          break;
+      }
+    }
+
+    if (requestHost) {
+      const host = requestHost.toLowerCase();
+
+      if (!cookie.domain) {
+        cookie.domain = host;
+        cookie.hostOnly = true;
+      } else if (host !== cookie.domain && !host.endsWith(`.${cookie.domain}`)) {
+        return null;
+      }
+    }
+
+    // Max-Age takes precedence over Expires
+    if (maxAge !== null && !Number.isNaN(maxAge)) {
+      cookie.expiresAt = now + maxAge * 1000;
+    } else if (expires !== null && !Number.isNaN(expires)) {
+      cookie.expiresAt = expires;
+    }
+
+    return cookie;
+  }
+
+  /**
+   * Parse a `name=value; name2=value2` cookie string into cookie records
+   * @param {string} cookieString - Cookie header string
+   * @returns {Array} - Array of cookie records
+   */
+  static parseCookieString(cookieString) {
+    return cookieString
+      .split(';')
+      .map(part => part.trim())
+      .filter(part => part.includes('='))
+      .map(part => {
+        const separatorIndex = part.indexOf('=');
+        return {
+          name: part.slice(0, separatorIndex),
+          value: part.slice(separatorIndex + 1),
+          domain: null,
+          path: '/',
+          expiresAt: null,
+          secure: false,
+          httpOnly: false
+        };
+      });
+  }
+
+  /**
+   * Convert cookies read from a browser (Puppeteer's page.cookies()) into cookie records
+   * @param {Array} browserCookies - Browser cookies; expires is in seconds, -1 for session cookies
+   * @returns {Array} - Array of cookie records
+   */
+  static fromBrowserCookies(browserCookies) {
+    return browserCookies.map(cookie => ({
+      name: cookie.name,
+      value: cookie.value,
+      domain: cookie.domain ? cookie.domain.replace(/^\./, '').toLowerCase() : null,
+      path: cookie.path || '/',
+      expiresAt: cookie.expires > 0 ? Math.round(cookie.expires * 1000) : null,
+      secure: !!cookie.secure,
+      httpOnly: !!cookie.httpOnly
+    }));
+  }
+
+  /**
+   * Turn cookie records or a cookie string into cookie records
+   * @param {Array|string} cookies - Cookie records or a `name=value; ...` cookie string
+   * @returns {Array} - Array of cookie records
+   */
+  static toRecords(cookies) {
+    return typeof cookies === 'string' ? CookieJar.parseCookieString(cookies) : cookies;
+  }
+
+  /**
+   * Format cookie records as a `name=value; ...` string, without filtering
+   * @param {Array} cookies - Array of cookie records
+   * @returns {string} - Cookie string
+   */
+  static formatCookieString(cookies) {
+    return cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+
+  /**
+   * Check whether a cookie name is listed in a platform's essentialCookies
+   * Entries ending in '_' are prefixes (e.g. 'dwanonymous_').
+   * @param {string} name - Cookie name
+   * @param {Array} essentialCookies - Essential cookie names and prefixes
+   * @returns {boolean} - Whether the cookie is essential
+   */
+  static isEssential(name, essentialCookies) {
+    return essentialCookies.some(pattern => pattern === name || (pattern.endsWith('_') && name.startsWith(pattern)));
+  }
+
+  /**
+   * Get when a set of cookies stops working
+   * That is the earliest expiry among the essential cookies; session cookies
+   * and non-essential cookies don't count. Without essentialCookies every
+   * cookie is considered essential.
+   * @param {Array} cookies - Array of cookie records
+   * @param {Array} essentialCookies - Essential cookie names and prefixes
+   * @returns {number|null} - Expiry timestamp, or null if no essential cookie expires
+   */
+  static getEffectiveExpiry(cookies, essentialCookies = []) {
+    const expiries = cookies
+      .filter(cookie => essentialCookies.length === 0 || CookieJar.isEssential(cookie.name, essentialCookies))
+      .map(cookie => cookie.expiresAt)
+      .filter(expiresAt => expiresAt !== null && expiresAt !== undefined);
+
+    return expiries.length > 0 ? Math.min(...expiries) : null;
+  }
+
+  /**
+   * Check whether a cookie should be sent with a request to a URL
+   * Follows the domain, path and secure rules of RFC 6265.
+   * @param {Object} cookie - Cookie record
+   * @param {string} url - Request URL
+   * @returns {boolean} - Whether the cookie applies
+   */
+  static matchesUrl(cookie, url) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    const host = target.hostname.toLowerCase();
+    if (cookie.domain && host !== cookie.domain && (cookie.hostOnly || !host.endsWith(`.${cookie.domain}`))) {
+      return false;
+    }
+
+    const cookiePath = cookie.path || '/';
+    const requestPath = target.pathname || '/';
+    const pathMatches = requestPath === cookiePath ||
+      (requestPath.startsWith(cookiePath) && (cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/'));
+    if (!pathMatches) {
+      return false;
+    }
+
+    return !cookie.secure || target.protocol === 'https:';
+  }
+
+  /**
+   * Get the key a cookie is stored under
+   * Cookies of the same name on different domains or paths are separate cookies.
+   * @param {Object} cookie - Cookie record
+   * @returns {string} - Cookie key
+   */
+  static getKey(cookie) {
+    return `${cookie.domain || ''};${cookie.path || '/'};${cookie.name}`;
+  }
+
+  /**
+   * Add or replace a cookie; cookies that are already expired are removed
+   * @param {Object} cookie - Cookie record
+   */
+  setCookie(cookie) {
+    const key = CookieJar.getKey(cookie);
+
+    if (cookie.expiresAt !== null && cookie.expiresAt !== undefined && cookie.expiresAt <= Date.now()) {
+      this.cookies.delete(key);
+      return;
+    }
+
+    this.cookies.set(key, { ...cookie });
+  }
+
+  /**
+   * Merge Set-Cookie response headers into the jar
+   * @param {Array|string} setCookieHeaders - Set-Cookie header value(s)
+   * @param {string} url - URL of the request the headers answered, so cookies without a Domain stay on its host
+   * @returns {number} - Number of cookies merged
+   */
+  mergeSetCookieHeaders(setCookieHeaders, url = null) {
+    if (!setCookieHeaders) {
+      return 0;
+    }
+
+    const headers = Array.isArray(setCookieHeaders) ? setCookieHeaders : [setCookieHeaders];
+    const now = Date.now();
+    let requestHost = null;
+    let merged = 0;
+
+    try {
+      requestHost = url ? new URL(url).hostname : null;
+    } catch (error) {
+      // Without a valid URL, cookies without a Domain match every host of the platform
+    }
+
+    for (const header of headers) {
+      const cookie = CookieJar.parseSetCookie(header, now, requestHost);
+      if (cookie) {
+        this.setCookie(cookie);
+        merged++;
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Get all unexpired cookies
+   * @returns {Array} - Array of cookie records
+   */
+  getCookies() {
+    const now = Date.now();
+
+    for (const [key, cookie] of this.cookies) {
+      if (cookie.expiresAt !== null && cookie.expiresAt !== undefined && cookie.expiresAt <= now) {
+        this.cookies.delete(key);
+      }
+    }
+
+    return [...this.cookies.values()];
+  }
+
+  /**
+   * Format the jar as a Cookie header string
+   * With a URL, only the cookies whose domain, path and secure flag apply to
+   * it are included, more specific paths first.
+   * @param {string} url - Optional request URL
+   * @returns {string} - Cookie string
+   */
+  toCookieString(url) {
+    let cookies = this.getCookies();
+
+    if (url) {
+      cookies = cookies
+        .filter(cookie => CookieJar.matchesUrl(cookie, url))
+        .sort((a, b) => (b.path || '/').length - (a.path || '/').length);
+    }
+
+    return CookieJar.formatCookieString(cookies);
+  }
+
+  /**
+   * Check whether the jar holds any cookies
+   * @returns {boolean} - True if the jar is empty
+   */
+  isEmpty() {
+    return this.getCookies().length === 0;
+  }
+}
+
+module.exports = CookieJar;
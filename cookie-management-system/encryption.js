@@ -0,0 +1,265 @@
+/**
+ * Envelope encryption for stored cookies
+ *
+ * Every value is encrypted with its own random data key (AES-256-GCM), and
+ * the data key is encrypted ("wrapped") with a key-encryption key from
+ * ENCRYPTION_KEYS. Tokens name the key that wrapped them:
+ *
+ *   v1.<keyId>.<wrapped data key>.<encrypted value>
+ *
+ * ENCRYPTION_KEYS is a comma-separated list of `id:secret` pairs. The first
+ * key encrypts new values; the others are only used to decrypt values written
+ * before a rotation. ENCRYPTION_KEY on its own is the same as
+ * ENCRYPTION_KEYS=default:<ENCRYPTION_KEY>.
+ *
+ * Values written by the earlier CryptoJS passphrase encryption are still
+ * decrypted, and re-encrypted by a key rotation (see rotate-keys.js).
+ */
+const crypto = require('crypto');
+const CryptoJS = require('crypto-js');
+const config = require('./config');
+
+const TOKEN_VERSION = 'v1';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Fallbacks and placeholders that have shipped with this repository
+const DEFAULT_SECRETS = [
+  'default-encryption-key',
+  'default-encryption-key-change-in-production',
+  'your_secure_encryption_key_here',
+  'your-secure-encryption-key',
+  'your_secure_random_string'
+];
+const DEVELOPMENT_SECRET = 'default-encryption-key-change-in-production';
+
+/**
+ * Error raised for missing, unsafe or unknown encryption keys
+ */
+class EncryptionKeyError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'EncryptionKeyError';
+  }
+}
+
+/**
+ * Parse the configured keys
+ * @param {Object} options - Key options
+ * @param {string} options.keys - Comma-separated `id:secret` pairs, active key first
+ * @param {string} options.secret - Single secret, used as key 'default' when keys is empty
+ * @returns {Array} - Keys as { id, secret }, active key first
+ */
+function parseKeys({ keys, secret }) {
+  if (!keys) {
+    return secret ? [{ id: 'default', secret }] : [];
+  }
+
+  return keys.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+    const separatorIndex = pair.indexOf(':');
+    const id = separatorIndex > 0 ? pair.slice(0, separatorIndex) : '';
+
+    if (!KEY_ID_PATTERN.test(id) || separatorIndex === pair.length - 1) {
+      throw new EncryptionKeyError('ENCRYPTION_KEYS must be a comma-separated list of id:secret pairs (ids use letters, digits, _ and -)');
+    }
+
+    return { id, secret: pair.slice(separatorIndex + 1) };
+  });
+}
+
+/**
+ * Encrypt data with AES-256-GCM
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} data - Data to encrypt
+ * @param {string} aad - Additional authenticated data
+ * @returns {string} - base64url of IV, ciphertext and authentication tag
+ */
+function seal(key, data, aad) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]).toString('base64url');
+}
+
+/**
+ * Decrypt and authenticate data sealed with seal()
+ * @param {Buffer} key - 32-byte key
+ * @param {string} sealed - Output of seal()
+ * @param {string} aad - Additional authenticated data given to seal()
+ * @returns {Buffer} - Decrypted data
+ * @throws {Error} - If the data was tampered with or the key is wrong
+ */
+function open(key, sealed, aad) {
+  const bytes = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, bytes.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(bytes.subarray(bytes.length - TAG_LENGTH));
+
+  return Buffer.concat([decipher.update(bytes.subarray(IV_LENGTH, bytes.length - TAG_LENGTH)), decipher.final()]);
+}
+
+class EnvelopeEncryption {
+  /**
+   * Create an encryption keyring
+   * Outside production, a missing key falls back to a development key so
+   * local setups work without configuration.
+   * @param {Object} options - Key options
+   * @param {string} options.keys - Comma-separated `id:secret` pairs, active key first
+   * @param {string} options.secret - Single secret, used as key 'default' when keys is empty
+   * @param {string} options.environment - NODE_ENV value (default: process.env.NODE_ENV)
+   */
+  constructor(options = {}) {
+    const keys = parseKeys(options);
+
+    this.environment = options.environment !== undefined ? options.environment : process.env.NODE_ENV;
+    this.usingDevelopmentKey = keys.length === 0;
+    if (this.usingDevelopmentKey) {
+      keys.push({ id: 'default', secret: DEVELOPMENT_SECRET });
+    }
+
+    this.activeKeyId = keys[0].id;
+    this.keys = new Map();
+    for (const { id, secret } of keys) {
+      if (this.keys.has(id)) {
+        throw new EncryptionKeyError(`Encryption key id ${id} is configured twice`);
+      }
+
+      this.keys.set(id, {
+        id,
+        secret,
+        // Secrets of any length are turned into a 256-bit key-encryption key
+        kek: Buffer.from(crypto.hkdfSync('sha256', secret, 'cookie-management-system', 'cookie-kek', 32))
+      });
+    }
+  }
+
+  /**
+   * Make sure the keys are safe to use
+   * Production refuses to run without a key or with a default/placeholder key.
+   * @throws {EncryptionKeyError} - If the keys are unsafe in production
+   */
+  assertKeyConfiguration() {
+    if (this.environment !== 'production') {
+      return;
+    }
+
+    if (this.usingDevelopmentKey) {
+      throw new EncryptionKeyError('No encryption key configured; set ENCRYPTION_KEYS (or ENCRYPTION_KEY) before starting in production');
+    }
+
+    const defaultKey = [...this.keys.values()].find(key => DEFAULT_SECRETS.includes(key.secret));
+    if (defaultKey) {
+      throw new EncryptionKeyError(`Encryption key ${defaultKey.id} is a default or placeholder value; set a random secret before starting in production`);
+    }
+  }
+
+  /**
+   * Get the id of the key used for new values
+   * @returns {string} - Key id
+   */
+  getActiveKeyId() {
+    return this.activeKeyId;
+  }
+
+  /**
+   * Encrypt a value with a fresh data key wrapped by the active key
+   * @param {string} plaintext - Value to encrypt
+   * @returns {string} - Encrypted token
+   */
+  encrypt(plaintext) {
+    const { id, kek } = this.keys.get(this.activeKeyId);
+    const aad = `${TOKEN_VERSION}.${id}`;
+    const dataKey = crypto.randomBytes(32);
+
+    return [aad, seal(kek, dataKey, aad), seal(dataKey, Buffer.from(plaintext, 'utf8'), aad)].join('.');
+  }
+
+  /**
+   * Decrypt a token written by encrypt(), or a value from the earlier CryptoJS encryption
+   * @param {string} token - Encrypted token
+   * @returns {string} - Decrypted value
+   * @throws {EncryptionKeyError} - If the key is unknown or the token can't be authenticated
+   */
+  decrypt(token) {
+    const keyId = this.getKeyId(token);
+
+    if (keyId === null) {
+      return this.decryptLegacy(token);
+    }
+
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new EncryptionKeyError(`Value is encrypted with unknown key ${keyId}; add it to ENCRYPTION_KEYS`);
+    }
+
+    const [version, , wrappedKey, payload] = token.split('.');
+    const aad = `${version}.${keyId}`;
+
+    try {
+      return open(open(key.kek, wrappedKey, aad), payload, aad).toString('utf8');
+    } catch (error) {
+      throw new EncryptionKeyError(`Value encrypted with key ${keyId} failed authentication: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decrypt a CryptoJS passphrase-encrypted value with any configured secret
+   * @param {string} token - CryptoJS ciphertext
+   * @returns {string} - Decrypted value
+   * @throws {EncryptionKeyError} - If no secret decrypts the value
+   */
+  decryptLegacy(token) {
+    // Values written without ENCRYPTION_KEY used the old fallback secret
+    const secrets = [...[...this.keys.values()].map(key => key.secret), DEVELOPMENT_SECRET];
+
+    for (const secret of new Set(secrets)) {
+      try {
+        const decrypted = CryptoJS.AES.decrypt(token, secret).toString(CryptoJS.enc.Utf8);
+        if (decrypted) {
+          return decrypted;
+        }
+      } catch (error) {
+        // A wrong secret yields malformed UTF-8; try the next one
+      }
+    }
+
+    throw new EncryptionKeyError('Unable to decrypt value with any configured encryption key');
+  }
+
+  /**
+   * Get the id of the key that encrypted a token
+   * @param {string} token - Encrypted token
+   * @returns {string|null} - Key id, or null for legacy CryptoJS values
+   */
+  getKeyId(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    return parts.length === 4 && parts[0] === TOKEN_VERSION ? parts[1] : null;
+  }
+
+  /**
+   * Check whether a token should be re-encrypted with the active key
+   * @param {string} token - Encrypted token
+   * @returns {boolean} - Whether the token uses another key or the legacy encryption
+   */
+  needsRotation(token) {
+    return this.getKeyId(token) !== this.activeKeyId;
+  }
+}
+
+// Keyring built from the environment, used by the storage backends by default
+const encryption = new EnvelopeEncryption({
+  keys: config.encryption.keys,
+  secret: config.encryption.secret
+});
+
+module.exports = {
+  encryption,
+  EnvelopeEncryption,
+  EncryptionKeyError
+};
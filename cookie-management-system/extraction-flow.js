@@ -0,0 +1,248 @@
+/**
+ * Extraction Flow module for cookie management system
+ * Each platform describes how a browser collects its cookies as a list of
+ * steps (the `flow` of the platform in config.js, or of the platform in the
+ * dashboard configuration), so a broken selector can be fixed without a code
+ * deploy. Steps look like:
+ *
+ *   { type: 'goto', url: '/tuotteet' }                      Open a URL, relative to the platform URL (default: the platform URL)
+ *   { type: 'waitFor', selector: '.product-card' }          Wait for an element to appear
+ *   { type: 'waitFor', delay: 2000 }                        Wait a number of milliseconds
+ *   { type: 'click', selector: 'button[type="submit"]',
+ *     waitForNavigation: true }                             Click an element, optionally waiting for the page it opens
+ *   { type: 'typeCredential', selector: '#username',
+ *     credential: 'username' }                              Type the platform's username or password
+ *   { type: 'acceptConsent', selectors: ['#accept'] }       Click the first consent button found; no dialog is fine
+ *   { type: 'assertCookie', name: 'cartId' }                Fail unless the cookie (or a cookie with the prefix) is set
+ *
+ * Every step takes a `timeout` in milliseconds, and `optional: true` to
+ * continue when the step fails. Credentials never appear in flows; they come
+ * from the platform's USERNAME and PASSWORD variables.
+ */
+const CookieJar = require('./cookie-jar');
+
+const FLOW_STEP_TYPES = ['goto', 'waitFor', 'click', 'typeCredential', 'acceptConsent', 'assertCookie'];
+const CREDENTIALS = ['username', 'password'];
+// How often assertCookie looks for the cookie until its timeout
+const COOKIE_POLL_INTERVAL = 250;
+
+/**
+ * Error raised when a flow step fails
+ */
+class FlowStepError extends Error {
+  /**
+   * @param {string} platform - Platform identifier
+   * @param {number} step - Number of the failed step, starting from 1
+   * @param {Object} definition - Failed step
+   * @param {Error} cause - Error the step failed with
+   */
+  constructor(platform, step, definition, cause) {
+    super(`Step ${step} of the ${platform} flow (${describeStep(definition)}) failed: ${cause.message}`);
+    this.name = 'FlowStepError';
+    this.platform = platform;
+    this.step = step;
+    this.stepType = definition.type;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Describe a step for logs and error messages
+ * @param {Object} step - Flow step
+ * @returns {string} - Step type and its target
+ */
+function describeStep(step) {
+  const target = step.url || step.selector || step.name || (step.selectors || []).join(', ') ||
+    (step.delay !== undefined ? `${step.delay}ms` : '');
+
+  return target ? `${step.type} ${target}` : step.type;
+}
+
+/**
+ * Find what is wrong with a flow
+ * @param {Array} flow - Flow steps
+ * @returns {string|null} - Description of the first problem, or null if the flow is valid
+ */
+function validateFlow(flow) {
+  if (!Array.isArray(flow) || flow.length === 0) {
+    return 'a flow must be a non-empty array of steps';
+  }
+
+  for (const [index, step] of flow.entries()) {
+    const problem = validateStep(step);
+    if (problem) {
+      return `step ${index + 1}: ${problem}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find what is wrong with a flow step
+ * @param {Object} step - Flow step
+ * @returns {string|null} - Description of the problem, or null if the step is valid
+ */
+function validateStep(step) {
+  if (!step || typeof step !== 'object' || !FLOW_STEP_TYPES.includes(step.type)) {
+    return `type must be one of ${FLOW_STEP_TYPES.join(', ')}`;
+  }
+
+  if (step.timeout !== undefined && !(Number.isInteger(step.timeout) && step.timeout > 0)) {
+    return 'timeout must be a positive number of milliseconds';
+  }
+
+  if (step.optional !== undefined && typeof step.optional !== 'boolean') {
+    return 'optional must be true or false';
+  }
+
+  const isText = value => typeof value === 'string' && value.length > 0;
+
+  switch (step.type) {
+    case 'goto':
+      return step.url === undefined || isText(step.url) ? null : 'url must be a string';
+    case 'waitFor':
+      if (isText(step.selector) === (step.delay !== undefined)) {
+        return 'waitFor takes either a selector or a delay';
+      }
+      return step.delay === undefined || (Number.isInteger(step.delay) && step.delay >= 0) ? null : 'delay must be a number of milliseconds';
+    case 'click':
+      return isText(step.selector) ? null : 'selector is required';
+    case 'typeCredential':
+      if (!isText(step.selector)) {
+        return 'selector is required';
+      }
+      return CREDENTIALS.includes(step.credential) ? null : `credential must be one of ${CREDENTIALS.join(', ')}`;
+    case 'acceptConsent':
+      return Array.isArray(step.selectors) && step.selectors.length > 0 && step.selectors.every(isText)
+        ? null
+        : 'selectors must be a non-empty array of selectors';
+    case 'assertCookie':
+      return isText(step.name) ? null : 'name is required';
+  }
+}
+
+/**
+ * Run the steps of a flow on a page
+ * Steps run in order. A failing step stops the flow with a FlowStepError,
+ * unless the step is optional.
+ * @param {Page} page - Puppeteer page
+ * @param {Array} flow - Flow steps
+ * @param {Object} options - Flow options
+ * @param {string} options.platform - Platform identifier, for error messages
+ * @param {string} options.url - Platform URL that relative goto URLs resolve against
+ * @param {Object} options.credentials - Platform username and password
+ * @param {number} options.timeout - Timeout in milliseconds of steps without their own
+ * @returns {Promise<Array>} - Outcome of each step: { step, type, status: 'done' | 'skipped', reason }
+ * @throws {FlowStepError} - If a required step fails
+ */
+async function runFlow(page, flow, options) {
+  const problem = validateFlow(flow);
+  if (problem) {
+    throw new Error(`Invalid ${options.platform} flow: ${problem}`);
+  }
+
+  const results = [];
+
+  for (const [index, step] of flow.entries()) {
+    const timeout = step.timeout || options.timeout;
+    let outcome;
+
+    try {
+      outcome = await runStep(page, step, { ...options, timeout });
+    } catch (error) {
+      if (!step.optional) {
+        throw new FlowStepError(options.platform, index + 1, step, error);
+      }
+      outcome = { status: 'skipped', reason: error.message };
+    }
+
+    results.push({ step: index + 1, type: step.type, status: 'done', ...outcome });
+  }
+
+  return results;
+}
+
+/**
+ * Run one flow step
+ * @param {Page} page - Puppeteer page
+ * @param {Object} step - Flow step
+ * @param {Object} options - Flow options, with the step's timeout
+ * @returns {Promise<Object|undefined>} - Outcome when the step did nothing (e.g. no consent dialog)
+ */
+async function runStep(page, step, options) {
+  const { timeout } = options;
+
+  switch (step.type) {
+    case 'goto':
+      await page.goto(new URL(step.url || options.url, options.url).href, { waitUntil: 'networkidle2', timeout });
+      return undefined;
+
+    case 'waitFor':
+      if (step.selector) {
+        await page.waitForSelector(step.selector, { timeout });
+      } else {
+        await new Promise(resolve => setTimeout(resolve, step.delay));
+      }
+      return undefined;
+
+    case 'click': {
+      const element = await page.waitForSelector(step.selector, { timeout });
+      if (step.waitForNavigation) {
+        await Promise.all([
+          page.waitForNavigation({ waitUntil: 'networkidle2', timeout }),
+          element.click()
+        ]);
+      } else {
+        await element.click();
+      }
+      return undefined;
+    }
+
+    case 'typeCredential': {
+      const value = options.credentials?.[step.credential];
+      if (!value) {
+        throw new Error(`no ${step.credential} configured for ${options.platform}`);
+      }
+
+      const element = await page.waitForSelector(step.selector, { timeout });
+      await element.type(value);
+      return undefined;
+    }
+
+    case 'acceptConsent': {
+      let button;
+      try {
+        button = await page.waitForSelector(step.selectors.join(', '), { timeout });
+      } catch (error) {
+        return { status: 'skipped', reason: 'no consent dialog found' };
+      }
+
+      await button.click();
+      return undefined;
+    }
+
+    case 'assertCookie': {
+      const deadline = Date.now() + timeout;
+      for (;;) {
+        const cookies = await page.cookies();
+        if (cookies.some(cookie => CookieJar.isEssential(cookie.name, [step.name]))) {
+          return undefined;
+        }
+
+        if (Date.now() >= deadline) {
+          throw new Error(`cookie ${step.name} was not set`);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, COOKIE_POLL_INTERVAL));
+      }
+    }
+  }
+}
+
+module.exports = {
+  FLOW_STEP_TYPES,
+  FlowStepError,
+  validateFlow,
+  runFlow
+};
@@ -2,9 +2,9 @@
  * Enhanced Gigantti cookie extraction module
  * Identifies and extracts essential cookies for Gigantti platform
  */
-const puppeteer = require('puppeteer');
 const config = require('./config');
 const logger = require('./logger');
+const { browserPool } = require('./browser-pool');
 
 /**
  * Extract essential cookies from Gigantti website
@@ -13,78 +13,71 @@ const logger = require('./logger');
 async function identifyGiganttiEssentialCookies() {
   logger.info('Starting Gigantti essential cookie identification');
   
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox']
-  });
-  
-  try {
-    const page = await browser.newPage();
-    
-    // Navigate to Gigantti website
-    await page.goto('https://www.gigantti.fi', { waitUntil: 'networkidle2' });
-    
-    // Accept cookies if cookie consent dialog appears
-    try {
-      await page.waitForSelector('#coiPage-1 button[data-index="1"]', { timeout: 5000 });
-      await page.click('#coiPage-1 button[data-index="1"]');
-      logger.info('Accepted cookies on Gigantti website');
-    } catch (error) {
-      logger.info('No cookie consent dialog found or already accepted');
-    }
-    
-    // Get initial cookies
-    const initialCookies = await page.cookies();
-    logger.info(`Initial cookies count: ${initialCookies.length}`);
-    
-    // Navigate to product category
-    await page.goto('https://www.gigantti.fi/tietokoneet/kannettavat-tietokoneet', { waitUntil: 'networkidle2' });
-    
-    // Try to view a product
+  // The page runs in its own incognito context of the shared browser
+  return browserPool.withPage(async page => {
     try {
-      await page.waitForSelector('.product-list-item', { timeout: 5000 });
-      await page.click('.product-list-item');
-      await page.waitForNavigation({ waitUntil: 'networkidle2' });
+      // Navigate to Gigantti website
+      await page.goto('https://www.gigantti.fi', { waitUntil: 'networkidle2' });
+      
+      // Accept cookies if cookie consent dialog appears
+      try {
+        await page.waitForSelector('#coiPage-1 button[data-index="1"]', { timeout: 5000 });
+        await page.click('#coiPage-1 button[data-index="1"]');
+        logger.info('Accepted cookies on Gigantti website');
+      } catch (error) {
+        logger.info('No cookie consent dialog found or already accepted');
+      }
+      
+      // Get initial cookies
+      const initialCookies = await page.cookies();
+      logger.info(`Initial cookies count: ${initialCookies.length}`);
+      
+      // Navigate to product category
+      await page.goto('https://www.gigantti.fi/tietokoneet/kannettavat-tietokoneet', { waitUntil: 'networkidle2' });
+      
+      // Try to view a product
+      try {
+        await page.waitForSelector('.product-list-item', { timeout: 5000 });
+        await page.click('.product-list-item');
+        await page.waitForNavigation({ waitUntil: 'networkidle2' });
+      
+        // Try to add to cart
+        await page.waitForSelector('button.add-to-cart', { timeout: 5000 });
+        await page.click('button.add-to-cart');
+      
+        // Wait for cart update
+        await page.waitForTimeout(2000);
+      
+        // View cart
+        await page.goto('https://www.gigantti.fi/cart', { waitUntil: 'networkidle2' });
+      } catch (error) {
+        logger.info('Could not add product to cart, continuing with session cookies only');
+      }
+      
+      // Get all cookies after interactions
+      const allCookies = await page.cookies();
+      logger.info(`Final cookies count: ${allCookies.length}`);
+      
+      // Analyze network requests to identify essential cookies
+      const client = await page.target().createCDPSession();
+      await client.send('Network.enable');
+      
+      // Navigate to another page to trigger more requests
+      await page.goto('https://www.gigantti.fi/kodinkoneet', { waitUntil: 'networkidle2' });
       
-      // Try to add to cart
-      await page.waitForSelector('button.add-to-cart', { timeout: 5000 });
-      await page.click('button.add-to-cart');
+      // Wait for network activity
+      await page.waitForTimeout(3000);
       
-      // Wait for cart update
-      await page.waitForTimeout(2000);
+      // Analyze cookies used in requests
+      const essentialCookies = analyzeEssentialCookies(allCookies);
       
-      // View cart
-      await page.goto('https://www.gigantti.fi/cart', { waitUntil: 'networkidle2' });
+      logger.info(`Identified ${essentialCookies.length} essential cookies for Gigantti`);
+      return essentialCookies;
     } catch (error) {
-      logger.info('Could not add product to cart, continuing with session cookies only');
+      logger.error(`Error identifying Gigantti essential cookies: ${error.message}`);
+      throw error;
     }
-    
-    // Get all cookies after interactions
-    const allCookies = await page.cookies();
-    logger.info(`Final cookies count: ${allCookies.length}`);
-    
-    // Analyze network requests to identify essential cookies
-    const client = await page.target().createCDPSession();
-    await client.send('Network.enable');
-    
-    // Navigate to another page to trigger more requests
-    await page.goto('https://www.gigantti.fi/kodinkoneet', { waitUntil: 'networkidle2' });
-    
-    // Wait for network activity
-    await page.waitForTimeout(3000);
-    
-    // Analyze cookies used in requests
-    const essentialCookies = analyzeEssentialCookies(allCookies);
-    
-    logger.info(`Identified ${essentialCookies.length} essential cookies for Gigantti`);
-    return essentialCookies;
-  } catch (error) {
-    logger.error(`Error identifying Gigantti essential cookies: ${error.message}`);
-    throw error;
-  } finally {
-    await browser.close();
-    logger.info('Browser closed after Gigantti cookie identification');
-  }
+  }, { label: 'Gigantti essential cookie identification' });
 }
 
 /**
@@ -0,0 +1,72 @@
+/**
+ * Command line cookie import
+ * Imports a platform's cookies from a browser export into the configured
+ * cookie storage, where the server and the cookie service pick them up.
+ *
+ * Usage: node cookie-management-system/import-cookies.js <platform> <file> [--format har|netscape|json]
+ */
+const fs = require('fs');
+const cookieManager = require('../cookie-management-system');
+const { IMPORT_FORMATS } = require('./cookie-import');
+
+const USAGE = `Usage: node cookie-management-system/import-cookies.js <platform> <file> [--format ${IMPORT_FORMATS.join('|')}]`;
+
+/**
+ * Parse the command line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - Platform, file and format
+ */
+function parseArgs(args) {
+  const positional = [];
+  let format;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--format') {
+      format = args[++i];
+    } else if (args[i].startsWith('--format=')) {
+      format = args[i].slice('--format='.length);
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  const [platform, file] = positional;
+  return { platform, file, format };
+}
+
+/**
+ * Import the cookies of one export file
+ * @param {Array} args - Arguments after the script name
+ * @returns {Promise<Object>} - Import summary
+ */
+async function main(args) {
+  const { platform, file, format } = parseArgs(args);
+
+  if (!platform || !file) {
+    throw new Error(USAGE);
+  }
+
+  const content = fs.readFileSync(file, 'utf8');
+
+  await cookieManager.start({ scheduler: false });
+  try {
+    return await cookieManager.importCookies(platform, content, { format });
+  } finally {
+    cookieManager.stop();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(result => {
+      console.log(`Imported ${result.imported.length} ${result.platform} cookies from ${result.format} export: ${result.imported.join(', ')}`);
+      console.log(`Skipped: ${result.skipped.foreignDomain} from other domains, ${result.skipped.nonEssential} non-essential, ${result.skipped.expired} expired`);
+      console.log(`Cookies expire at ${new Date(result.expiresAt).toISOString()}`);
+    })
+    .catch(error => {
+      console.error(`Cookie import failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -1,11 +1,13 @@
 /**
  * Main application entry point for cookie management system
+ * Runs the backend's cookie manager (../cookie-management-system.js) as a
+ * standalone service with its own REST API.
  */
-const database = require('./database');
-const scheduler = require('./scheduler');
+const cookieManager = require('../cookie-management-system');
 const apiService = require('./api-service');
 const logger = require('./logger');
 const config = require('./config');
+const { browserPool } = require('./browser-pool');
 
 class CookieManagementSystem {
   /**
@@ -15,13 +17,9 @@ class CookieManagementSystem {
     try {
       logger.info('Starting Cookie Management System');
       
-      // Initialize database
-      logger.info('Initializing database');
-      await database.initializeDatabase();
-      
-      // Start the scheduler for automatic cookie refresh
-      logger.info('Starting scheduler');
-      scheduler.start();
+      // Open storage, load or seed cookies and start the refresh scheduler
+      logger.info('Starting cookie manager');
+      await cookieManager.start({ scheduler: true });
       
       // Start the API service
       logger.info('Starting API service');
@@ -50,13 +48,12 @@ class CookieManagementSystem {
       logger.info('Stopping API service');
       await apiService.stop();
       
-      // Stop the scheduler
-      logger.info('Stopping scheduler');
-      scheduler.stop();
+      // Stop the scheduler and close storage
+      logger.info('Stopping cookie manager');
+      cookieManager.stop();
       
-      // Close database connections
-      logger.info('Closing database connections');
-      database.close();
+      // Close the shared browser if an extraction left it running
+      await browserPool.close();
       
       logger.info('Cookie Management System stopped successfully');
       return true;
@@ -17,7 +17,7 @@ async function updatePlatformConfigurations() {
   try {
     // Update S-ryhmä configuration
     const sryhmaEssentialCookies = await identifySRyhmaEssentialCookies();
-    config.platforms.smarket.essentialCookies = sryhmaEssentialCookies;
+    config.platforms.sryhma.essentialCookies = sryhmaEssentialCookies;
     logger.info(`Updated S-ryhmä configuration with ${sryhmaEssentialCookies.length} essential cookies`);
     
     // Update Gigantti configuration
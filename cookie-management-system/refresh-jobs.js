@@ -0,0 +1,74 @@
+/**
+ * Refresh Jobs module for cookie management system
+ * Every cookie refresh is recorded as a job, so operators can see when
+ * refreshes ran, how long they took and why they failed. Job records look like:
+ *
+ *   {
+ *     id, platform,
+ *     trigger: 'cron' | 'startup' | 'manual' | 'recovery',
+ *     status: 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled',
+ *     queuedAt, startedAt, finishedAt, durationMs, attempts, error,
+ *     cookies: { extracted, essential, essentialExpected, missingEssential },
+ *     cookieVersionId
+ *   }
+ *
+ * cookies compares what the refresh stored with the platform's
+ * essentialCookies; cookieVersionId is the stored version (see cookie-history.js).
+ */
+const crypto = require('crypto');
+const { diffEssentialCookies } = require('./cookie-history');
+
+const REFRESH_TRIGGERS = ['cron', 'startup', 'manual', 'recovery'];
+const REFRESH_JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+/**
+ * Create the record of a queued refresh job
+ * @param {string} platform - Platform identifier (e.g., 'motonet')
+ * @param {string} trigger - What started the refresh (see REFRESH_TRIGGERS)
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {Object} - Job record
+ */
+function createRefreshJob(platform, trigger, now = Date.now()) {
+  if (!REFRESH_TRIGGERS.includes(trigger)) {
+    throw new Error(`Unknown refresh trigger: ${trigger}`);
+  }
+
+  return {
+    id: crypto.randomUUID(),
+    platform,
+    trigger,
+    status: 'queued',
+    queuedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    attempts: 0,
+    error: null,
+    cookies: null,
+    cookieVersionId: null
+  };
+}
+
+/**
+ * Count the cookies a refresh stored against the platform's essential cookies
+ * @param {Array} records - Stored cookie records
+ * @param {Array} essentialCookies - Essential cookie names and prefixes of the platform
+ * @returns {Object} - Number of cookies extracted, essential cookies found and expected, and the missing ones
+ */
+function countCookies(records, essentialCookies) {
+  const { removed } = diffEssentialCookies(records, essentialCookies);
+
+  return {
+    extracted: records.length,
+    essential: essentialCookies.length - removed.length,
+    essentialExpected: essentialCookies.length,
+    missingEssential: removed
+  };
+}
+
+module.exports = {
+  REFRESH_TRIGGERS,
+  REFRESH_JOB_STATUSES,
+  createRefreshJob,
+  countCookies
+};
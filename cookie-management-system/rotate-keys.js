@@ -0,0 +1,45 @@
+/**
+ * Command line encryption key rotation
+ * Re-encrypts every stored cookie entry with the active key (the first one in
+ * ENCRYPTION_KEYS). Entries stay readable while this runs, so the server and
+ * the cookie service keep working. To rotate:
+ *
+ * 1. Put the new key first and keep the old one: ENCRYPTION_KEYS=new:<secret>,old:<secret>
+ * 2. Restart the processes sharing the storage, then run this script
+ * 3. Remove the old key from ENCRYPTION_KEYS
+ *
+ * Usage: node cookie-management-system/rotate-keys.js
+ */
+const { createStorage } = require('./storage');
+const { encryption } = require('./encryption');
+
+/**
+ * Re-encrypt the configured storage with the active key
+ * @returns {Promise<Object>} - Active key id and number of re-encrypted entries
+ */
+async function rotateKeys() {
+  encryption.assertKeyConfiguration();
+
+  const storage = createStorage();
+  await storage.initialize();
+
+  try {
+    const rotated = await storage.rotateKeys();
+    return { keyId: encryption.getActiveKeyId(), rotated };
+  } finally {
+    storage.close();
+  }
+}
+
+if (require.main === module) {
+  rotateKeys()
+    .then(({ keyId, rotated }) => {
+      console.log(`Re-encrypted ${rotated} cookie entries with key ${keyId}`);
+    })
+    .catch(error => {
+      console.error(`Key rotation failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { rotateKeys };
@@ -1,17 +1,30 @@
 /**
  * Scheduler module for cookie management system
  * Handles automatic cookie refresh on a schedule
+ *
+ * Each platform refreshes on its own cron expression, taken from the live
+ * dashboard configuration (see CookieManagementSystem.setScheduleConfig) and
+ * falling back to REFRESH_INTERVAL. Every refresh launches a browser, so
+ * scheduled refreshes start after a random delay (REFRESH_JITTER) and at most
+ * MAX_CONCURRENT_REFRESHES run at once.
  */
 const cron = require('node-cron');
-const database = require('./database');
-const cookieExtractor = require('./cookie-extractor');
+const { CronTime } = require('cron');
+const cookieManager = require('../cookie-management-system');
 const logger = require('./logger');
 const config = require('./config');
 
 class Scheduler {
   constructor() {
     this.jobs = {};
+    // Cron expression each platform job was scheduled with
+    this.intervals = {};
     this.running = false;
+    // Refreshes holding a browser slot, and refreshes waiting for one
+    this.activeRefreshes = 0;
+    this.refreshQueue = [];
+    // Pending jitter delays, as timer => resolve function
+    this.delays = new Map();
   }
 
   /**
@@ -24,6 +37,7 @@ class Scheduler {
     }
 
     logger.info('Starting cookie refresh scheduler');
+    this.running = true;
     
     // Schedule cookie refresh for each configured platform
     Object.keys(config.platforms).forEach(platform => {
@@ -33,10 +47,44 @@ class Scheduler {
     // Schedule cleanup job to remove expired cookies
     this.scheduleCleanup();
     
-    this.running = true;
+    // Platforms without valid cookies are refreshed right away, one browser slot at a time
+    Object.keys(config.platforms).forEach(platform => {
+      this.scheduleInitialRefresh(platform);
+    });
+    
     logger.info('Cookie refresh scheduler started successfully');
   }
 
+  /**
+   * Get the cron expression a platform refreshes on
+   * The live dashboard configuration's platform refreshInterval wins over its
+   * defaultRefreshInterval, which wins over REFRESH_INTERVAL. Invalid
+   * expressions are skipped.
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @returns {string} - Cron expression
+   */
+  getRefreshInterval(platform) {
+    const liveConfig = cookieManager.scheduleConfig;
+    const candidates = [
+      liveConfig?.platforms?.[platform]?.refreshInterval,
+      liveConfig?.system?.defaultRefreshInterval
+    ];
+    
+    for (const interval of candidates) {
+      if (!interval) {
+        continue;
+      }
+      
+      if (cron.validate(interval)) {
+        return interval;
+      }
+      
+      logger.warn(`Ignoring invalid refresh interval for ${platform}: ${interval}`);
+    }
+    
+    return config.scheduler.refreshInterval;
+  }
+
   /**
    * Schedule cookie refresh for a specific platform
    * @param {string} platform - Platform identifier (e.g., 'motonet')
@@ -49,20 +97,137 @@ class Scheduler {
       return;
     }
     
-    logger.info(`Scheduling cookie refresh for ${platform} with interval: ${config.scheduler.refreshInterval}`);
+    const interval = this.getRefreshInterval(platform);
+    logger.info(`Scheduling cookie refresh for ${platform} with interval: ${interval}`);
     
     // Create a cron job for this platform
-    this.jobs[platform] = cron.schedule(config.scheduler.refreshInterval, async () => {
+    this.intervals[platform] = interval;
+    this.jobs[platform] = cron.schedule(interval, () => {
       logger.info(`Running scheduled cookie refresh for ${platform}`);
-      await this.refreshCookies(platform);
+      this.queueRefresh(platform, config.scheduler.jitter).catch(err => {
+        logger.error(`Scheduled cookie refresh failed for ${platform}: ${err.message}`);
+      });
     });
+  }
+
+  /**
+   * Get when a platform's scheduled refresh runs next
+   * Scheduled refreshes start up to REFRESH_JITTER later than this.
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @returns {Date|null} - Next run, or null if the platform isn't scheduled
+   */
+  getNextRun(platform) {
+    const interval = this.intervals[platform];
     
-    // Run an initial refresh immediately
-    this.refreshCookies(platform).catch(err => {
+    if (!this.running || !interval) {
+      return null;
+    }
+    
+    return new CronTime(interval).sendAt().toJSDate();
+  }
+
+  /**
+   * Refresh a platform at startup unless stored or seeded cookies are still valid
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   */
+  scheduleInitialRefresh(platform) {
+    const current = cookieManager.cookies[platform];
+    if (current && current.expiresAt > Date.now()) {
+      return;
+    }
+    
+    this.queueRefresh(platform, 0, 'startup').catch(err => {
       logger.error(`Initial cookie refresh failed for ${platform}: ${err.message}`);
     });
   }
 
+  /**
+   * Reschedule platforms whose refresh interval changed in the live configuration
+   */
+  reschedule() {
+    if (!this.running) {
+      return;
+    }
+    
+    Object.keys(config.platforms).forEach(platform => {
+      if (this.getRefreshInterval(platform) === this.intervals[platform]) {
+        return;
+      }
+      
+      this.jobs[platform].stop();
+      this.schedulePlatform(platform);
+    });
+  }
+
+  /**
+   * Refresh a platform after a random delay, once a browser slot is free
+   * The refresh job is recorded as queued right away, and cancelled if the
+   * scheduler stops before it runs.
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @param {number} jitter - Maximum delay in milliseconds
+   * @param {string} trigger - What started the refresh: 'cron' (default) or 'startup'
+   * @returns {Promise<boolean>} - Success status; false if the scheduler stopped first
+   */
+  async queueRefresh(platform, jitter, trigger = 'cron') {
+    const job = await cookieManager.createRefreshJob(platform, trigger);
+    
+    const delay = Math.floor(Math.random() * jitter);
+    if (delay > 0) {
+      await this.wait(delay);
+    }
+    
+    const refreshed = await this.runLimited(() => this.refreshCookies(platform, { job }));
+    if (job.status === 'queued') {
+      await cookieManager.finishRefreshJob(job, 'cancelled');
+    }
+    
+    return refreshed;
+  }
+
+  /**
+   * Wait for a delay that stop() cuts short
+   * @param {number} delay - Delay in milliseconds
+   * @returns {Promise<void>}
+   */
+  wait(delay) {
+    if (!this.running) {
+      return Promise.resolve();
+    }
+    
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.delays.delete(timer);
+        resolve();
+      }, delay);
+      this.delays.set(timer, resolve);
+    });
+  }
+
+  /**
+   * Run a refresh once fewer than maxConcurrentRefreshes are running
+   * A finishing refresh hands its slot straight to the next queued one.
+   * @param {Function} refresh - Refresh to run
+   * @returns {Promise<boolean>} - Result of the refresh; false if the scheduler stopped first
+   */
+  async runLimited(refresh) {
+    if (this.activeRefreshes >= config.scheduler.maxConcurrentRefreshes) {
+      await new Promise(resolve => this.refreshQueue.push(resolve));
+    } else {
+      this.activeRefreshes++;
+    }
+    
+    try {
+      return this.running ? await refresh() : false;
+    } finally {
+      const next = this.refreshQueue.shift();
+      if (next) {
+        next();
+      } else {
+        this.activeRefreshes--;
+      }
+    }
+  }
+
   /**
    * Schedule cleanup job to remove expired cookies
    */
@@ -71,8 +236,9 @@ class Scheduler {
     this.jobs['cleanup'] = cron.schedule('0 0 * * *', async () => {
       logger.info('Running scheduled cleanup of expired cookies');
       try {
-        const deletedCount = await database.cleanupExpiredCookies();
-        logger.info(`Cleanup completed, removed ${deletedCount} expired cookie entries`);
+        const deletedCount = await cookieManager.cleanupExpiredCookies();
+        const deletedJobs = await cookieManager.cleanupRefreshJobs();
+        logger.info(`Cleanup completed, removed ${deletedCount} expired cookie entries and ${deletedJobs} old refresh jobs`);
       } catch (error) {
         logger.error(`Cookie cleanup failed: ${error.message}`);
       }
@@ -80,11 +246,14 @@ class Scheduler {
   }
 
   /**
-   * Refresh cookies for a specific platform
+   * Refresh cookies for a specific platform as a refresh job, retrying up to maxRetries times
    * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @param {Object} options - Refresh options
+   * @param {Object} options.job - Queued job record to run (default: a new one)
+   * @param {string} options.trigger - Trigger of the new job (default: 'cron')
    * @returns {Promise<boolean>} - Success status
    */
-  async refreshCookies(platform) {
+  async refreshCookies(platform, options = {}) {
     const platformConfig = config.platforms[platform];
     
     if (!platformConfig) {
@@ -93,48 +262,21 @@ class Scheduler {
     
     logger.info(`Starting cookie refresh for ${platform}`);
     
-    // Implement retry logic
-    let retries = config.scheduler.maxRetries;
-    let success = false;
-    let lastError = null;
+    const job = options.job || await cookieManager.createRefreshJob(platform, options.trigger || 'cron');
     
-    while (retries > 0 && !success) {
-      try {
-        // Extract cookies using Puppeteer
-        const cookieString = await cookieExtractor.extractCookies(platform);
-        
-        if (!cookieString) {
-          throw new Error(`Failed to extract cookies for ${platform}: Empty cookie string`);
-        }
-        
-        // Store cookies in database
-        await database.storeCookies(
-          platform, 
-          cookieString, 
-          platformConfig.cookieMaxAge
-        );
-        
-        logger.info(`Successfully refreshed cookies for ${platform}`);
-        success = true;
-      } catch (error) {
-        lastError = error;
-        retries--;
-        
-        if (retries > 0) {
-          const delay = config.scheduler.retryDelay;
-          logger.warn(`Cookie refresh failed for ${platform}, retrying in ${delay}ms. Error: ${error.message}`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-        } else {
-          logger.error(`All cookie refresh attempts failed for ${platform}: ${error.message}`);
-        }
-      }
-    }
-    
-    if (!success && lastError) {
-      throw lastError;
+    try {
+      // Extract and store cookies through the cookie manager
+      await cookieManager.runRefreshJob(job, {
+        maxAttempts: config.scheduler.maxRetries,
+        retryDelay: config.scheduler.retryDelay
+      });
+    } catch (error) {
+      logger.error(`All cookie refresh attempts failed for ${platform}: ${error.message}`);
+      throw error;
     }
     
-    return success;
+    logger.info(`Successfully refreshed cookies for ${platform}`);
+    return true;
   }
 
   /**
@@ -155,7 +297,20 @@ class Scheduler {
     });
     
     this.jobs = {};
+    this.intervals = {};
     this.running = false;
+    
+    // Delayed and queued refreshes resume and skip their refresh now that the scheduler stopped
+    for (const [timer, resolve] of this.delays) {
+      clearTimeout(timer);
+      resolve();
+    }
+    this.delays.clear();
+    for (const next of this.refreshQueue.splice(0)) {
+      this.activeRefreshes++;
+      next();
+    }
+    
     logger.info('Cookie refresh scheduler stopped successfully');
   }
 }
@@ -2,9 +2,9 @@
  * Enhanced S-ryhmä cookie extraction module
  * Identifies and extracts essential cookies for S-ryhmä platform
  */
-const puppeteer = require('puppeteer');
 const config = require('./config');
 const logger = require('./logger');
+const { browserPool } = require('./browser-pool');
 
 /**
  * Extract essential cookies from S-ryhmä website
@@ -13,75 +13,68 @@ const logger = require('./logger');
 async function identifySRyhmaEssentialCookies() {
   logger.info('Starting S-ryhmä essential cookie identification');
   
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox']
-  });
-  
-  try {
-    const page = await browser.newPage();
-    
-    // Navigate to S-ryhmä website
-    await page.goto('https://www.s-kaupat.fi', { waitUntil: 'networkidle2' });
-    
-    // Accept cookies if cookie consent dialog appears
-    try {
-      await page.waitForSelector('#onetrust-accept-btn-handler', { timeout: 5000 });
-      await page.click('#onetrust-accept-btn-handler');
-      logger.info('Accepted cookies on S-ryhmä website');
-    } catch (error) {
-      logger.info('No cookie consent dialog found or already accepted');
-    }
-    
-    // Get initial cookies
-    const initialCookies = await page.cookies();
-    logger.info(`Initial cookies count: ${initialCookies.length}`);
-    
-    // Navigate to product listing
-    await page.goto('https://www.s-kaupat.fi/tuotteet', { waitUntil: 'networkidle2' });
-    
-    // Try to add a product to cart (if possible without login)
+  // The page runs in its own incognito context of the shared browser
+  return browserPool.withPage(async page => {
     try {
-      await page.waitForSelector('.product-card', { timeout: 5000 });
-      await page.click('.product-card');
-      await page.waitForNavigation({ waitUntil: 'networkidle2' });
+      // Navigate to S-ryhmä website
+      await page.goto('https://www.s-kaupat.fi', { waitUntil: 'networkidle2' });
+      
+      // Accept cookies if cookie consent dialog appears
+      try {
+        await page.waitForSelector('#onetrust-accept-btn-handler', { timeout: 5000 });
+        await page.click('#onetrust-accept-btn-handler');
+        logger.info('Accepted cookies on S-ryhmä website');
+      } catch (error) {
+        logger.info('No cookie consent dialog found or already accepted');
+      }
+      
+      // Get initial cookies
+      const initialCookies = await page.cookies();
+      logger.info(`Initial cookies count: ${initialCookies.length}`);
+      
+      // Navigate to product listing
+      await page.goto('https://www.s-kaupat.fi/tuotteet', { waitUntil: 'networkidle2' });
+      
+      // Try to add a product to cart (if possible without login)
+      try {
+        await page.waitForSelector('.product-card', { timeout: 5000 });
+        await page.click('.product-card');
+        await page.waitForNavigation({ waitUntil: 'networkidle2' });
+      
+        // Try to add to cart
+        await page.waitForSelector('button[data-testid="add-to-cart-button"]', { timeout: 5000 });
+        await page.click('button[data-testid="add-to-cart-button"]');
+      
+        // Wait for cart update
+        await page.waitForTimeout(2000);
+      } catch (error) {
+        logger.info('Could not add product to cart, continuing with session cookies only');
+      }
+      
+      // Get all cookies after interactions
+      const allCookies = await page.cookies();
+      logger.info(`Final cookies count: ${allCookies.length}`);
+      
+      // Analyze network requests to identify essential cookies
+      const client = await page.target().createCDPSession();
+      await client.send('Network.enable');
+      
+      // Navigate to another page to trigger more requests
+      await page.goto('https://www.s-kaupat.fi/tuotteet/hedelmae-ja-vihannes', { waitUntil: 'networkidle2' });
+      
+      // Wait for network activity
+      await page.waitForTimeout(3000);
       
-      // Try to add to cart
-      await page.waitForSelector('button[data-testid="add-to-cart-button"]', { timeout: 5000 });
-      await page.click('button[data-testid="add-to-cart-button"]');
+      // Analyze cookies used in requests
+      const essentialCookies = analyzeEssentialCookies(allCookies);
       
-      // Wait for cart update
-      await page.waitForTimeout(2000);
+      logger.info(`Identified ${essentialCookies.length} essential cookies for S-ryhmä`);
+      return essentialCookies;
     } catch (error) {
-      logger.info('Could not add product to cart, continuing with session cookies only');
+      logger.error(`Error identifying S-ryhmä essential cookies: ${error.message}`);
+      throw error;
     }
-    
-    // Get all cookies after interactions
-    const allCookies = await page.cookies();
-    logger.info(`Final cookies count: ${allCookies.length}`);
-    
-    // Analyze network requests to identify essential cookies
-    const client = await page.target().createCDPSession();
-    await client.send('Network.enable');
-    
-    // Navigate to another page to trigger more requests
-    await page.goto('https://www.s-kaupat.fi/tuotteet/hedelmae-ja-vihannes', { waitUntil: 'networkidle2' });
-    
-    // Wait for network activity
-    await page.waitForTimeout(3000);
-    
-    // Analyze cookies used in requests
-    const essentialCookies = analyzeEssentialCookies(allCookies);
-    
-    logger.info(`Identified ${essentialCookies.length} essential cookies for S-ryhmä`);
-    return essentialCookies;
-  } catch (error) {
-    logger.error(`Error identifying S-ryhmä essential cookies: ${error.message}`);
-    throw error;
-  } finally {
-    await browser.close();
-    logger.info('Browser closed after S-ryhmä cookie identification');
-  }
+  }, { label: 'S-ryhmä essential cookie identification' });
 }
 
 /**
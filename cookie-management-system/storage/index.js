@@ -0,0 +1,59 @@
+/**
+ * Cookie storage backends
+ *
+ * Every backend implements the same interface:
+ * - initialize(): prepare the storage (tables, files)
+ * - storeCookies(platform, cookies, expiresIn): store cookie records (or a
+ *   cookie string), resolves to the entry id
+ * - getLatestCookies(platform): newest unexpired entry, or null
+ * - getHistory(platform, { limit }): entries newest first, including expired ones
+ * - getEntry(platform, id): one entry, or null
+ * - setPinned(platform, id, pinned): pin or unpin an entry, resolves to whether it was found
+ * - cleanupExpiredCookies(): delete expired entries that aren't pinned, resolves to the number deleted
+ * - saveRefreshJob(job): insert or replace a refresh job record (see refresh-jobs.js)
+ * - getRefreshJob(id): one refresh job record, or null
+ * - getRefreshJobs({ platform, trigger, status, since, limit }): refresh job records, newest first
+ * - cleanupRefreshJobs(before): delete jobs that finished before a timestamp, resolves to the number deleted
+ * - rotateKeys(): re-encrypt entries written with an older encryption key,
+ *   resolves to the number re-encrypted
+ * - acquireLock(name, owner, ttl) / releaseLock(name, owner) / isLocked(name):
+ *   named locks that expire after ttl milliseconds, used so only one process
+ *   extracts a platform's cookies at a time
+ * - close(): release connections
+ *
+ * Entries have the shape { id, cookieString, records, pinned, createdAt, expiresAt },
+ * where records holds the cookie records (see cookie-jar.js).
+ * The backend is selected with config.storage.type (COOKIE_STORAGE).
+ */
+const config = require('../config');
+
+// Loaded on demand, so the sqlite3 native module is only needed when it is used
+const BACKENDS = {
+  memory: () => require('./memory-storage'),
+  sqlite: () => require('./sqlite-storage'),
+  json: () => require('./json-file-storage')
+};
+
+/**
+ * Create a cookie storage backend
+ * @param {Object} options - Storage options (default: config.storage)
+ * @param {string} options.type - 'memory', 'sqlite' or 'json'
+ * @param {string} options.path - Database or JSON file path
+ * @param {EnvelopeEncryption} options.encryption - Keyring for the file-based backends (default: from the environment)
+ * @returns {Object} - Storage backend
+ */
+function createStorage(options = config.storage) {
+  const loadBackend = BACKENDS[options.type];
+
+  if (!loadBackend) {
+    throw new Error(`Unknown cookie storage type: ${options.type}`);
+  }
+
+  const Storage = loadBackend();
+  return new Storage(options);
+}
+
+module.exports = {
+  createStorage,
+  storageTypes: Object.keys(BACKENDS)
+};
@@ -0,0 +1,321 @@
+/**
+ * JSON file cookie storage
+ * Keeps cookies encrypted in a single JSON file. Entries stay encrypted in
+ * memory too and are only decrypted when handed out, so an entry that can't be
+ * decrypted (e.g. after its key was removed) only fails the calls that return
+ * it, not the rest of the file. The file is re-read before
+ * every operation, so processes sharing it (the server and the standalone
+ * cookie service) see each other's cookies and locks. Every change is a
+ * read-modify-write done while holding a lock file created with O_EXCL, so
+ * two processes can't both take a named lock or overwrite each other's entries.
+ */
+const fs = require('fs');
+const path = require('path');
+const MemoryCookieStorage = require('./memory-storage');
+const CookieJar = require('../cookie-jar');
+const { encryption } = require('../encryption');
+
+// How long to wait for the lock file before failing the operation
+const LOCK_FILE_TIMEOUT = 5000;
+// How often to try taking the lock file while another process holds it
+const LOCK_FILE_RETRY_DELAY = 20;
+// Lock files older than this were left behind by a crashed process
+const LOCK_FILE_STALE_AFTER = 30000;
+
+class JsonFileCookieStorage extends MemoryCookieStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.path - JSON file path
+   * @param {EnvelopeEncryption} options.encryption - Keyring (default: the one configured from the environment)
+   */
+  constructor(options = {}) {
+    super();
+    this.path = options.path;
+    this.encryption = options.encryption || encryption;
+  }
+
+  /**
+   * Read the raw file contents
+   * @returns {Object|null} - Parsed file, or null if it doesn't exist
+   */
+  read() {
+    return fs.existsSync(this.path) ? JSON.parse(fs.readFileSync(this.path, 'utf8')) : null;
+  }
+
+  /**
+   * Read the file into memory
+   */
+  load() {
+    const data = this.read();
+    if (!data) {
+      return;
+    }
+
+    this.entries = data.entries || [];
+    this.locks = data.locks || {};
+    this.refreshJobs = data.refreshJobs || {};
+    this.nextId = data.nextId || 1;
+  }
+
+  /**
+   * Decrypt a stored entry
+   * @param {Object} entry - Stored entry, encrypted unless it was added since the file was read
+   * @returns {Object} - Cookie entry with the cookie string and records
+   * @throws {EncryptionKeyError} - If the entry can't be decrypted
+   */
+  toEntry(entry) {
+    if (Array.isArray(entry.records)) {
+      return super.toEntry(entry);
+    }
+
+    const { cookieString, records, ...rest } = entry;
+
+    return super.toEntry({
+      ...rest,
+      // Files written before cookie records were kept only hold the cookie string
+      records: records ? JSON.parse(this.encryption.decrypt(records)) : CookieJar.parseCookieString(this.encryption.decrypt(cookieString))
+    });
+  }
+
+  /**
+   * Write memory to the file
+   * Only entries added since the file was read are encrypted; the others are written back as read.
+   * The file is replaced in one rename, so readers never see half a write.
+   */
+  save() {
+    const data = {
+      nextId: this.nextId,
+      entries: this.entries.map(entry => Array.isArray(entry.records)
+        ? { ...entry, records: this.encryption.encrypt(JSON.stringify(entry.records)) }
+        : entry),
+      locks: this.locks,
+      refreshJobs: this.refreshJobs
+    };
+    const tempPath = `${this.path}.${process.pid}.tmp`;
+
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.path);
+  }
+
+  /**
+   * Read the file, change it and write it back while holding the lock file
+   * @param {Function} change - Changes memory; resolves to the operation's result
+   * @param {Function} shouldSave - Whether the result changed anything worth writing (default: always)
+   * @returns {Promise<any>} - Result of the change
+   */
+  async update(change, shouldSave = () => true) {
+    const lockPath = `${this.path}.lock`;
+    const giveUpAt = Date.now() + LOCK_FILE_TIMEOUT;
+    let fd;
+
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+
+    while (fd === undefined) {
+      try {
+        fd = fs.openSync(lockPath, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+
+        if (this.isStaleLockFile(lockPath)) {
+          fs.rmSync(lockPath, { force: true });
+        } else if (Date.now() >= giveUpAt) {
+          throw new Error(`Timed out waiting for the lock file ${lockPath}`);
+        } else {
+          await new Promise(resolve => setTimeout(resolve, LOCK_FILE_RETRY_DELAY));
+        }
+      }
+    }
+
+    try {
+      this.load();
+      const result = await change();
+      if (shouldSave(result)) {
+        this.save();
+      }
+      return result;
+    } finally {
+      fs.closeSync(fd);
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Check whether a lock file was left behind by a crashed process
+   * @param {string} lockPath - Lock file path
+   * @returns {boolean} - Whether the lock file is older than LOCK_FILE_STALE_AFTER
+   */
+  isStaleLockFile(lockPath) {
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_FILE_STALE_AFTER;
+    } catch (error) {
+      // Removed in the meantime; the next attempt will tell
+      return false;
+    }
+  }
+
+  /**
+   * Initialize the storage, creating the file if it doesn't exist
+   */
+  async initialize() {
+    await this.update(() => undefined);
+  }
+
+  /**
+   * Store cookies for a specific platform
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @param {Array|string} cookies - Cookie records, or a cookie string
+   * @param {number} expiresIn - Time in milliseconds until cookies expire
+   * @returns {Promise<number>} - ID of the stored cookie entry
+   */
+  async storeCookies(platform, cookies, expiresIn) {
+    return this.update(() => super.storeCookies(platform, cookies, expiresIn));
+  }
+
+  /**
+   * Get the latest valid cookies for a specific platform
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @returns {Promise<Object|null>} - Cookie data or null if not found
+   */
+  async getLatestCookies(platform) {
+    this.load();
+    return super.getLatestCookies(platform);
+  }
+
+  /**
+   * Get the stored cookies of a platform, newest first, including expired ones
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @param {Object} options - History options (see MemoryCookieStorage.getHistory)
+   * @returns {Promise<Array>} - Cookie entries
+   */
+  async getHistory(platform, options = {}) {
+    this.load();
+    return super.getHistory(platform, options);
+  }
+
+  /**
+   * Get one stored entry of a platform
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @param {number} id - Entry ID
+   * @returns {Promise<Object|null>} - Cookie entry, or null if not found
+   */
+  async getEntry(platform, id) {
+    this.load();
+    return super.getEntry(platform, id);
+  }
+
+  /**
+   * Pin or unpin an entry; pinned entries are kept by cleanupExpiredCookies
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @param {number} id - Entry ID
+   * @param {boolean} pinned - Whether to pin the entry
+   * @returns {Promise<boolean>} - Whether the entry was found
+   */
+  async setPinned(platform, id, pinned) {
+    return this.update(() => super.setPinned(platform, id, pinned), found => found);
+  }
+
+  /**
+   * Delete expired cookies; pinned entries are kept
+   * @returns {Promise<number>} - Number of deleted entries
+   */
+  async cleanupExpiredCookies() {
+    return this.update(() => super.cleanupExpiredCookies());
+  }
+
+  /**
+   * Re-encrypt entries written with an older key or the legacy encryption
+   * Stale entries are decrypted, so the next save encrypts them with the active key.
+   * @returns {Promise<number>} - Number of entries that were re-encrypted
+   */
+  async rotateKeys() {
+    return this.update(() => {
+      let rotated = 0;
+
+      this.entries = this.entries.map(entry => {
+        if (!this.encryption.needsRotation(entry.records || entry.cookieString)) {
+          return entry;
+        }
+
+        const { cookieString, records, ...rest } = entry;
+        rotated++;
+        return { ...rest, records: this.toEntry(entry).records };
+      });
+
+      return rotated;
+    }, rotated => rotated > 0);
+  }
+
+  /**
+   * Insert or replace a refresh job record
+   * @param {Object} job - Refresh job record, identified by its id
+   * @returns {Promise<void>}
+   */
+  async saveRefreshJob(job) {
+    await this.update(() => super.saveRefreshJob(job));
+  }
+
+  /**
+   * Get one refresh job record
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} - Job record, or null if not found
+   */
+  async getRefreshJob(id) {
+    this.load();
+    return super.getRefreshJob(id);
+  }
+
+  /**
+   * List refresh job records, newest first
+   * @param {Object} options - Filters (see MemoryCookieStorage.getRefreshJobs)
+   * @returns {Promise<Array>} - Job records
+   */
+  async getRefreshJobs(options = {}) {
+    this.load();
+    return super.getRefreshJobs(options);
+  }
+
+  /**
+   * Delete finished refresh jobs
+   * @param {number} before - Delete jobs that finished before this timestamp
+   * @returns {Promise<number>} - Number of deleted jobs
+   */
+  async cleanupRefreshJobs(before) {
+    return this.update(() => super.cleanupRefreshJobs(before));
+  }
+
+  /**
+   * Take a named lock unless another owner holds it
+   * @param {string} name - Lock name
+   * @param {string} owner - Identifier of the process taking the lock
+   * @param {number} ttl - Time in milliseconds after which the lock is released anyway
+   * @returns {Promise<boolean>} - Whether the lock was taken
+   */
+  async acquireLock(name, owner, ttl) {
+    return this.update(() => super.acquireLock(name, owner, ttl), acquired => acquired);
+  }
+
+  /**
+   * Release a lock held by an owner
+   * @param {string} name - Lock name
+   * @param {string} owner - Identifier of the process holding the lock
+   * @returns {Promise<boolean>} - Whether the lock was released
+   */
+  async releaseLock(name, owner) {
+    return this.update(() => super.releaseLock(name, owner), released => released);
+  }
+
+  /**
+   * Check whether anyone holds a lock
+   * @param {string} name - Lock name
+   * @returns {Promise<boolean>} - Whether the lock is held
+   */
+  async isLocked(name) {
+    this.load();
+    return super.isLocked(name);
+  }
+}
+
+module.exports = JsonFileCookieStorage;
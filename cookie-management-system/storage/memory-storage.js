@@ -0,0 +1,239 @@
+/**
+ * In-memory cookie storage
+ * Keeps cookies in the process only. Nothing survives a restart, which suits
+ * tests and deployments that seed cookies from environment variables anyway.
+ */
+const CookieJar = require('../cookie-jar');
+
+class MemoryCookieStorage {
+  constructor() {
+    this.entries = [];
+    this.locks = {};
+    this.refreshJobs = {};
+    this.nextId = 1;
+  }
+
+  /**
+   * Initialize the storage (nothing to set up)
+   */
+  async initialize() {}
+
+  /**
+   * Store cookies for a specific platform
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @param {Array|string} cookies - Cookie records, or a cookie string
+   * @param {number} expiresIn - Time in milliseconds until cookies expire
+   * @returns {Promise<number>} - ID of the stored cookie entry
+   */
+  async storeCookies(platform, cookies, expiresIn) {
+    const now = Date.now();
+    const id = this.nextId++;
+
+    this.entries.push({ id, platform, records: CookieJar.toRecords(cookies), pinned: false, createdAt: now, expiresAt: now + expiresIn });
+    return id;
+  }
+
+  /**
+   * Get the stored entries of a platform, newest first
+   * @param {string} platform - Platform identifier
+   * @returns {Array} - Stored entries
+   */
+  getEntries(platform) {
+    return this.entries
+      .filter(entry => entry.platform === platform)
+      .sort((a, b) => b.createdAt - a.createdAt || b.id - a.id);
+  }
+
+  /**
+   * Turn a stored entry into the cookie entry handed out to callers
+   * @param {Object} entry - Stored entry
+   * @returns {Object} - Cookie entry with the cookie string and records
+   */
+  toEntry({ id, records, pinned, createdAt, expiresAt }) {
+    return {
+      id,
+      cookieString: CookieJar.formatCookieString(records),
+      records,
+      pinned: !!pinned,
+      createdAt,
+      expiresAt
+    };
+  }
+
+  /**
+   * Get the latest valid cookies for a specific platform
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @returns {Promise<Object|null>} - Cookie data or null if not found
+   */
+  async getLatestCookies(platform) {
+    const now = Date.now();
+    const entry = this.getEntries(platform).find(candidate => candidate.expiresAt > now);
+    return entry ? this.toEntry(entry) : null;
+  }
+
+  /**
+   * Get the stored cookies of a platform, newest first, including expired ones
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @param {Object} options - History options
+   * @param {number} options.limit - Maximum number of entries (default: 20)
+   * @returns {Promise<Array>} - Cookie entries
+   */
+  async getHistory(platform, options = {}) {
+    return this.getEntries(platform).slice(0, options.limit || 20).map(entry => this.toEntry(entry));
+  }
+
+  /**
+   * Get one stored entry of a platform
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @param {number} id - Entry ID
+   * @returns {Promise<Object|null>} - Cookie entry, or null if not found
+   */
+  async getEntry(platform, id) {
+    const entry = this.getEntries(platform).find(candidate => candidate.id === id);
+    return entry ? this.toEntry(entry) : null;
+  }
+
+  /**
+   * Pin or unpin an entry; pinned entries are kept by cleanupExpiredCookies
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @param {number} id - Entry ID
+   * @param {boolean} pinned - Whether to pin the entry
+   * @returns {Promise<boolean>} - Whether the entry was found
+   */
+  async setPinned(platform, id, pinned) {
+    const entry = this.entries.find(candidate => candidate.platform === platform && candidate.id === id);
+
+    if (!entry) {
+      return false;
+    }
+
+    entry.pinned = !!pinned;
+    return true;
+  }
+
+  /**
+   * Delete expired cookies; pinned entries are kept
+   * @returns {Promise<number>} - Number of deleted entries
+   */
+  async cleanupExpiredCookies() {
+    const now = Date.now();
+    const before = this.entries.length;
+
+    this.entries = this.entries.filter(entry => entry.pinned || entry.expiresAt >= now);
+    return before - this.entries.length;
+  }
+
+  /**
+   * Re-encrypt entries written with an older key (nothing is encrypted in memory)
+   * @returns {Promise<number>} - Number of entries that were re-encrypted
+   */
+  async rotateKeys() {
+    return 0;
+  }
+
+  /**
+   * Insert or replace a refresh job record
+   * @param {Object} job - Refresh job record, identified by its id
+   * @returns {Promise<void>}
+   */
+  async saveRefreshJob(job) {
+    this.refreshJobs[job.id] = JSON.parse(JSON.stringify(job));
+  }
+
+  /**
+   * Get one refresh job record
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} - Job record, or null if not found
+   */
+  async getRefreshJob(id) {
+    const job = this.refreshJobs[id];
+    return job ? JSON.parse(JSON.stringify(job)) : null;
+  }
+
+  /**
+   * List refresh job records, newest first
+   * @param {Object} options - Filters
+   * @param {string} options.platform - Only jobs of this platform
+   * @param {string} options.trigger - Only jobs with this trigger
+   * @param {string} options.status - Only jobs with this status
+   * @param {number} options.since - Only jobs queued at or after this timestamp
+   * @param {number} options.limit - Maximum number of jobs (default: 50)
+   * @returns {Promise<Array>} - Job records
+   */
+  async getRefreshJobs(options = {}) {
+    const { platform, trigger, status, since, limit = 50 } = options;
+
+    // Reversed first, so jobs queued in the same millisecond stay newest first
+    return Object.values(this.refreshJobs)
+      .reverse()
+      .filter(job => (!platform || job.platform === platform) &&
+        (!trigger || job.trigger === trigger) &&
+        (!status || job.status === status) &&
+        (!since || job.queuedAt >= since))
+      .sort((a, b) => b.queuedAt - a.queuedAt)
+      .slice(0, limit)
+      .map(job => JSON.parse(JSON.stringify(job)));
+  }
+
+  /**
+   * Delete finished refresh jobs
+   * @param {number} before - Delete jobs that finished before this timestamp
+   * @returns {Promise<number>} - Number of deleted jobs
+   */
+  async cleanupRefreshJobs(before) {
+    const finished = Object.values(this.refreshJobs).filter(job => job.finishedAt && job.finishedAt < before);
+
+    finished.forEach(job => delete this.refreshJobs[job.id]);
+    return finished.length;
+  }
+
+  /**
+   * Take a named lock unless another owner holds it
+   * @param {string} name - Lock name
+   * @param {string} owner - Identifier of the process taking the lock
+   * @param {number} ttl - Time in milliseconds after which the lock is released anyway
+   * @returns {Promise<boolean>} - Whether the lock was taken
+   */
+  async acquireLock(name, owner, ttl) {
+    const lock = this.locks[name];
+
+    if (lock && lock.owner !== owner && lock.expiresAt > Date.now()) {
+      return false;
+    }
+
+    this.locks[name] = { owner, expiresAt: Date.now() + ttl };
+    return true;
+  }
+
+  /**
+   * Release a lock held by an owner
+   * @param {string} name - Lock name
+   * @param {string} owner - Identifier of the process holding the lock
+   * @returns {Promise<boolean>} - Whether the lock was released
+   */
+  async releaseLock(name, owner) {
+    if (this.locks[name]?.owner !== owner) {
+      return false;
+    }
+
+    delete this.locks[name];
+    return true;
+  }
+
+  /**
+   * Check whether anyone holds a lock
+   * @param {string} name - Lock name
+   * @returns {Promise<boolean>} - Whether the lock is held
+   */
+  async isLocked(name) {
+    const lock = this.locks[name];
+    return !!lock && lock.expiresAt > Date.now();
+  }
+
+  /**
+   * Close the storage (nothing to release)
+   */
+  close() {}
+}
+
+module.exports = MemoryCookieStorage;
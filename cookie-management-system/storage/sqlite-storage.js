@@ -0,0 +1,379 @@
+/**
+ * SQLite cookie storage
+ * Keeps cookies encrypted in a local SQLite database
+ */
+const sqlite3 = require('sqlite3').verbose();
+const CookieJar = require('../cookie-jar');
+const { encryption } = require('../encryption');
+
+class SqliteCookieStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.path - Database file path (':memory:' for a throwaway database)
+   * @param {EnvelopeEncryption} options.encryption - Keyring (default: the one configured from the environment)
+   */
+  constructor(options = {}) {
+    this.path = options.path;
+    this.encryption = options.encryption || encryption;
+    this.db = new sqlite3.Database(this.path);
+  }
+
+  /**
+   * Run a statement
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Statement parameters
+   * @returns {Promise<Object>} - lastID and changes of the statement
+   */
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ lastID: this.lastID, changes: this.changes });
+        }
+      });
+    });
+  }
+
+  /**
+   * Run a query
+   * @param {string} sql - SQL query
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Array>} - Result rows
+   */
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Initialize the database with required tables
+   */
+  async initialize() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS cookies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        platform TEXT NOT NULL,
+        cookie_string TEXT NOT NULL,
+        cookie_records TEXT,
+        pinned INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      )
+    `);
+    // Databases created by earlier versions lack the newer columns
+    const columns = (await this.all('PRAGMA table_info(cookies)')).map(column => column.name);
+    const addedColumns = {
+      cookie_records: 'TEXT',
+      pinned: 'INTEGER NOT NULL DEFAULT 0'
+    };
+    for (const [name, definition] of Object.entries(addedColumns)) {
+      if (!columns.includes(name)) {
+        await this.run(`ALTER TABLE cookies ADD COLUMN ${name} ${definition}`);
+      }
+    }
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS locks (
+        name TEXT PRIMARY KEY,
+        owner TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      )
+    `);
+    // The full job record is kept as JSON; the other columns are for filtering
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS refresh_jobs (
+        id TEXT PRIMARY KEY,
+        platform TEXT NOT NULL,
+        job_trigger TEXT NOT NULL,
+        status TEXT NOT NULL,
+        queued_at INTEGER NOT NULL,
+        finished_at INTEGER,
+        job TEXT NOT NULL
+      )
+    `);
+    console.log('Database initialized successfully');
+  }
+
+  /**
+   * Turn a cookies row into a storage entry
+   * @param {Object} row - Database row
+   * @returns {Object} - Entry with the decrypted cookie string and records
+   */
+  toEntry(row) {
+    const cookieString = this.encryption.decrypt(row.cookie_string);
+
+    return {
+      id: row.id,
+      cookieString,
+      records: row.cookie_records ? JSON.parse(this.encryption.decrypt(row.cookie_records)) : CookieJar.parseCookieString(cookieString),
+      pinned: row.pinned === 1,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at
+    };
+  }
+
+  /**
+   * Store cookies for a specific platform
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @param {Array|string} cookies - Cookie records, or a cookie string
+   * @param {number} expiresIn - Time in milliseconds until cookies expire
+   * @returns {Promise<number>} - ID of the stored cookie entry
+   */
+  async storeCookies(platform, cookies, expiresIn) {
+    const now = Date.now();
+    const records = CookieJar.toRecords(cookies);
+    const { lastID } = await this.run(
+      `INSERT INTO cookies (platform, cookie_string, cookie_records, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        platform,
+        this.encryption.encrypt(CookieJar.formatCookieString(records)),
+        this.encryption.encrypt(JSON.stringify(records)),
+        now,
+        now + expiresIn
+      ]
+    );
+
+    console.log(`Cookies stored for ${platform} with ID ${lastID}`);
+    return lastID;
+  }
+
+  /**
+   * Get the latest valid cookies for a specific platform
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @returns {Promise<Object|null>} - Cookie data or null if not found
+   */
+  async getLatestCookies(platform) {
+    const rows = await this.all(
+      `SELECT id, cookie_string, cookie_records, pinned, created_at, expires_at
+       FROM cookies
+       WHERE platform = ? AND expires_at > ?
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1`,
+      [platform, Date.now()]
+    );
+
+    return rows.length > 0 ? this.toEntry(rows[0]) : null;
+  }
+
+  /**
+   * Get the stored cookies of a platform, newest first, including expired ones
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @param {Object} options - History options
+   * @param {number} options.limit - Maximum number of entries (default: 20)
+   * @returns {Promise<Array>} - Cookie entries
+   */
+  async getHistory(platform, options = {}) {
+    const rows = await this.all(
+      `SELECT id, cookie_string, cookie_records, pinned, created_at, expires_at
+       FROM cookies
+       WHERE platform = ?
+       ORDER BY created_at DESC, id DESC
+       LIMIT ?`,
+      [platform, options.limit || 20]
+    );
+
+    return rows.map(row => this.toEntry(row));
+  }
+
+  /**
+   * Get one stored entry of a platform
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @param {number} id - Entry ID
+   * @returns {Promise<Object|null>} - Cookie entry, or null if not found
+   */
+  async getEntry(platform, id) {
+    const rows = await this.all(
+      `SELECT id, cookie_string, cookie_records, pinned, created_at, expires_at
+       FROM cookies
+       WHERE platform = ? AND id = ?`,
+      [platform, id]
+    );
+
+    return rows.length > 0 ? this.toEntry(rows[0]) : null;
+  }
+
+  /**
+   * Pin or unpin an entry; pinned entries are kept by cleanupExpiredCookies
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @param {number} id - Entry ID
+   * @param {boolean} pinned - Whether to pin the entry
+   * @returns {Promise<boolean>} - Whether the entry was found
+   */
+  async setPinned(platform, id, pinned) {
+    const { changes } = await this.run(
+      'UPDATE cookies SET pinned = ? WHERE platform = ? AND id = ?',
+      [pinned ? 1 : 0, platform, id]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Delete expired cookies to keep the database clean; pinned entries are kept
+   * @returns {Promise<number>} - Number of deleted entries
+   */
+  async cleanupExpiredCookies() {
+    const { changes } = await this.run('DELETE FROM cookies WHERE expires_at < ? AND pinned = 0', [Date.now()]);
+
+    console.log(`Cleaned up ${changes} expired cookie entries`);
+    return changes;
+  }
+
+  /**
+   * Re-encrypt entries written with an older key or the legacy encryption
+   * Rows are updated one at a time and stay readable throughout, as long as
+   * the old key is still configured.
+   * @returns {Promise<number>} - Number of entries that were re-encrypted
+   */
+  async rotateKeys() {
+    const rows = await this.all('SELECT id, cookie_string, cookie_records FROM cookies');
+    let rotated = 0;
+
+    for (const row of rows) {
+      const stale = this.encryption.needsRotation(row.cookie_string) ||
+        (row.cookie_records !== null && this.encryption.needsRotation(row.cookie_records));
+      if (!stale) {
+        continue;
+      }
+
+      const { cookieString, records } = this.toEntry(row);
+      await this.run(
+        'UPDATE cookies SET cookie_string = ?, cookie_records = ? WHERE id = ?',
+        [this.encryption.encrypt(cookieString), this.encryption.encrypt(JSON.stringify(records)), row.id]
+      );
+      rotated++;
+    }
+
+    console.log(`Re-encrypted ${rotated} cookie entries with key ${this.encryption.getActiveKeyId()}`);
+    return rotated;
+  }
+
+  /**
+   * Insert or replace a refresh job record
+   * @param {Object} job - Refresh job record, identified by its id
+   * @returns {Promise<void>}
+   */
+  async saveRefreshJob(job) {
+    await this.run(
+      `INSERT OR REPLACE INTO refresh_jobs (id, platform, job_trigger, status, queued_at, finished_at, job)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [job.id, job.platform, job.trigger, job.status, job.queuedAt, job.finishedAt || null, JSON.stringify(job)]
+    );
+  }
+
+  /**
+   * Get one refresh job record
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} - Job record, or null if not found
+   */
+  async getRefreshJob(id) {
+    const rows = await this.all('SELECT job FROM refresh_jobs WHERE id = ?', [id]);
+    return rows.length > 0 ? JSON.parse(rows[0].job) : null;
+  }
+
+  /**
+   * List refresh job records, newest first
+   * @param {Object} options - Filters (see MemoryCookieStorage.getRefreshJobs)
+   * @returns {Promise<Array>} - Job records
+   */
+  async getRefreshJobs(options = {}) {
+    const { platform, trigger, status, since, limit = 50 } = options;
+    const conditions = [];
+    const params = [];
+
+    for (const [column, value] of [['platform', platform], ['job_trigger', trigger], ['status', status]]) {
+      if (value) {
+        conditions.push(`${column} = ?`);
+        params.push(value);
+      }
+    }
+    if (since) {
+      conditions.push('queued_at >= ?');
+      params.push(since);
+    }
+
+    const rows = await this.all(
+      `SELECT job FROM refresh_jobs
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY queued_at DESC, rowid DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+
+    return rows.map(row => JSON.parse(row.job));
+  }
+
+  /**
+   * Delete finished refresh jobs
+   * @param {number} before - Delete jobs that finished before this timestamp
+   * @returns {Promise<number>} - Number of deleted jobs
+   */
+  async cleanupRefreshJobs(before) {
+    const { changes } = await this.run('DELETE FROM refresh_jobs WHERE finished_at < ?', [before]);
+    return changes;
+  }
+
+  /**
+   * Take a named lock unless another owner holds it
+   * @param {string} name - Lock name
+   * @param {string} owner - Identifier of the process taking the lock
+   * @param {number} ttl - Time in milliseconds after which the lock is released anyway
+   * @returns {Promise<boolean>} - Whether the lock was taken
+   */
+  async acquireLock(name, owner, ttl) {
+    const now = Date.now();
+
+    await this.run('DELETE FROM locks WHERE name = ? AND expires_at <= ?', [name, now]);
+    await this.run('INSERT OR IGNORE INTO locks (name, owner, expires_at) VALUES (?, ?, ?)', [name, owner, now + ttl]);
+    const { changes } = await this.run(
+      'UPDATE locks SET expires_at = ? WHERE name = ? AND owner = ?',
+      [now + ttl, name, owner]
+    );
+
+    return changes > 0;
+  }
+
+  /**
+   * Release a lock held by an owner
+   * @param {string} name - Lock name
+   * @param {string} owner - Identifier of the process holding the lock
+   * @returns {Promise<boolean>} - Whether the lock was released
+   */
+  async releaseLock(name, owner) {
+    const { changes } = await this.run('DELETE FROM locks WHERE name = ? AND owner = ?', [name, owner]);
+    return changes > 0;
+  }
+
+  /**
+   * Check whether anyone holds a lock
+   * @param {string} name - Lock name
+   * @returns {Promise<boolean>} - Whether the lock is held
+   */
+  async isLocked(name) {
+    const rows = await this.all('SELECT name FROM locks WHERE name = ? AND expires_at > ?', [name, Date.now()]);
+    return rows.length > 0;
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    this.db.close((err) => {
+      if (err) {
+        console.error('Error closing database:', err);
+      } else {
+        console.log('Database connection closed');
+      }
+    });
+  }
+}
+
+module.exports = SqliteCookieStorage;
@@ -6,8 +6,18 @@
 const express = require('express');
 const router = express.Router();
 const os = require('os');
-const { getCookieManager } = require('./cookie-management-system');
-const { getAdapterFactory } = require('./platform-adapters');
+const cron = require('node-cron');
+const cookieManager = require('./cookie-management-system');
+const cookieConfig = require('./cookie-management-system/config');
+const { createAdapterFactory } = require('./platform-adapters');
+const errorRecoverySystem = require('./error-recovery');
+const { CookieImportError } = require('./cookie-management-system/cookie-import');
+const { CookieHistoryError } = require('./cookie-management-system/cookie-history');
+const { REFRESH_TRIGGERS, REFRESH_JOB_STATUSES } = require('./cookie-management-system/refresh-jobs');
+const { validateFlow } = require('./cookie-management-system/extraction-flow');
+
+// Create adapter factory
+const adapterFactory = createAdapterFactory(cookieManager);
 
 // In-memory storage for error logs (in production, this would use a database)
 const errorLogs = [];
@@ -35,7 +45,7 @@ const performanceMetrics = {
 const defaultConfig = {
   system: {
     defaultCookieMaxAge: 86400000, // 24 hours
-    defaultRefreshInterval: '0 */12 * * *', // Every 12 hours
+    defaultRefreshInterval: cookieConfig.scheduler.refreshInterval, // Every 12 hours unless REFRESH_INTERVAL is set
     cookieRefreshRetryCount: 3,
     cookieRefreshRetryDelay: 5000,
     browserTimeout: 30000,
@@ -48,22 +58,33 @@ const defaultConfig = {
       enabled: true,
       url: 'https://www.motonet.fi',
       cookieMaxAge: 86400000,
-      refreshInterval: '0 */12 * * *',
+      refreshInterval: cookieConfig.scheduler.refreshInterval,
+      flow: cookieConfig.platforms.motonet.flow,
       apiEndpoint: '/api/tracking/add-to-cart'
     },
     sryhma: {
       enabled: false,
       url: 'https://www.s-kaupat.fi',
       cookieMaxAge: 86400000,
-      refreshInterval: '0 */12 * * *',
+      refreshInterval: cookieConfig.scheduler.refreshInterval,
+      flow: cookieConfig.platforms.sryhma.flow,
       apiEndpoint: '/api/cart/add'
     },
     gigantti: {
       enabled: false,
       url: 'https://www.gigantti.fi',
       cookieMaxAge: 86400000,
-      refreshInterval: '0 */12 * * *',
+      refreshInterval: cookieConfig.scheduler.refreshInterval,
+      flow: cookieConfig.platforms.gigantti.flow,
       apiEndpoint: '/api/cart/add'
+    },
+    rusta: {
+      enabled: false,
+      url: 'https://www.rusta.com',
+      cookieMaxAge: 86400000,
+      refreshInterval: cookieConfig.scheduler.refreshInterval,
+      flow: cookieConfig.platforms.rusta.flow,
+      apiEndpoint: '/api/fi/cart/items'
     }
   }
 };
@@ -71,6 +92,9 @@ const defaultConfig = {
 // Current configuration (would be loaded from database in production)
 let currentConfig = JSON.parse(JSON.stringify(defaultConfig));
 
+// Cookie refreshes follow the refresh intervals and extraction flows of the current configuration
+cookieManager.setScheduleConfig(currentConfig);
+
 /**
  * Log an error to the error logs
  * @param {string} platform - Platform identifier
@@ -188,13 +212,24 @@ function updateOverallMetrics() {
   }
 }
 
+/**
+ * Get the stored cookies of a platform without failing the dashboard request
+ * @param {string} platformId - Platform identifier
+ * @returns {Promise<Object|null>} - Cookie object, or null if none are configured
+ */
+async function getPlatformCookies(platformId) {
+  try {
+    return await cookieManager.getLatestCookies(platformId);
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Get system status endpoint
  */
 router.get('/status', async (req, res) => {
   try {
-    const cookieManager = getCookieManager();
-    const adapterFactory = getAdapterFactory();
     
     // Get uptime in seconds
     const uptime = process.uptime();
@@ -205,16 +240,24 @@ router.get('/status', async (req, res) => {
     // Get platform status
     const platforms = {};
     const supportedPlatforms = adapterFactory.getSupportedPlatforms();
+    const circuitBreakers = errorRecoverySystem.getCircuitBreakerStates();
     
     for (const platform of supportedPlatforms) {
       const adapter = adapterFactory.getAdapter(platform);
-      const cookies = await cookieManager.getCookies(platform);
+      const cookies = await getPlatformCookies(platform);
+      
+      const circuitBreaker = circuitBreakers[platform] || null;
+      const session = cookieManager.getSessionValidity(platform);
       
       let status = 'error';
       if (!adapter) {
         status = 'not_implemented';
       } else if (!cookies) {
         status = 'not_configured';
+      } else if (circuitBreaker && circuitBreaker.state === 'open') {
+        status = 'unavailable';
+      } else if (session.status === 'invalid') {
+        status = 'session_invalid';
       } else {
         status = 'connected';
       }
@@ -222,7 +265,9 @@ router.get('/status', async (req, res) => {
       platforms[platform] = {
         status,
         lastChecked: new Date(),
-        cookieExpiration: cookies ? cookies.expiresAt : null
+        cookieExpiration: cookies ? cookies.expiresAt : null,
+        session,
+        circuitBreaker
       };
     }
     
@@ -256,14 +301,12 @@ router.get('/status', async (req, res) => {
  */
 router.get('/cookies', async (req, res) => {
   try {
-    const cookieManager = getCookieManager();
-    const adapterFactory = getAdapterFactory();
     const supportedPlatforms = adapterFactory.getSupportedPlatforms();
     
     const platforms = [];
     
     for (const platformId of supportedPlatforms) {
-      const cookies = await cookieManager.getCookies(platformId);
+      const cookies = await getPlatformCookies(platformId);
       const config = currentConfig.platforms[platformId] || {};
       
       let status = 'not_configured';
@@ -287,8 +330,11 @@ router.get('/cookies', async (req, res) => {
         id: platformId,
         name: platformId.charAt(0).toUpperCase() + platformId.slice(1),
         status,
-        createdAt: cookies ? cookies.createdAt : null,
-        expiresAt: cookies ? cookies.expiresAt : null
+        createdAt: cookies ? cookies.timestamp : null,
+        expiresAt: cookies ? cookies.expiresAt : null,
+        refreshInterval: config.refreshInterval || currentConfig.system.defaultRefreshInterval,
+        nextRefresh: cookieManager.scheduler ? cookieManager.scheduler.getNextRun(platformId) : null,
+        session: cookieManager.getSessionValidity(platformId)
       });
     }
     
@@ -305,11 +351,13 @@ router.get('/cookies', async (req, res) => {
       }
     }
     
-    // Get refresh schedule
+    // Get refresh schedule; the next run is the soonest of the platforms' own schedules
+    const lastRefreshTimes = Object.values(cookieManager.lastRefreshTime);
+    const nextRefreshes = platforms.map(platform => platform.nextRefresh).filter(Boolean);
     const refreshSchedule = {
-      nextRun: cookieManager.getNextRefreshTime(),
+      nextRun: nextRefreshes.length > 0 ? new Date(Math.min(...nextRefreshes)) : null,
       interval: currentConfig.system.defaultRefreshInterval,
-      lastRun: cookieManager.getLastRefreshTime()
+      lastRun: lastRefreshTimes.length > 0 ? new Date(Math.max(...lastRefreshTimes)) : null
     };
     
     res.json({
@@ -322,8 +370,33 @@ router.get('/cookies', async (req, res) => {
   }
 });
 
+/**
+ * Probe whether platform cookies still hold a working session
+ */
+router.post('/cookies/validate', async (req, res) => {
+  try {
+    const { platform } = req.body;
+    
+    if (!platform) {
+      return res.status(400).json({ error: 'Platform is required' });
+    }
+    
+    await cookieManager.validateSession(platform);
+    
+    res.json({
+      platform,
+      session: cookieManager.getSessionValidity(platform)
+    });
+  } catch (error) {
+    console.error('Error validating cookies:', error);
+    res.status(500).json({ error: 'Failed to validate cookies', details: error.message });
+  }
+});
+
 /**
  * Refresh platform cookies endpoint
+ * Starts a manual refresh job and answers 202 right away; poll the job with
+ * GET /refresh-jobs/:id until its status is succeeded or failed.
  */
 router.post('/cookies/refresh', async (req, res) => {
   try {
@@ -333,30 +406,217 @@ router.post('/cookies/refresh', async (req, res) => {
       return res.status(400).json({ error: 'Platform is required' });
     }
     
-    const cookieManager = getCookieManager();
-    const result = await cookieManager.refreshCookies(platform);
-    
-    if (result.success) {
-      res.json({
-        success: true,
-        platform,
-        message: `Cookies refreshed successfully for ${platform}`,
-        expiresAt: result.expiresAt
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        platform,
-        error: `Failed to refresh cookies for ${platform}`,
-        details: result.error
-      });
+    if (!cookieManager.getPlatformConfig(platform)) {
+      return res.status(404).json({ error: `Platform ${platform} is not configured` });
     }
+    
+    const job = await cookieManager.startRefreshJob(platform, 'manual');
+    
+    res.status(202).json({
+      success: true,
+      platform,
+      message: `Cookie refresh started for ${platform}`,
+      jobId: job.id,
+      job,
+      statusUrl: `${req.baseUrl}/refresh-jobs/${job.id}`
+    });
   } catch (error) {
     console.error('Error refreshing cookies:', error);
     res.status(500).json({ error: 'Failed to refresh cookies', details: error.message });
   }
 });
 
+/**
+ * Import platform cookies from a browser export endpoint
+ * Accepts the export file as the raw request body (any non-JSON content type,
+ * with ?format= to override detection), or as JSON { content, format }.
+ */
+router.post('/cookies/:platform/import', express.text({ type: () => true, limit: '10mb' }), async (req, res) => {
+  try {
+    const { platform } = req.params;
+    const isRawBody = typeof req.body === 'string';
+    const content = isRawBody ? req.body : req.body?.content;
+    const format = req.query.format || (isRawBody ? undefined : req.body?.format);
+    
+    const result = await cookieManager.importCookies(platform, content, { format });
+    
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof CookieImportError) {
+      return res.status(400).json({ success: false, error: 'Failed to import cookies', details: error.message });
+    }
+    
+    console.error('Error importing cookies:', error);
+    res.status(500).json({ success: false, error: 'Failed to import cookies', details: error.message });
+  }
+});
+
+/**
+ * Get refresh jobs endpoint
+ * Jobs come newest first and can be filtered with ?platform=, ?trigger=,
+ * ?status=, ?since= (ISO date or timestamp in milliseconds) and ?limit=.
+ */
+router.get('/refresh-jobs', async (req, res) => {
+  try {
+    const { platform, trigger, status, since } = req.query;
+    
+    if (trigger && !REFRESH_TRIGGERS.includes(trigger)) {
+      return res.status(400).json({ error: `Invalid trigger: ${trigger}`, details: `Expected one of ${REFRESH_TRIGGERS.join(', ')}` });
+    }
+    
+    if (status && !REFRESH_JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status: ${status}`, details: `Expected one of ${REFRESH_JOB_STATUSES.join(', ')}` });
+    }
+    
+    const sinceTime = since ? (/^\d+$/.test(since) ? Number(since) : Date.parse(since)) : undefined;
+    if (Number.isNaN(sinceTime)) {
+      return res.status(400).json({ error: `Invalid since: ${since}`, details: 'Expected an ISO date or a timestamp in milliseconds' });
+    }
+    
+    const jobs = await cookieManager.getRefreshJobs({
+      platform,
+      trigger,
+      status,
+      since: sinceTime,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+    });
+    
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Error fetching refresh jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch refresh jobs', details: error.message });
+  }
+});
+
+/**
+ * Get refresh job endpoint
+ */
+router.get('/refresh-jobs/:id', async (req, res) => {
+  try {
+    const job = await cookieManager.getRefreshJob(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({ error: `Refresh job ${req.params.id} not found` });
+    }
+    
+    res.json({ job });
+  } catch (error) {
+    console.error('Error fetching refresh job:', error);
+    res.status(500).json({ error: 'Failed to fetch refresh job', details: error.message });
+  }
+});
+
+/**
+ * Send the response of a failed cookie history request
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised by the cookie manager
+ * @param {string} action - Failed action for the error message
+ */
+function sendCookieHistoryError(res, error, action) {
+  if (error instanceof CookieHistoryError) {
+    return res.status(error.statusCode).json({ success: false, error: `Failed to ${action}`, details: error.message });
+  }
+  
+  console.error(`Error trying to ${action}:`, error);
+  res.status(500).json({ success: false, error: `Failed to ${action}`, details: error.message });
+}
+
+/**
+ * Parse the cookie version id of a history request
+ * @param {Object} req - Express request
+ * @returns {number} - Version id
+ * @throws {CookieHistoryError} - If the id isn't a positive integer
+ */
+function getVersionId(req) {
+  const versionId = Number(req.params.id);
+  
+  if (!Number.isInteger(versionId) || versionId <= 0) {
+    throw new CookieHistoryError(`Invalid cookie version id: ${req.params.id}`, 400);
+  }
+  
+  return versionId;
+}
+
+/**
+ * Get platform cookie version history endpoint
+ * Versions are listed newest first with their cookie names (never values)
+ * and the difference from the platform's essential cookies.
+ */
+router.get('/cookies/:platform/history', async (req, res) => {
+  try {
+    const { platform } = req.params;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    
+    const versions = await cookieManager.getCookieHistory(platform, { limit });
+    
+    res.json({ platform, versions });
+  } catch (error) {
+    sendCookieHistoryError(res, error, 'get cookie history');
+  }
+});
+
+/**
+ * Get platform cookie version endpoint
+ */
+router.get('/cookies/:platform/history/:id', async (req, res) => {
+  try {
+    const version = await cookieManager.getCookieVersion(req.params.platform, getVersionId(req));
+    
+    res.json({ platform: req.params.platform, version });
+  } catch (error) {
+    sendCookieHistoryError(res, error, 'get cookie version');
+  }
+});
+
+/**
+ * Pin platform cookie version endpoint
+ * Pinned versions are kept when expired cookies are cleaned up.
+ */
+router.post('/cookies/:platform/history/:id/pin', async (req, res) => {
+  try {
+    const version = await cookieManager.pinCookieVersion(req.params.platform, getVersionId(req), true);
+    
+    res.json({ success: true, platform: req.params.platform, version });
+  } catch (error) {
+    sendCookieHistoryError(res, error, 'pin cookie version');
+  }
+});
+
+/**
+ * Unpin platform cookie version endpoint
+ */
+router.delete('/cookies/:platform/history/:id/pin', async (req, res) => {
+  try {
+    const version = await cookieManager.pinCookieVersion(req.params.platform, getVersionId(req), false);
+    
+    res.json({ success: true, platform: req.params.platform, version });
+  } catch (error) {
+    sendCookieHistoryError(res, error, 'unpin cookie version');
+  }
+});
+
+/**
+ * Roll back platform cookies endpoint
+ * The chosen version becomes the platform's current cookies as a new version.
+ */
+router.post('/cookies/:platform/history/:id/rollback', async (req, res) => {
+  try {
+    const version = await cookieManager.rollbackCookies(req.params.platform, getVersionId(req));
+    
+    res.json({
+      success: true,
+      platform: req.params.platform,
+      message: `Cookies of ${req.params.platform} rolled back to version ${req.params.id}`,
+      version
+    });
+  } catch (error) {
+    sendCookieHistoryError(res, error, 'roll back cookies');
+  }
+});
+
 /**
  * Get error logs endpoint
  */
@@ -422,8 +682,44 @@ router.get('/config', (req, res) => {
   }
 });
 
+/**
+ * Find a refresh interval in a configuration update that isn't a valid cron expression
+ * @param {Object} newConfig - Configuration update
+ * @returns {string|null} - Description of the first invalid interval, or null
+ */
+function findInvalidRefreshInterval(newConfig) {
+  const intervals = [['system.defaultRefreshInterval', newConfig.system?.defaultRefreshInterval]];
+  
+  for (const platform in newConfig.platforms || {}) {
+    intervals.push([`platforms.${platform}.refreshInterval`, newConfig.platforms[platform]?.refreshInterval]);
+  }
+  
+  const invalid = intervals.find(([, interval]) => interval !== undefined && (typeof interval !== 'string' || !cron.validate(interval)));
+  return invalid ? `${invalid[0]} is not a valid cron expression: ${invalid[1]}` : null;
+}
+
+/**
+ * Find a platform flow in a configuration update that can't be run
+ * @param {Object} newConfig - Configuration update
+ * @returns {string|null} - Description of the first invalid flow, or null
+ */
+function findInvalidFlow(newConfig) {
+  for (const platform in newConfig.platforms || {}) {
+    const flow = newConfig.platforms[platform]?.flow;
+    const problem = flow !== undefined ? validateFlow(flow) : null;
+    
+    if (problem) {
+      return `platforms.${platform}.flow: ${problem}`;
+    }
+  }
+  
+  return null;
+}
+
 /**
  * Update configuration endpoint
+ * Changed refresh intervals reschedule the cookie refresh jobs, and changed
+ * flows apply to the next cookie extraction.
  */
 router.post('/config', (req, res) => {
   try {
@@ -434,6 +730,16 @@ router.post('/config', (req, res) => {
       return res.status(400).json({ error: 'Invalid configuration format' });
     }
     
+    const invalidInterval = findInvalidRefreshInterval(newConfig);
+    if (invalidInterval) {
+      return res.status(400).json({ error: 'Invalid refresh interval', details: invalidInterval });
+    }
+    
+    const invalidFlow = findInvalidFlow(newConfig);
+    if (invalidFlow) {
+      return res.status(400).json({ error: 'Invalid extraction flow', details: invalidFlow });
+    }
+    
     // Update configuration
     if (newConfig.system) {
       currentConfig.system = { ...currentConfig.system, ...newConfig.system };
@@ -453,6 +759,8 @@ router.post('/config', (req, res) => {
     
     // In a production environment, we would save this to a database
     
+    cookieManager.setScheduleConfig(currentConfig);
+    
     res.json({
       success: true,
       message: 'Configuration updated successfully',
@@ -121,6 +121,14 @@ function SystemStatus() {
                     <span className="info-value">{new Date(data.cookieExpiration).toLocaleString()}</span>
                   </div>
                 )}
+                {data.session && (
+                  <div className="info-item">
+                    <span className="info-label">Session:</span>
+                    <span className="info-value" title={data.session.reason || ''}>
+                      {formatSession(data.session)}
+                    </span>
+                  </div>
+                )}
               </Card.Body>
             </Card>
           </Col>
@@ -135,6 +143,7 @@ function getBadgeColor(status) {
     case 'connected':
       return 'success';
     case 'not_configured':
+    case 'session_invalid':
       return 'warning';
     case 'not_implemented':
       return 'secondary';
@@ -151,9 +160,16 @@ function formatStatus(status) {
       return 'Not Configured';
     case 'not_implemented':
       return 'Not Implemented';
+    case 'session_invalid':
+      return 'Session Invalid';
     default:
       return 'Error';
   }
 }
 
+function formatSession(session) {
+  const label = session.status.charAt(0).toUpperCase() + session.status.slice(1);
+  return session.checkedAt ? `${label} (checked ${new Date(session.checkedAt).toLocaleString()})` : label;
+}
+
 export default SystemStatus;
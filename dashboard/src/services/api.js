@@ -104,10 +104,97 @@ export async function fetchPerformanceMetrics(params = {}) {
   }
 }
 
+/**
+ * Probe whether a platform's cookies still hold a working session
+ * @param {string} platform - Platform identifier
+ * @returns {Promise<Object>} Session validity
+ */
+export async function validatePlatformCookies(platform) {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/cookies/validate`, { platform });
+    return response.data;
+  } catch (error) {
+    console.error('Error validating cookies:', error);
+    throw error;
+  }
+}
+
+/**
+ * Import platform cookies from a browser export (HAR, cookies.txt or EditThisCookie JSON)
+ * @param {string} platform - Platform identifier
+ * @param {string} content - Export file content
+ * @param {string} format - Optional format ('har', 'netscape' or 'json'); detected when omitted
+ * @returns {Promise<Object>} Import summary
+ */
+export async function importPlatformCookies(platform, content, format) {
+  try {
+    // Sent as plain text, since HAR files easily exceed the JSON body limit
+    const response = await axios.post(`${API_BASE_URL}/cookies/${platform}/import`, content, {
+      headers: { 'Content-Type': 'text/plain' },
+      params: format ? { format } : {}
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error importing cookies:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the stored cookie versions of a platform, newest first
+ * @param {string} platform - Platform identifier
+ * @param {number} limit - Maximum number of versions
+ * @returns {Promise<Object>} Platform and version summaries
+ */
+export async function fetchCookieHistory(platform, limit = 20) {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/cookies/${platform}/history`, { params: { limit } });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching cookie history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Pin or unpin a cookie version of a platform
+ * @param {string} platform - Platform identifier
+ * @param {number} versionId - Cookie version id
+ * @param {boolean} pinned - Whether to pin the version
+ * @returns {Promise<Object>} Updated version summary
+ */
+export async function pinCookieVersion(platform, versionId, pinned = true) {
+  try {
+    const url = `${API_BASE_URL}/cookies/${platform}/history/${versionId}/pin`;
+    const response = pinned ? await axios.post(url) : await axios.delete(url);
+    return response.data;
+  } catch (error) {
+    console.error('Error pinning cookie version:', error);
+    throw error;
+  }
+}
+
+/**
+ * Roll back the cookies of a platform to an earlier version
+ * @param {string} platform - Platform identifier
+ * @param {number} versionId - Cookie version id
+ * @returns {Promise<Object>} Rollback result with the new current version
+ */
+export async function rollbackPlatformCookies(platform, versionId) {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/cookies/${platform}/history/${versionId}/rollback`);
+    return response.data;
+  } catch (error) {
+    console.error('Error rolling back cookies:', error);
+    throw error;
+  }
+}
+
 /**
  * Trigger manual cookie refresh for a platform
+ * The refresh runs in the background; poll fetchRefreshJob with the returned jobId.
  * @param {string} platform - Platform identifier
- * @returns {Promise<Object>} Refresh result
+ * @returns {Promise<Object>} Started refresh job with its jobId
  */
 export async function refreshPlatformCookies(platform) {
   try {
@@ -118,3 +205,33 @@ export async function refreshPlatformCookies(platform) {
     throw error;
   }
 }
+
+/**
+ * Fetch cookie refresh jobs, newest first
+ * @param {Object} filters - Optional platform, trigger, status, since and limit
+ * @returns {Promise<Object>} Refresh jobs
+ */
+export async function fetchRefreshJobs(filters = {}) {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/refresh-jobs`, { params: filters });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching refresh jobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch one cookie refresh job
+ * @param {string} jobId - Refresh job id
+ * @returns {Promise<Object>} Refresh job
+ */
+export async function fetchRefreshJob(jobId) {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/refresh-jobs/${jobId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching refresh job:', error);
+    throw error;
+  }
+}
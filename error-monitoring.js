@@ -8,6 +8,7 @@ const winston = require('winston');
 const { format } = winston;
 const path = require('path');
 const fs = require('fs');
+const { AdapterError } = require('./platform-adapters/src/errors');
 
 // Define log formats
 const consoleFormat = format.combine(
@@ -182,7 +183,7 @@ function getRecentErrors(limit = MAX_RECENT_ERRORS) {
 
 function createErrorMiddleware() {
   return (err, req, res, next) => {
-    const platform = req.body?.platform || req.query?.platform || 'unknown';
+    const platform = err.platformId || req.body?.platform || req.query?.platform || 'unknown';
     const operation = req.path;
 
     logError(err, platform, operation, {
@@ -192,6 +193,14 @@ function createErrorMiddleware() {
       userAgent: req.get('User-Agent')
     });
 
+    // Typed adapter errors carry their own HTTP mapping
+    if (err instanceof AdapterError) {
+      return res.status(err.statusCode).json({
+        ...err.toJSON(),
+        status: err.statusCode
+      });
+    }
+
     res.status(err.status || 500).json({
       error: err.message,
       status: err.status || 500
@@ -7,12 +7,14 @@ const winston = require('winston');
 const { format } = winston;
 const path = require('path');
 const fs = require('fs');
-
-// Create logs directory if it doesn't exist
-const logsDir = path.join(__dirname, 'logs');
-if (!fs.existsSync(logsDir)) {
-  fs.mkdirSync(logsDir, { recursive: true });
-}
+const CircuitBreakerRegistry = require('./circuit-breaker');
+const {
+  AdapterError,
+  AuthenticationError,
+  RateLimitedError,
+  UpstreamUnavailableError,
+  RecoveryFailedError
+} = require('./platform-adapters/src/errors');
 
 // Configure Winston logger
 const logger = winston.createLogger({
@@ -22,21 +24,30 @@ const logger = winston.createLogger({
     format.json()
   ),
   defaultMeta: { service: 'error-recovery' },
-  transports: [
-    new winston.transports.File({ filename: path.join(logsDir, 'error.log'), level: 'error' }),
-    new winston.transports.File({ filename: path.join(logsDir, 'combined.log') })
-  ]
+  transports: []
 });
 
-// Add console transport in development environment
-if (process.env.NODE_ENV !== 'production') {
-  logger.add(new winston.transports.Console({
-    format: format.combine(
+// Skip file logging in production, staging and test environments, like error-monitoring
+if (!['production', 'staging', 'test'].includes(process.env.NODE_ENV)) {
+  // Create logs directory if it doesn't exist
+  const logsDir = path.join(__dirname, 'logs');
+  if (!fs.existsSync(logsDir)) {
+    fs.mkdirSync(logsDir, { recursive: true });
+  }
+
+  logger.add(new winston.transports.File({ filename: path.join(logsDir, 'error.log'), level: 'error' }));
+  logger.add(new winston.transports.File({ filename: path.join(logsDir, 'combined.log') }));
+}
+
+// Add console transport, the only one in production
+logger.add(new winston.transports.Console({
+  format: process.env.NODE_ENV === 'production'
+    ? format.json()
+    : format.combine(
       format.colorize(),
       format.simple()
     )
-  }));
-}
+}));
 
 // In-memory storage for recent errors (for dashboard display)
 const recentErrors = [];
@@ -48,74 +59,185 @@ const MAX_RECENT_ERRORS = 100;
  */
 class ErrorRecoverySystem {
   constructor() {
-    this.retryCounters = {};
     this.maxRetries = parseInt(process.env.MAX_RETRIES || '3', 10);
     this.baseRetryDelay = parseInt(process.env.BASE_RETRY_DELAY || '1000', 10); // 1 second
     this.maxRetryDelay = parseInt(process.env.MAX_RETRY_DELAY || '60000', 10); // 1 minute
+    this.recoveryTimeout = parseInt(process.env.RECOVERY_TIMEOUT || '30000', 10); // 30 seconds
+    this.circuitBreakers = new CircuitBreakerRegistry();
   }
 
+  /**
+   * Throw if the circuit breaker of a platform or operation is open
+   * @param {string} platform - Platform identifier
+   * @param {string} operation - Operation being performed
+   * @throws {PlatformUnavailableError} - If the platform must not be called
+   */
+  assertAvailable(platform, operation) {
+    this.circuitBreakers.assertAvailable(platform, operation);
+  }
+
+  /**
+   * Record a successful platform call, closing its circuit breakers
+   * @param {string} platform - Platform identifier
+   * @param {string} operation - Operation being performed
+   */
+  recordSuccess(platform, operation) {
+    this.circuitBreakers.recordSuccess(platform, operation);
+  }
+
+  /**
+   * Record a failed platform call with the circuit breakers
+   * Only failures that mean the platform is unhealthy count towards opening a
+   * breaker; authentication and other errors still prove the platform answered.
+   * @param {Error} error - The error
+   * @param {string} platform - Platform identifier
+   * @param {string} operation - Operation being performed
+   * @returns {string} - Error type
+   */
+  recordFailure(error, platform, operation) {
+    const errorType = this.determineErrorType(error, platform);
+
+    if (['network', 'server', 'rateLimiting'].includes(errorType)) {
+      this.circuitBreakers.recordFailure(platform, operation);
+    } else {
+      this.circuitBreakers.recordSuccess(platform, operation);
+    }
+
+    return errorType;
+  }
+
+  /**
+   * Get the circuit breaker state of every platform
+   * @returns {Object} - Map of platform to breaker state
+   */
+  getCircuitBreakerStates() {
+    return this.circuitBreakers.getStates();
+  }
+
+  /**
+   * Create the retry state of a single wrapped call
+   * Every invocation gets its own context, so concurrent calls of the same
+   * operation never share or reset each other's attempts.
+   * @param {string} platform - Platform identifier
+   * @param {string} operation - Operation being performed
+   * @param {Object} options - Options
+   * @param {number} options.maxRetries - Retries allowed for this call (default: MAX_RETRIES)
+   * @param {number} options.timeout - Time in milliseconds the call may spend recovering (default: RECOVERY_TIMEOUT)
+   * @param {RequestBudget} options.budget - Budget of the incoming request; its deadline wins if sooner
+   * @param {string} options.sessionId - User session whose cookie jar the call uses, if any
+   * @param {string} options.bootstrapUrl - Page that bootstraps a new cookie jar for the session
+   * @returns {Object} - Attempt context with attempt number, deadline and accumulated errors
+   */
+  createAttemptContext(platform, operation, options = {}) {
+    const startedAt = Date.now();
+    let deadline = startedAt + (options.timeout || this.recoveryTimeout);
+    
+    if (options.budget) {
+      deadline = Math.min(deadline, options.budget.deadline);
+    }
+    
+    return {
+      platform,
+      operation,
+      attempt: 0,
+      maxRetries: options.maxRetries !== undefined ? options.maxRetries : this.maxRetries,
+      startedAt,
+      deadline,
+      budget: options.budget || null,
+      sessionId: options.sessionId || null,
+      bootstrapUrl: options.bootstrapUrl || null,
+      errors: [],
+      cookiesRefreshed: false
+    };
+  }
+  
   /**
    * Handle errors with appropriate recovery strategies
    * @param {Error} error - The error to handle
    * @param {string} platform - Platform identifier (e.g., 'motonet', 'sryhma', 'gigantti')
    * @param {string} operation - Operation being performed (e.g., 'searchProducts', 'addToCart')
    * @param {Function} retryCallback - Function to call for retry
+   * @param {Object} context - Attempt context of the call (see createAttemptContext)
    * @returns {Promise<any>} - Result of retry or throws error if recovery failed
    */
-  async handleError(error, platform, operation, retryCallback) {
-    // Generate a unique key for this operation
-    const operationKey = `${platform}:${operation}`;
-    
-    // Initialize retry counter if not exists
-    if (!this.retryCounters[operationKey]) {
-      this.retryCounters[operationKey] = 0;
+  async handleError(error, platform, operation, retryCallback, context = this.createAttemptContext(platform, operation)) {
+    // A spent request budget ends recovery; it says nothing about the platform's health,
+    // so a half-open breaker's trial slot goes back for the next call
+    if (error.code === 'REQUEST_TIMEOUT') {
+      this.circuitBreakers.release(platform, operation);
+      throw error;
     }
     
+    context.errors.push(error);
+    
     // Log the error
     this.logError(error, platform, operation);
     
     // Determine error type and apply appropriate recovery strategy
-    const errorType = this.determineErrorType(error, platform);
+    const errorType = this.recordFailure(error, platform, operation);
+    
+    // Fail fast instead of backing off if this failure opened a circuit breaker
+    if (!this.circuitBreakers.isAvailable(platform, operation)) {
+      this.assertAvailable(platform, operation);
+    }
+    
+    // Retrying can't fix errors like a missing product or an unparseable page
+    if (error.retryable === false) {
+      throw error;
+    }
     
     // Check if we've exceeded max retries
-    if (this.retryCounters[operationKey] >= this.maxRetries) {
-      // Reset retry counter
-      this.retryCounters[operationKey] = 0;
-      
+    if (context.attempt >= context.maxRetries) {
       // Log max retries exceeded
       logger.error(`Max retries exceeded for ${platform}:${operation}`, {
         platform,
         operation,
         errorType,
-        maxRetries: this.maxRetries
+        maxRetries: context.maxRetries
       });
       
       // Throw error with additional context
-      throw new Error(`Max retries exceeded for ${platform}:${operation}: ${error.message}`);
+      throw this.createRecoveryError('Max retries exceeded', context);
     }
     
-    // Increment retry counter
-    this.retryCounters[operationKey]++;
+    context.attempt++;
     
     // Apply recovery strategy based on error type
     switch (errorType) {
       case 'authentication':
-        return this.handleAuthenticationError(error, platform, operation, retryCallback);
+        return this.handleAuthenticationError(error, platform, operation, retryCallback, context);
         
       case 'rateLimiting':
-        return this.handleRateLimitingError(error, platform, operation, retryCallback);
+        return this.handleRateLimitingError(error, platform, operation, retryCallback, context);
         
       case 'server':
-        return this.handleServerError(error, platform, operation, retryCallback);
+        return this.handleServerError(error, platform, operation, retryCallback, context);
         
       case 'network':
-        return this.handleNetworkError(error, platform, operation, retryCallback);
+        return this.handleNetworkError(error, platform, operation, retryCallback, context);
         
       default:
-        return this.handleGenericError(error, platform, operation, retryCallback);
+        return this.handleGenericError(error, platform, operation, retryCallback, context);
     }
   }
   
+  /**
+   * Create the error thrown when a call gives up recovering
+   * @param {string} reason - Why recovery stopped
+   * @param {Object} context - Attempt context of the call
+   * @returns {RecoveryFailedError} - Error carrying every failed attempt, answering like the last one
+   */
+  createRecoveryError(reason, context) {
+    const lastError = context.errors[context.errors.length - 1];
+    
+    return new RecoveryFailedError(`${reason} for ${context.platform}:${context.operation}: ${lastError.message}`, {
+      platformId: context.platform,
+      operation: context.operation,
+      errors: context.errors,
+      cause: lastError
+    });
+  }
+  
   /**
    * Determine the type of error based on error properties and platform
    * @param {Error} error - The error to analyze
@@ -123,6 +245,29 @@ class ErrorRecoverySystem {
    * @returns {string} - Error type: 'authentication', 'rateLimiting', 'server', 'network', or 'unknown'
    */
   determineErrorType(error, platform) {
+    // Typed adapter errors say what they are
+    if (error instanceof AuthenticationError) {
+      return 'authentication';
+    }
+    
+    if (error instanceof RateLimitedError) {
+      return 'rateLimiting';
+    }
+    
+    if (error instanceof UpstreamUnavailableError) {
+      return error.upstreamStatus ? 'server' : 'network';
+    }
+    
+    if (error instanceof AdapterError && error.constructor !== AdapterError) {
+      return 'unknown';
+    }
+    
+    // Untyped errors are classified from their properties and message
+    // Adapters wrap request failures, keeping the Axios error as originalError
+    if (!error.isAxiosError && error.originalError && error.originalError.isAxiosError) {
+      error = error.originalError;
+    }
+    
     // Check if it's an Axios error
     if (error.isAxiosError) {
       // Network errors
@@ -248,23 +393,34 @@ class ErrorRecoverySystem {
    * @param {string} platform - Platform identifier
    * @param {string} operation - Operation being performed
    * @param {Function} retryCallback - Function to call for retry
+   * @param {Object} context - Attempt context of the call
    * @returns {Promise<any>} - Result of retry or throws error if recovery failed
    */
-  async handleAuthenticationError(error, platform, operation, retryCallback) {
+  async handleAuthenticationError(error, platform, operation, retryCallback, context) {
     logger.info(`Handling authentication error for ${platform}:${operation}`);
     
+    // Fresh cookies that are rejected again won't get better by refreshing twice
+    if (context.cookiesRefreshed) {
+      throw new AuthenticationError(`Authentication error for ${platform} after refreshing cookies: ${error.message}`, {
+        platformId: platform,
+        operation,
+        retryable: false,
+        cause: error
+      });
+    }
+    
     try {
-      // Refresh cookies for the platform
       const cookieManager = require('./cookie-management-system');
-      await cookieManager.refreshPlatformCookies(platform);
       
-      logger.info(`Successfully refreshed cookies for ${platform}, retrying operation`);
-      
-      // Wait before retry
-      await this.exponentialBackoff(platform, operation);
+      if (context.sessionId) {
+        // A user's own platform session can't be fixed by the shared browser extraction; start a new one
+        await cookieManager.resetSessionCookies(platform, context.sessionId, { bootstrapUrl: context.bootstrapUrl });
+      } else {
+        await cookieManager.refreshWithJob(platform, 'recovery');
+      }
+      context.cookiesRefreshed = true;
       
-      // Retry the operation
-      return await retryCallback();
+      logger.info(`Successfully refreshed cookies for ${platform}, retrying operation`);
     } catch (refreshError) {
       logger.error(`Failed to refresh cookies for ${platform}`, {
         platform,
@@ -273,8 +429,19 @@ class ErrorRecoverySystem {
       });
       
       // Re-throw the original error with context
-      throw new Error(`Authentication error for ${platform}: ${error.message}`);
+      throw new AuthenticationError(`Authentication error for ${platform}: ${error.message}`, {
+        platformId: platform,
+        operation,
+        retryable: false,
+        cause: error
+      });
     }
+    
+    // Wait before retry
+    await this.exponentialBackoff(platform, operation, context);
+    
+    // Retry the operation
+    return await retryCallback();
   }
   
   /**
@@ -283,15 +450,16 @@ class ErrorRecoverySystem {
    * @param {string} platform - Platform identifier
    * @param {string} operation - Operation being performed
    * @param {Function} retryCallback - Function to call for retry
+   * @param {Object} context - Attempt context of the call
    * @returns {Promise<any>} - Result of retry or throws error if recovery failed
    */
-  async handleRateLimitingError(error, platform, operation, retryCallback) {
+  async handleRateLimitingError(error, platform, operation, retryCallback, context) {
     logger.info(`Handling rate limiting error for ${platform}:${operation}`);
     
-    // Get retry delay from headers if available
-    let retryDelay = null;
+    // Get retry delay from the typed error or the headers if available
+    let retryDelay = error.retryAfter || null;
     
-    if (error.isAxiosError && error.response && error.response.headers) {
+    if (!retryDelay && error.isAxiosError && error.response && error.response.headers) {
       const headers = error.response.headers;
       
       // Check for Retry-After header (in seconds)
@@ -323,13 +491,13 @@ class ErrorRecoverySystem {
     
     // If no retry delay from headers, use exponential backoff
     if (!retryDelay) {
-      retryDelay = this.calculateExponentialBackoff(platform, operation);
+      retryDelay = this.calculateExponentialBackoff(platform, operation, context);
     }
     
     logger.info(`Rate limiting for ${platform}:${operation}, waiting ${retryDelay}ms before retry`);
     
     // Wait for the specified delay
-    await new Promise(resolve => setTimeout(resolve, retryDelay));
+    await this.waitBeforeRetry(retryDelay, context);
     
     // Retry the operation
     return await retryCallback();
@@ -341,13 +509,14 @@ class ErrorRecoverySystem {
    * @param {string} platform - Platform identifier
    * @param {string} operation - Operation being performed
    * @param {Function} retryCallback - Function to call for retry
+   * @param {Object} context - Attempt context of the call
    * @returns {Promise<any>} - Result of retry or throws error if recovery failed
    */
-  async handleServerError(error, platform, operation, retryCallback) {
+  async handleServerError(error, platform, operation, retryCallback, context) {
     logger.info(`Handling server error for ${platform}:${operation}`);
     
     // Use exponential backoff before retry
-    await this.exponentialBackoff(platform, operation);
+    await this.exponentialBackoff(platform, operation, context);
     
     // Retry the operation
     return await retryCallback();
@@ -359,13 +528,14 @@ class ErrorRecoverySystem {
    * @param {string} platform - Platform identifier
    * @param {string} operation - Operation being performed
    * @param {Function} retryCallback - Function to call for retry
+   * @param {Object} context - Attempt context of the call
    * @returns {Promise<any>} - Result of retry or throws error if recovery failed
    */
-  async handleNetworkError(error, platform, operation, retryCallback) {
+  async handleNetworkError(error, platform, operation, retryCallback, context) {
     logger.info(`Handling network error for ${platform}:${operation}`);
     
     // Use exponential backoff before retry
-    await this.exponentialBackoff(platform, operation);
+    await this.exponentialBackoff(platform, operation, context);
     
     // Retry the operation
     return await retryCallback();
@@ -377,13 +547,14 @@ class ErrorRecoverySystem {
    * @param {string} platform - Platform identifier
    * @param {string} operation - Operation being performed
    * @param {Function} retryCallback - Function to call for retry
+   * @param {Object} context - Attempt context of the call
    * @returns {Promise<any>} - Result of retry or throws error if recovery failed
    */
-  async handleGenericError(error, platform, operation, retryCallback) {
+  async handleGenericError(error, platform, operation, retryCallback, context) {
     logger.info(`Handling generic error for ${platform}:${operation}`);
     
     // Use exponential backoff before retry
-    await this.exponentialBackoff(platform, operation);
+    await this.exponentialBackoff(platform, operation, context);
     
     // Retry the operation
     return await retryCallback();
@@ -393,14 +564,42 @@ class ErrorRecoverySystem {
    * Apply exponential backoff delay
    * @param {string} platform - Platform identifier
    * @param {string} operation - Operation being performed
+   * @param {Object} context - Attempt context of the call
    * @returns {Promise<void>}
    */
-  async exponentialBackoff(platform, operation) {
-    const delay = this.calculateExponentialBackoff(platform, operation);
+  async exponentialBackoff(platform, operation, context) {
+    const delay = this.calculateExponentialBackoff(platform, operation, context);
     
     logger.info(`Applying exponential backoff for ${platform}:${operation}, waiting ${delay}ms`);
     
     // Wait for the calculated delay
+    await this.waitBeforeRetry(delay, context);
+  }
+  
+  /**
+   * Wait before retrying, unless the wait would run past the call's deadline
+   * @param {number} delay - Delay in milliseconds
+   * @param {Object} context - Attempt context of the call
+   * @returns {Promise<void>}
+   */
+  async waitBeforeRetry(delay, context) {
+    if (context && Date.now() + delay > context.deadline) {
+      const lastError = context.errors[context.errors.length - 1];
+      
+      // Report the request's own deadline as a structured timeout
+      if (context.budget && Date.now() + delay > context.budget.deadline) {
+        throw context.budget.createTimeoutError(context.platform, context.operation, 'deadline', lastError);
+      }
+      
+      logger.error(`Recovery deadline exceeded for ${context.platform}:${context.operation}`, {
+        platform: context.platform,
+        operation: context.operation,
+        attempts: context.errors.length
+      });
+      
+      throw this.createRecoveryError('Recovery deadline exceeded', context);
+    }
+    
     await new Promise(resolve => setTimeout(resolve, delay));
   }
   
@@ -408,11 +607,11 @@ class ErrorRecoverySystem {
    * Calculate exponential backoff delay
    * @param {string} platform - Platform identifier
    * @param {string} operation - Operation being performed
+   * @param {Object} context - Attempt context of the call
    * @returns {number} - Delay in milliseconds
    */
-  calculateExponentialBackoff(platform, operation) {
-    const operationKey = `${platform}:${operation}`;
-    const retryCount = this.retryCounters[operationKey] || 1;
+  calculateExponentialBackoff(platform, operation, context) {
+    const retryCount = (context && context.attempt) || 1;
     
     // Calculate delay with exponential backoff and jitter
     const exponentialPart = Math.pow(2, retryCount - 1) * this.baseRetryDelay;
@@ -480,23 +679,6 @@ class ErrorRecoverySystem {
   getRecentErrors(limit = MAX_RECENT_ERRORS) {
     return recentErrors.slice(0, limit);
   }
-  
-  /**
-   * Reset retry counter for an operation
-   * @param {string} platform - Platform identifier
-   * @param {string} operation - Operation being performed
-   */
-  resetRetryCounter(platform, operation) {
-    const operationKey = `${platform}:${operation}`;
-    this.retryCounters[operationKey] = 0;
-  }
-  
-  /**
-   * Reset all retry counters
-   */
-  resetAllRetryCounters() {
-    this.retryCounters = {};
-  }
 }
 
 // Create singleton instance
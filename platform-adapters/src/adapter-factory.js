@@ -5,6 +5,7 @@
 const MotonetAdapter = require('./adapters/motonet-adapter');
 const SRyhmaAdapter = require('./adapters/sryhma-adapter');
 const GiganttiAdapter = require('./adapters/gigantti-adapter');
+const RustaAdapter = require('./adapters/rusta-adapter');
 
 class ECommerceAdapterFactory {
   /**
@@ -23,9 +24,27 @@ class ECommerceAdapterFactory {
   /**
    * Get an adapter for the specified platform
    * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @param {Object} options - Adapter options
+   * @param {string} options.sessionId - Bind the adapter to a user session's cookie jar
+   * @param {RequestBudget} options.budget - Bind the adapter to an incoming request's budget
    * @returns {Object} - Platform-specific adapter instance
    */
-  getAdapter(platform) {
+  getAdapter(platform, options = {}) {
+    let adapter = this.getPlatformAdapter(platform);
+    
+    if (options.sessionId) {
+      adapter = adapter.forSession(options.sessionId);
+    }
+    
+    return options.budget ? adapter.withBudget(options.budget) : adapter;
+  }
+
+  /**
+   * Get the shared adapter instance for the specified platform
+   * @param {string} platform - Platform identifier (e.g., 'motonet')
+   * @returns {Object} - Platform-specific adapter instance
+   */
+  getPlatformAdapter(platform) {
     // Return existing adapter instance if available
     if (this.adapters[platform]) {
       return this.adapters[platform];
@@ -45,6 +64,10 @@ class ECommerceAdapterFactory {
         this.adapters[platform] = new GiganttiAdapter(this.cookieManager);
         break;
         
+      case 'rusta':
+        this.adapters[platform] = new RustaAdapter(this.cookieManager);
+        break;
+        
       default:
         throw new Error(`Unsupported platform: ${platform}`);
     }
@@ -57,7 +80,7 @@ class ECommerceAdapterFactory {
    * @returns {Array} - Array of supported platform identifiers
    */
   getSupportedPlatforms() {
-    return ['motonet', 'sryhma', 'gigantti']; // Add others as they are implemented
+    return ['motonet', 'sryhma', 'gigantti', 'rusta']; // Add others as they are implemented
   }
 
   /**
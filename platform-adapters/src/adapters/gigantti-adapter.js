@@ -2,8 +2,8 @@
  * Gigantti E-Commerce Platform Adapter
  * Implements the platform-specific logic for Gigantti
  */
-const axios = require('axios');
 const BaseECommerceAdapter = require('../base-adapter');
+const { GENERAL_VAT_RATE, absoluteUrl } = require('../product-schema');
 
 class GiganttiAdapter extends BaseECommerceAdapter {
   /**
@@ -18,6 +18,34 @@ class GiganttiAdapter extends BaseECommerceAdapter {
     this.cartPath = '/cart';
   }
 
+  /**
+   * Map a Gigantti product into canonical product fields
+   * @param {Object} rawProduct - Product as returned by Gigantti
+   * @returns {Object} - Fields for createProduct()
+   */
+  mapProduct(rawProduct) {
+    const productId = rawProduct.sku || rawProduct.articleNumber || rawProduct.id;
+    
+    return {
+      id: productId,
+      name: rawProduct.name || rawProduct.title,
+      brand: rawProduct.brand?.name || rawProduct.brand,
+      ean: rawProduct.ean || rawProduct.gtin,
+      mpn: rawProduct.manufacturerPartNumber || rawProduct.mpn,
+      price: rawProduct.price,
+      currency: rawProduct.price?.currency,
+      vatRate: GENERAL_VAT_RATE,
+      images: rawProduct.images || rawProduct.imageUrl,
+      availability: {
+        inStock: rawProduct.inStock,
+        status: rawProduct.stockStatus || rawProduct.availability,
+        quantity: rawProduct.stockQuantity
+      },
+      url: absoluteUrl(rawProduct.url || `/product/${productId}`, this.baseUrl),
+      categoryPath: rawProduct.categoryPath || rawProduct.breadcrumbs || []
+    };
+  }
+
   /**
    * Search for products on Gigantti
    * @param {string} query - Search query
@@ -28,11 +56,11 @@ class GiganttiAdapter extends BaseECommerceAdapter {
     try {
       const cookies = await this.getCookies();
       
-      const response = await axios({
+      const response = await this.request({
         method: 'get',
         url: `${this.apiBaseUrl}/search`,
+        cookies,
         headers: {
-          'Cookie': cookies.cookieString,
           'Content-Type': 'application/json',
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36'
         },
@@ -44,7 +72,7 @@ class GiganttiAdapter extends BaseECommerceAdapter {
         }
       });
       
-      return response.data.products || [];
+      return this.normalizeProducts(response.data.products);
     } catch (error) {
       this.handleError(error, 'searchProducts');
     }
@@ -59,19 +87,19 @@ class GiganttiAdapter extends BaseECommerceAdapter {
     try {
       const cookies = await this.getCookies();
       
-      const response = await axios({
+      const response = await this.request({
         method: 'get',
         url: `${this.apiBaseUrl}/products/${productId}`,
+        cookies,
         headers: {
-          'Cookie': cookies.cookieString,
           'Content-Type': 'application/json',
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36'
         }
       });
       
-      return response.data;
+      return this.normalizeProduct(response.data);
     } catch (error) {
-      this.handleError(error, 'getProductDetails');
+      this.handleError(error, 'getProductDetails', { productId });
     }
   }
 
@@ -83,13 +111,15 @@ class GiganttiAdapter extends BaseECommerceAdapter {
    */
   async addToCart(productId, quantity = 1) {
     try {
-      const cookies = await this.getCookies();
+      this.assertValidQuantity(quantity);
+      
+      const cookies = await this.getCookies({ validate: true });
       
-      const response = await axios({
+      const response = await this.request({
         method: 'post',
         url: `${this.apiBaseUrl}/cart/add`,
+        cookies,
         headers: {
-          'Cookie': cookies.cookieString,
           'Content-Type': 'application/json',
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36',
           'Origin': this.baseUrl,
@@ -107,10 +137,18 @@ class GiganttiAdapter extends BaseECommerceAdapter {
         data: response.data
       };
     } catch (error) {
-      this.handleError(error, 'addToCart');
+      this.handleError(error, 'addToCart', { productId });
     }
   }
 
+  /**
+   * Get the request used to check whether cookies still hold a working session
+   * @returns {Object} - Session probe
+   */
+  getSessionProbe() {
+    return { url: `${this.apiBaseUrl}/cart` };
+  }
+
   /**
    * Get the current contents of the cart
    * @returns {Promise<Object>} - Cart contents
@@ -119,11 +157,11 @@ class GiganttiAdapter extends BaseECommerceAdapter {
     try {
       const cookies = await this.getCookies();
       
-      const response = await axios({
+      const response = await this.request({
         method: 'get',
         url: `${this.apiBaseUrl}/cart`,
+        cookies,
         headers: {
-          'Cookie': cookies.cookieString,
           'Content-Type': 'application/json',
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36'
         }
@@ -135,6 +173,127 @@ class GiganttiAdapter extends BaseECommerceAdapter {
     }
   }
 
+  /**
+   * Change the quantity of a cart line
+   * @param {string} itemId - Cart line identifier
+   * @param {number} quantity - New quantity
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async updateCartItem(itemId, quantity) {
+    try {
+      this.assertValidQuantity(quantity);
+      
+      const cookies = await this.getCookies();
+      
+      const response = await this.request({
+        method: 'post',
+        url: `${this.apiBaseUrl}/cart/update`,
+        cookies,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36',
+          'Origin': this.baseUrl,
+          'Referer': `${this.baseUrl}/cart`
+        },
+        data: {
+          lineItemId: itemId,
+          quantity: quantity
+        }
+      });
+      
+      return {
+        success: true,
+        message: `Updated cart item ${itemId} to quantity ${quantity}`,
+        data: response.data
+      };
+    } catch (error) {
+      this.handleError(error, 'updateCartItem', { productId: itemId });
+    }
+  }
+
+  /**
+   * Remove a line from the cart
+   * @param {string} itemId - Cart line identifier
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async removeCartItem(itemId) {
+    try {
+      const cookies = await this.getCookies();
+      
+      const response = await this.request({
+        method: 'post',
+        url: `${this.apiBaseUrl}/cart/remove`,
+        cookies,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36',
+          'Origin': this.baseUrl,
+          'Referer': `${this.baseUrl}/cart`
+        },
+        data: {
+          lineItemId: itemId
+        }
+      });
+      
+      return {
+        success: true,
+        message: `Removed cart item ${itemId} from cart`,
+        data: response.data
+      };
+    } catch (error) {
+      this.handleError(error, 'removeCartItem', { productId: itemId });
+    }
+  }
+
+  /**
+   * Fetch the raw category tree from Gigantti
+   * @returns {Promise<Array>} - Categories as returned by Gigantti
+   */
+  async fetchCategoryTree() {
+    const cookies = await this.getCookies();
+    
+    const response = await this.request({
+      method: 'get',
+      url: `${this.apiBaseUrl}/categories`,
+      cookies,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36'
+      }
+    });
+    
+    return response.data.categories;
+  }
+
+  /**
+   * Fetch a page of raw products in a Gigantti category
+   * @param {string} categoryId - Category identifier
+   * @param {Object} options - Pagination options (page, limit)
+   * @returns {Promise<Object>} - Raw products and the total count
+   */
+  async fetchCategoryProducts(categoryId, options) {
+    const cookies = await this.getCookies();
+    
+    const response = await this.request({
+      method: 'get',
+      url: `${this.apiBaseUrl}/categories/${encodeURIComponent(categoryId)}/products`,
+      cookies,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36'
+      },
+      params: {
+        page: options.page,
+        pageSize: options.limit
+      }
+    });
+    
+    return {
+      products: response.data.products,
+      total: response.data.totalCount
+    };
+  }
+
   /**
    * Initiate the checkout process
    * @param {Object} options - Checkout options
@@ -144,11 +303,11 @@ class GiganttiAdapter extends BaseECommerceAdapter {
     try {
       const cookies = await this.getCookies();
       
-      const response = await axios({
+      const response = await this.request({
         method: 'post',
         url: `${this.apiBaseUrl}/checkout/initiate`,
+        cookies,
         headers: {
-          'Cookie': cookies.cookieString,
           'Content-Type': 'application/json',
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36',
           'Origin': this.baseUrl,
@@ -1,6 +1,13 @@
 // Modified version of motonet-adapter.js with improved product ID handling and parameter naming
-const axios = require('axios');
 const BaseECommerceAdapter = require('../base-adapter');
+const {
+  GENERAL_VAT_RATE,
+  absoluteUrl,
+  extractJsonLdProduct,
+  mapJsonLdProduct
+} = require('../product-schema');
+const { parseMotonetCart } = require('../parsers/motonet-cart-parser');
+const { AuthenticationError, ParseError, fromHttpError } = require('../errors');
 
 class MotonetAdapter extends BaseECommerceAdapter {
   /**
@@ -43,13 +50,12 @@ class MotonetAdapter extends BaseECommerceAdapter {
 
   /**
    * Get standard headers for API requests
-   * @param {string} cookieString - Cookie string
+   * The Cookie header is added by request() from the request's cookies option.
    * @param {string} referer - Referer URL
    * @returns {Object} - Headers object
    */
-  getStandardHeaders(cookieString, referer = this.baseUrl) {
+  getStandardHeaders(referer = this.baseUrl) {
     return {
-      'Cookie': cookieString,
       'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36',
       'Accept': 'application/json, text/plain, */*',
       'Accept-Language': 'en-US,en;q=0.9,fi;q=0.8',
@@ -60,6 +66,61 @@ class MotonetAdapter extends BaseECommerceAdapter {
     };
   }
 
+  /**
+   * Map a Motonet product into canonical product fields
+   * @param {Object} rawProduct - Product as returned by Motonet
+   * @returns {Object} - Fields for createProduct()
+   */
+  mapProduct(rawProduct) {
+    const productId = rawProduct.id || rawProduct.productId || rawProduct.code;
+    
+    return {
+      id: productId,
+      name: rawProduct.name || rawProduct.title,
+      brand: rawProduct.brand?.name || rawProduct.brand || rawProduct.manufacturer,
+      ean: rawProduct.ean || rawProduct.gtin,
+      mpn: rawProduct.manufacturerCode || rawProduct.mpn,
+      price: rawProduct.price,
+      vatRate: GENERAL_VAT_RATE,
+      unitPrice: rawProduct.unitPrice,
+      unit: rawProduct.unitPriceUnit || rawProduct.unit,
+      images: rawProduct.images || rawProduct.image,
+      availability: {
+        inStock: rawProduct.inStock,
+        status: rawProduct.availability || rawProduct.stockStatus,
+        quantity: rawProduct.stockQuantity
+      },
+      url: absoluteUrl(rawProduct.url || `/fi/tuote/${productId}`, this.baseUrl),
+      categoryPath: rawProduct.categoryPath || rawProduct.breadcrumbs || []
+    };
+  }
+
+  /**
+   * Map a Motonet product page into a canonical product using its JSON-LD data
+   * @param {string} html - Product page HTML
+   * @param {string} productId - Product identifier
+   * @returns {Object} - Canonical product
+   */
+  mapProductPage(html, productId) {
+    const jsonLd = extractJsonLdProduct(html);
+    
+    if (!jsonLd) {
+      throw new ParseError(`No product data found on the Motonet product page for ${productId}`, {
+        platformId: this.platformId,
+        operation: 'getProductDetails'
+      });
+    }
+    
+    const fields = mapJsonLdProduct(jsonLd);
+    
+    return this.normalizeFields({
+      ...fields,
+      id: fields.id || productId,
+      vatRate: GENERAL_VAT_RATE,
+      url: absoluteUrl(fields.url || `/fi/tuote/${productId}`, this.baseUrl)
+    });
+  }
+
   /**
    * Search for products on Motonet
    * @param {string} query - Search query
@@ -72,13 +133,14 @@ class MotonetAdapter extends BaseECommerceAdapter {
       const cookies = await this.getCookies();
       
       if (!cookies || !cookies.cookieString) {
-        throw new Error('No valid cookies found for Motonet');
+        throw new AuthenticationError('No valid cookies found for Motonet', { platformId: this.platformId });
       }
       
-      const response = await axios({
+      const response = await this.request({
         method: 'get',
         url: `${this.baseUrl}/fi/search`,
-        headers: this.getStandardHeaders(cookies.cookieString),
+        cookies,
+        headers: this.getStandardHeaders(),
         params: {
           q: query,
           page: options.page || 1,
@@ -98,7 +160,7 @@ class MotonetAdapter extends BaseECommerceAdapter {
         products = response.data.items;
       }
       
-      return products;
+      return this.normalizeProducts(products);
     } catch (error) {
       console.error(`Error searching for products with query "${query}":`, error);
       this.handleError(error, 'searchProducts');
@@ -116,26 +178,30 @@ class MotonetAdapter extends BaseECommerceAdapter {
       const cookies = await this.getCookies();
       
       if (!cookies || !cookies.cookieString) {
-        throw new Error('No valid cookies found for Motonet');
+        throw new AuthenticationError('No valid cookies found for Motonet', { platformId: this.platformId });
       }
       
       // Ensure product ID is in the correct format
       const formattedProductId = this.formatProductId(productId);
       console.log(`Formatted product ID: ${formattedProductId}`);
       
-      const response = await axios({
+      const response = await this.request({
         method: 'get',
         url: `${this.baseUrl}/fi/tuote/${formattedProductId}`,
-        headers: this.getStandardHeaders(cookies.cookieString),
+        cookies,
+        headers: this.getStandardHeaders(),
         timeout: 10000
       });
       
       console.log(`Product details for ${formattedProductId}:`, response.data);
-      return response.data;
+      
+      // Product pages are HTML; JSON responses come from the API
+      return typeof response.data === 'string'
+        ? this.mapProductPage(response.data, formattedProductId)
+        : this.normalizeProduct(response.data);
     } catch (error) {
       console.error(`Error getting product details for ID ${productId}:`, error);
-      // Don't throw here, just return a minimal object so addToCart can continue
-      return { price: 0, id: productId };
+      this.handleError(error, 'getProductDetails', { productId });
     }
   }
 
@@ -147,26 +213,29 @@ class MotonetAdapter extends BaseECommerceAdapter {
    */
   async addToCart(productId, quantity = 1) {
     try {
+      this.assertValidQuantity(quantity);
+      
       console.log(`Adding product ${productId} to cart (quantity: ${quantity})`);
       
-      // Force cookie refresh before attempting to add to cart
-      await this.cookieManager.refreshCookies(this.platformId);
-      const cookies = await this.getCookies();
+      // Make sure the shared cookies still hold a working session before adding to cart
+      // (session-scoped adapters use the user's own cookie jar instead)
+      const cookies = await this.getCookies({ validate: true });
       
       if (!cookies || !cookies.cookieString) {
-        throw new Error('No valid cookies found for Motonet');
+        throw new AuthenticationError('No valid cookies found for Motonet', { platformId: this.platformId });
       }
       
       // Ensure product ID is in the correct format
       const formattedProductId = this.formatProductId(productId);
       console.log(`Formatted product ID: ${formattedProductId}`);
       
-      // Try multiple formats for the product ID
-      const productIdVariations = [
+      // Try multiple formats for the product ID; the original is usually one of the others
+      // (at most 2 variations × 4 methods, which the default request budget covers)
+      const productIdVariations = [...new Set([
         formattedProductId,
         formattedProductId.replace('-', ''),  // Without hyphen
         productId  // Original format
-      ];
+      ])];
       
       let lastError = null;
       
@@ -177,11 +246,12 @@ class MotonetAdapter extends BaseECommerceAdapter {
         // Method 1: Direct cart API with 'id' parameter
         try {
           console.log(`Attempting to add product ${pidVariation} to cart using direct cart API with 'id' parameter`);
-          const cartResponse = await axios({
+          const cartResponse = await this.request({
             method: 'post',
             url: `${this.baseUrl}/fi/cart/add`,
+            cookies,
             headers: {
-              ...this.getStandardHeaders(cookies.cookieString, `${this.baseUrl}/fi/tuote/${pidVariation}`),
+              ...this.getStandardHeaders(`${this.baseUrl}/fi/tuote/${pidVariation}`),
               'Content-Type': 'application/x-www-form-urlencoded'
             },
             data: `id=${pidVariation}&quantity=${quantity}`,
@@ -199,17 +269,19 @@ class MotonetAdapter extends BaseECommerceAdapter {
           }
         } catch (error) {
           console.error(`Error with direct cart API using 'id' parameter for ${pidVariation}:`, error.message);
+          this.rethrowIfBudgetExhausted(error);
           lastError = error;
         }
         
         // Method 2: Direct cart API with 'productId' parameter
         try {
           console.log(`Attempting to add product ${pidVariation} to cart using direct cart API with 'productId' parameter`);
-          const cartResponse2 = await axios({
+          const cartResponse2 = await this.request({
             method: 'post',
             url: `${this.baseUrl}/fi/cart/add`,
+            cookies,
             headers: {
-              ...this.getStandardHeaders(cookies.cookieString, `${this.baseUrl}/fi/tuote/${pidVariation}`),
+              ...this.getStandardHeaders(`${this.baseUrl}/fi/tuote/${pidVariation}`),
               'Content-Type': 'application/x-www-form-urlencoded'
             },
             data: `productId=${pidVariation}&quantity=${quantity}`,
@@ -227,17 +299,19 @@ class MotonetAdapter extends BaseECommerceAdapter {
           }
         } catch (error) {
           console.error(`Error with direct cart API using 'productId' parameter for ${pidVariation}:`, error.message);
+          this.rethrowIfBudgetExhausted(error);
           lastError = error;
         }
         
         // Method 3: Form submission
         try {
           console.log(`Attempting to add product ${pidVariation} to cart using form submission`);
-          const formResponse = await axios({
+          const formResponse = await this.request({
             method: 'post',
             url: `${this.baseUrl}/fi/tuote/${pidVariation}`,
+            cookies,
             headers: {
-              ...this.getStandardHeaders(cookies.cookieString, `${this.baseUrl}/fi/tuote/${pidVariation}`),
+              ...this.getStandardHeaders(`${this.baseUrl}/fi/tuote/${pidVariation}`),
               'Content-Type': 'application/x-www-form-urlencoded'
             },
             data: `quantity=${quantity}&add_to_cart=true`,
@@ -255,17 +329,19 @@ class MotonetAdapter extends BaseECommerceAdapter {
           }
         } catch (error) {
           console.error(`Error with form submission for ${pidVariation}:`, error.message);
+          this.rethrowIfBudgetExhausted(error);
           lastError = error;
         }
         
         // Method 4: JSON API approach
         try {
           console.log(`Attempting to add product ${pidVariation} to cart using JSON API`);
-          const jsonResponse = await axios({
+          const jsonResponse = await this.request({
             method: 'post',
             url: `${this.apiBaseUrl}/cart/add`,
+            cookies,
             headers: {
-              ...this.getStandardHeaders(cookies.cookieString, `${this.baseUrl}/fi/tuote/${pidVariation}`),
+              ...this.getStandardHeaders(`${this.baseUrl}/fi/tuote/${pidVariation}`),
               'Content-Type': 'application/json'
             },
             data: JSON.stringify({
@@ -286,29 +362,17 @@ class MotonetAdapter extends BaseECommerceAdapter {
           }
         } catch (error) {
           console.error(`Error with JSON API for ${pidVariation}:`, error.message);
+          this.rethrowIfBudgetExhausted(error);
           lastError = error;
         }
       }
       
-      // Also try the tracking endpoint for analytics (but don't rely on it for cart addition)
-      try {
-        await axios({
-          method: 'post',
-          url: `${this.apiBaseUrl}/tracking/add-to-cart`,
-          headers: this.getStandardHeaders(cookies.cookieString, `${this.baseUrl}/fi/tuote/${formattedProductId}`),
-          data: {
-            productId: formattedProductId,
-            quantity: quantity
-          },
-          timeout: 5000
-        });
-        console.log(`Tracking request sent for ${formattedProductId}`);
-      } catch (trackingError) {
-        // Tracking errors shouldn't fail the whole operation
-        console.warn(`Tracking request failed:`, trackingError.message);
+      // If all methods and variations fail, report how the last one failed, so a missing or
+      // out-of-stock product stays a 404/409 and other client errors aren't retried
+      if (lastError && lastError.isAxiosError) {
+        throw fromHttpError(lastError, { platformId: this.platformId, operation: 'addToCart', productId });
       }
       
-      // If all methods and variations fail, throw an error
       throw new Error(`Failed to add product ${formattedProductId} to cart using all available methods and variations`);
     } catch (error) {
       console.error(`Error adding product ${productId} to cart:`, error);
@@ -326,10 +390,19 @@ class MotonetAdapter extends BaseECommerceAdapter {
       console.error('Error details:', JSON.stringify(errorDetails, null, 2));
       
       // Handle the error
-      this.handleError(error, 'addToCart');
+      this.handleError(error, 'addToCart', { productId });
     }
   }
 
+  /**
+   * Get the request used to check whether cookies still hold a working session
+   * The cart page redirects to the login page once the session has expired.
+   * @returns {Object} - Session probe
+   */
+  getSessionProbe() {
+    return { url: `${this.baseUrl}${this.cartPath}` };
+  }
+
   /**
    * Get the current contents of the cart
    * @returns {Promise<Object>} - Cart contents
@@ -340,28 +413,20 @@ class MotonetAdapter extends BaseECommerceAdapter {
       const cookies = await this.getCookies();
       
       if (!cookies || !cookies.cookieString) {
-        throw new Error('No valid cookies found for Motonet');
+        throw new AuthenticationError('No valid cookies found for Motonet', { platformId: this.platformId });
       }
       
-      const response = await axios({
+      const response = await this.request({
         method: 'get',
         url: `${this.baseUrl}${this.cartPath}`,
-        headers: this.getStandardHeaders(cookies.cookieString),
+        cookies,
+        headers: this.getStandardHeaders(),
         timeout: 10000
       });
       
-      console.log('Cart contents:', response.data);
-      
-      // Extract cart data from the response
-      // This is a simplified implementation and may need to be adjusted
-      // based on the actual structure of the response
-      let cartData = {
-        items: [],
-        totalPrice: 0
-      };
-      
-      // Parse the HTML response to extract cart data
-      // This is a placeholder and should be implemented based on the actual HTML structure
+      // The cart page embeds its state as JSON; fall back to the markup otherwise
+      const cartData = parseMotonetCart(response.data, { baseUrl: this.baseUrl });
+      console.log(`Cart contents: ${cartData.itemCount} items, total ${cartData.totalPrice} ${cartData.currency}`);
       
       return cartData;
     } catch (error) {
@@ -370,6 +435,145 @@ class MotonetAdapter extends BaseECommerceAdapter {
     }
   }
 
+  /**
+   * Get the product a cart line id stands for
+   * Motonet cart lines are identified by product id.
+   * @param {string} itemId - Cart line identifier
+   * @returns {string} - Product identifier
+   */
+  getCartLineProductId(itemId) {
+    return itemId;
+  }
+
+  /**
+   * Change the quantity of a cart line
+   * Motonet cart lines are identified by product id.
+   * @param {string} itemId - Product identifier
+   * @param {number} quantity - New quantity
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async updateCartItem(itemId, quantity) {
+    try {
+      this.assertValidQuantity(quantity);
+      
+      console.log(`Updating cart item ${itemId} to quantity ${quantity}`);
+      const cookies = await this.getCookies();
+      
+      if (!cookies || !cookies.cookieString) {
+        throw new AuthenticationError('No valid cookies found for Motonet', { platformId: this.platformId });
+      }
+      
+      const formattedProductId = this.formatProductId(itemId);
+      
+      const response = await this.request({
+        method: 'post',
+        url: `${this.baseUrl}/fi/cart/update`,
+        cookies,
+        headers: {
+          ...this.getStandardHeaders(`${this.baseUrl}${this.cartPath}`),
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        data: `id=${encodeURIComponent(formattedProductId)}&quantity=${quantity}`,
+        timeout: 15000
+      });
+      
+      return {
+        success: true,
+        message: `Updated product ${formattedProductId} to quantity ${quantity}`,
+        data: response.data
+      };
+    } catch (error) {
+      console.error(`Error updating cart item ${itemId}:`, error);
+      this.handleError(error, 'updateCartItem', { productId: itemId });
+    }
+  }
+
+  /**
+   * Remove a line from the cart
+   * @param {string} itemId - Product identifier
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async removeCartItem(itemId) {
+    try {
+      console.log(`Removing cart item ${itemId}`);
+      const cookies = await this.getCookies();
+      
+      if (!cookies || !cookies.cookieString) {
+        throw new AuthenticationError('No valid cookies found for Motonet', { platformId: this.platformId });
+      }
+      
+      const formattedProductId = this.formatProductId(itemId);
+      
+      const response = await this.request({
+        method: 'post',
+        url: `${this.baseUrl}/fi/cart/remove`,
+        cookies,
+        headers: {
+          ...this.getStandardHeaders(`${this.baseUrl}${this.cartPath}`),
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        data: `id=${encodeURIComponent(formattedProductId)}`,
+        timeout: 15000
+      });
+      
+      return {
+        success: true,
+        message: `Removed product ${formattedProductId} from cart`,
+        data: response.data
+      };
+    } catch (error) {
+      console.error(`Error removing cart item ${itemId}:`, error);
+      this.handleError(error, 'removeCartItem', { productId: itemId });
+    }
+  }
+
+  /**
+   * Fetch the raw category tree from Motonet
+   * @returns {Promise<Array>} - Categories as returned by Motonet
+   */
+  async fetchCategoryTree() {
+    const cookies = await this.getCookies();
+    
+    const response = await this.request({
+      method: 'get',
+      url: `${this.apiBaseUrl}/categories`,
+      cookies,
+      headers: this.getStandardHeaders(),
+      timeout: 10000
+    });
+    
+    return response.data.categories || response.data;
+  }
+
+  /**
+   * Fetch a page of raw products in a Motonet category
+   * Motonet lists category products through its search page.
+   * @param {string} categoryId - Category identifier
+   * @param {Object} options - Pagination options (page, limit)
+   * @returns {Promise<Object>} - Raw products and the total count
+   */
+  async fetchCategoryProducts(categoryId, options) {
+    const cookies = await this.getCookies();
+    
+    const response = await this.request({
+      method: 'get',
+      url: `${this.baseUrl}/fi/search`,
+      cookies,
+      headers: this.getStandardHeaders(),
+      params: {
+        category: categoryId,
+        page: options.page,
+        limit: options.limit
+      },
+      timeout: 10000
+    });
+    
+    return {
+      products: response.data.products || response.data.items,
+      total: response.data.totalCount ?? response.data.total
+    };
+  }
+
   /**
    * Initiate the checkout process
    * @param {Object} options - Checkout options
@@ -381,7 +585,7 @@ class MotonetAdapter extends BaseECommerceAdapter {
       const cookies = await this.getCookies();
       
       if (!cookies || !cookies.cookieString) {
-        throw new Error('No valid cookies found for Motonet');
+        throw new AuthenticationError('No valid cookies found for Motonet', { platformId: this.platformId });
       }
       
       // This is a placeholder implementation
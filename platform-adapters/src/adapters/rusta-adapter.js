@@ -0,0 +1,377 @@
+/**
+ * Rusta E-Commerce Platform Adapter
+ * Implements the platform-specific logic for Rusta
+ */
+const BaseECommerceAdapter = require('../base-adapter');
+const { GENERAL_VAT_RATE, absoluteUrl, parsePrice } = require('../product-schema');
+const { ParseError } = require('../errors');
+
+class RustaAdapter extends BaseECommerceAdapter {
+  /**
+   * Create a new Rusta adapter instance
+   * @param {Object} cookieManager - Cookie management system instance
+   */
+  constructor(cookieManager) {
+    super(cookieManager);
+    this.platformId = 'rusta';
+    this.baseUrl = 'https://www.rusta.com';
+    this.apiBaseUrl = 'https://www.rusta.com/api';
+    this.locale = 'fi';
+    this.cartPath = '/fi/cart';
+  }
+
+  /**
+   * Get standard headers for API requests
+   * The Cookie header is added by request() from the request's cookies option.
+   * @param {string} referer - Referer URL
+   * @returns {Object} - Headers object
+   */
+  getStandardHeaders(referer = `${this.baseUrl}/${this.locale}`) {
+    return {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/plain, */*',
+      'Accept-Language': 'fi-FI,fi;q=0.9,en;q=0.8',
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36',
+      'Origin': this.baseUrl,
+      'Referer': referer
+    };
+  }
+
+  /**
+   * Map a Rusta product into canonical product fields
+   * @param {Object} rawProduct - Product as returned by Rusta
+   * @returns {Object} - Fields for createProduct()
+   */
+  mapProduct(rawProduct) {
+    const productId = rawProduct.code || rawProduct.id;
+
+    return {
+      id: productId,
+      name: rawProduct.name || rawProduct.displayName,
+      brand: rawProduct.brand?.name || rawProduct.brand,
+      ean: rawProduct.ean || rawProduct.gtin,
+      price: rawProduct.price,
+      vatRate: GENERAL_VAT_RATE,
+      unitPrice: rawProduct.comparisonPrice,
+      unit: rawProduct.comparisonUnit,
+      images: rawProduct.images || rawProduct.imageUrl,
+      availability: {
+        inStock: rawProduct.inStock,
+        status: rawProduct.stockStatus,
+        quantity: rawProduct.stockQuantity
+      },
+      url: absoluteUrl(rawProduct.url || `/${this.locale}/product/${productId}`, this.baseUrl),
+      categoryPath: rawProduct.categories || rawProduct.categoryPath || []
+    };
+  }
+
+  /**
+   * Map a Rusta cart line into the cart line shape shared by all platforms
+   * Rusta lines also keep their line id as itemId, which updateCartItem() and removeCartItem() take.
+   * @param {Object} rawLine - Cart line as returned by Rusta
+   * @returns {Object} - Cart line item
+   */
+  mapCartLine(rawLine) {
+    const product = rawLine.product || {};
+    const productId = rawLine.productId ?? rawLine.code ?? product.code ?? product.id ?? rawLine.id;
+    const quantity = parseInt(rawLine.quantity, 10) || 0;
+    let unitPrice = parsePrice(rawLine.unitPrice ?? rawLine.price ?? product.price);
+    let lineTotal = parsePrice(rawLine.totalPrice ?? rawLine.lineTotal);
+
+    if (lineTotal === null && unitPrice !== null) {
+      lineTotal = Math.round(unitPrice * quantity * 100) / 100;
+    } else if (unitPrice === null && lineTotal !== null && quantity > 0) {
+      unitPrice = Math.round(lineTotal / quantity * 100) / 100;
+    }
+
+    return {
+      itemId: String(rawLine.lineId ?? rawLine.id ?? productId),
+      productId: productId === undefined || productId === null ? null : String(productId),
+      name: rawLine.name ?? product.name ?? null,
+      quantity,
+      unitPrice,
+      lineTotal,
+      url: absoluteUrl(rawLine.url ?? product.url ?? `/${this.locale}/product/${productId}`, this.baseUrl)
+    };
+  }
+
+  /**
+   * Map a Rusta cart into the cart shape shared by all platforms
+   * (see parsers/motonet-cart-parser.js), deriving totals from the lines when Rusta omits them
+   * @param {Object} rawCart - Cart as returned by Rusta
+   * @returns {Object} - Cart with line items and totals
+   * @throws {ParseError} - If the response isn't a cart
+   */
+  mapCart(rawCart) {
+    if (!rawCart || typeof rawCart !== 'object') {
+      throw new ParseError('Rusta answered the cart request without a cart', {
+        platformId: this.platformId,
+        operation: 'getCartContents'
+      });
+    }
+
+    const items = (rawCart.items || rawCart.lines || []).map(rawLine => this.mapCartLine(rawLine));
+    const totalPrice = parsePrice(rawCart.totalPrice ?? rawCart.total);
+    const lineSum = items.reduce((sum, item) => sum + (item.lineTotal || 0), 0);
+
+    return {
+      items,
+      itemCount: items.reduce((count, item) => count + item.quantity, 0),
+      totalPrice: totalPrice === null ? Math.round(lineSum * 100) / 100 : totalPrice,
+      currency: rawCart.currency || rawCart.totalPrice?.currency || 'EUR'
+    };
+  }
+
+  /**
+   * Search for products on Rusta
+   * @param {string} query - Search query
+   * @param {Object} options - Search options (pagination, filters, etc.)
+   * @returns {Promise<Array>} - Array of product objects
+   */
+  async searchProducts(query, options = {}) {
+    try {
+      const cookies = await this.getCookies();
+
+      const response = await this.request({
+        method: 'get',
+        url: `${this.apiBaseUrl}/${this.locale}/search`,
+        cookies,
+        headers: this.getStandardHeaders(),
+        params: {
+          q: query,
+          page: options.page || 1,
+          pageSize: options.limit || 20,
+          ...options.filters
+        },
+        timeout: 10000
+      });
+
+      return this.normalizeProducts(response.data.products);
+    } catch (error) {
+      this.handleError(error, 'searchProducts');
+    }
+  }
+
+  /**
+   * Get detailed information about a product
+   * @param {string} productId - Product identifier
+   * @returns {Promise<Object>} - Product details
+   */
+  async getProductDetails(productId) {
+    try {
+      const cookies = await this.getCookies();
+
+      const response = await this.request({
+        method: 'get',
+        url: `${this.apiBaseUrl}/${this.locale}/products/${productId}`,
+        cookies,
+        headers: this.getStandardHeaders(),
+        timeout: 10000
+      });
+
+      return this.normalizeProduct(response.data);
+    } catch (error) {
+      this.handleError(error, 'getProductDetails', { productId });
+    }
+  }
+
+  /**
+   * Add a product to the cart
+   * @param {string} productId - Product identifier
+   * @param {number} quantity - Quantity to add (default: 1)
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async addToCart(productId, quantity = 1) {
+    try {
+      this.assertValidQuantity(quantity);
+
+      const cookies = await this.getCookies({ validate: true });
+
+      const response = await this.request({
+        method: 'post',
+        url: `${this.apiBaseUrl}/${this.locale}/cart/items`,
+        cookies,
+        headers: this.getStandardHeaders(`${this.baseUrl}/${this.locale}/product/${productId}`),
+        data: {
+          productId: productId,
+          quantity: quantity
+        },
+        timeout: 15000
+      });
+
+      return {
+        success: true,
+        message: `Added ${quantity} of product ${productId} to cart`,
+        data: response.data
+      };
+    } catch (error) {
+      this.handleError(error, 'addToCart', { productId });
+    }
+  }
+
+  /**
+   * Get the request used to check whether cookies still hold a working session
+   * @returns {Object} - Session probe
+   */
+  getSessionProbe() {
+    return { url: `${this.apiBaseUrl}/${this.locale}/cart` };
+  }
+
+  /**
+   * Get the current contents of the cart
+   * @returns {Promise<Object>} - Cart contents
+   */
+  async getCartContents() {
+    try {
+      const cookies = await this.getCookies();
+
+      const response = await this.request({
+        method: 'get',
+        url: `${this.apiBaseUrl}/${this.locale}/cart`,
+        cookies,
+        headers: this.getStandardHeaders(`${this.baseUrl}${this.cartPath}`),
+        timeout: 10000
+      });
+
+      return this.mapCart(response.data);
+    } catch (error) {
+      this.handleError(error, 'getCartContents');
+    }
+  }
+
+  /**
+   * Change the quantity of a cart line
+   * @param {string} itemId - Cart line identifier
+   * @param {number} quantity - New quantity
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async updateCartItem(itemId, quantity) {
+    try {
+      this.assertValidQuantity(quantity);
+
+      const cookies = await this.getCookies();
+
+      const response = await this.request({
+        method: 'put',
+        url: `${this.apiBaseUrl}/${this.locale}/cart/items/${encodeURIComponent(itemId)}`,
+        cookies,
+        headers: this.getStandardHeaders(`${this.baseUrl}${this.cartPath}`),
+        data: {
+          quantity: quantity
+        },
+        timeout: 15000
+      });
+
+      return {
+        success: true,
+        message: `Updated cart item ${itemId} to quantity ${quantity}`,
+        data: response.data
+      };
+    } catch (error) {
+      this.handleError(error, 'updateCartItem', { productId: itemId });
+    }
+  }
+
+  /**
+   * Remove a line from the cart
+   * @param {string} itemId - Cart line identifier
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async removeCartItem(itemId) {
+    try {
+      const cookies = await this.getCookies();
+
+      const response = await this.request({
+        method: 'delete',
+        url: `${this.apiBaseUrl}/${this.locale}/cart/items/${encodeURIComponent(itemId)}`,
+        cookies,
+        headers: this.getStandardHeaders(`${this.baseUrl}${this.cartPath}`),
+        timeout: 15000
+      });
+
+      return {
+        success: true,
+        message: `Removed cart item ${itemId} from cart`,
+        data: response.data
+      };
+    } catch (error) {
+      this.handleError(error, 'removeCartItem', { productId: itemId });
+    }
+  }
+
+  /**
+   * Fetch the raw category tree from Rusta
+   * @returns {Promise<Array>} - Categories as returned by Rusta
+   */
+  async fetchCategoryTree() {
+    const cookies = await this.getCookies();
+
+    const response = await this.request({
+      method: 'get',
+      url: `${this.apiBaseUrl}/${this.locale}/categories`,
+      cookies,
+      headers: this.getStandardHeaders(),
+      timeout: 10000
+    });
+
+    return response.data.categories;
+  }
+
+  /**
+   * Fetch a page of raw products in a Rusta category
+   * @param {string} categoryId - Category identifier
+   * @param {Object} options - Pagination options (page, limit)
+   * @returns {Promise<Object>} - Raw products and the total count
+   */
+  async fetchCategoryProducts(categoryId, options) {
+    const cookies = await this.getCookies();
+
+    const response = await this.request({
+      method: 'get',
+      url: `${this.apiBaseUrl}/${this.locale}/categories/${encodeURIComponent(categoryId)}/products`,
+      cookies,
+      headers: this.getStandardHeaders(),
+      params: {
+        page: options.page,
+        pageSize: options.limit
+      },
+      timeout: 10000
+    });
+
+    return {
+      products: response.data.products,
+      total: response.data.totalCount
+    };
+  }
+
+  /**
+   * Initiate the checkout process
+   * @param {Object} options - Checkout options
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async checkout(options = {}) {
+    try {
+      const cookies = await this.getCookies();
+
+      const response = await this.request({
+        method: 'post',
+        url: `${this.apiBaseUrl}/${this.locale}/checkout/initiate`,
+        cookies,
+        headers: this.getStandardHeaders(`${this.baseUrl}${this.cartPath}`),
+        data: options,
+        timeout: 15000
+      });
+
+      return {
+        success: true,
+        message: 'Checkout initiated',
+        checkoutUrl: response.data.redirectUrl || `${this.baseUrl}/${this.locale}/checkout`,
+        data: response.data
+      };
+    } catch (error) {
+      this.handleError(error, 'checkout');
+    }
+  }
+}
+
+module.exports = RustaAdapter;
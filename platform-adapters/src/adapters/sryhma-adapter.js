@@ -2,8 +2,9 @@
  * S-ryhmä E-Commerce Platform Adapter
  * Implements the platform-specific logic for S-ryhmä (S-kaupat)
  */
-const axios = require('axios');
 const BaseECommerceAdapter = require('../base-adapter');
+const { absoluteUrl } = require('../product-schema');
+const { OutOfStockError } = require('../errors');
 
 class SRyhmaAdapter extends BaseECommerceAdapter {
   /**
@@ -18,6 +19,36 @@ class SRyhmaAdapter extends BaseECommerceAdapter {
     this.cartPath = '/cart';
   }
 
+  /**
+   * Map an S-ryhmä product into canonical product fields
+   * @param {Object} rawProduct - Product as returned by S-kaupat
+   * @returns {Object} - Fields for createProduct()
+   */
+  mapProduct(rawProduct) {
+    const pricing = rawProduct.pricing || {};
+    const productId = rawProduct.id || rawProduct.ean;
+    const path = rawProduct.slug ? `/tuote/${rawProduct.slug}/${productId}` : `/tuote/${productId}`;
+    
+    return {
+      id: productId,
+      name: rawProduct.name,
+      brand: rawProduct.brandName || rawProduct.brand,
+      ean: rawProduct.ean,
+      price: pricing.currentPrice ?? rawProduct.price,
+      // Groceries and other goods have different VAT rates, so only use what the platform reports
+      vatRate: typeof rawProduct.vatPercentage === 'number' ? rawProduct.vatPercentage / 100 : null,
+      unitPrice: pricing.comparisonPrice ?? rawProduct.comparisonPrice,
+      unit: pricing.comparisonUnit || rawProduct.comparisonUnit,
+      images: rawProduct.images || rawProduct.imageUrl,
+      availability: {
+        inStock: rawProduct.inStock,
+        status: rawProduct.availabilityStatus
+      },
+      url: absoluteUrl(path, this.baseUrl),
+      categoryPath: rawProduct.hierarchyPath || rawProduct.categoryPath || []
+    };
+  }
+
   /**
    * Search for products on S-ryhmä
    * @param {string} query - Search query
@@ -28,11 +59,11 @@ class SRyhmaAdapter extends BaseECommerceAdapter {
     try {
       const cookies = await this.getCookies();
       
-      const response = await axios({
+      const response = await this.request({
         method: 'get',
         url: `${this.apiBaseUrl}/v2/products/search`,
+        cookies,
         headers: {
-          'Cookie': cookies.cookieString,
           'Content-Type': 'application/json',
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36'
         },
@@ -45,7 +76,7 @@ class SRyhmaAdapter extends BaseECommerceAdapter {
         }
       });
       
-      return response.data.products || [];
+      return this.normalizeProducts(response.data.products);
     } catch (error) {
       this.handleError(error, 'searchProducts');
     }
@@ -60,19 +91,19 @@ class SRyhmaAdapter extends BaseECommerceAdapter {
     try {
       const cookies = await this.getCookies();
       
-      const response = await axios({
+      const response = await this.request({
         method: 'get',
         url: `${this.apiBaseUrl}/v2/products/${productId}`,
+        cookies,
         headers: {
-          'Cookie': cookies.cookieString,
           'Content-Type': 'application/json',
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36'
         }
       });
       
-      return response.data;
+      return this.normalizeProduct(response.data);
     } catch (error) {
-      this.handleError(error, 'getProductDetails');
+      this.handleError(error, 'getProductDetails', { productId });
     }
   }
 
@@ -84,16 +115,26 @@ class SRyhmaAdapter extends BaseECommerceAdapter {
    */
   async addToCart(productId, quantity = 1) {
     try {
-      const cookies = await this.getCookies();
+      this.assertValidQuantity(quantity);
+      
+      const cookies = await this.getCookies({ validate: true });
       
-      // Get product details to determine price
+      // Get product details to determine price and availability
       const productDetails = await this.getProductDetails(productId);
       
-      const response = await axios({
+      if (productDetails.availability.status === 'out_of_stock') {
+        throw new OutOfStockError(`Product ${productId} is out of stock on ${this.platformId}`, {
+          platformId: this.platformId,
+          operation: 'addToCart',
+          productId
+        });
+      }
+      
+      const response = await this.request({
         method: 'post',
         url: `${this.apiBaseUrl}/v2/cart/items`,
+        cookies,
         headers: {
-          'Cookie': cookies.cookieString,
           'Content-Type': 'application/json',
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36',
           'Origin': this.baseUrl,
@@ -111,10 +152,19 @@ class SRyhmaAdapter extends BaseECommerceAdapter {
         data: response.data
       };
     } catch (error) {
-      this.handleError(error, 'addToCart');
+      this.handleError(error, 'addToCart', { productId });
     }
   }
 
+  /**
+   * Get the request used to check whether cookies still hold a working session
+   * The cart API answers 401 once the customer session has expired.
+   * @returns {Object} - Session probe
+   */
+  getSessionProbe() {
+    return { url: `${this.apiBaseUrl}/v2/cart` };
+  }
+
   /**
    * Get the current contents of the cart
    * @returns {Promise<Object>} - Cart contents
@@ -123,11 +173,11 @@ class SRyhmaAdapter extends BaseECommerceAdapter {
     try {
       const cookies = await this.getCookies();
       
-      const response = await axios({
+      const response = await this.request({
         method: 'get',
         url: `${this.apiBaseUrl}/v2/cart`,
+        cookies,
         headers: {
-          'Cookie': cookies.cookieString,
           'Content-Type': 'application/json',
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36'
         }
@@ -139,6 +189,139 @@ class SRyhmaAdapter extends BaseECommerceAdapter {
     }
   }
 
+  /**
+   * Change the quantity of a cart line
+   * @param {string} itemId - Cart line identifier
+   * @param {number} quantity - New quantity
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async updateCartItem(itemId, quantity) {
+    try {
+      this.assertValidQuantity(quantity);
+      
+      const cookies = await this.getCookies();
+      
+      const response = await this.request({
+        method: 'patch',
+        url: `${this.apiBaseUrl}/v2/cart/items/${encodeURIComponent(itemId)}`,
+        cookies,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36',
+          'Origin': this.baseUrl,
+          'Referer': `${this.baseUrl}/ostoskori`
+        },
+        data: {
+          quantity: quantity
+        }
+      });
+      
+      return {
+        success: true,
+        message: `Updated cart item ${itemId} to quantity ${quantity}`,
+        data: response.data
+      };
+    } catch (error) {
+      this.handleError(error, 'updateCartItem', { productId: itemId });
+    }
+  }
+
+  /**
+   * Remove a line from the cart
+   * @param {string} itemId - Cart line identifier
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async removeCartItem(itemId) {
+    try {
+      const cookies = await this.getCookies();
+      
+      const response = await this.request({
+        method: 'delete',
+        url: `${this.apiBaseUrl}/v2/cart/items/${encodeURIComponent(itemId)}`,
+        cookies,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36',
+          'Origin': this.baseUrl,
+          'Referer': `${this.baseUrl}/ostoskori`
+        }
+      });
+      
+      return {
+        success: true,
+        message: `Removed cart item ${itemId} from cart`,
+        data: response.data
+      };
+    } catch (error) {
+      this.handleError(error, 'removeCartItem', { productId: itemId });
+    }
+  }
+
+  /**
+   * Fetch the raw category tree from S-ryhmä
+   * @returns {Promise<Array>} - Categories as returned by S-kaupat
+   */
+  async fetchCategoryTree() {
+    const cookies = await this.getCookies();
+    
+    const response = await this.request({
+      method: 'get',
+      url: `${this.apiBaseUrl}/v2/categories`,
+      cookies,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36'
+      }
+    });
+    
+    return response.data.categories;
+  }
+
+  /**
+   * Fetch a page of raw products in an S-ryhmä category
+   * @param {string} categoryId - Category identifier
+   * @param {Object} options - Pagination options (page, limit, storeId)
+   * @returns {Promise<Object>} - Raw products and the total count
+   */
+  async fetchCategoryProducts(categoryId, options) {
+    const cookies = await this.getCookies();
+    
+    const response = await this.request({
+      method: 'get',
+      url: `${this.apiBaseUrl}/v2/products/search`,
+      cookies,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36'
+      },
+      params: {
+        categoryId: categoryId,
+        page: options.page,
+        pageSize: options.limit,
+        storeId: options.storeId || ''
+      }
+    });
+    
+    return {
+      products: response.data.products,
+      total: response.data.totalCount
+    };
+  }
+
+  /**
+   * Map an S-ryhmä category into canonical category fields
+   * @param {Object} rawCategory - Category as returned by S-kaupat
+   * @returns {Object} - Fields for createCategory()
+   */
+  mapCategory(rawCategory) {
+    return {
+      id: rawCategory.id,
+      name: rawCategory.name,
+      url: rawCategory.slug ? absoluteUrl(`/tuotteet/${rawCategory.slug}`, this.baseUrl) : null,
+      productCount: rawCategory.productCount,
+      children: rawCategory.children || []
+    };
+  }
+
   /**
    * Initiate the checkout process
    * @param {Object} options - Checkout options
@@ -148,11 +331,11 @@ class SRyhmaAdapter extends BaseECommerceAdapter {
     try {
       const cookies = await this.getCookies();
       
-      const response = await axios({
+      const response = await this.request({
         method: 'post',
         url: `${this.apiBaseUrl}/v2/checkout/initiate`,
+        cookies,
         headers: {
-          'Cookie': cookies.cookieString,
           'Content-Type': 'application/json',
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36',
           'Origin': this.baseUrl,
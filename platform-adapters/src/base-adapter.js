@@ -2,6 +2,19 @@
  * Base E-Commerce Adapter
  * Defines the interface that all platform-specific adapters must implement
  */
+const axios = require('axios');
+const { createProduct, assertValidProduct, absoluteUrl, ProductValidationError } = require('./product-schema');
+const { createCategory, validateCategory, CategoryValidationError } = require('./category-schema');
+const { RequestTimeoutError } = require('./request-budget');
+const CookieJar = require('../../cookie-management-system/cookie-jar');
+const {
+  AdapterError,
+  AuthenticationError,
+  ValidationError,
+  ParseError,
+  fromHttpError
+} = require('./errors');
+
 class BaseECommerceAdapter {
   /**
    * Create a new adapter instance
@@ -16,20 +29,204 @@ class BaseECommerceAdapter {
     this.platformId = 'base'; // Override in subclasses
     this.baseUrl = ''; // Override in subclasses
     this.cartPath = ''; // Override in subclasses with platform-specific cart path
+    this.sessionId = null; // Set on session-scoped adapters, see forSession()
+    this.budget = null; // Set on request-scoped adapters, see withBudget()
+    this.categoryCacheTtl = parseInt(process.env.CATEGORY_CACHE_TTL || '21600000', 10); // 6 hours
+    
+    // Mutated in place (never reassigned) so session-scoped views share the cache
+    this.categoryCache = { categories: null, fetchedAt: 0, pending: null };
+  }
+
+  /**
+   * Create a view of this adapter bound to a user session
+   * The returned object shares all state with this adapter except the session,
+   * so each shopper uses their own cookie jar (and therefore their own cart).
+   * @param {string} sessionId - User session identifier
+   * @returns {Object} - Session-scoped adapter
+   */
+  forSession(sessionId) {
+    const scopedAdapter = Object.create(this);
+    scopedAdapter.sessionId = sessionId;
+    return scopedAdapter;
+  }
+
+  /**
+   * Create a view of this adapter bound to an incoming request's budget
+   * Every upstream call made through the view is counted against the budget
+   * and its timeout shortened to end by the request deadline.
+   * @param {RequestBudget} budget - Request budget
+   * @returns {Object} - Request-scoped adapter
+   */
+  withBudget(budget) {
+    const scopedAdapter = Object.create(this);
+    scopedAdapter.budget = budget;
+    return scopedAdapter;
+  }
+
+  /**
+   * Rethrow an error that must end the operation instead of moving on to a fallback
+   * @param {Error} error - Error caught while trying one of several approaches
+   * @throws {RequestTimeoutError} - If the request budget is spent
+   */
+  rethrowIfBudgetExhausted(error) {
+    if (error instanceof RequestTimeoutError) {
+      throw error;
+    }
   }
 
   /**
    * Get fresh cookies for the platform
+   * Uses the user's own cookie jar when the adapter is bound to a session.
+   * @param {Object} options - Options
+   * @param {boolean} options.validate - Make sure the platform session works first (for critical operations)
    * @returns {Promise<Object>} - Cookie data
    */
-  async getCookies() {
-    const cookies = await this.cookieManager.getLatestCookies(this.platformId);
+  async getCookies(options = {}) {
+    if (options.validate && this.sessionId && this.cookieManager.ensureValidSessionCookies) {
+      await this.cookieManager.ensureValidSessionCookies(this.platformId, this.sessionId, { bootstrapUrl: this.baseUrl });
+    } else if (options.validate && !this.sessionId && this.cookieManager.ensureValidSession) {
+      await this.cookieManager.ensureValidSession(this.platformId);
+    }
+    
+    const cookies = this.sessionId
+      ? await this.cookieManager.getSessionCookies(this.platformId, this.sessionId, { bootstrapUrl: this.baseUrl })
+      : await this.cookieManager.getLatestCookies(this.platformId);
     if (!cookies) {
-      throw new Error(`No valid cookies found for ${this.platformId}`);
+      throw new AuthenticationError(`No valid cookies found for ${this.platformId}`, { platformId: this.platformId });
     }
     return cookies;
   }
 
+  /**
+   * Get the Cookie header to send with a request
+   * Only the cookies whose domain, path and secure flag apply to the URL are
+   * included. Cookie objects without records (e.g. from an older cookie
+   * manager) are sent whole.
+   * @param {Object} cookies - Cookie object from getCookies()
+   * @param {string} url - Request URL
+   * @returns {string} - Cookie header value
+   */
+  getCookieHeader(cookies, url) {
+    if (!cookies.records) {
+      return cookies.cookieString;
+    }
+    
+    return new CookieJar(cookies.records).toCookieString(url);
+  }
+
+  /**
+   * Send an HTTP request to the platform
+   * With a `cookies` option (a cookie object from getCookies()), the Cookie
+   * header is set to the cookies that apply to the request URL.
+   * Set-Cookie headers in the response are merged back into the user's cookie jar.
+   * Request-scoped adapters count the call against the request budget first.
+   * @param {Object} config - Axios request configuration, plus an optional cookies object
+   * @returns {Promise<Object>} - Axios response
+   */
+  async request(config) {
+    if (config.cookies) {
+      const { cookies, ...axiosConfig } = config;
+      config = { ...axiosConfig, headers: { ...axiosConfig.headers, 'Cookie': this.getCookieHeader(cookies, config.url) } };
+    }
+    
+    if (this.budget) {
+      this.budget.consumeAttempt(this.platformId, `${(config.method || 'get').toUpperCase()} ${config.url}`);
+      config = { ...config, timeout: this.budget.getTimeout(config.timeout) };
+    }
+    
+    try {
+      const response = await axios(config);
+      this.storeResponseCookies(response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        this.storeResponseCookies(error.response);
+      }
+      
+      // A call cut short by the request deadline is reported as a timeout
+      if (this.budget && this.budget.isExpired()) {
+        throw this.budget.createTimeoutError(this.platformId, `${(config.method || 'get').toUpperCase()} ${config.url}`, 'deadline', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the lightweight request used to check whether cookies still hold a working session
+   * Override in subclasses; null means the platform can't be probed.
+   * @returns {Object|null} - Probe with url and, optionally, a loginPattern matching login pages
+   */
+  getSessionProbe() {
+    return null;
+  }
+
+  /**
+   * Check whether cookies still hold a working platform session
+   * Requests the probe URL without following redirects. A 401/403 or a
+   * redirect to a login page means the session is invalid; a successful answer
+   * means it is valid. Anything else (server errors, timeouts) says nothing
+   * about the session and is reported as unknown.
+   * @param {Object|string} cookies - Cookie object to check, or a cookie header value
+   * @returns {Promise<Object>} - Result with status ('valid', 'invalid' or 'unknown'), reason and statusCode
+   */
+  async validateSession(cookies) {
+    const probe = this.getSessionProbe();
+    
+    if (!probe) {
+      return { status: 'unknown', reason: `No session probe for ${this.platformId}`, statusCode: null };
+    }
+    
+    const loginPattern = probe.loginPattern || /login|kirjaudu|signin/i;
+    let response;
+    
+    try {
+      response = await this.request({
+        method: 'get',
+        url: probe.url,
+        cookies: typeof cookies === 'string' ? { cookieString: cookies } : cookies,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36'
+        },
+        maxRedirects: 0,
+        validateStatus: () => true,
+        timeout: 10000
+      });
+    } catch (error) {
+      return { status: 'unknown', reason: `Probe failed: ${error.message}`, statusCode: null };
+    }
+    
+    const { status } = response;
+    const location = response.headers?.location || '';
+    
+    if (status === 401 || status === 403) {
+      return { status: 'invalid', reason: `Probe answered ${status}`, statusCode: status };
+    }
+    
+    if (status >= 300 && status < 400) {
+      return loginPattern.test(location)
+        ? { status: 'invalid', reason: `Probe redirected to login page ${location}`, statusCode: status }
+        : { status: 'unknown', reason: `Probe redirected to ${location}`, statusCode: status };
+    }
+    
+    if (status >= 200 && status < 300) {
+      return { status: 'valid', reason: null, statusCode: status };
+    }
+    
+    return { status: 'unknown', reason: `Probe answered ${status}`, statusCode: status };
+  }
+
+  /**
+   * Merge cookies set by a platform response into the user's cookie jar
+   * @param {Object} response - Axios response
+   */
+  storeResponseCookies(response) {
+    if (!this.sessionId || !response.headers) {
+      return;
+    }
+
+    this.cookieManager.mergeSessionCookies(this.platformId, this.sessionId, response.headers['set-cookie'], response.config?.url);
+  }
+
   /**
    * Search for products on the platform
    * @param {string} query - Search query
@@ -67,6 +264,35 @@ class BaseECommerceAdapter {
     throw new Error(`getCartContents not implemented for ${this.platformId}`);
   }
 
+  /**
+   * Change the quantity of a cart line
+   * @param {string} itemId - Cart line identifier (the product id on platforms without line ids)
+   * @param {number} quantity - New quantity (at least 1)
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async updateCartItem(itemId, quantity) {
+    throw new Error(`updateCartItem not implemented for ${this.platformId}`);
+  }
+
+  /**
+   * Remove a line from the cart
+   * @param {string} itemId - Cart line identifier (the product id on platforms without line ids)
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async removeCartItem(itemId) {
+    throw new Error(`removeCartItem not implemented for ${this.platformId}`);
+  }
+
+  /**
+   * Get the product a cart line id stands for
+   * Override in subclasses whose cart lines are identified by product id.
+   * @param {string} itemId - Cart line identifier
+   * @returns {string|null} - Product identifier, or null if the line id doesn't tell
+   */
+  getCartLineProductId(itemId) {
+    return null;
+  }
+
   /**
    * Initiate the checkout process
    * @param {Object} options - Checkout options
@@ -76,24 +302,242 @@ class BaseECommerceAdapter {
     throw new Error(`checkout not implemented for ${this.platformId}`);
   }
 
+  /**
+   * Map a raw platform product into canonical product fields
+   * @param {Object} rawProduct - Product as returned by the platform
+   * @returns {Object} - Fields for createProduct() (see product-schema.js)
+   */
+  mapProduct(rawProduct) {
+    throw new Error(`mapProduct not implemented for ${this.platformId}`);
+  }
+
+  /**
+   * Map a raw platform product into the canonical product shape
+   * @param {Object} rawProduct - Product as returned by the platform
+   * @returns {Object} - Canonical product
+   * @throws {ProductValidationError} - If the mapping produces a malformed product
+   */
+  normalizeProduct(rawProduct) {
+    return this.normalizeFields(this.mapProduct(rawProduct));
+  }
+
+  /**
+   * Build a canonical product for this platform from already mapped fields
+   * @param {Object} fields - Fields for createProduct() (see product-schema.js)
+   * @returns {Object} - Canonical product
+   * @throws {ProductValidationError} - If the fields produce a malformed product
+   */
+  normalizeFields(fields) {
+    return assertValidProduct(createProduct({
+      ...fields,
+      platform: this.platformId
+    }));
+  }
+
+  /**
+   * Map a list of raw platform products, dropping ones that can't be mapped
+   * @param {Array} rawProducts - Products as returned by the platform
+   * @returns {Array} - Canonical products
+   */
+  normalizeProducts(rawProducts) {
+    const products = [];
+
+    for (const rawProduct of rawProducts || []) {
+      try {
+        products.push(this.normalizeProduct(rawProduct));
+      } catch (error) {
+        if (!(error instanceof ProductValidationError)) {
+          throw error;
+        }
+
+        console.warn(`Skipping malformed ${this.platformId} product: ${error.errors.join(', ')}`);
+      }
+    }
+
+    return products;
+  }
+
+  /**
+   * Get the platform's category tree
+   * The tree is cached per platform for CATEGORY_CACHE_TTL milliseconds.
+   * @param {Object} options - Options
+   * @param {boolean} options.refresh - Bypass the cache
+   * @returns {Promise<Array>} - Canonical category tree
+   */
+  async getCategories(options = {}) {
+    const cache = this.categoryCache;
+    
+    if (!options.refresh && cache.categories && Date.now() - cache.fetchedAt < this.categoryCacheTtl) {
+      return cache.categories;
+    }
+    
+    // Share a single fetch between concurrent requests
+    if (!cache.pending) {
+      cache.pending = this.loadCategories().finally(() => {
+        cache.pending = null;
+      });
+    }
+    
+    return cache.pending;
+  }
+
+  /**
+   * Fetch, normalize and cache the category tree
+   * @returns {Promise<Array>} - Canonical category tree
+   */
+  async loadCategories() {
+    try {
+      const rawCategories = await this.fetchCategoryTree();
+      const categories = this.normalizeCategories(rawCategories);
+      
+      this.categoryCache.categories = categories;
+      this.categoryCache.fetchedAt = Date.now();
+      
+      return categories;
+    } catch (error) {
+      this.handleError(error, 'getCategories');
+    }
+  }
+
+  /**
+   * Get a page of products in a category
+   * @param {string} categoryId - Category identifier
+   * @param {Object} options - Listing options
+   * @param {number} options.page - Page number (default: 1)
+   * @param {number} options.limit - Page size (default: 20)
+   * @returns {Promise<Object>} - Canonical products with pagination info
+   */
+  async getProductsByCategory(categoryId, options = {}) {
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+    
+    try {
+      const { products, total } = await this.fetchCategoryProducts(categoryId, { page, limit });
+      const parsedTotal = parseInt(total, 10);
+      const totalCount = Number.isNaN(parsedTotal) ? null : parsedTotal;
+      const rawProducts = products || [];
+      
+      return {
+        categoryId: String(categoryId),
+        products: this.normalizeProducts(rawProducts),
+        page,
+        limit,
+        total: totalCount,
+        hasMore: totalCount !== null ? page * limit < totalCount : rawProducts.length === limit
+      };
+    } catch (error) {
+      this.handleError(error, 'getProductsByCategory');
+    }
+  }
+
+  /**
+   * Fetch the raw category tree from the platform
+   * @returns {Promise<Array>} - Categories as returned by the platform
+   */
+  async fetchCategoryTree() {
+    throw new Error(`fetchCategoryTree not implemented for ${this.platformId}`);
+  }
+
+  /**
+   * Fetch a page of raw products in a category from the platform
+   * @param {string} categoryId - Category identifier
+   * @param {Object} options - Pagination options (page, limit)
+   * @returns {Promise<Object>} - Raw products and the total count, if known
+   */
+  async fetchCategoryProducts(categoryId, options) {
+    throw new Error(`fetchCategoryProducts not implemented for ${this.platformId}`);
+  }
+
+  /**
+   * Map a raw platform category into canonical category fields
+   * Adapters override this when their category format differs.
+   * @param {Object} rawCategory - Category as returned by the platform
+   * @returns {Object} - Fields for createCategory() (see category-schema.js)
+   */
+  mapCategory(rawCategory) {
+    return {
+      id: rawCategory.id ?? rawCategory.code ?? rawCategory.slug,
+      name: rawCategory.name || rawCategory.title,
+      url: absoluteUrl(rawCategory.url || rawCategory.path, this.baseUrl),
+      productCount: rawCategory.productCount ?? rawCategory.count,
+      children: rawCategory.children || rawCategory.subCategories || rawCategory.subcategories || []
+    };
+  }
+
+  /**
+   * Map a raw category tree, dropping categories that can't be mapped
+   * @param {Array} rawCategories - Categories as returned by the platform
+   * @returns {Array} - Canonical category tree
+   */
+  normalizeCategories(rawCategories) {
+    const mapChild = rawCategory => this.mapCategory(rawCategory);
+    const prune = categories => categories.filter(category => {
+      const errors = validateCategory(category);
+      
+      if (errors.length > 0) {
+        console.warn(`Skipping malformed ${this.platformId} category: ${errors.join(', ')}`);
+        return false;
+      }
+      
+      category.children = prune(category.children);
+      return true;
+    });
+    
+    return prune((rawCategories || []).map(rawCategory => createCategory(
+      { ...mapChild(rawCategory), platform: this.platformId },
+      mapChild
+    )));
+  }
+
+  /**
+   * Throw a ValidationError unless a quantity is a positive integer
+   * @param {number|string} quantity - Requested quantity
+   * @throws {ValidationError} - If the quantity is invalid
+   */
+  assertValidQuantity(quantity) {
+    const value = Number(quantity);
+    
+    if (!Number.isInteger(value) || value < 1) {
+      throw new ValidationError(`Quantity must be a positive integer, got ${quantity}`, { platformId: this.platformId });
+    }
+  }
+
   /**
    * Handle errors in a consistent way
+   * Every error leaves the adapter as a typed AdapterError (see errors.js).
    * @param {Error} error - The error to handle
    * @param {string} operation - The operation that caused the error
-   * @throws {Error} - Rethrows the error with additional context
+   * @param {Object} context - Extra error context
+   * @param {string} context.productId - Product the operation was about
+   * @throws {AdapterError} - Typed error with platform and operation
    */
-  handleError(error, operation) {
+  handleError(error, operation, context = {}) {
     console.error(`Error in ${this.platformId} adapter during ${operation}:`, error);
     
-    // Add platform-specific context to the error
-    const enhancedError = new Error(
-      `${this.platformId} ${operation} failed: ${error.message}`
-    );
-    enhancedError.originalError = error;
-    enhancedError.platformId = this.platformId;
-    enhancedError.operation = operation;
+    // Typed errors only need the context they're missing
+    if (error instanceof AdapterError) {
+      error.platformId = error.platformId || this.platformId;
+      error.operation = operation;
+      if (context.productId && 'productId' in error && !error.productId) {
+        error.productId = context.productId;
+      }
+      throw error;
+    }
+    
+    const errorContext = { platformId: this.platformId, operation, ...context };
+    
+    if (error.isAxiosError) {
+      throw fromHttpError(error, errorContext);
+    }
+    
+    const message = `${this.platformId} ${operation} failed: ${error.message}`;
+    
+    // The platform answered with data that doesn't fit the schemas
+    if (error instanceof ProductValidationError || error instanceof CategoryValidationError) {
+      throw new ParseError(message, { ...errorContext, cause: error });
+    }
     
-    throw enhancedError;
+    throw new AdapterError(message, { ...errorContext, cause: error });
   }
 
   /**
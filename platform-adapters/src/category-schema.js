@@ -0,0 +1,110 @@
+/**
+ * Category Schema
+ * Defines the canonical category shape that every platform adapter maps its
+ * category tree into.
+ *
+ * Category shape:
+ * {
+ *   id: string,
+ *   platform: string,
+ *   name: string,
+ *   url: string|null,
+ *   parentId: string|null,
+ *   productCount: number|null,
+ *   children: Array<Category>
+ * }
+ */
+const { absoluteUrl } = require('./product-schema');
+
+/**
+ * Error thrown when an adapter maps a platform category into an invalid shape
+ */
+class CategoryValidationError extends Error {
+  /**
+   * @param {Array<string>} errors - Validation error messages
+   * @param {Object} category - The category that failed validation
+   */
+  constructor(errors, category) {
+    super(`Invalid category mapping: ${errors.join(', ')}`);
+    this.name = 'CategoryValidationError';
+    this.errors = errors;
+    this.category = category;
+  }
+}
+
+/**
+ * Build a canonical category (and its subtree) from mapped fields
+ * @param {Object} fields - Fields mapped by an adapter
+ * @param {Function} mapChild - Maps a raw child category into fields
+ * @param {string|null} parentId - Identifier of the parent category
+ * @returns {Object} - Canonical category
+ */
+function createCategory(fields, mapChild, parentId = null) {
+  const id = fields.id === null || fields.id === undefined ? fields.id : String(fields.id);
+  const productCount = parseInt(fields.productCount, 10);
+
+  return {
+    id,
+    platform: fields.platform,
+    name: typeof fields.name === 'string' ? fields.name.trim() : fields.name,
+    url: fields.url || null,
+    parentId,
+    productCount: Number.isNaN(productCount) ? null : productCount,
+    children: (fields.children || []).map(child => createCategory(
+      { ...mapChild(child), platform: fields.platform },
+      mapChild,
+      id
+    ))
+  };
+}
+
+/**
+ * Validate a canonical category (not its children)
+ * @param {Object} category - Category to validate
+ * @returns {Array<string>} - Validation errors (empty if valid)
+ */
+function validateCategory(category) {
+  const errors = [];
+
+  if (typeof category.id !== 'string' || category.id.length === 0) {
+    errors.push('id is required');
+  }
+
+  if (typeof category.name !== 'string' || category.name.length === 0) {
+    errors.push(`name is required (category ${category.id})`);
+  }
+
+  if (category.url !== null && absoluteUrl(category.url) === null) {
+    errors.push(`url must be an absolute URL or null (category ${category.id})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Find a category by id in a category tree
+ * @param {Array} categories - Category tree
+ * @param {string} categoryId - Category identifier
+ * @returns {Object|null} - Category or null if not found
+ */
+function findCategory(categories, categoryId) {
+  for (const category of categories) {
+    if (category.id === String(categoryId)) {
+      return category;
+    }
+
+    const found = findCategory(category.children, categoryId);
+    if (found) {
+      return found;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  CategoryValidationError,
+  createCategory,
+  validateCategory,
+  findCategory
+};
@@ -2,7 +2,7 @@
  * Error Recovery Integration Module
  * Integrates the error recovery system with platform adapters
  */
-const errorRecoverySystem = require('../error-recovery');
+const errorRecoverySystem = require('../../error-recovery');
 
 /**
  * Higher-order function to wrap adapter methods with error recovery
@@ -13,26 +13,35 @@ const errorRecoverySystem = require('../error-recovery');
  */
 function withErrorRecovery(method, platform, operation) {
   return async function(...args) {
-    try {
-      // Attempt to execute the original method
-      return await method.apply(this, args);
-    } catch (error) {
-      // Handle error with recovery system
-      return await errorRecoverySystem.handleError(
-        error,
-        platform,
-        operation,
-        // Retry callback
-        async () => {
-          // Reset any internal state if necessary
-          if (this.resetState) {
-            this.resetState();
-          }
-          // Retry the original method
-          return await method.apply(this, args);
-        }
-      );
-    }
+    // Retry state belongs to this invocation only; request-scoped adapters also share the request's budget,
+    // and session-scoped adapters have their own cookie jar recovered instead of the shared cookies
+    const context = errorRecoverySystem.createAttemptContext(platform, operation, {
+      budget: this.budget,
+      sessionId: this.sessionId,
+      bootstrapUrl: this.baseUrl
+    });
+    
+    const attempt = async () => {
+      // Fail fast while the platform's circuit breaker is open (it may open while backing off)
+      errorRecoverySystem.assertAvailable(platform, operation);
+      
+      // Reset any internal state before a retry if necessary
+      if (context.attempt > 0 && this.resetState) {
+        this.resetState();
+      }
+      
+      try {
+        // Execute the original method
+        const result = await method.apply(this, args);
+        errorRecoverySystem.recordSuccess(platform, operation);
+        return result;
+      } catch (error) {
+        // Handle error with recovery system, which calls attempt again to retry
+        return await errorRecoverySystem.handleError(error, platform, operation, attempt, context);
+      }
+    };
+    
+    return await attempt();
   };
 }
 
@@ -86,9 +95,9 @@ function enhanceAdapterFactoryWithErrorRecovery(adapterFactory) {
   const originalGetAdapter = adapterFactory.getAdapter;
   
   // Override the getAdapter method
-  adapterFactory.getAdapter = function(platform) {
+  adapterFactory.getAdapter = function(platform, options = {}) {
     // Get the original adapter
-    const originalAdapter = originalGetAdapter.call(this, platform);
+    const originalAdapter = originalGetAdapter.call(this, platform, options);
     
     // Enhance it with error recovery
     return enhanceAdapterWithErrorRecovery(originalAdapter, platform);
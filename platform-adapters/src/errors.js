@@ -0,0 +1,240 @@
+/**
+ * Adapter Errors
+ * Typed errors thrown by platform adapters. Each error carries the platform,
+ * the operation, whether retrying can help and the HTTP status the API should
+ * answer with, so error recovery and the routes never have to guess from the
+ * error message.
+ */
+
+/**
+ * Base class of all adapter errors
+ */
+class AdapterError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error details
+   * @param {string} options.platformId - Platform identifier
+   * @param {string} options.operation - Adapter operation that failed
+   * @param {boolean} options.retryable - Whether retrying the operation can help
+   * @param {number} options.statusCode - HTTP status to answer API clients with
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = 'ADAPTER_ERROR';
+    this.platformId = options.platformId || null;
+    this.operation = options.operation || null;
+    this.retryable = options.retryable !== undefined ? options.retryable : true;
+    this.statusCode = options.statusCode || 500;
+    this.originalError = options.cause || null;
+  }
+
+  /**
+   * Get the error as an API response body
+   * @returns {Object} - Error code, message and context
+   */
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      platform: this.platformId,
+      operation: this.operation,
+      retryable: this.retryable
+    };
+  }
+}
+
+/**
+ * The platform rejected our session or cookies
+ * Retryable, because recovery refreshes the cookies first.
+ */
+class AuthenticationError extends AdapterError {
+  constructor(message, options = {}) {
+    super(message, { retryable: true, statusCode: 401, ...options });
+    this.code = 'AUTHENTICATION_FAILED';
+  }
+}
+
+/**
+ * The platform is throttling our requests
+ */
+class RateLimitedError extends AdapterError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error details (see AdapterError)
+   * @param {number} options.retryAfter - Time in milliseconds the platform asked us to wait
+   */
+  constructor(message, options = {}) {
+    super(message, { retryable: true, statusCode: 429, ...options });
+    this.code = 'RATE_LIMITED';
+    this.retryAfter = options.retryAfter || null;
+  }
+}
+
+/**
+ * The requested product doesn't exist on the platform
+ */
+class ProductNotFoundError extends AdapterError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error details (see AdapterError)
+   * @param {string} options.productId - Product identifier
+   */
+  constructor(message, options = {}) {
+    super(message, { retryable: false, statusCode: 404, ...options });
+    this.code = 'PRODUCT_NOT_FOUND';
+    this.productId = options.productId || null;
+  }
+}
+
+/**
+ * The product can't be added to the cart because it is out of stock
+ */
+class OutOfStockError extends AdapterError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error details (see AdapterError)
+   * @param {string} options.productId - Product identifier
+   */
+  constructor(message, options = {}) {
+    super(message, { retryable: false, statusCode: 409, ...options });
+    this.code = 'OUT_OF_STOCK';
+    this.productId = options.productId || null;
+  }
+}
+
+/**
+ * The platform couldn't be reached or answered with a server error
+ */
+class UpstreamUnavailableError extends AdapterError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error details (see AdapterError)
+   * @param {number} options.upstreamStatus - HTTP status from the platform (null for network errors)
+   */
+  constructor(message, options = {}) {
+    super(message, { retryable: true, statusCode: 503, ...options });
+    this.code = 'UPSTREAM_UNAVAILABLE';
+    this.upstreamStatus = options.upstreamStatus || null;
+  }
+}
+
+/**
+ * The request to the adapter was invalid
+ */
+class ValidationError extends AdapterError {
+  constructor(message, options = {}) {
+    super(message, { retryable: false, statusCode: 400, ...options });
+    this.code = 'VALIDATION_FAILED';
+  }
+}
+
+/**
+ * The platform answered, but its response couldn't be understood
+ */
+class ParseError extends AdapterError {
+  constructor(message, options = {}) {
+    super(message, { retryable: false, statusCode: 502, ...options });
+    this.code = 'PARSE_FAILED';
+  }
+}
+
+/**
+ * Error recovery gave up on an operation
+ * Answers like the error of the last attempt, so a platform that stays
+ * unavailable is still reported as unavailable instead of as an internal error.
+ */
+class RecoveryFailedError extends AdapterError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error details (see AdapterError)
+   * @param {Error} options.cause - Error of the last attempt
+   * @param {Array} options.errors - Errors of every failed attempt
+   */
+  constructor(message, options = {}) {
+    const lastError = options.cause instanceof AdapterError ? options.cause : null;
+    super(message, {
+      ...(lastError && { retryable: lastError.retryable, statusCode: lastError.statusCode }),
+      ...options
+    });
+    this.code = lastError ? lastError.code : 'RECOVERY_FAILED';
+    this.errors = options.errors || [];
+    this.attempts = this.errors.length;
+  }
+}
+
+/**
+ * Read a Retry-After header into milliseconds
+ * @param {Object} headers - Response headers
+ * @returns {number|null} - Delay in milliseconds, or null if absent
+ */
+function parseRetryAfter(headers = {}) {
+  const value = headers['retry-after'];
+  if (!value) {
+    return null;
+  }
+
+  const seconds = parseInt(value, 10);
+  if (!isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Convert a failed platform HTTP request into a typed adapter error
+ * @param {Error} error - Axios error
+ * @param {Object} context - Error context
+ * @param {string} context.platformId - Platform identifier
+ * @param {string} context.operation - Adapter operation that failed
+ * @param {string} context.productId - Product the operation was about, if any
+ * @returns {AdapterError} - Typed error
+ */
+function fromHttpError(error, context = {}) {
+  const message = `${context.platformId} ${context.operation} failed: ${error.message}`;
+  const options = { ...context, cause: error };
+
+  if (!error.response) {
+    return new UpstreamUnavailableError(message, options);
+  }
+
+  const status = error.response.status;
+
+  if (status === 401 || status === 403) {
+    return new AuthenticationError(message, options);
+  }
+
+  if (status === 429) {
+    return new RateLimitedError(message, { ...options, retryAfter: parseRetryAfter(error.response.headers) });
+  }
+
+  if (status === 404 && context.productId) {
+    return new ProductNotFoundError(message, options);
+  }
+
+  if (status === 409 && context.operation === 'addToCart') {
+    return new OutOfStockError(message, options);
+  }
+
+  if (status >= 500) {
+    return new UpstreamUnavailableError(message, { ...options, upstreamStatus: status });
+  }
+
+  return new AdapterError(message, { ...options, retryable: false, statusCode: 502 });
+}
+
+module.exports = {
+  AdapterError,
+  AuthenticationError,
+  RateLimitedError,
+  ProductNotFoundError,
+  OutOfStockError,
+  UpstreamUnavailableError,
+  ValidationError,
+  ParseError,
+  RecoveryFailedError,
+  fromHttpError
+};
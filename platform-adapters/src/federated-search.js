@@ -0,0 +1,263 @@
+/**
+ * Federated Search
+ * Searches every supported platform concurrently and merges the results into a
+ * single de-duplicated, relevance-ranked list of canonical products.
+ *
+ * A platform that fails or doesn't answer within its timeout is reported in
+ * the per-platform status and the remaining results are still returned.
+ */
+
+const DEFAULT_TIMEOUT = 8000;
+const DEFAULT_LIMIT_PER_PLATFORM = 20;
+
+/**
+ * Error thrown when a platform doesn't answer within the search timeout
+ */
+class PlatformTimeoutError extends Error {
+  /**
+   * @param {string} platform - Platform identifier
+   * @param {number} timeout - Timeout in milliseconds
+   */
+  constructor(platform, timeout) {
+    super(`${platform} search timed out after ${timeout}ms`);
+    this.name = 'PlatformTimeoutError';
+    this.platformId = platform;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Lowercase a string and strip diacritics for matching
+ * @param {string} value - Text
+ * @returns {string} - Normalized text
+ */
+function normalizeText(value) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Split text into search tokens
+ * @param {string} value - Text
+ * @returns {Array<string>} - Tokens
+ */
+function tokenize(value) {
+  return normalizeText(value).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Score how well a product matches a query
+ * @param {Object} product - Canonical product
+ * @param {string} query - Search query
+ * @param {number} rank - Position of the product in its platform's results
+ * @param {number} resultCount - Number of results from that platform
+ * @returns {number} - Relevance between 0 and 1
+ */
+function scoreProduct(product, query, rank, resultCount) {
+  const queryTokens = tokenize(query);
+  const nameTokens = tokenize(product.name);
+  const brandTokens = tokenize(product.brand);
+
+  if (queryTokens.length === 0) {
+    return 0;
+  }
+
+  // Share of query words that start a word in the product name
+  const matched = queryTokens.filter(token => nameTokens.some(word => word.startsWith(token))).length;
+  let score = 0.6 * (matched / queryTokens.length);
+
+  if (normalizeText(product.name).includes(normalizeText(query).trim())) {
+    score += 0.2;
+  }
+
+  if (queryTokens.some(token => brandTokens.includes(token))) {
+    score += 0.1;
+  }
+
+  if (product.availability && product.availability.inStock) {
+    score += 0.05;
+  }
+
+  // Keep some of the platform's own ordering
+  score += 0.05 * (1 - rank / Math.max(resultCount, 1));
+
+  return Math.round(score * 1000) / 1000;
+}
+
+class FederatedSearch {
+  /**
+   * Create a new federated search
+   * @param {Object} adapterFactory - Adapter factory
+   * @param {Object} options - Search options
+   * @param {number} options.timeout - Per-platform timeout in milliseconds
+   */
+  constructor(adapterFactory, options = {}) {
+    if (!adapterFactory) {
+      throw new Error('Adapter factory is required');
+    }
+
+    this.adapterFactory = adapterFactory;
+    this.timeout = options.timeout || parseInt(process.env.FEDERATED_SEARCH_TIMEOUT || String(DEFAULT_TIMEOUT), 10);
+  }
+
+  /**
+   * Search all (or the given) platforms
+   * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @param {Array<string>} options.platforms - Platforms to search (default: all supported)
+   * @param {number} options.limit - Results requested per platform
+   * @param {string} options.sort - 'relevance' (default) or 'price'
+   * @param {string} options.sessionId - Session whose cookie jars to use
+   * @param {RequestBudget} options.budget - Budget of the incoming request, shared by all platforms
+   * @returns {Promise<Object>} - Merged results and per-platform status
+   */
+  async search(query, options = {}) {
+    const supported = this.adapterFactory.getSupportedPlatforms();
+    const platforms = options.platforms
+      ? options.platforms.filter(platform => supported.includes(platform))
+      : supported;
+    const limit = options.limit || DEFAULT_LIMIT_PER_PLATFORM;
+
+    const outcomes = await Promise.all(platforms.map(platform => this.searchPlatform(platform, query, {
+      limit,
+      sessionId: options.sessionId,
+      budget: options.budget
+    })));
+
+    const status = {};
+    const results = [];
+
+    for (const outcome of outcomes) {
+      status[outcome.platform] = outcome.status;
+      outcome.products.forEach((product, rank) => {
+        results.push({
+          ...product,
+          relevance: scoreProduct(product, query, rank, outcome.products.length)
+        });
+      });
+    }
+
+    const merged = this.deduplicate(results);
+    merged.sort(options.sort === 'price' ? FederatedSearch.compareByPrice : FederatedSearch.compareByRelevance);
+
+    return {
+      query,
+      results: merged,
+      platforms: status,
+      partial: Object.values(status).some(platformStatus => platformStatus.status !== 'ok')
+    };
+  }
+
+  /**
+   * Search a single platform, never rejecting
+   * @param {string} platform - Platform identifier
+   * @param {string} query - Search query
+   * @param {Object} options - Search options (limit, sessionId, budget)
+   * @returns {Promise<Object>} - Products and status for the platform
+   */
+  async searchPlatform(platform, query, options) {
+    const startTime = Date.now();
+
+    try {
+      // The request budget also stops retries a timed out platform would otherwise keep making
+      const adapter = this.adapterFactory.getAdapter(platform, { sessionId: options.sessionId, budget: options.budget });
+      const products = await this.withTimeout(adapter.searchProducts(query, { limit: options.limit }), platform);
+
+      return {
+        platform,
+        products: products || [],
+        status: { status: 'ok', count: (products || []).length, durationMs: Date.now() - startTime }
+      };
+    } catch (error) {
+      console.warn(`Federated search on ${platform} failed: ${error.message}`);
+
+      return {
+        platform,
+        products: [],
+        status: {
+          status: error instanceof PlatformTimeoutError ? 'timeout' : 'error',
+          error: error.message,
+          durationMs: Date.now() - startTime
+        }
+      };
+    }
+  }
+
+  /**
+   * Reject if a platform call doesn't settle within the timeout
+   * @param {Promise} promise - Platform call
+   * @param {string} platform - Platform identifier
+   * @returns {Promise} - The call's result
+   * @throws {PlatformTimeoutError} - If the timeout elapses first
+   */
+  async withTimeout(promise, platform) {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new PlatformTimeoutError(platform, this.timeout)), this.timeout);
+    });
+
+    try {
+      return await Promise.race([promise, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Remove duplicate products, keeping the most relevant copy
+   * Products are duplicates when they share platform and id, or platform and URL.
+   * @param {Array} products - Scored products
+   * @returns {Array} - De-duplicated products
+   */
+  deduplicate(products) {
+    const byKey = new Map();
+    const unique = [];
+
+    for (const product of products) {
+      const keys = [`${product.platform}:id:${product.id}`];
+      if (product.url) {
+        keys.push(`${product.platform}:url:${product.url}`);
+      }
+
+      const existing = keys.map(key => byKey.get(key)).find(Boolean);
+      if (existing) {
+        if (product.relevance > existing.relevance) {
+          unique[unique.indexOf(existing)] = product;
+          keys.forEach(key => byKey.set(key, product));
+        }
+        continue;
+      }
+
+      unique.push(product);
+      keys.forEach(key => byKey.set(key, product));
+    }
+
+    return unique;
+  }
+
+  /**
+   * Order by relevance, then by price
+   * @param {Object} a - Product
+   * @param {Object} b - Product
+   * @returns {number} - Sort order
+   */
+  static compareByRelevance(a, b) {
+    return (b.relevance - a.relevance) || FederatedSearch.compareByPrice(a, b);
+  }
+
+  /**
+   * Order by price, cheapest first
+   * @param {Object} a - Product
+   * @param {Object} b - Product
+   * @returns {number} - Sort order
+   */
+  static compareByPrice(a, b) {
+    return a.price.amount - b.price.amount;
+  }
+}
+
+module.exports = FederatedSearch;
+module.exports.PlatformTimeoutError = PlatformTimeoutError;
+module.exports.scoreProduct = scoreProduct;
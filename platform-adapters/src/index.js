@@ -5,6 +5,9 @@
 const BaseECommerceAdapter = require('./base-adapter');
 const MotonetAdapter = require('./adapters/motonet-adapter');
 const ECommerceAdapterFactory = require('./adapter-factory');
+const productSchema = require('./product-schema');
+const RequestBudget = require('./request-budget');
+const errors = require('./errors');
 const { enhanceAdapterFactoryWithErrorRecovery } = require('./error-recovery-integration');
 
 /**
@@ -21,5 +24,8 @@ module.exports = {
   BaseECommerceAdapter,
   MotonetAdapter,
   ECommerceAdapterFactory,
-  createAdapterFactory
+  createAdapterFactory,
+  productSchema,
+  RequestBudget,
+  errors
 };
@@ -0,0 +1,325 @@
+/**
+ * Motonet Cart Parser
+ * Extracts line items and totals from the Motonet cart page (/fi/ostoskori).
+ *
+ * The cart is read from the embedded JSON state (`__NEXT_DATA__` or a
+ * `window.__*_STATE__` assignment) when the page has one, and from the cart
+ * markup otherwise.
+ *
+ * Cart shape:
+ * {
+ *   items: Array<{ productId, name, quantity, unitPrice, lineTotal, url }>,
+ *   itemCount: number,
+ *   totalPrice: number,
+ *   currency: string
+ * }
+ */
+const { parsePrice, absoluteUrl } = require('../product-schema');
+const { ParseError } = require('../errors');
+
+const DEFAULT_BASE_URL = 'https://www.motonet.fi';
+const DEFAULT_CURRENCY = 'EUR';
+const ITEM_LIST_KEYS = ['entries', 'items', 'lineItems', 'cartItems'];
+const CART_KEY_PATTERN = /cart|basket|ostoskori/i;
+const EMPTY_CART_PATTERN = /class=["'][^"']*(?:empty-cart|cart--empty|cart-empty)[^"']*["']|ostoskorisi on tyhjä/i;
+const MAX_STATE_DEPTH = 12;
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} - Rounded amount
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Strip tags and decode the most common entities from an HTML fragment
+ * @param {string} html - HTML fragment
+ * @returns {string} - Plain text
+ */
+function toText(html) {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&#(\d+);/g, (entity, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&deg;/g, '°')
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Read the embedded JSON state objects from a page
+ * @param {string} html - Page HTML
+ * @returns {Array<Object>} - Parsed state objects
+ */
+function extractEmbeddedState(html) {
+  const states = [];
+  const patterns = [
+    /<script[^>]+id=["']__NEXT_DATA__["'][^>]*>([\s\S]*?)<\/script>/gi,
+    /window\.__[A-Z_]*STATE__\s*=\s*([\s\S]*?);?\s*<\/script>/gi
+  ];
+
+  for (const pattern of patterns) {
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+      try {
+        states.push(JSON.parse(match[1].trim()));
+      } catch (error) {
+        // Not plain JSON (e.g. a script expression); fall back to the markup
+      }
+    }
+  }
+
+  return states;
+}
+
+/**
+ * Get the line item list of an object if it looks like a cart
+ * @param {Object} node - Candidate object
+ * @param {string} key - Key the object was found under
+ * @returns {Array|null} - Line items or null if the object isn't a cart
+ */
+function getCartItemList(node, key) {
+  for (const listKey of ITEM_LIST_KEYS) {
+    const list = node[listKey];
+    if (!Array.isArray(list)) {
+      continue;
+    }
+
+    const looksLikeLineItems = list.length > 0 &&
+      list.every(item => item && typeof item === 'object' && item.quantity !== undefined);
+
+    // An empty list only counts when it is clearly the cart's
+    if (looksLikeLineItems || (list.length === 0 && CART_KEY_PATTERN.test(key))) {
+      return list;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the cart object in an embedded state tree
+ * @param {*} node - State node
+ * @param {string} key - Key the node was found under
+ * @param {number} depth - Current depth
+ * @returns {Object|null} - Cart object and its line items, or null if not found
+ */
+function findCart(node, key = '', depth = 0) {
+  if (!node || typeof node !== 'object' || depth > MAX_STATE_DEPTH) {
+    return null;
+  }
+
+  if (!Array.isArray(node)) {
+    const items = getCartItemList(node, key);
+    if (items) {
+      return { cart: node, items };
+    }
+  }
+
+  for (const [childKey, child] of Object.entries(node)) {
+    const found = findCart(child, Array.isArray(node) ? key : childKey, depth + 1);
+    if (found) {
+      return found;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Map a line item from the embedded state
+ * @param {Object} entry - Raw line item
+ * @param {string} baseUrl - Base URL for relative product links
+ * @returns {Object} - Cart line item
+ */
+function mapStateItem(entry, baseUrl) {
+  const product = entry.product || {};
+  const quantity = parseInt(entry.quantity, 10) || 0;
+  let unitPrice = parsePrice(entry.unitPrice ?? entry.basePrice ?? entry.price ?? product.price);
+  let lineTotal = parsePrice(entry.totalPrice ?? entry.lineTotal ?? entry.total);
+
+  if (lineTotal === null && unitPrice !== null) {
+    lineTotal = roundMoney(unitPrice * quantity);
+  } else if (unitPrice === null && lineTotal !== null && quantity > 0) {
+    unitPrice = roundMoney(lineTotal / quantity);
+  }
+
+  const productId = entry.productId ?? product.code ?? product.id ?? entry.sku ?? entry.code ?? entry.id;
+
+  return {
+    productId: productId === undefined || productId === null ? null : String(productId),
+    name: entry.name ?? product.name ?? entry.productName ?? null,
+    quantity,
+    unitPrice,
+    lineTotal,
+    url: absoluteUrl(entry.url ?? product.url, baseUrl)
+  };
+}
+
+/**
+ * Read a cart from an embedded state object
+ * @param {Object} state - Embedded state
+ * @param {string} baseUrl - Base URL for relative product links
+ * @returns {Object|null} - Cart or null if the state has no cart
+ */
+function parseCartState(state, baseUrl) {
+  const found = findCart(state);
+  if (!found) {
+    return null;
+  }
+
+  const { cart, items } = found;
+  const totalSource = cart.totalPrice ?? cart.total ?? cart.grandTotal ?? cart.totalPriceWithTax ?? cart.subTotal;
+
+  return buildCart(
+    items.map(entry => mapStateItem(entry, baseUrl)),
+    parsePrice(totalSource),
+    cart.currency || totalSource?.currencyIso || totalSource?.currency
+  );
+}
+
+/**
+ * Get the text of the first element whose class matches a pattern
+ * @param {string} html - HTML fragment
+ * @param {RegExp} classPattern - Pattern matched against the class attribute
+ * @returns {string|null} - Element text or null if not found
+ */
+function textByClass(html, classPattern) {
+  const elementPattern = /<([a-z0-9]+)\b[^>]*\bclass=["']([^"']*)["'][^>]*>/gi;
+  let match;
+
+  while ((match = elementPattern.exec(html)) !== null) {
+    if (!classPattern.test(match[2])) {
+      continue;
+    }
+
+    const start = match.index + match[0].length;
+    const end = html.indexOf(`</${match[1]}>`, start);
+    return toText(html.slice(start, end === -1 ? undefined : end));
+  }
+
+  return null;
+}
+
+/**
+ * Read a cart from the cart page markup
+ * Each line item is an element carrying a `data-product-id` attribute.
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Base URL for relative product links
+ * @returns {Object|null} - Cart or null if the page has no cart markup
+ */
+function parseCartMarkup(html, baseUrl) {
+  const rowPattern = /<[a-z0-9]+\b[^>]*\bdata-product-id=["']([^"']+)["'][^>]*>/gi;
+  const rows = [];
+  let match;
+
+  while ((match = rowPattern.exec(html)) !== null) {
+    rows.push({ productId: match[1], tag: match[0], start: match.index });
+  }
+
+  if (rows.length === 0) {
+    return EMPTY_CART_PATTERN.test(html) ? buildCart([], 0) : null;
+  }
+
+  const summaryStart = html.search(/class=["'][^"']*cart-summary/i);
+  const items = rows.map((row, index) => {
+    const nextStart = index + 1 < rows.length ? rows[index + 1].start : html.length;
+    const end = summaryStart > row.start && summaryStart < nextStart ? summaryStart : nextStart;
+    const rowHtml = html.slice(row.start, end);
+
+    const quantityAttribute = row.tag.match(/data-quantity=["'](\d+)["']/i) ||
+      rowHtml.match(/<input\b[^>]*name=["']quantity["'][^>]*value=["'](\d+)["']/i) ||
+      rowHtml.match(/<input\b[^>]*value=["'](\d+)["'][^>]*name=["']quantity["']/i);
+    const quantity = quantityAttribute ? parseInt(quantityAttribute[1], 10) : 1;
+    const link = rowHtml.match(/<a\b[^>]*href=["']([^"']+)["']/i);
+
+    let unitPrice = parsePrice(textByClass(rowHtml, /unit-price/i));
+    let lineTotal = parsePrice(textByClass(rowHtml, /(?:line|row|item)-total|total-price/i));
+
+    if (lineTotal === null && unitPrice !== null) {
+      lineTotal = roundMoney(unitPrice * quantity);
+    } else if (unitPrice === null && lineTotal !== null && quantity > 0) {
+      unitPrice = roundMoney(lineTotal / quantity);
+    }
+
+    return {
+      productId: row.productId,
+      name: textByClass(rowHtml, /product-name|item-name|__name/i),
+      quantity,
+      unitPrice,
+      lineTotal,
+      url: link ? absoluteUrl(link[1], baseUrl) : null
+    };
+  });
+
+  const summaryHtml = summaryStart === -1 ? '' : html.slice(summaryStart);
+  const totalPrice = parsePrice(textByClass(summaryHtml, /cart-total|total-sum|grand-total/i));
+
+  return buildCart(items, totalPrice);
+}
+
+/**
+ * Assemble a cart, deriving totals from the line items when needed
+ * @param {Array} items - Cart line items
+ * @param {number|null} totalPrice - Cart total reported by the page
+ * @param {string} currency - Currency code
+ * @returns {Object} - Cart
+ */
+function buildCart(items, totalPrice, currency) {
+  const lineSum = items.reduce((sum, item) => sum + (item.lineTotal || 0), 0);
+
+  return {
+    items,
+    itemCount: items.reduce((count, item) => count + item.quantity, 0),
+    totalPrice: totalPrice === null || totalPrice === undefined ? roundMoney(lineSum) : totalPrice,
+    currency: typeof currency === 'string' && currency ? currency : DEFAULT_CURRENCY
+  };
+}
+
+/**
+ * Parse the Motonet cart page or cart JSON
+ * @param {string|Object} page - Cart page HTML or a JSON cart response
+ * @param {Object} options - Parser options
+ * @param {string} options.baseUrl - Base URL for relative product links
+ * @returns {Object} - Cart with line items and totals
+ * @throws {Error} - If no cart could be found in the page
+ */
+function parseMotonetCart(page, options = {}) {
+  const baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+
+  if (page && typeof page === 'object') {
+    const cart = parseCartState(page, baseUrl);
+    if (cart) {
+      return cart;
+    }
+  } else if (typeof page === 'string') {
+    for (const state of extractEmbeddedState(page)) {
+      const cart = parseCartState(state, baseUrl);
+      if (cart) {
+        return cart;
+      }
+    }
+
+    const cart = parseCartMarkup(page, baseUrl);
+    if (cart) {
+      return cart;
+    }
+  }
+
+  // Returning an empty cart here would hide a changed or unexpected page (e.g. a login redirect)
+  throw new ParseError('Could not find cart contents in the Motonet cart page', {
+    platformId: 'motonet',
+    operation: 'getCartContents'
+  });
+}
+
+module.exports = {
+  parseMotonetCart,
+  extractEmbeddedState
+};
@@ -0,0 +1,269 @@
+/**
+ * Product Matching
+ * Links equivalent products across platforms so the chatbot can compare offers
+ * for the same item.
+ *
+ * Products are matched, in order of confidence, on:
+ *   1. EAN/GTIN
+ *   2. Manufacturer part number (with compatible brands)
+ *   3. Normalized brand and model number
+ *   4. Fuzzy product name similarity (with compatible brands)
+ */
+const FederatedSearch = require('./federated-search');
+
+const MIN_CONFIDENCE = 0.5;
+const CANDIDATES_PER_PLATFORM = 3;
+
+/**
+ * Lowercase a string, strip diacritics and collapse separators
+ * @param {string} value - Text
+ * @returns {string} - Normalized text
+ */
+function normalizeText(value) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize a brand name for comparison
+ * @param {string} brand - Brand name
+ * @returns {string} - Normalized brand ('' if unknown)
+ */
+function normalizeBrand(brand) {
+  return normalizeText(brand).replace(/\s+/g, '');
+}
+
+/**
+ * Normalize an identifier code (MPN, model number) for comparison
+ * @param {string} code - Code
+ * @returns {string} - Upper-case alphanumerics
+ */
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Pad a GTIN to 14 digits so EAN-13 and GTIN-14 forms compare equal
+ * @param {string} gtin - GTIN digits
+ * @returns {string} - GTIN-14
+ */
+function toGtin14(gtin) {
+  return gtin.padStart(14, '0');
+}
+
+/**
+ * Extract model numbers (tokens mixing letters and digits) from a product name
+ * @param {string} name - Product name
+ * @returns {Array<string>} - Normalized model tokens
+ */
+function extractModelTokens(name) {
+  return String(name || '')
+    .split(/\s+/)
+    .map(normalizeCode)
+    .filter(token => token.length >= 3 && /\d/.test(token) && /[A-Z]/.test(token));
+}
+
+/**
+ * Dice coefficient between the word sets of two names
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} - Similarity between 0 and 1
+ */
+function nameSimilarity(a, b) {
+  const wordsA = new Set(normalizeText(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalizeText(b).split(' ').filter(Boolean));
+
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+/**
+ * Decide whether two canonical products are the same item
+ * @param {Object} source - Product being compared
+ * @param {Object} candidate - Product from another platform
+ * @returns {Object|null} - Match with method and confidence, or null if they differ
+ */
+function matchProducts(source, candidate) {
+  if (source.ean && candidate.ean) {
+    // Both have a barcode, so it decides alone
+    return toGtin14(source.ean) === toGtin14(candidate.ean)
+      ? { method: 'ean', confidence: 1 }
+      : null;
+  }
+
+  const sourceBrand = normalizeBrand(source.brand);
+  const candidateBrand = normalizeBrand(candidate.brand);
+  const brandsKnown = Boolean(sourceBrand && candidateBrand);
+
+  if (brandsKnown && sourceBrand !== candidateBrand) {
+    return null;
+  }
+
+  if (source.mpn && candidate.mpn && normalizeCode(source.mpn) === normalizeCode(candidate.mpn)) {
+    return { method: 'mpn', confidence: brandsKnown ? 0.95 : 0.85 };
+  }
+
+  const sourceModels = extractModelTokens(source.name);
+  const candidateModels = extractModelTokens(candidate.name);
+  if (brandsKnown && sourceModels.length > 0 && sourceModels.some(model => candidateModels.includes(model))) {
+    return { method: 'brand-model', confidence: 0.8 };
+  }
+
+  const similarity = nameSimilarity(source.name, candidate.name);
+  const confidence = Math.round(similarity * (brandsKnown ? 0.75 : 0.6) * 100) / 100;
+  if (confidence >= MIN_CONFIDENCE) {
+    return { method: 'name', confidence };
+  }
+
+  return null;
+}
+
+class ProductMatcher {
+  /**
+   * Create a new product matcher
+   * @param {Object} adapterFactory - Adapter factory
+   * @param {Object} options - Matcher options
+   * @param {number} options.timeout - Per-platform timeout in milliseconds
+   */
+  constructor(adapterFactory, options = {}) {
+    if (!adapterFactory) {
+      throw new Error('Adapter factory is required');
+    }
+
+    this.adapterFactory = adapterFactory;
+    this.federatedSearch = new FederatedSearch(adapterFactory, options);
+  }
+
+  /**
+   * Find offers for the same product on the other platforms
+   * @param {string} platform - Platform of the product being compared
+   * @param {string} productId - Product identifier on that platform
+   * @param {Object} options - Options
+   * @param {string} options.sessionId - Session whose cookie jars to use
+   * @param {RequestBudget} options.budget - Budget of the incoming request, shared by every lookup
+   * @returns {Promise<Object>} - Source product, offers and per-platform status
+   */
+  async compare(platform, productId, options = {}) {
+    const { sessionId, budget } = options;
+    const source = await this.adapterFactory
+      .getAdapter(platform, { sessionId, budget })
+      .getProductDetails(productId);
+
+    const otherPlatforms = this.adapterFactory.getSupportedPlatforms().filter(other => other !== platform);
+    const matches = {};
+    const status = {};
+
+    // Look up by barcode first; platforms without a barcode match get a name search
+    const queries = [source.ean, this.buildNameQuery(source)].filter(Boolean);
+    let pending = otherPlatforms;
+
+    for (const query of queries) {
+      // The name search is only a fallback, so skip it once the request is out of time
+      if (pending.length === 0 || (budget && budget.isExpired())) {
+        break;
+      }
+
+      const search = await this.federatedSearch.search(query, {
+        platforms: pending,
+        limit: CANDIDATES_PER_PLATFORM * 3,
+        sessionId,
+        budget
+      });
+      Object.assign(status, search.platforms);
+
+      await Promise.all(pending.map(async candidatePlatform => {
+        const candidates = search.results
+          .filter(candidate => candidate.platform === candidatePlatform)
+          .slice(0, CANDIDATES_PER_PLATFORM);
+        const match = await this.findBestMatch(source, candidates, { sessionId, budget });
+
+        if (match) {
+          matches[candidatePlatform] = match;
+        }
+      }));
+
+      pending = pending.filter(candidatePlatform => !matches[candidatePlatform]);
+    }
+
+    const offers = Object.values(matches)
+      .map(({ product, match }) => ({
+        platform: product.platform,
+        productId: product.id,
+        name: product.name,
+        price: product.price,
+        availability: product.availability,
+        url: product.url,
+        match
+      }))
+      .sort((a, b) => a.price.amount - b.price.amount);
+
+    return {
+      product: source,
+      offers,
+      platforms: status,
+      partial: Object.values(status).some(platformStatus => platformStatus.status !== 'ok')
+    };
+  }
+
+  /**
+   * Pick the best matching candidate, using full product details when possible
+   * Search results often lack EAN and MPN, so candidates are re-read with getProductDetails,
+   * all at once. A candidate whose details can't be loaded is matched on its search result.
+   * @param {Object} source - Product being compared
+   * @param {Array} candidates - Canonical products from one platform
+   * @param {Object} options - Options
+   * @param {string} options.sessionId - Session whose cookie jars to use
+   * @param {RequestBudget} options.budget - Budget of the incoming request
+   * @returns {Promise<Object|null>} - Best product and match, or null if none matched
+   */
+  async findBestMatch(source, candidates, options = {}) {
+    const details = await Promise.allSettled(candidates.map(candidate => this.federatedSearch.withTimeout(
+      this.adapterFactory.getAdapter(candidate.platform, options).getProductDetails(candidate.id),
+      candidate.platform
+    )));
+    let best = null;
+
+    candidates.forEach((candidate, index) => {
+      let product = candidate;
+
+      if (details[index].status === 'fulfilled') {
+        product = details[index].value;
+      } else {
+        console.warn(`Could not load ${candidate.platform} product ${candidate.id} for comparison: ${details[index].reason.message}`);
+      }
+
+      const match = matchProducts(source, product);
+      if (match && (!best || match.confidence > best.match.confidence)) {
+        best = { product, match };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Build a search query for finding a product by name on other platforms
+   * @param {Object} product - Canonical product
+   * @returns {string} - Search query
+   */
+  buildNameQuery(product) {
+    const name = product.name || '';
+
+    if (product.brand && !normalizeText(name).includes(normalizeText(product.brand))) {
+      return `${product.brand} ${name}`;
+    }
+
+    return name;
+  }
+}
+
+module.exports = ProductMatcher;
+module.exports.matchProducts = matchProducts;
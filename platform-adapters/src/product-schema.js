@@ -0,0 +1,338 @@
+/**
+ * Product Schema
+ * Defines the canonical product shape that every platform adapter maps into,
+ * so consumers don't need platform-specific parsing.
+ *
+ * Product shape:
+ * {
+ *   id: string,
+ *   platform: string,
+ *   name: string,
+ *   brand: string|null,
+ *   ean: string|null,          // GTIN-8/12/13/14 digits
+ *   mpn: string|null,          // Manufacturer part number
+ *   price: { amount: number, currency: string, vatIncluded: boolean, vatRate: number|null },
+ *   unitPrice: { amount: number, currency: string, unit: string }|null,
+ *   images: Array<string>,
+ *   availability: { status: string, inStock: boolean, quantity: number|null },
+ *   url: string|null,
+ *   categoryPath: Array<string>
+ * }
+ */
+
+const DEFAULT_CURRENCY = 'EUR';
+const GENERAL_VAT_RATE = 0.255; // Finnish general VAT rate
+const AVAILABILITY_STATUSES = ['in_stock', 'limited', 'out_of_stock', 'preorder', 'unknown'];
+
+/**
+ * Error thrown when an adapter maps a platform product into an invalid shape
+ */
+class ProductValidationError extends Error {
+  /**
+   * @param {Array<string>} errors - Validation error messages
+   * @param {Object} product - The product that failed validation
+   */
+  constructor(errors, product) {
+    super(`Invalid product mapping: ${errors.join(', ')}`);
+    this.name = 'ProductValidationError';
+    this.errors = errors;
+    this.product = product;
+  }
+}
+
+/**
+ * Parse a price value given as a number, a string ("12,95 €", "1 234,56 €") or an object
+ * The last comma or dot is the decimal separator, unless it appears more than
+ * once; every other one (and any space) separates thousands.
+ * @param {*} value - Raw price value
+ * @returns {number|null} - Price amount or null if it can't be parsed
+ */
+function parsePrice(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  if (typeof value === 'object') {
+    return parsePrice(value.amount ?? value.value ?? value.current ?? value.currentPrice ?? value.price);
+  }
+
+  // Also drops spaces and no-break spaces between thousands
+  const digits = String(value).replace(/[^\d,.-]/g, '');
+  const decimalAt = Math.max(digits.lastIndexOf(','), digits.lastIndexOf('.'));
+  const hasDecimals = decimalAt !== -1 && digits.indexOf(digits[decimalAt]) === decimalAt;
+  const normalized = hasDecimals
+    ? `${digits.slice(0, decimalAt).replace(/[,.]/g, '')}.${digits.slice(decimalAt + 1)}`
+    : digits.replace(/[,.]/g, '');
+  const amount = parseFloat(normalized);
+
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Normalize an EAN/GTIN code
+ * @param {*} value - Raw code
+ * @returns {string|null} - Code digits or null if it isn't a valid length
+ */
+function normalizeGtin(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const digits = String(value).replace(/\D/g, '');
+  return [8, 12, 13, 14].includes(digits.length) ? digits : null;
+}
+
+/**
+ * Normalize availability information into the canonical shape
+ * @param {Object} availability - Raw availability hints
+ * @param {boolean} availability.inStock - Whether the product is in stock
+ * @param {string} availability.status - Platform-specific status string
+ * @param {number} availability.quantity - Stock quantity, if known
+ * @returns {Object} - Canonical availability object
+ */
+function normalizeAvailability({ inStock, status, quantity } = {}) {
+  const parsedQuantity = quantity === null || quantity === undefined ? null : parseInt(quantity, 10);
+  const stockQuantity = Number.isNaN(parsedQuantity) ? null : parsedQuantity;
+  let normalizedStatus = 'unknown';
+
+  if (typeof status === 'string') {
+    const value = status.toLowerCase();
+
+    // Negative statuses first, since they often contain a positive one ("not available", "ei varastossa")
+    if (/out|sold|unavailable|not[ _-]?(?:available|in[ _-]?stock)|loppu|ei saatavilla|ei varastossa/.test(value)) {
+      normalizedStatus = 'out_of_stock';
+    } else if (/preorder|pre_order|ennakko/.test(value)) {
+      normalizedStatus = 'preorder';
+    } else if (/limited|low|vähän/.test(value)) {
+      normalizedStatus = 'limited';
+    } else if (/in[ _-]?stock|available|saatavilla|varastossa/.test(value)) {
+      normalizedStatus = 'in_stock';
+    }
+  }
+
+  if (normalizedStatus === 'unknown') {
+    if (typeof inStock === 'boolean') {
+      normalizedStatus = inStock ? 'in_stock' : 'out_of_stock';
+    } else if (stockQuantity !== null) {
+      normalizedStatus = stockQuantity > 0 ? 'in_stock' : 'out_of_stock';
+    }
+  }
+
+  return {
+    status: normalizedStatus,
+    inStock: normalizedStatus === 'in_stock' || normalizedStatus === 'limited',
+    quantity: stockQuantity
+  };
+}
+
+/**
+ * Make a possibly relative URL absolute
+ * @param {string} url - URL or path
+ * @param {string} baseUrl - Platform base URL
+ * @returns {string|null} - Absolute URL or null
+ */
+function absoluteUrl(url, baseUrl) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  try {
+    return new URL(url, baseUrl).toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build a canonical product from mapped fields, filling in defaults
+ * @param {Object} fields - Fields mapped by an adapter
+ * @returns {Object} - Canonical product
+ */
+function createProduct(fields) {
+  const currency = fields.currency || DEFAULT_CURRENCY;
+  const unitPriceAmount = parsePrice(fields.unitPrice);
+
+  return {
+    id: fields.id === null || fields.id === undefined ? fields.id : String(fields.id),
+    platform: fields.platform,
+    name: typeof fields.name === 'string' ? fields.name.trim() : fields.name,
+    brand: fields.brand || null,
+    ean: normalizeGtin(fields.ean),
+    mpn: typeof fields.mpn === 'string' && fields.mpn.trim() ? fields.mpn.trim() : null,
+    price: {
+      amount: parsePrice(fields.price),
+      currency,
+      vatIncluded: fields.vatIncluded !== false,
+      vatRate: typeof fields.vatRate === 'number' ? fields.vatRate : null
+    },
+    unitPrice: unitPriceAmount === null ? null : {
+      amount: unitPriceAmount,
+      currency,
+      unit: fields.unit || null
+    },
+    images: (Array.isArray(fields.images) ? fields.images : [fields.images])
+      .map(image => (typeof image === 'object' && image !== null ? image.url || image.src : image))
+      .filter(image => typeof image === 'string' && image.length > 0),
+    availability: normalizeAvailability(fields.availability),
+    url: fields.url || null,
+    categoryPath: (fields.categoryPath || [])
+      .map(category => (typeof category === 'object' && category !== null ? category.name : category))
+      .filter(category => typeof category === 'string' && category.length > 0)
+  };
+}
+
+/**
+ * Validate a canonical product
+ * @param {Object} product - Product to validate
+ * @returns {Array<string>} - Validation errors (empty if valid)
+ */
+function validateProduct(product) {
+  const errors = [];
+
+  if (!product || typeof product !== 'object') {
+    return ['product must be an object'];
+  }
+
+  if (typeof product.id !== 'string' || product.id.length === 0) {
+    errors.push('id is required');
+  }
+
+  if (typeof product.platform !== 'string' || product.platform.length === 0) {
+    errors.push('platform is required');
+  }
+
+  if (typeof product.name !== 'string' || product.name.length === 0) {
+    errors.push('name is required');
+  }
+
+  if (product.brand !== null && typeof product.brand !== 'string') {
+    errors.push('brand must be a string or null');
+  }
+
+  if (product.ean !== null && product.ean !== undefined && normalizeGtin(product.ean) !== product.ean) {
+    errors.push('ean must be a GTIN-8/12/13/14 code or null');
+  }
+
+  if (!product.price || typeof product.price.amount !== 'number' || product.price.amount < 0) {
+    errors.push('price.amount must be a non-negative number');
+  }
+
+  if (!product.price || !/^[A-Z]{3}$/.test(product.price.currency)) {
+    errors.push('price.currency must be an ISO 4217 code');
+  }
+
+  if (product.price && product.price.vatRate !== null &&
+      (typeof product.price.vatRate !== 'number' || product.price.vatRate < 0 || product.price.vatRate >= 1)) {
+    errors.push('price.vatRate must be a fraction between 0 and 1 or null');
+  }
+
+  if (product.unitPrice !== null &&
+      (!product.unitPrice || typeof product.unitPrice.amount !== 'number' || product.unitPrice.amount < 0)) {
+    errors.push('unitPrice.amount must be a non-negative number');
+  }
+
+  if (!Array.isArray(product.images)) {
+    errors.push('images must be an array');
+  }
+
+  if (!product.availability || !AVAILABILITY_STATUSES.includes(product.availability.status)) {
+    errors.push(`availability.status must be one of: ${AVAILABILITY_STATUSES.join(', ')}`);
+  }
+
+  if (product.url !== null && absoluteUrl(product.url) === null) {
+    errors.push('url must be an absolute URL or null');
+  }
+
+  if (!Array.isArray(product.categoryPath)) {
+    errors.push('categoryPath must be an array');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a product and throw if it is malformed
+ * @param {Object} product - Product to validate
+ * @returns {Object} - The same product
+ * @throws {ProductValidationError} - If the product is malformed
+ */
+function assertValidProduct(product) {
+  const errors = validateProduct(product);
+
+  if (errors.length > 0) {
+    throw new ProductValidationError(errors, product);
+  }
+
+  return product;
+}
+
+/**
+ * Extract a schema.org Product from the JSON-LD blocks of an HTML page
+ * @param {string} html - Page HTML
+ * @returns {Object|null} - JSON-LD Product object or null if none was found
+ */
+function extractJsonLdProduct(html) {
+  const scriptPattern = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+
+  while ((match = scriptPattern.exec(html)) !== null) {
+    let data;
+    try {
+      data = JSON.parse(match[1].trim());
+    } catch (error) {
+      continue;
+    }
+
+    const candidates = Array.isArray(data) ? data : (data['@graph'] || [data]);
+    const product = candidates.find(item => item && item['@type'] === 'Product');
+    if (product) {
+      return product;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Map a schema.org JSON-LD Product into product fields
+ * @param {Object} jsonLd - JSON-LD Product object
+ * @returns {Object} - Fields for createProduct()
+ */
+function mapJsonLdProduct(jsonLd) {
+  const offer = Array.isArray(jsonLd.offers) ? jsonLd.offers[0] : (jsonLd.offers || {});
+  const availability = typeof offer.availability === 'string'
+    ? offer.availability.split('/').pop()
+    : null;
+
+  return {
+    id: jsonLd.sku || jsonLd.productID || jsonLd.mpn,
+    name: jsonLd.name,
+    brand: typeof jsonLd.brand === 'object' && jsonLd.brand !== null ? jsonLd.brand.name : jsonLd.brand,
+    ean: jsonLd.gtin13 || jsonLd.gtin || jsonLd.gtin14 || jsonLd.gtin12 || jsonLd.gtin8,
+    mpn: jsonLd.mpn,
+    price: offer.price ?? offer.lowPrice,
+    currency: offer.priceCurrency,
+    images: jsonLd.image,
+    availability: { status: availability },
+    url: offer.url || jsonLd.url
+  };
+}
+
+module.exports = {
+  GENERAL_VAT_RATE,
+  AVAILABILITY_STATUSES,
+  ProductValidationError,
+  parsePrice,
+  normalizeGtin,
+  normalizeAvailability,
+  absoluteUrl,
+  createProduct,
+  validateProduct,
+  assertValidProduct,
+  extractJsonLdProduct,
+  mapJsonLdProduct
+};
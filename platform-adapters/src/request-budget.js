@@ -0,0 +1,149 @@
+/**
+ * Request Budget
+ * Limits how long, and with how many upstream calls, one incoming API request
+ * may try to reach a platform. The budget is created once per request and
+ * shared by every layer that retries or falls back (routes, error recovery and
+ * adapters), so nested retries can't multiply into dozens of upstream calls.
+ */
+
+const { AdapterError } = require('./errors');
+
+const DEFAULT_TIMEOUT = 25000;
+// One full pass of the longest fallback chain (Motonet's add-to-cart: 2 product id variations × 4 methods) and a retry to spare
+const DEFAULT_MAX_ATTEMPTS = 10;
+
+/**
+ * Error thrown when a request runs out of time or upstream attempts
+ */
+class RequestTimeoutError extends AdapterError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.reason - 'deadline' or 'retryBudget'
+   * @param {string} details.platformId - Platform identifier
+   * @param {string} details.operation - Operation that ran out of budget
+   * @param {Object} details.budget - Budget summary (see RequestBudget.getSummary)
+   * @param {Error} details.cause - Last error seen before giving up
+   */
+  constructor(message, details = {}) {
+    super(message, {
+      platformId: details.platformId,
+      operation: details.operation,
+      retryable: false,
+      statusCode: 504,
+      cause: details.cause
+    });
+    this.code = 'REQUEST_TIMEOUT';
+    this.reason = details.reason;
+    this.budget = details.budget;
+  }
+}
+
+class RequestBudget {
+  /**
+   * Create a new request budget
+   * @param {Object} options - Budget options
+   * @param {number} options.timeout - Time in milliseconds the request may take (default: REQUEST_TIMEOUT)
+   * @param {number} options.maxAttempts - Upstream calls the request may make (default: REQUEST_RETRY_BUDGET)
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || parseInt(process.env.REQUEST_TIMEOUT || String(DEFAULT_TIMEOUT), 10);
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.REQUEST_RETRY_BUDGET || String(DEFAULT_MAX_ATTEMPTS), 10);
+    this.startedAt = Date.now();
+    this.deadline = this.startedAt + this.timeout;
+    this.attempts = 0;
+  }
+
+  /**
+   * Get the time left before the deadline
+   * @returns {number} - Milliseconds left (0 once the deadline has passed)
+   */
+  remainingTime() {
+    return Math.max(0, this.deadline - Date.now());
+  }
+
+  /**
+   * Check whether the deadline has passed
+   * @returns {boolean} - Whether the request is out of time
+   */
+  isExpired() {
+    return Date.now() >= this.deadline;
+  }
+
+  /**
+   * Throw if the request is out of time or upstream attempts
+   * @param {string} platformId - Platform identifier
+   * @param {string} operation - Operation about to run
+   * @param {Error} cause - Last error seen, if any
+   * @throws {RequestTimeoutError} - If the budget is spent
+   */
+  assertRemaining(platformId, operation, cause) {
+    if (this.isExpired()) {
+      throw this.createTimeoutError(platformId, operation, 'deadline', cause);
+    }
+
+    if (this.attempts >= this.maxAttempts) {
+      throw this.createTimeoutError(platformId, operation, 'retryBudget', cause);
+    }
+  }
+
+  /**
+   * Claim one upstream call from the budget
+   * @param {string} platformId - Platform identifier
+   * @param {string} operation - Operation about to run
+   * @throws {RequestTimeoutError} - If the budget is spent
+   */
+  consumeAttempt(platformId, operation) {
+    this.assertRemaining(platformId, operation);
+    this.attempts++;
+  }
+
+  /**
+   * Shorten an upstream call's timeout so it ends by the deadline
+   * @param {number} timeout - Timeout the caller asked for, in milliseconds
+   * @returns {number} - Timeout to use
+   */
+  getTimeout(timeout) {
+    const remaining = Math.max(1, this.remainingTime());
+    return timeout ? Math.min(timeout, remaining) : remaining;
+  }
+
+  /**
+   * Create the error reported when the budget is spent
+   * @param {string} platformId - Platform identifier
+   * @param {string} operation - Operation that ran out of budget
+   * @param {string} reason - 'deadline' or 'retryBudget'
+   * @param {Error} cause - Last error seen, if any
+   * @returns {RequestTimeoutError} - Timeout error
+   */
+  createTimeoutError(platformId, operation, reason, cause) {
+    const limit = reason === 'deadline'
+      ? `deadline of ${this.timeout}ms`
+      : `retry budget of ${this.maxAttempts} upstream calls`;
+    const suffix = cause ? `: ${cause.message}` : '';
+
+    return new RequestTimeoutError(`${platformId} ${operation} exceeded the request ${limit}${suffix}`, {
+      reason,
+      platformId,
+      operation,
+      budget: this.getSummary(),
+      cause
+    });
+  }
+
+  /**
+   * Get the budget usage for logging and error responses
+   * @returns {Object} - Attempts used and allowed, elapsed and remaining time
+   */
+  getSummary() {
+    return {
+      attempts: this.attempts,
+      maxAttempts: this.maxAttempts,
+      elapsedMs: Date.now() - this.startedAt,
+      remainingMs: this.remainingTime()
+    };
+  }
+}
+
+module.exports = RequestBudget;
+module.exports.RequestTimeoutError = RequestTimeoutError;
@@ -6,6 +6,7 @@ const express = require('express');
 const router = express.Router();
 const { createAdapterFactory } = require('../platform-adapters/src');
 const cookieManager = require('../cookie-management-system');
+const sessionManager = require('../session-manager');
 
 // Create adapter factory
 const adapterFactory = createAdapterFactory(cookieManager);
@@ -13,19 +14,20 @@ const adapterFactory = createAdapterFactory(cookieManager);
 /**
  * GET /api/cart/url
  * Returns the URL to the shopping cart for the specified platform
+ * (defaults to the session's current platform)
  */
 router.get('/url', async (req, res) => {
   try {
-    const { platform } = req.query;
-    
-    if (!platform) {
-      return res.status(400).json({ error: 'Platform parameter is required' });
-    }
+    const platform = sessionManager.resolvePlatform(req, req.query.platform);
     
     console.log(`Getting cart URL for platform: ${platform}`);
     
+    if (!adapterFactory.getSupportedPlatforms().includes(platform)) {
+      return res.status(400).json({ error: `Platform ${platform} is not supported` });
+    }
+    
     // Get the appropriate adapter for the platform
-    const adapter = adapterFactory.getAdapter(platform);
+    const adapter = adapterFactory.getAdapter(platform, { sessionId: req.session?.id, budget: req.budget });
     
     // Get the cart URL
     const cartUrl = await adapter.getCartUrl();
@@ -47,9 +49,10 @@ router.get('/url', async (req, res) => {
     
     console.error('Error details:', JSON.stringify(errorDetails, null, 2));
     
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       error: 'Failed to get cart URL', 
       message: error.message,
+      code: error.code,
       details: errorDetails
     });
   }
@@ -58,25 +61,35 @@ router.get('/url', async (req, res) => {
 /**
  * POST /api/cart/add
  * Adds a product to the cart for the specified platform
+ * (defaults to the session's current platform)
  */
 router.post('/add', async (req, res) => {
   try {
-    const { platform, productId, quantity = 1 } = req.body;
+    const { productId, quantity = 1 } = req.body;
+    const platform = sessionManager.resolvePlatform(req, req.body.platform);
     
-    if (!platform || !productId) {
-      return res.status(400).json({ error: 'Platform and productId parameters are required' });
+    if (!productId) {
+      return res.status(400).json({ error: 'productId parameter is required' });
     }
     
     console.log(`Adding product ${productId} to cart for platform: ${platform} (quantity: ${quantity})`);
     
+    if (!adapterFactory.getSupportedPlatforms().includes(platform)) {
+      return res.status(400).json({ error: `Platform ${platform} is not supported` });
+    }
+    
     // Get the appropriate adapter for the platform
-    const adapter = adapterFactory.getAdapter(platform);
+    const adapter = adapterFactory.getAdapter(platform, { sessionId: req.session?.id, budget: req.budget });
     
     // Add the product to the cart
     const result = await adapter.addToCart(productId, quantity);
     
     console.log(`Add to cart result for ${productId}:`, result);
     
+    if (req.session) {
+      sessionManager.recordCartAddition(req.session, platform, productId, quantity);
+    }
+    
     // Return the result
     res.json(result);
   } catch (error) {
@@ -92,9 +105,119 @@ router.post('/add', async (req, res) => {
     
     console.error('Error details:', JSON.stringify(errorDetails, null, 2));
     
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       error: 'Failed to add product to cart', 
       message: error.message,
+      code: error.code,
+      details: errorDetails
+    });
+  }
+});
+
+/**
+ * PATCH /api/cart/items/:id
+ * Changes the quantity of a cart line on the specified platform
+ * (defaults to the session's current platform)
+ */
+router.patch('/items/:id', async (req, res) => {
+  try {
+    const itemId = req.params.id;
+    const quantity = Number(req.body.quantity);
+    const platform = sessionManager.resolvePlatform(req, req.body.platform);
+    
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ error: 'quantity must be a positive integer; use DELETE to remove an item' });
+    }
+    
+    console.log(`Updating cart item ${itemId} for platform: ${platform} (quantity: ${quantity})`);
+    
+    if (!adapterFactory.getSupportedPlatforms().includes(platform)) {
+      return res.status(400).json({ error: `Platform ${platform} is not supported` });
+    }
+    
+    // Get the appropriate adapter for the platform
+    const adapter = adapterFactory.getAdapter(platform, { sessionId: req.session?.id, budget: req.budget });
+    
+    // Update the cart line
+    const result = await adapter.updateCartItem(itemId, quantity);
+    
+    console.log(`Update cart item result for ${itemId}:`, result);
+    
+    if (req.session) {
+      sessionManager.recordCartUpdate(req.session, platform, itemId, quantity, adapter.getCartLineProductId(itemId));
+    }
+    
+    // Return the result
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating cart item:', error);
+    
+    // Provide more detailed error information
+    const errorDetails = {
+      message: error.message,
+      stack: error.stack,
+      platformId: error.platformId || 'unknown',
+      operation: error.operation || 'updateCartItem'
+    };
+    
+    console.error('Error details:', JSON.stringify(errorDetails, null, 2));
+    
+    res.status(error.statusCode || 500).json({ 
+      error: 'Failed to update cart item', 
+      message: error.message,
+      code: error.code,
+      details: errorDetails
+    });
+  }
+});
+
+/**
+ * DELETE /api/cart/items/:id
+ * Removes a line from the cart on the specified platform
+ * (defaults to the session's current platform)
+ */
+router.delete('/items/:id', async (req, res) => {
+  try {
+    const itemId = req.params.id;
+    const platform = sessionManager.resolvePlatform(req, req.query.platform);
+    
+    console.log(`Removing cart item ${itemId} for platform: ${platform}`);
+    
+    if (!adapterFactory.getSupportedPlatforms().includes(platform)) {
+      return res.status(400).json({ error: `Platform ${platform} is not supported` });
+    }
+    
+    // Get the appropriate adapter for the platform
+    const adapter = adapterFactory.getAdapter(platform, { sessionId: req.session?.id, budget: req.budget });
+    
+    // Remove the cart line
+    const result = await adapter.removeCartItem(itemId);
+    
+    console.log(`Remove cart item result for ${itemId}:`, result);
+    
+    if (req.session) {
+      sessionManager.recordCartRemoval(req.session, platform, itemId, adapter.getCartLineProductId(itemId));
+    }
+    
+    // Return the result
+    res.json(result);
+  } catch (error) {
+    console.error('Error removing cart item:', error);
+    
+    // Provide more detailed error information
+    const errorDetails = {
+      message: error.message,
+      stack: error.stack,
+      platformId: error.platformId || 'unknown',
+      operation: error.operation || 'removeCartItem'
+    };
+    
+    console.error('Error details:', JSON.stringify(errorDetails, null, 2));
+    
+    res.status(error.statusCode || 500).json({ 
+      error: 'Failed to remove cart item', 
+      message: error.message,
+      code: error.code,
       details: errorDetails
     });
   }
@@ -103,25 +226,30 @@ router.post('/add', async (req, res) => {
 /**
  * GET /api/cart/contents
  * Returns the contents of the cart for the specified platform
+ * (defaults to the session's current platform)
  */
 router.get('/contents', async (req, res) => {
   try {
-    const { platform } = req.query;
-    
-    if (!platform) {
-      return res.status(400).json({ error: 'Platform parameter is required' });
-    }
+    const platform = sessionManager.resolvePlatform(req, req.query.platform);
     
     console.log(`Getting cart contents for platform: ${platform}`);
     
+    if (!adapterFactory.getSupportedPlatforms().includes(platform)) {
+      return res.status(400).json({ error: `Platform ${platform} is not supported` });
+    }
+    
     // Get the appropriate adapter for the platform
-    const adapter = adapterFactory.getAdapter(platform);
+    const adapter = adapterFactory.getAdapter(platform, { sessionId: req.session?.id, budget: req.budget });
     
     // Get the cart contents
     const cartContents = await adapter.getCartContents();
     
     console.log(`Cart contents for ${platform}:`, cartContents);
     
+    if (req.session) {
+      sessionManager.recordCartContents(req.session, platform, cartContents);
+    }
+    
     // Return the cart contents
     res.json(cartContents);
   } catch (error) {
@@ -137,9 +265,10 @@ router.get('/contents', async (req, res) => {
     
     console.error('Error details:', JSON.stringify(errorDetails, null, 2));
     
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       error: 'Failed to get cart contents', 
       message: error.message,
+      code: error.code,
       details: errorDetails
     });
   }
@@ -148,25 +277,35 @@ router.get('/contents', async (req, res) => {
 /**
  * GET /api/cart/search
  * Searches for products on the specified platform
+ * (defaults to the session's current platform)
  */
 router.get('/search', async (req, res) => {
   try {
-    const { platform, query, page = 1, limit = 20 } = req.query;
+    const { query, page = 1, limit = 20 } = req.query;
+    const platform = sessionManager.resolvePlatform(req, req.query.platform);
     
-    if (!platform || !query) {
-      return res.status(400).json({ error: 'Platform and query parameters are required' });
+    if (!query) {
+      return res.status(400).json({ error: 'Query parameter is required' });
     }
     
     console.log(`Searching for products on platform: ${platform}, query: "${query}"`);
     
+    if (!adapterFactory.getSupportedPlatforms().includes(platform)) {
+      return res.status(400).json({ error: `Platform ${platform} is not supported` });
+    }
+    
     // Get the appropriate adapter for the platform
-    const adapter = adapterFactory.getAdapter(platform);
+    const adapter = adapterFactory.getAdapter(platform, { sessionId: req.session?.id, budget: req.budget });
     
     // Search for products
     const products = await adapter.searchProducts(query, { page, limit });
     
     console.log(`Found ${products.length} products for query "${query}" on ${platform}`);
     
+    if (req.session) {
+      sessionManager.recordHistory(req.session, 'search', { platform, query, resultCount: products.length });
+    }
+    
     // Return the products
     res.json({ products });
   } catch (error) {
@@ -182,9 +321,10 @@ router.get('/search', async (req, res) => {
     
     console.error('Error details:', JSON.stringify(errorDetails, null, 2));
     
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       error: 'Failed to search for products', 
       message: error.message,
+      code: error.code,
       details: errorDetails
     });
   }
@@ -0,0 +1,114 @@
+/**
+ * API endpoints for browsing platform categories
+ * Lets the chatbot answer questions like "what do you have in car care?"
+ */
+const express = require('express');
+const router = express.Router();
+const { createAdapterFactory } = require('../platform-adapters/src');
+const { findCategory } = require('../platform-adapters/src/category-schema');
+const cookieManager = require('../cookie-management-system');
+const sessionManager = require('../session-manager');
+
+// Create adapter factory
+const adapterFactory = createAdapterFactory(cookieManager);
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Send a consistent error response for a failed category operation
+ * @param {Object} res - Express response
+ * @param {Error} error - The error
+ * @param {string} operation - Adapter operation that failed
+ * @param {string} message - Error summary for the client
+ */
+function sendError(res, error, operation, message) {
+  console.error(`${message}:`, error);
+
+  // Provide more detailed error information
+  const errorDetails = {
+    message: error.message,
+    stack: error.stack,
+    platformId: error.platformId || 'unknown',
+    operation: error.operation || operation
+  };
+
+  console.error('Error details:', JSON.stringify(errorDetails, null, 2));
+
+  res.status(error.statusCode || 500).json({
+    error: message,
+    message: error.message,
+    details: errorDetails
+  });
+}
+
+/**
+ * GET /api/categories
+ * Returns the category tree for the specified platform
+ * (defaults to the session's current platform)
+ */
+router.get('/', async (req, res) => {
+  const platform = sessionManager.resolvePlatform(req, req.query.platform);
+
+  if (!adapterFactory.getSupportedPlatforms().includes(platform)) {
+    return res.status(400).json({ error: `Unsupported platform: ${platform}` });
+  }
+
+  try {
+    console.log(`Getting categories for platform: ${platform}`);
+
+    const adapter = adapterFactory.getAdapter(platform, { sessionId: req.session?.id, budget: req.budget });
+    const categories = await adapter.getCategories({ refresh: req.query.refresh === 'true' });
+
+    res.json({ platform, categories });
+  } catch (error) {
+    sendError(res, error, 'getCategories', 'Failed to get categories');
+  }
+});
+
+/**
+ * GET /api/categories/:id/products
+ * Returns a page of products in a category on the specified platform
+ * (defaults to the session's current platform)
+ */
+router.get('/:id/products', async (req, res) => {
+  const platform = sessionManager.resolvePlatform(req, req.query.platform);
+  const page = parseInt(req.query.page || '1', 10);
+  const limit = parseInt(req.query.limit || '20', 10);
+
+  if (!adapterFactory.getSupportedPlatforms().includes(platform)) {
+    return res.status(400).json({ error: `Unsupported platform: ${platform}` });
+  }
+
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `page must be a positive integer and limit between 1 and ${MAX_PAGE_SIZE}` });
+  }
+
+  try {
+    console.log(`Getting products in category ${req.params.id} for platform: ${platform} (page ${page})`);
+
+    const adapter = adapterFactory.getAdapter(platform, { sessionId: req.session?.id, budget: req.budget });
+
+    // The category tree is cached, so resolving the category is cheap
+    const category = findCategory(await adapter.getCategories(), req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ error: `Category ${req.params.id} not found on ${platform}` });
+    }
+
+    const listing = await adapter.getProductsByCategory(category.id, { page, limit });
+
+    if (req.session) {
+      sessionManager.recordHistory(req.session, 'browse-category', { platform, categoryId: category.id, page });
+    }
+
+    res.json({
+      platform,
+      category: { id: category.id, name: category.name, url: category.url },
+      ...listing
+    });
+  } catch (error) {
+    sendError(res, error, 'getProductsByCategory', 'Failed to get category products');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+/**
+ * API endpoint for comparing the price of a product across platforms
+ */
+const express = require('express');
+const router = express.Router();
+const { createAdapterFactory } = require('../platform-adapters/src');
+const ProductMatcher = require('../platform-adapters/src/product-matching');
+const cookieManager = require('../cookie-management-system');
+const sessionManager = require('../session-manager');
+
+// Create adapter factory and product matcher
+const adapterFactory = createAdapterFactory(cookieManager);
+const productMatcher = new ProductMatcher(adapterFactory);
+
+/**
+ * GET /api/compare
+ * Returns offers for the same product on the other platforms
+ * (the product's platform defaults to the session's current platform)
+ */
+router.get('/', async (req, res) => {
+  const { productId } = req.query;
+  const platform = sessionManager.resolvePlatform(req, req.query.platform);
+
+  if (!productId) {
+    return res.status(400).json({ error: 'productId parameter is required' });
+  }
+
+  if (!adapterFactory.getSupportedPlatforms().includes(platform)) {
+    return res.status(400).json({ error: `Unsupported platform: ${platform}` });
+  }
+
+  try {
+    console.log(`Comparing product ${productId} from ${platform} across platforms`);
+
+    const comparison = await productMatcher.compare(platform, productId, { sessionId: req.session?.id, budget: req.budget });
+
+    if (req.session) {
+      sessionManager.recordHistory(req.session, 'compare', { platform, productId, offerCount: comparison.offers.length });
+    }
+
+    res.json(comparison);
+  } catch (error) {
+    console.error('Error comparing product:', error);
+
+    // Provide more detailed error information
+    const errorDetails = {
+      message: error.message,
+      stack: error.stack,
+      platformId: error.platformId || platform,
+      operation: error.operation || 'compare'
+    };
+
+    console.error('Error details:', JSON.stringify(errorDetails, null, 2));
+
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to compare product',
+      message: error.message,
+      details: errorDetails
+    });
+  }
+});
+
+module.exports = router;
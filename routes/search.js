@@ -0,0 +1,67 @@
+/**
+ * API endpoint for searching all platforms at once
+ * Lets the chatbot answer questions like "where can I buy X cheapest?"
+ */
+const express = require('express');
+const router = express.Router();
+const { createAdapterFactory } = require('../platform-adapters/src');
+const FederatedSearch = require('../platform-adapters/src/federated-search');
+const cookieManager = require('../cookie-management-system');
+const sessionManager = require('../session-manager');
+
+// Create adapter factory and federated search
+const adapterFactory = createAdapterFactory(cookieManager);
+const federatedSearch = new FederatedSearch(adapterFactory);
+
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * GET /api/search
+ * Searches every supported platform (or the comma-separated `platforms`)
+ * and returns merged, relevance-ranked results tagged by platform
+ */
+router.get('/', async (req, res) => {
+  const { q: query, sort = 'relevance' } = req.query;
+  const limit = parseInt(req.query.limit || '20', 10);
+
+  if (!query) {
+    return res.status(400).json({ error: 'q parameter is required' });
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+  }
+
+  if (!['relevance', 'price'].includes(sort)) {
+    return res.status(400).json({ error: 'sort must be relevance or price' });
+  }
+
+  try {
+    const platforms = req.query.platforms ? req.query.platforms.split(',').map(platform => platform.trim()) : undefined;
+
+    console.log(`Federated search for "${query}" on ${platforms ? platforms.join(', ') : 'all platforms'}`);
+
+    const result = await federatedSearch.search(query, {
+      platforms,
+      limit,
+      sort,
+      sessionId: req.session?.id,
+      budget: req.budget
+    });
+
+    if (req.session) {
+      sessionManager.recordHistory(req.session, 'federated-search', { query, resultCount: result.results.length });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error in federated search:', error);
+
+    res.status(500).json({
+      error: 'Failed to search platforms',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -18,6 +18,13 @@ const errorMonitoring = require('./error-monitoring');
 
 // Import the cookie management system
 const cookieManager = require('./cookie-management-system');
+const { encryption } = require('./cookie-management-system/encryption');
+
+// Import the session management system
+const sessionManager = require('./session-manager');
+
+// Import the error recovery system
+const errorRecoverySystem = require('./error-recovery');
 
 // Create Express app
 const app = express();
@@ -38,11 +45,29 @@ app.use(cors({
     }
     return callback(null, true);
   },
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Session-Id']
 }));
 
 app.use(express.json());
 
+// Attach the conversation session to the chatbot routes only, so dashboard polling
+// and other stateless calls don't create throwaway sessions
+const SESSION_ROUTES = [
+  '/api/cart',
+  '/api/search',
+  '/api/compare',
+  '/api/categories',
+  '/api/session',
+  '/api/switch-platform',
+  '/api/add-to-cart'
+];
+app.use(SESSION_ROUTES, sessionManager.createMiddleware());
+sessionManager.startCleanup();
+
+// Drop a user's platform cookie jars when their session ends
+sessionManager.on('destroy', sessionId => cookieManager.clearSessionCookies(sessionId));
+
 // Add request logging middleware
 app.use(errorMonitoring.createRequestLoggerMiddleware());
 
@@ -57,23 +82,30 @@ const PLATFORMS = {
   GIGANTTI: 'gigantti'
 };
 
-// Set default platform
-let currentPlatform = PLATFORMS.MOTONET;
-
 // Import platform adapters
-const MotonetAdapter = require('./platform-adapters/src/adapters/motonet-adapter');
-const BaseAdapter = require('./platform-adapters/src/base-adapter');
+const { createAdapterFactory, RequestBudget } = require('./platform-adapters/src');
 
-// Initialize platform adapters with cookie manager
-const platformAdapters = {
-  [PLATFORMS.MOTONET]: new MotonetAdapter(cookieManager)
-};
+// Initialize platform adapters with cookie manager; error recovery handles retries
+const platformAdapters = createAdapterFactory(cookieManager);
+
+// Give every API request one deadline and retry budget shared by all layers that retry
+app.use('/api', (req, res, next) => {
+  req.budget = new RequestBudget();
+  next();
+});
 
 // Import API routes
 const cartRoutes = require('./routes/cart');
+const categoryRoutes = require('./routes/categories');
+const searchRoutes = require('./routes/search');
+const compareRoutes = require('./routes/compare');
 
 // Register API routes
 app.use('/api/cart', cartRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/compare', compareRoutes);
+app.use('/api/dashboard', dashboardApi.router);
 
 // Switch platform endpoint
 app.post('/api/switch-platform', (req, res) => {
@@ -86,17 +118,42 @@ app.post('/api/switch-platform', (req, res) => {
     });
   }
   
-  currentPlatform = platform;
+  sessionManager.setPlatform(req.session, platform);
   
   return res.json({
     success: true,
-    currentPlatform
+    sessionId: req.session.id,
+    currentPlatform: req.session.platform
+  });
+});
+
+// Get the current conversation session
+app.get('/api/session', (req, res) => {
+  const { id, platform, carts, history, createdAt, expiresAt } = req.session;
+  
+  return res.json({
+    sessionId: id,
+    currentPlatform: platform,
+    carts,
+    history,
+    createdAt: new Date(createdAt).toISOString(),
+    expiresAt: new Date(expiresAt).toISOString()
+  });
+});
+
+// End the current conversation session
+app.delete('/api/session', async (req, res) => {
+  await sessionManager.destroySession(req.session.id);
+  
+  return res.json({
+    success: true
   });
 });
 
 // Add to cart endpoint
 app.post('/api/add-to-cart', async (req, res) => {
   const { productId, quantity = 1 } = req.body;
+  const currentPlatform = req.session.platform;
   
   if (!productId) {
     return res.status(400).json({
@@ -108,76 +165,64 @@ app.post('/api/add-to-cart', async (req, res) => {
     logger.info(`Adding product ${productId} (qty: ${quantity}) to cart on ${currentPlatform}`);
     
     // Get the appropriate adapter for the current platform
-    const adapter = platformAdapters[currentPlatform];
-    
-    if (!adapter) {
+    if (!platformAdapters.getSupportedPlatforms().includes(currentPlatform)) {
       return res.status(400).json({
         error: `Platform ${currentPlatform} is not supported`
       });
     }
     
-    // Try to add the product to cart with multiple retries
-    let lastError = null;
-    const maxRetries = 3;
+    // Use the session's own cookie jar so each user gets their own cart
+    const adapter = platformAdapters.getAdapter(currentPlatform, {
+      sessionId: req.session.id,
+      budget: req.budget
+    });
     
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        logger.info(`Sending request to https://www.motonet.fi/api/tracking/add-to-cart (attempt ${attempt}/${maxRetries})`);
-        
-        // Call the adapter's addToCart method
-        const response = await adapter.addToCart(productId, quantity);
-        
-        logger.info(`Response status: ${response?.status || 200}`);
-        
-        // Log the successful operation
-        errorMonitoring.logOperation(currentPlatform, 'add-to-cart', {
-          productId,
-          quantity,
-          responseStatus: response?.status || 200
-        });
-        
-        return res.json({
-          success: true,
-          platform: currentPlatform,
-          response
-        });
-      } catch (error) {
-        lastError = error;
-        logger.error(`Attempt ${attempt}/${maxRetries} failed: ${error.message}`);
-        
-        // Wait before retrying
-        if (attempt < maxRetries) {
-          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-        }
-      }
-    }
+    // Error recovery retries within the request budget, so there's no retry loop here
+    const response = await adapter.addToCart(productId, quantity);
     
-    // All retries failed
-    logger.error(`All retries failed for add-to-cart operation`);
+    logger.info(`Response status: ${response?.status || 200}`);
     
-    // Log the error for monitoring
-    errorMonitoring.logError(lastError, currentPlatform, 'add-to-cart', {
+    // Track the addition in the conversation's cart state
+    sessionManager.recordCartAddition(req.session, currentPlatform, productId, quantity);
+    
+    // Log the successful operation
+    errorMonitoring.logOperation(currentPlatform, 'add-to-cart', {
       productId,
       quantity,
-      attempts: 3
+      responseStatus: response?.status || 200,
+      budget: req.budget.getSummary()
     });
     
-    return res.status(500).json({
-      error: 'Failed to add item to cart after multiple attempts',
-      details: lastError.message,
-      platform: currentPlatform
+    return res.json({
+      success: true,
+      platform: currentPlatform,
+      response
     });
   } catch (error) {
-    logger.error(`Unexpected error in add-to-cart: ${error.message}`);
+    logger.error(`Failed to add product ${productId} to cart on ${currentPlatform}: ${error.message}`);
     
     // Log the error for monitoring
     errorMonitoring.logError(error, currentPlatform, 'add-to-cart', {
       productId,
-      quantity
+      quantity,
+      budget: req.budget.getSummary()
     });
     
-    return res.status(500).json({
-      error: 'An unexpected error occurred',
+    // The request ran out of time or upstream attempts
+    if (error.code === 'REQUEST_TIMEOUT') {
+      return res.status(504).json({
+        error: 'Adding the item to the cart timed out',
+        code: error.code,
+        reason: error.reason,
+        details: error.message,
+        platform: currentPlatform,
+        budget: error.budget
+      });
+    }
+    
+    return res.status(error.statusCode || 500).json({
+      error: 'Failed to add item to cart',
+      code: error.code,
       details: error.message,
       platform: currentPlatform
     });
@@ -187,9 +232,9 @@ app.post('/api/add-to-cart', async (req, res) => {
 /**
  * Health check endpoint for monitoring
  */
-app.get('/health', (req, res) => {
-  // Check if required environment variables are set
-  const requiredEnvVars = ['ENCRYPTION_KEY'];
+app.get('/health', async (req, res) => {
+  // Check if required environment variables are set; ENCRYPTION_KEYS replaces ENCRYPTION_KEY
+  const requiredEnvVars = process.env.ENCRYPTION_KEYS ? [] : ['ENCRYPTION_KEY'];
   const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
   
   // Check if at least one platform has cookies configured
@@ -198,20 +243,31 @@ app.get('/health', (req, res) => {
     return !!process.env[cookieVarName];
   });
   
-  const status = missingEnvVars.length === 0 && hasCookies ? 'ok' : 'degraded';
+  // Platforms whose circuit breaker is open are failing fast
+  const circuitBreakers = errorRecoverySystem.getCircuitBreakerStates();
+  const unavailablePlatforms = Object.keys(circuitBreakers)
+    .filter(platform => circuitBreakers[platform].state === 'open');
+  
+  const status = missingEnvVars.length === 0 && hasCookies && unavailablePlatforms.length === 0 ? 'ok' : 'degraded';
+  
+  // Report the caller's platform if they sent a session id, without creating a session
+  const session = await sessionManager.getSession(sessionManager.getSessionId(req));
   
   res.json({ 
     status,
     version: require('./package.json').version,
     nodeVersion: process.version,
     environment: process.env.NODE_ENV || 'development',
-    currentPlatform,
+    currentPlatform: session ? session.platform : sessionManager.defaultPlatform,
+    sessions: sessionManager.getStats(),
+    sessionCookieJars: cookieManager.getSessionJarCount(),
     cookieStatus: {
       [PLATFORMS.MOTONET]: !!process.env.MOTONET_COOKIE,
       [PLATFORMS.RUSTA]: !!process.env.RUSTA_COOKIE,
       [PLATFORMS.SRYHMA]: !!process.env.SRYHMA_COOKIE,
       [PLATFORMS.GIGANTTI]: !!process.env.GIGANTTI_COOKIE
     },
+    circuitBreakers,
     missingEnvVars: missingEnvVars.length > 0 ? missingEnvVars : null,
     uptime: process.uptime()
   });
@@ -262,7 +318,10 @@ app.get('/api', (req, res) => {
         
         <div class="endpoint">
           <h3>POST /api/switch-platform</h3>
-          <p>Switch the current e-commerce platform.</p>
+          <p>Switch the e-commerce platform for the current session. Sessions are identified by the
+          <code>X-Session-Id</code> header or the <code>chatbot_session</code> cookie; a new session id
+          is returned in the <code>X-Session-Id</code> response header when none is sent, or when the
+          sent id doesn't belong to an active session.</p>
           <p><strong>Request Body:</strong></p>
           <pre>
 {
@@ -273,14 +332,20 @@ app.get('/api', (req, res) => {
           <pre>
 {
   "success": true,
+  "sessionId": "3f1c2a9e-...",
   "currentPlatform": "motonet"
 }
           </pre>
         </div>
         
+        <div class="endpoint">
+          <h3>GET /api/session</h3>
+          <p>Get the current session's platform, tracked cart state and history.</p>
+        </div>
+        
         <div class="endpoint">
           <h3>POST /api/add-to-cart</h3>
-          <p>Add an item to the cart on the current platform.</p>
+          <p>Add an item to the cart on the session's current platform.</p>
           <p><strong>Request Body:</strong></p>
           <pre>
 {
@@ -294,6 +359,96 @@ app.get('/api', (req, res) => {
   "success": true,
   "platform": "motonet",
   "response": { ... } // Platform-specific response
+}
+          </pre>
+          <p>If the request runs out of time or upstream attempts, the response is <code>504</code>:</p>
+          <pre>
+{
+  "error": "Adding the item to the cart timed out",
+  "code": "REQUEST_TIMEOUT",
+  "reason": "retryBudget",
+  "details": "motonet POST https://www.motonet.fi/fi/cart/add exceeded the request retry budget of 10 upstream calls",
+  "platform": "motonet",
+  "budget": { "attempts": 10, "maxAttempts": 10, "elapsedMs": 8123, "remainingMs": 16877 }
+}
+          </pre>
+        </div>
+        
+        <div class="endpoint">
+          <h3>PATCH /api/cart/items/:id</h3>
+          <p>Change the quantity of a cart line on the session's current platform (or the given <code>platform</code>).</p>
+          <p><strong>Request Body:</strong></p>
+          <pre>
+{
+  "quantity": 2
+}
+          </pre>
+        </div>
+        
+        <div class="endpoint">
+          <h3>DELETE /api/cart/items/:id</h3>
+          <p>Remove a line from the cart on the session's current platform (or the <code>platform</code> query parameter).</p>
+        </div>
+        
+        <div class="endpoint">
+          <h3>GET /api/search</h3>
+          <p>Search all platforms at once. Query parameters: <code>q</code>, <code>platforms</code> (comma-separated, optional), <code>limit</code> (per platform) and <code>sort</code> (<code>relevance</code> or <code>price</code>).</p>
+          <p><strong>Response:</strong></p>
+          <pre>
+{
+  "query": "moottoriöljy",
+  "results": [ ... ], // Canonical products with a relevance score
+  "platforms": {
+    "motonet": { "status": "ok", "count": 20, "durationMs": 412 },
+    "gigantti": { "status": "timeout", "error": "...", "durationMs": 8000 }
+  },
+  "partial": true
+}
+          </pre>
+        </div>
+        
+        <div class="endpoint">
+          <h3>GET /api/compare</h3>
+          <p>Find the same product on the other platforms. Query parameters: <code>productId</code> and <code>platform</code> (defaults to the session's platform).</p>
+          <p><strong>Response:</strong></p>
+          <pre>
+{
+  "product": { ... }, // The compared product
+  "offers": [
+    {
+      "platform": "gigantti",
+      "productId": "123456",
+      "name": "...",
+      "price": { "amount": 89.9, "currency": "EUR", ... },
+      "availability": { "status": "in_stock", ... },
+      "url": "https://www.gigantti.fi/...",
+      "match": { "method": "ean", "confidence": 1 }
+    }
+  ],
+  "platforms": { ... },
+  "partial": false
+}
+          </pre>
+        </div>
+        
+        <div class="endpoint">
+          <h3>GET /api/categories</h3>
+          <p>Get the category tree of the session's current platform (or the <code>platform</code> query parameter).</p>
+        </div>
+        
+        <div class="endpoint">
+          <h3>GET /api/categories/:id/products</h3>
+          <p>List products in a category. Supports <code>page</code> and <code>limit</code> query parameters.</p>
+          <p><strong>Response:</strong></p>
+          <pre>
+{
+  "platform": "motonet",
+  "category": { "id": "autonhoito", "name": "Autonhoito", "url": "..." },
+  "products": [ ... ], // Canonical products
+  "page": 1,
+  "limit": 20,
+  "total": 134,
+  "hasMore": true
 }
           </pre>
         </div>
@@ -314,8 +469,17 @@ app.get('/api', (req, res) => {
       "cookieExpiration": "2023-11-01T12:00:00Z"
     },
     "gigantti": {
-      "status": "disconnected",
-      "cookieExpiration": null
+      "status": "unavailable",
+      "cookieExpiration": "2023-11-01T12:00:00Z",
+      "circuitBreaker": {
+        "state": "open",
+        "failures": 10,
+        "openedAt": "2023-10-31T12:00:00Z",
+        "nextAttemptAt": "2023-10-31T12:00:30Z",
+        "operations": {
+          "searchProducts": { "state": "open", "failures": 5, "openedAt": "2023-10-31T12:00:00Z", "nextAttemptAt": "2023-10-31T12:00:30Z" }
+        }
+      }
     }
   }
 }
@@ -329,8 +493,25 @@ app.get('/api', (req, res) => {
 // Add error handling middleware
 app.use(errorMonitoring.createErrorMiddleware());
 
-// Start the server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  logger.info(`Proxy server running on port ${PORT}`);
-});
+// Start the server when run directly (not when required by tests)
+if (require.main === module) {
+  // Refuse to start in production with missing or default encryption keys
+  try {
+    encryption.assertKeyConfiguration();
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+  
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    logger.info(`Proxy server running on port ${PORT}`);
+  });
+  
+  // Load stored cookies and start scheduled extraction in the background
+  cookieManager.start().catch(error => {
+    logger.error(`Failed to start cookie manager: ${error.message}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,514 @@
+/**
+ * Session Management System
+ *
+ * Keeps per-conversation state (selected platform, cart state and history) so that
+ * chatbot users no longer share a single global platform selection.
+ *
+ * Sessions are identified by the `X-Session-Id` request header or the `chatbot_session`
+ * cookie. They live in an in-memory store that can optionally write through to a
+ * persistent backend implementing the same async interface (get, set, destroy).
+ */
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('./error-monitoring').logger || console;
+
+const SESSION_HEADER = 'x-session-id';
+const SESSION_COOKIE = 'chatbot_session';
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+/**
+ * In-memory session store with an optional persistent backend
+ *
+ * A backend is any object exposing `get(id)`, `set(id, session)` and `destroy(id)`
+ * (sync or async). Reads fall through to the backend when a session is not cached,
+ * and writes are mirrored to it.
+ */
+class MemorySessionStore {
+  /**
+   * Create a new session store
+   * @param {Object} backend - Optional persistent backend
+   */
+  constructor(backend = null) {
+    this.sessions = new Map();
+    this.backend = backend;
+  }
+
+  /**
+   * Get a session by id
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object|null>} - Session data or null if not found
+   */
+  async get(sessionId) {
+    if (this.sessions.has(sessionId)) {
+      return this.sessions.get(sessionId);
+    }
+
+    if (this.backend) {
+      const session = await this.backend.get(sessionId);
+      if (session) {
+        this.sessions.set(sessionId, session);
+        return session;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Store a session
+   * @param {string} sessionId - Session identifier
+   * @param {Object} session - Session data
+   */
+  async set(sessionId, session) {
+    this.sessions.set(sessionId, session);
+
+    if (this.backend) {
+      await this.backend.set(sessionId, session);
+    }
+  }
+
+  /**
+   * Remove a session
+   * @param {string} sessionId - Session identifier
+   */
+  async destroy(sessionId) {
+    this.sessions.delete(sessionId);
+
+    if (this.backend) {
+      await this.backend.destroy(sessionId);
+    }
+  }
+
+  /**
+   * Remove expired sessions from memory
+   * @param {number} now - Current timestamp in milliseconds
+   * @returns {Promise<Array>} - Ids of the removed sessions
+   */
+  async prune(now = Date.now()) {
+    const expired = [];
+
+    for (const [sessionId, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        expired.push(sessionId);
+      }
+    }
+
+    for (const sessionId of expired) {
+      await this.destroy(sessionId);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Get the number of cached sessions
+   * @returns {number} - Session count
+   */
+  size() {
+    return this.sessions.size;
+  }
+}
+
+/**
+ * Session Manager class
+ * Creates, resolves and expires conversation sessions
+ */
+class SessionManager extends EventEmitter {
+  /**
+   * Create a new session manager
+   * @param {Object} options - Session options
+   * @param {number} options.ttl - Idle time in milliseconds before a session expires
+   * @param {string} options.defaultPlatform - Platform selected for new sessions
+   * @param {number} options.maxHistory - Maximum number of history entries kept per session
+   * @param {Object} options.store - Session store (defaults to MemorySessionStore)
+   */
+  constructor(options = {}) {
+    super();
+    this.ttl = options.ttl || parseInt(process.env.SESSION_TTL || '1800000', 10); // 30 minutes
+    this.defaultPlatform = options.defaultPlatform || process.env.DEFAULT_PLATFORM || 'motonet';
+    this.maxHistory = options.maxHistory || 50;
+    this.store = options.store || new MemorySessionStore();
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Replace the session store (e.g. to plug in a persistent backend)
+   * @param {Object} store - Store implementing get, set, destroy and prune
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Generate a new session identifier
+   * @returns {string} - Session identifier
+   */
+  generateSessionId() {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * Read the session identifier from a request header or cookie
+   * @param {Object} req - Express request
+   * @returns {string|null} - Session identifier or null if none was sent
+   */
+  getSessionId(req) {
+    const headerValue = req.get ? req.get(SESSION_HEADER) : req.headers?.[SESSION_HEADER];
+    if (headerValue && SESSION_ID_PATTERN.test(headerValue)) {
+      return headerValue;
+    }
+
+    const cookieHeader = req.headers?.cookie;
+    if (cookieHeader) {
+      for (const part of cookieHeader.split(';')) {
+        const [name, ...rest] = part.trim().split('=');
+        if (name !== SESSION_COOKIE) {
+          continue;
+        }
+
+        let value;
+        try {
+          value = decodeURIComponent(rest.join('='));
+        } catch (error) {
+          // A malformed cookie counts as no session cookie
+          continue;
+        }
+
+        if (SESSION_ID_PATTERN.test(value)) {
+          return value;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a new session with a server-generated identifier
+   * @returns {Promise<Object>} - The new session
+   */
+  async createSession() {
+    const now = Date.now();
+    const session = {
+      id: this.generateSessionId(),
+      platform: this.defaultPlatform,
+      carts: {},
+      history: [],
+      createdAt: now,
+      lastAccessedAt: now,
+      expiresAt: now + this.ttl
+    };
+
+    await this.store.set(session.id, session);
+    logger.info(`Created session ${session.id}`);
+    this.emit('create', session);
+
+    return session;
+  }
+
+  /**
+   * Get an existing, unexpired session
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object|null>} - Session or null if not found or expired
+   */
+  async getSession(sessionId) {
+    if (!sessionId) {
+      return null;
+    }
+
+    const session = await this.store.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    if (session.expiresAt <= Date.now()) {
+      await this.destroySession(sessionId);
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Get an existing session or create a new one
+   * An unknown identifier gets a new session with a new identifier, so clients
+   * can't choose the id of a session (and of its cookie jars) for someone else.
+   * @param {string} sessionId - Session identifier (may be null)
+   * @returns {Promise<Object>} - Session
+   */
+  async getOrCreateSession(sessionId) {
+    const session = await this.getSession(sessionId);
+    return session || this.createSession();
+  }
+
+  /**
+   * Persist a session and extend its expiry
+   * Destroyed sessions are not saved back.
+   * @param {Object} session - Session to save
+   */
+  async saveSession(session) {
+    if (session.destroyed) {
+      return;
+    }
+
+    const now = Date.now();
+    session.lastAccessedAt = now;
+    session.expiresAt = now + this.ttl;
+    await this.store.set(session.id, session);
+  }
+
+  /**
+   * Destroy a session
+   * @param {string} sessionId - Session identifier
+   */
+  async destroySession(sessionId) {
+    // Requests still holding the session must not save it back when they finish
+    const session = await this.store.get(sessionId);
+    if (session) {
+      session.destroyed = true;
+    }
+
+    await this.store.destroy(sessionId);
+    logger.info(`Destroyed session ${sessionId}`);
+    this.emit('destroy', sessionId);
+  }
+
+  /**
+   * Resolve the platform for a request
+   * @param {Object} req - Express request
+   * @param {string} requestedPlatform - Platform explicitly requested by the caller
+   * @returns {string} - Platform identifier
+   */
+  resolvePlatform(req, requestedPlatform) {
+    if (requestedPlatform) {
+      return requestedPlatform;
+    }
+
+    return req.session?.platform || this.defaultPlatform;
+  }
+
+  /**
+   * Select the platform for a session
+   * @param {Object} session - Session
+   * @param {string} platform - Platform identifier
+   */
+  setPlatform(session, platform) {
+    const previousPlatform = session.platform;
+    session.platform = platform;
+    this.recordHistory(session, 'switch-platform', { from: previousPlatform, to: platform });
+  }
+
+  /**
+   * Get the cart state tracked for a platform
+   * @param {Object} session - Session
+   * @param {string} platform - Platform identifier
+   * @returns {Object} - Cart state with items and last update time
+   */
+  getCart(session, platform) {
+    if (!session.carts[platform]) {
+      session.carts[platform] = { items: [], updatedAt: null };
+    }
+
+    return session.carts[platform];
+  }
+
+  /**
+   * Record an item added to a platform cart
+   * @param {Object} session - Session
+   * @param {string} platform - Platform identifier
+   * @param {string} productId - Product identifier
+   * @param {number} quantity - Quantity added
+   */
+  recordCartAddition(session, platform, productId, quantity) {
+    const cart = this.getCart(session, platform);
+    const existing = cart.items.find(item => item.productId === productId);
+
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      cart.items.push({ productId, quantity });
+    }
+
+    cart.updatedAt = Date.now();
+    this.recordHistory(session, 'add-to-cart', { platform, productId, quantity });
+  }
+
+  /**
+   * Check whether a tracked cart item is a cart line
+   * @param {Object} item - Tracked cart item
+   * @param {string} itemId - Cart line identifier
+   * @param {string|null} productId - Product the line stands for, if known
+   * @returns {boolean} - Whether the item is the line
+   */
+  isCartLine(item, itemId, productId) {
+    return item.lineId === itemId || (!!productId && item.productId === productId);
+  }
+
+  /**
+   * Record a changed cart line quantity
+   * Lines are tracked by line id; a line is only matched to an added product
+   * when the platform tells which product the line id stands for.
+   * @param {Object} session - Session
+   * @param {string} platform - Platform identifier
+   * @param {string} itemId - Cart line identifier
+   * @param {number} quantity - New quantity
+   * @param {string|null} productId - Product the line stands for, if known (see getCartLineProductId)
+   */
+  recordCartUpdate(session, platform, itemId, quantity, productId = null) {
+    const cart = this.getCart(session, platform);
+    const existing = cart.items.find(item => this.isCartLine(item, itemId, productId));
+
+    if (existing) {
+      existing.lineId = itemId;
+      existing.quantity = quantity;
+    } else {
+      cart.items.push({ productId, lineId: itemId, quantity });
+    }
+
+    cart.updatedAt = Date.now();
+    this.recordHistory(session, 'update-cart-item', { platform, itemId, quantity });
+  }
+
+  /**
+   * Record a cart line removal
+   * @param {Object} session - Session
+   * @param {string} platform - Platform identifier
+   * @param {string} itemId - Cart line identifier
+   * @param {string|null} productId - Product the line stands for, if known (see getCartLineProductId)
+   */
+  recordCartRemoval(session, platform, itemId, productId = null) {
+    const cart = this.getCart(session, platform);
+    cart.items = cart.items.filter(item => !this.isCartLine(item, itemId, productId));
+    cart.updatedAt = Date.now();
+    this.recordHistory(session, 'remove-cart-item', { platform, itemId });
+  }
+
+  /**
+   * Replace the tracked cart state with contents fetched from the platform
+   * @param {Object} session - Session
+   * @param {string} platform - Platform identifier
+   * @param {Object} contents - Cart contents returned by the adapter
+   */
+  recordCartContents(session, platform, contents) {
+    const cart = this.getCart(session, platform);
+    cart.contents = contents;
+    cart.updatedAt = Date.now();
+  }
+
+  /**
+   * Append an entry to the session history
+   * @param {Object} session - Session
+   * @param {string} type - Event type (e.g. 'add-to-cart')
+   * @param {Object} data - Event data
+   */
+  recordHistory(session, type, data = {}) {
+    session.history.push({
+      type,
+      timestamp: Date.now(),
+      ...data
+    });
+
+    // Keep only the most recent entries
+    if (session.history.length > this.maxHistory) {
+      session.history.splice(0, session.history.length - this.maxHistory);
+    }
+  }
+
+  /**
+   * Remove expired sessions
+   * @returns {Promise<number>} - Number of removed sessions
+   */
+  async pruneExpiredSessions() {
+    const expired = await this.store.prune(Date.now());
+    expired.forEach(sessionId => this.emit('destroy', sessionId));
+
+    if (expired.length > 0) {
+      logger.info(`Pruned ${expired.length} expired sessions`);
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Start periodic removal of expired sessions
+   * @param {number} intervalMs - Cleanup interval in milliseconds
+   */
+  startCleanup(intervalMs = 5 * 60 * 1000) {
+    this.stopCleanup();
+
+    this.cleanupTimer = setInterval(() => {
+      this.pruneExpiredSessions().catch(error => {
+        logger.error(`Session cleanup failed: ${error.message}`);
+      });
+    }, intervalMs);
+
+    // Don't keep the process alive just for session cleanup
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Stop periodic session cleanup
+   */
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+
+  /**
+   * Get session statistics
+   * @returns {Object} - Statistics object
+   */
+  getStats() {
+    return {
+      activeSessions: typeof this.store.size === 'function' ? this.store.size() : null,
+      ttl: this.ttl,
+      defaultPlatform: this.defaultPlatform
+    };
+  }
+
+  /**
+   * Create Express middleware that attaches `req.session`
+   * @returns {Function} - Express middleware
+   */
+  createMiddleware() {
+    return async (req, res, next) => {
+      try {
+        const sessionId = this.getSessionId(req);
+        const session = await this.getOrCreateSession(sessionId);
+
+        req.session = session;
+        res.setHeader('X-Session-Id', session.id);
+
+        // Send the cookie on every response, so its Max-Age slides along with the session's expiry
+        const secure = process.env.NODE_ENV === 'production';
+        res.append('Set-Cookie', [
+          `${SESSION_COOKIE}=${encodeURIComponent(session.id)}`,
+          'Path=/',
+          'HttpOnly',
+          `Max-Age=${Math.floor(this.ttl / 1000)}`,
+          secure ? 'SameSite=None; Secure' : 'SameSite=Lax'
+        ].join('; '));
+
+        // Persist changes made by the route handler once the response is sent
+        res.on('finish', () => {
+          this.saveSession(session).catch(error => {
+            logger.error(`Failed to save session ${session.id}: ${error.message}`);
+          });
+        });
+
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const sessionManager = new SessionManager();
+
+module.exports = sessionManager;
+module.exports.SessionManager = SessionManager;
+module.exports.MemorySessionStore = MemorySessionStore;
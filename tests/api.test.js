@@ -12,6 +12,7 @@ const { getAdapterFactory } = require('../platform-adapters');
 process.env.MOTONET_COOKIE = 'test-cookie-value';
 process.env.SRYHMA_COOKIE = 'test-cookie-value';
 process.env.GIGANTTI_COOKIE = 'test-cookie-value';
+process.env.RUSTA_COOKIE = 'test-cookie-value';
 
 describe('API Endpoints', () => {
   describe('GET /health', () => {
@@ -168,6 +169,85 @@ describe('Platform Adapters', () => {
   });
 });
 
+describe('Rusta Adapter', () => {
+  const mock = require('./mocks');
+  const cookieManager = require('../cookie-management-system');
+  const { createAdapterFactory } = require('../platform-adapters/src');
+  const { ProductNotFoundError } = require('../platform-adapters/src/errors');
+  let rustaAdapter;
+  
+  beforeAll(() => {
+    rustaAdapter = createAdapterFactory(cookieManager).getAdapter('rusta');
+  });
+  
+  it('should be an instance of RustaAdapter', () => {
+    expect(rustaAdapter).toBeDefined();
+    expect(rustaAdapter.platformId).toBe('rusta');
+  });
+  
+  // These tests require mocking the axios requests
+  it('should have required methods', () => {
+    expect(typeof rustaAdapter.searchProducts).toBe('function');
+    expect(typeof rustaAdapter.getProductDetails).toBe('function');
+    expect(typeof rustaAdapter.addToCart).toBe('function');
+    expect(typeof rustaAdapter.getCartContents).toBe('function');
+    expect(typeof rustaAdapter.checkout).toBe('function');
+  });
+  
+  it('should return canonical products from search', async () => {
+    const products = await rustaAdapter.searchProducts('test');
+    
+    expect(products.map(product => [product.platform, product.id, product.price.amount])).toEqual([
+      ['rusta', '100123', 24.95],
+      ['rusta', '100124', 9.95]
+    ]);
+    expect(products[0].url).toBe('https://www.rusta.com/fi/product/100123');
+  });
+  
+  it('should return canonical product details', async () => {
+    const product = await rustaAdapter.getProductDetails('100123');
+    
+    expect(product).toMatchObject({ platform: 'rusta', id: '100123', name: 'Rusta Test Product 1' });
+    expect(product.price).toMatchObject({ amount: 24.95, currency: 'EUR' });
+  });
+  
+  it('should post the product and quantity when adding to the cart', async () => {
+    const result = await rustaAdapter.addToCart('100123', 2);
+    const post = mock.history.post[mock.history.post.length - 1];
+    
+    expect(result).toMatchObject({ success: true, data: { cartId: 'rusta-1' } });
+    expect(post.url).toBe('https://www.rusta.com/api/fi/cart/items');
+    expect(JSON.parse(post.data)).toEqual({ productId: '100123', quantity: 2 });
+  });
+  
+  it('should return the cart in the shared cart shape', async () => {
+    const cart = await rustaAdapter.getCartContents();
+    
+    expect(cart).toEqual({
+      items: [{
+        itemId: '100123',
+        productId: '100123',
+        name: 'Rusta Test Product 1',
+        quantity: 1,
+        unitPrice: 24.95,
+        lineTotal: 24.95,
+        url: 'https://www.rusta.com/fi/product/100123'
+      }],
+      itemCount: 1,
+      totalPrice: 24.95,
+      currency: 'EUR'
+    });
+  });
+  
+  it('should report a missing product as ProductNotFoundError', async () => {
+    // Only product 100123 is mocked, so the platform answers 404
+    const error = await rustaAdapter.getProductDetails('999999').catch(caught => caught);
+    
+    expect(error).toBeInstanceOf(ProductNotFoundError);
+    expect(error).toMatchObject({ statusCode: 404, platformId: 'rusta', productId: '999999', retryable: false });
+  });
+});
+
 describe('Error Monitoring', () => {
   const errorMonitoring = require('../error-monitoring');
   
@@ -0,0 +1,215 @@
+/**
+ * Test suite for the shared headless browser pool
+ */
+
+jest.mock('../cookie-management-system/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+// Every test passes a fake launcher
+jest.mock('puppeteer-core', () => ({ launch: jest.fn() }));
+
+const EventEmitter = require('events');
+const { BrowserPool } = require('../cookie-management-system/browser-pool');
+
+/**
+ * Create a fake puppeteer browser
+ * @returns {Object} - Browser with incognito contexts that record whether they were closed
+ */
+function createFakeBrowser() {
+  const browser = new EventEmitter();
+  browser.contexts = [];
+  browser.createIncognitoBrowserContext = jest.fn(async () => {
+    const context = {
+      closed: false,
+      newPage: jest.fn(async () => ({ context })),
+      close: jest.fn(async () => { context.closed = true; })
+    };
+    browser.contexts.push(context);
+    return context;
+  });
+  browser.version = jest.fn().mockResolvedValue('HeadlessChrome/121.0');
+  browser.close = jest.fn(async () => browser.emit('disconnected'));
+  browser.kill = jest.fn();
+  browser.process = () => ({ kill: browser.kill });
+  // Simulate Chrome going away on its own
+  browser.crash = () => browser.emit('disconnected');
+  return browser;
+}
+
+/**
+ * Create a pool with a fake launcher
+ * @param {Object} options - Pool options
+ * @returns {Object} - Pool and the browsers it launched
+ */
+function createPool(options = {}) {
+  const browsers = [];
+  const launcher = {
+    launch: jest.fn(async () => {
+      const browser = createFakeBrowser();
+      browsers.push(browser);
+      return browser;
+    })
+  };
+  const pool = new BrowserPool({
+    launcher,
+    maxContexts: 2,
+    idleTimeout: 1000,
+    healthCheckInterval: 0,
+    healthCheckTimeout: 100,
+    ...options
+  });
+  return { pool, browsers, launcher };
+}
+
+/**
+ * Create a promise with its resolve function
+ * @returns {Object} - Promise and resolve function
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+/**
+ * Let pending promise callbacks run, also while timers are faked
+ * @returns {Promise<void>}
+ */
+function flushPromises() {
+  return new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+}
+
+describe('BrowserPool', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('runs jobs in separate incognito contexts of one browser and closes them', async () => {
+    const { pool, browsers, launcher } = createPool();
+
+    const [first, second] = await Promise.all([
+      pool.withPage(async page => page.context),
+      pool.withPage(async page => page.context)
+    ]);
+
+    expect(launcher.launch).toHaveBeenCalledTimes(1);
+    expect(first).not.toBe(second);
+    expect(browsers[0].contexts).toEqual([first, second]);
+    expect(first.closed).toBe(true);
+    expect(second.closed).toBe(true);
+
+    await pool.close();
+  });
+
+  test('closes the context when a job fails', async () => {
+    const { pool, browsers } = createPool();
+
+    await expect(pool.withPage(async () => { throw new Error('Selector not found'); })).rejects.toThrow('Selector not found');
+
+    expect(browsers[0].contexts[0].closed).toBe(true);
+    expect(pool.getStatus().activeJobs).toBe(0);
+
+    await pool.close();
+  });
+
+  test('runs at most maxContexts jobs at once', async () => {
+    const { pool, browsers } = createPool({ maxContexts: 1 });
+    const firstJob = deferred();
+    const second = jest.fn(async () => 'second');
+
+    const first = pool.withPage(() => firstJob.promise);
+    const queued = pool.withPage(second);
+    await flushPromises();
+
+    expect(second).not.toHaveBeenCalled();
+    expect(pool.getStatus()).toMatchObject({ activeJobs: 1, queuedJobs: 1 });
+
+    firstJob.resolve('first');
+    await expect(first).resolves.toBe('first');
+    await expect(queued).resolves.toBe('second');
+    expect(browsers[0].contexts).toHaveLength(2);
+
+    await pool.close();
+  });
+
+  test('relaunches a crashed browser and retries the interrupted job once', async () => {
+    const { pool, browsers, launcher } = createPool();
+    let attempts = 0;
+
+    const result = await pool.withPage(async () => {
+      attempts++;
+      if (attempts === 1) {
+        browsers[0].crash();
+        throw new Error('Target closed');
+      }
+      return 'cookies';
+    });
+
+    expect(result).toBe('cookies');
+    expect(launcher.launch).toHaveBeenCalledTimes(2);
+    expect(pool.getStatus()).toMatchObject({ running: true, launches: 2, crashes: 1 });
+
+    await pool.close();
+  });
+
+  test('does not retry jobs that fail while the browser is healthy', async () => {
+    const { pool, launcher } = createPool();
+    const job = jest.fn().mockRejectedValue(new Error('Login failed'));
+
+    await expect(pool.withPage(job)).rejects.toThrow('Login failed');
+
+    expect(job).toHaveBeenCalledTimes(1);
+    expect(launcher.launch).toHaveBeenCalledTimes(1);
+
+    await pool.close();
+  });
+
+  test('replaces a browser that fails its health check', async () => {
+    const { pool, browsers, launcher } = createPool();
+    await pool.withPage(async () => {});
+
+    browsers[0].version.mockReturnValue(new Promise(() => {}));
+    await expect(pool.checkHealth()).resolves.toBe(false);
+
+    expect(browsers[0].kill).toHaveBeenCalledWith('SIGKILL');
+    expect(pool.getStatus().running).toBe(false);
+
+    await pool.withPage(async () => {});
+    expect(launcher.launch).toHaveBeenCalledTimes(2);
+
+    await pool.close();
+  });
+
+  test('closes the browser after the idle timeout', async () => {
+    jest.useFakeTimers();
+    const { pool, browsers } = createPool();
+
+    await pool.withPage(async () => {});
+    expect(pool.getStatus().running).toBe(true);
+
+    jest.advanceTimersByTime(999);
+    expect(browsers[0].close).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    await flushPromises();
+    expect(browsers[0].close).toHaveBeenCalled();
+    expect(pool.getStatus()).toMatchObject({ running: false, crashes: 0 });
+  });
+
+  test('a new job cancels the idle shutdown', async () => {
+    jest.useFakeTimers();
+    const { pool, browsers, launcher } = createPool();
+
+    await pool.withPage(async () => {});
+    jest.advanceTimersByTime(500);
+    await pool.withPage(async () => {});
+    jest.advanceTimersByTime(500);
+
+    expect(browsers[0].close).not.toHaveBeenCalled();
+    expect(launcher.launch).toHaveBeenCalledTimes(1);
+
+    await pool.close();
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Test suite for the cart line endpoints
+ */
+
+const request = require('supertest');
+const app = require('../server');
+
+describe('Cart line endpoints', () => {
+  it('should update the quantity of a cart line', async () => {
+    const response = await request(app)
+      .patch('/api/cart/items/gigantti-1')
+      .send({ platform: 'gigantti', quantity: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty('success', true);
+    expect(response.body.data).toHaveProperty('itemCount', 2);
+  });
+
+  it('should reject invalid quantities', async () => {
+    const response = await request(app)
+      .patch('/api/cart/items/gigantti-1')
+      .send({ platform: 'gigantti', quantity: 0 });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should reject unsupported platforms', async () => {
+    const patched = await request(app)
+      .patch('/api/cart/items/gigantti-1')
+      .send({ platform: 'verkkokauppa', quantity: 2 });
+    const deleted = await request(app).delete('/api/cart/items/gigantti-1?platform=verkkokauppa');
+
+    expect(patched.status).toBe(400);
+    expect(patched.body).toEqual({ error: 'Platform verkkokauppa is not supported' });
+    expect(deleted.status).toBe(400);
+  });
+
+  it('should remove a cart line and track it in the session', async () => {
+    const agent = request.agent(app);
+    const addResponse = await agent
+      .patch('/api/cart/items/product-1')
+      .send({ platform: 'sryhma', quantity: 3 });
+    const sessionId = addResponse.headers['x-session-id'];
+
+    const response = await agent
+      .delete('/api/cart/items/product-1?platform=sryhma')
+      .set('X-Session-Id', sessionId);
+    const session = await agent.get('/api/session').set('X-Session-Id', sessionId);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty('success', true);
+    expect(session.body.carts.sryhma.items).toEqual([]);
+  });
+});
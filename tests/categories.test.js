@@ -0,0 +1,94 @@
+/**
+ * Test suite for category browsing
+ */
+
+const request = require('supertest');
+const mock = require('./mocks');
+const app = require('../server');
+const GiganttiAdapter = require('../platform-adapters/src/adapters/gigantti-adapter');
+const RequestBudget = require('../platform-adapters/src/request-budget');
+
+// Minimal cookie manager so adapters don't need stored cookies
+const cookieManager = {
+  getLatestCookies: async () => ({ cookieString: 'test=1' })
+};
+
+describe('Category browsing', () => {
+  beforeEach(() => {
+    mock.resetHistory();
+  });
+
+  it('should normalize the category tree and drop malformed categories', async () => {
+    const adapter = new GiganttiAdapter(cookieManager);
+
+    const categories = await adapter.getCategories();
+
+    expect(categories).toEqual([
+      {
+        id: 'tv-audio',
+        platform: 'gigantti',
+        name: 'TV ja audio',
+        url: 'https://www.gigantti.fi/tv-ja-audio',
+        parentId: null,
+        productCount: null,
+        children: [
+          {
+            id: 'televisiot',
+            platform: 'gigantti',
+            name: 'Televisiot',
+            url: 'https://www.gigantti.fi/tv-ja-audio/televisiot',
+            parentId: 'tv-audio',
+            productCount: 3,
+            children: []
+          }
+        ]
+      }
+    ]);
+  });
+
+  it('should cache the category tree across session views', async () => {
+    const adapter = new GiganttiAdapter(cookieManager);
+
+    await Promise.all([adapter.getCategories(), adapter.forSession('session-a').getCategories()]);
+    await adapter.forSession('session-b').getCategories();
+
+    const treeRequests = mock.history.get.filter(config => config.url.endsWith('/api/categories'));
+    expect(treeRequests).toHaveLength(1);
+  });
+
+  it('should list category products with pagination info', async () => {
+    const response = await request(app)
+      .get('/api/categories/televisiot/products')
+      .query({ platform: 'gigantti', page: 1, limit: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.category).toEqual({
+      id: 'televisiot',
+      name: 'Televisiot',
+      url: 'https://www.gigantti.fi/tv-ja-audio/televisiot'
+    });
+    expect(response.body.products.map(product => product.id)).toEqual(['gigantti-1', 'gigantti-2']);
+    expect(response.body).toMatchObject({ page: 1, limit: 2, total: 3, hasMore: true });
+  });
+
+  it('should count category requests against the request budget', async () => {
+    const consumeAttempt = jest.spyOn(RequestBudget.prototype, 'consumeAttempt');
+
+    const response = await request(app)
+      .get('/api/categories')
+      .query({ platform: 'gigantti', refresh: 'true' });
+
+    const calls = consumeAttempt.mock.calls;
+    consumeAttempt.mockRestore();
+    expect(response.status).toBe(200);
+    expect(calls).toContainEqual(['gigantti', 'GET https://www.gigantti.fi/api/categories']);
+  });
+
+  it('should return 404 for unknown categories', async () => {
+    const response = await request(app)
+      .get('/api/categories/unknown/products')
+      .query({ platform: 'gigantti' });
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Test suite for the platform circuit breakers
+ */
+
+// Keep backoff short and breakers quick to open
+process.env.BASE_RETRY_DELAY = '1';
+process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD = '2';
+
+const CircuitBreakerRegistry = require('../circuit-breaker');
+const { PlatformUnavailableError } = require('../circuit-breaker');
+const errorRecoverySystem = require('../error-recovery');
+const { withErrorRecovery } = require('../platform-adapters/src/error-recovery-integration');
+
+describe('CircuitBreakerRegistry', () => {
+  it('should open after consecutive failures and half-open after the reset timeout', async () => {
+    const breakers = new CircuitBreakerRegistry({ failureThreshold: 2, platformFailureThreshold: 5, resetTimeout: 200 });
+
+    breakers.recordFailure('motonet', 'addToCart');
+    breakers.recordFailure('motonet', 'addToCart');
+
+    expect(() => breakers.assertAvailable('motonet', 'addToCart')).toThrow(PlatformUnavailableError);
+    // Other operations of the platform keep working
+    expect(() => breakers.assertAvailable('motonet', 'searchProducts')).not.toThrow();
+    expect(breakers.getStates().motonet.operations.addToCart.state).toBe('open');
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+
+    // Only one trial call is let through while half-open
+    expect(() => breakers.assertAvailable('motonet', 'addToCart')).not.toThrow();
+    expect(() => breakers.assertAvailable('motonet', 'addToCart')).toThrow(PlatformUnavailableError);
+
+    breakers.recordSuccess('motonet', 'addToCart');
+    expect(breakers.getStates().motonet.operations.addToCart.state).toBe('closed');
+  });
+
+  it('should open the platform breaker when failures span operations', () => {
+    const breakers = new CircuitBreakerRegistry({ failureThreshold: 5, platformFailureThreshold: 2 });
+
+    breakers.recordFailure('gigantti', 'searchProducts');
+    breakers.recordFailure('gigantti', 'getCart');
+
+    expect(() => breakers.assertAvailable('gigantti', 'addToCart')).toThrow(/gigantti is unavailable/);
+    expect(breakers.getStates().gigantti.state).toBe('open');
+  });
+});
+
+describe('withErrorRecovery', () => {
+  beforeEach(() => {
+    errorRecoverySystem.circuitBreakers.reset();
+  });
+
+  it('should fail fast once a platform keeps failing', async () => {
+    const method = jest.fn().mockRejectedValue(new Error('connection refused'));
+    const wrapped = withErrorRecovery(method, 'rusta', 'searchProducts');
+
+    // The retry's failure opens the breaker, so the call stops retrying
+    await expect(wrapped('drill')).rejects.toMatchObject({ code: 'PLATFORM_UNAVAILABLE' });
+    expect(method).toHaveBeenCalledTimes(2);
+
+    await expect(wrapped('drill')).rejects.toMatchObject({ code: 'PLATFORM_UNAVAILABLE', platformId: 'rusta' });
+    expect(method).toHaveBeenCalledTimes(2);
+    expect(errorRecoverySystem.getCircuitBreakerStates().rusta.operations.searchProducts.state).toBe('open');
+  });
+
+  it('should give back the half-open trial slot when the request budget runs out', async () => {
+    const RequestBudget = require('../platform-adapters/src/request-budget');
+    const breakers = errorRecoverySystem.circuitBreakers;
+    const resetTimeout = breakers.resetTimeout;
+    breakers.resetTimeout = 50;
+    try {
+      breakers.recordFailure('rusta', 'getCart');
+      breakers.recordFailure('rusta', 'getCart');
+      await new Promise(resolve => setTimeout(resolve, 60));
+
+      // The trial call runs out of budget before the platform answers
+      const budget = new RequestBudget({ maxAttempts: 1 });
+      const timingOut = jest.fn(async function() {
+        this.budget.consumeAttempt('rusta', 'getCart');
+        this.budget.consumeAttempt('rusta', 'getCart');
+      });
+      await expect(withErrorRecovery(timingOut, 'rusta', 'getCart').call({ budget })).rejects.toMatchObject({ code: 'REQUEST_TIMEOUT' });
+
+      // The next call is let through as the trial and closes the breaker
+      const succeeding = jest.fn().mockResolvedValue({ items: [] });
+      await expect(withErrorRecovery(succeeding, 'rusta', 'getCart').call({})).resolves.toEqual({ items: [] });
+      expect(errorRecoverySystem.getCircuitBreakerStates().rusta.operations.getCart.state).toBe('closed');
+    } finally {
+      breakers.resetTimeout = resetTimeout;
+    }
+  });
+
+  it('should not count errors that prove the platform answered', async () => {
+    const method = jest.fn().mockRejectedValue(new Error('Product not found'));
+    const wrapped = withErrorRecovery(method, 'rusta', 'getProductDetails');
+
+    await expect(wrapped('1')).rejects.toThrow('Max retries exceeded for rusta:getProductDetails: Product not found');
+
+    expect(errorRecoverySystem.getCircuitBreakerStates().rusta.state).toBe('closed');
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Test suite for cookie version history and rollback
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const cookieManager = require('../cookie-management-system');
+const MemoryCookieStorage = require('../cookie-management-system/storage/memory-storage');
+const { diffEssentialCookies } = require('../cookie-management-system/cookie-history');
+
+describe('diffEssentialCookies', () => {
+  it('should list non-essential cookies as added and missing essential cookies as removed', () => {
+    const records = [{ name: 'puid' }, { name: 'cartId' }, { name: 'consent_wall' }];
+
+    expect(diffEssentialCookies(records, ['cartId', 'puid', 'JSESSIONID'])).toEqual({
+      added: ['consent_wall'],
+      removed: ['JSESSIONID']
+    });
+  });
+
+  it('should match essential prefixes', () => {
+    expect(diffEssentialCookies([{ name: 'dwanonymous_123' }], ['dwanonymous_', 'dwsid'])).toEqual({
+      added: [],
+      removed: ['dwsid']
+    });
+  });
+});
+
+describe('Cookie history', () => {
+  let storage;
+  let goodId;
+  let brokenId;
+
+  beforeEach(async () => {
+    storage = new MemoryCookieStorage();
+    await cookieManager.start({ storage, scheduler: false });
+
+    goodId = (await cookieManager.storeCookies('motonet', 'cartId=good; puid=p1; first_session=1')).id;
+    brokenId = (await cookieManager.storeCookies('motonet', 'consent=wall')).id;
+  });
+
+  afterEach(() => {
+    cookieManager.stop();
+    cookieManager.storage = null;
+    cookieManager.cookies = {};
+  });
+
+  it('should list versions newest first without cookie values', async () => {
+    const response = await request(app).get('/api/dashboard/cookies/motonet/history');
+
+    expect(response.status).toBe(200);
+    expect(response.body.versions.slice(0, 2)).toEqual([
+      expect.objectContaining({ id: brokenId, current: true, pinned: false, cookies: ['consent'], diff: { added: ['consent'], removed: ['cartId', 'puid', 'first_session'] } }),
+      expect.objectContaining({ id: goodId, current: false, cookies: ['cartId', 'puid', 'first_session'], diff: { added: [], removed: [] } })
+    ]);
+    expect(JSON.stringify(response.body)).not.toContain('good');
+  });
+
+  it('should roll back to an earlier version as a new current version', async () => {
+    const response = await request(app).post(`/api/dashboard/cookies/motonet/history/${goodId}/rollback`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.version).toMatchObject({ current: true, cookies: ['cartId', 'puid', 'first_session'] });
+    expect(response.body.version.id).toBeGreaterThan(brokenId);
+    expect(cookieManager.cookies.motonet.cookieString).toBe('cartId=good; puid=p1; first_session=1');
+    expect((await storage.getLatestCookies('motonet')).id).toBe(response.body.version.id);
+  });
+
+  it('should keep pinned versions when expired cookies are cleaned up', async () => {
+    const expiredId = await storage.storeCookies('motonet', 'cartId=old', -1000);
+
+    const pinned = await request(app).post(`/api/dashboard/cookies/motonet/history/${expiredId}/pin`);
+    expect(pinned.body.version).toMatchObject({ id: expiredId, pinned: true, expired: true });
+
+    await cookieManager.cleanupExpiredCookies();
+    expect(await storage.getEntry('motonet', expiredId)).not.toBeNull();
+
+    const rollback = await request(app).post(`/api/dashboard/cookies/motonet/history/${expiredId}/rollback`);
+    expect(rollback.status).toBe(409);
+
+    const unpinned = await request(app).delete(`/api/dashboard/cookies/motonet/history/${expiredId}/pin`);
+    expect(unpinned.body.version.pinned).toBe(false);
+  });
+
+  it('should answer 404 for unknown versions and platforms and 400 for invalid ids', async () => {
+    expect((await request(app).get(`/api/dashboard/cookies/rusta/history/${goodId}`)).status).toBe(404);
+    expect((await request(app).get('/api/dashboard/cookies/unknown/history')).status).toBe(404);
+    expect((await request(app).post('/api/dashboard/cookies/motonet/history/abc/rollback')).status).toBe(400);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Test suite for importing cookies from browser exports
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const cookieManager = require('../cookie-management-system');
+const { parseCookieImport, detectFormat, CookieImportError } = require('../cookie-management-system/cookie-import');
+
+const inOneDay = Math.floor(Date.now() / 1000) + 86400;
+
+const har = JSON.stringify({
+  log: {
+    entries: [
+      {
+        request: { url: 'https://www.motonet.fi/fi/cart', cookies: [{ name: 'puid', value: 'p1' }] },
+        response: {
+          cookies: [
+            { name: 'cartId', value: 'c1', domain: '.motonet.fi', path: '/', expires: new Date(inOneDay * 1000).toISOString(), httpOnly: true, secure: true },
+            { name: '_fbp', value: 'tracking', domain: '.motonet.fi', path: '/' }
+          ]
+        }
+      },
+      {
+        request: { url: 'https://www.google-analytics.com/collect', cookies: [{ name: 'cartId', value: 'foreign' }] },
+        response: { cookies: [] }
+      }
+    ]
+  }
+});
+
+const cookiesTxt = [
+  '# Netscape HTTP Cookie File',
+  `.gigantti.fi\tTRUE\t/\tTRUE\t${inOneDay}\tcart-id\tg1`,
+  '#HttpOnly_www.gigantti.fi\tFALSE\t/\tTRUE\t0\tdwsid\ts1',
+  '.gigantti.fi\tTRUE\t/\tFALSE\t1000\tdwanonymous_old\texpired'
+].join('\n');
+
+const editThisCookie = JSON.stringify([
+  { domain: 'www.rusta.com', name: 'rusta_cart', value: 'r1', path: '/', secure: true, httpOnly: false, session: false, expirationDate: inOneDay + 0.5 },
+  { domain: '.rusta.com', name: 'ASP.NET_SessionId', value: 's1', path: '/', secure: true, httpOnly: true, session: true }
+]);
+
+describe('parseCookieImport', () => {
+  it('should detect the export format', () => {
+    expect(detectFormat(har)).toBe('har');
+    expect(detectFormat(cookiesTxt)).toBe('netscape');
+    expect(detectFormat(editThisCookie)).toBe('json');
+    expect(() => detectFormat('cartId=1; puid=2')).toThrow(CookieImportError);
+  });
+
+  it('should keep only essential cookies of the platform domain from a HAR file', () => {
+    const { format, records, skipped } = parseCookieImport('motonet', har);
+
+    expect(format).toBe('har');
+    expect(records).toEqual([
+      { name: 'puid', value: 'p1', domain: 'www.motonet.fi', path: '/', expiresAt: null, secure: false, httpOnly: false },
+      { name: 'cartId', value: 'c1', domain: 'motonet.fi', path: '/', expiresAt: inOneDay * 1000, secure: true, httpOnly: true }
+    ]);
+    expect(skipped).toEqual({ foreignDomain: 1, nonEssential: 1, expired: 0 });
+  });
+
+  it('should parse cookies.txt, including HttpOnly lines and skipping expired cookies', () => {
+    const { records, skipped } = parseCookieImport('gigantti', cookiesTxt);
+
+    expect(records.map(cookie => [cookie.name, cookie.domain, cookie.httpOnly, cookie.expiresAt])).toEqual([
+      ['cart-id', 'gigantti.fi', false, inOneDay * 1000],
+      ['dwsid', 'www.gigantti.fi', true, null]
+    ]);
+    expect(skipped.expired).toBe(1);
+  });
+
+  it('should parse EditThisCookie JSON', () => {
+    const { records } = parseCookieImport('rusta', editThisCookie);
+
+    expect(records).toEqual([
+      { name: 'rusta_cart', value: 'r1', domain: 'www.rusta.com', path: '/', expiresAt: Math.round((inOneDay + 0.5) * 1000), secure: true, httpOnly: false },
+      { name: 'ASP.NET_SessionId', value: 's1', domain: 'rusta.com', path: '/', expiresAt: null, secure: true, httpOnly: true }
+    ]);
+  });
+
+  it('should skip cookies scoped to a public suffix', () => {
+    const wideCookies = JSON.stringify([
+      { domain: '.fi', name: 'cartId', value: 'wide', path: '/', session: true },
+      { domain: '.motonet.fi', name: 'cartId', value: 'c1', path: '/', session: true }
+    ]);
+
+    const { records, skipped } = parseCookieImport('motonet', wideCookies);
+
+    expect(records.map(cookie => [cookie.domain, cookie.value])).toEqual([['motonet.fi', 'c1']]);
+    expect(skipped.foreignDomain).toBe(1);
+  });
+
+  it('should reject exports without any of the platform\'s cookies', () => {
+    expect(() => parseCookieImport('rusta', har)).toThrow('No usable rusta cookies found in the har export');
+    expect(() => parseCookieImport('unknown', har)).toThrow('Platform unknown is not configured');
+  });
+});
+
+describe('Cookie import', () => {
+  afterEach(() => {
+    cookieManager.cookies = {};
+  });
+
+  it('should store imported cookies as the platform\'s current cookies', async () => {
+    const result = await cookieManager.importCookies('motonet', har, { format: 'har' });
+
+    expect(result).toMatchObject({ platform: 'motonet', format: 'har', imported: ['puid', 'cartId'] });
+    expect(cookieManager.cookies.motonet.cookieString).toBe('puid=p1; cartId=c1');
+    expect(cookieManager.cookies.motonet.expiresAt).toBe(inOneDay * 1000);
+  });
+
+  it('should import an uploaded export through the dashboard', async () => {
+    const response = await request(app)
+      .post('/api/dashboard/cookies/gigantti/import?format=netscape')
+      .set('Content-Type', 'text/plain')
+      .send(cookiesTxt);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: true, imported: ['cart-id', 'dwsid'] });
+    expect(cookieManager.cookies.gigantti.cookieString).toBe('cart-id=g1; dwsid=s1');
+  });
+
+  it('should answer 400 for exports that can\'t be imported', async () => {
+    const response = await request(app)
+      .post('/api/dashboard/cookies/rusta/import')
+      .send({ content: har });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toBe('No usable rusta cookies found in the har export');
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Test suite for per-user cookie jars
+ */
+
+const mock = require('./mocks');
+const CookieJar = require('../cookie-management-system/cookie-jar');
+const cookieManager = require('../cookie-management-system');
+const GiganttiAdapter = require('../platform-adapters/src/adapters/gigantti-adapter');
+
+describe('CookieJar', () => {
+  it('should parse Set-Cookie attributes', () => {
+    const cookie = CookieJar.parseSetCookie(
+      'cart-id=abc123; Domain=.gigantti.fi; Path=/; Max-Age=3600; Secure; HttpOnly',
+      1000
+    );
+    
+    expect(cookie).toEqual({
+      name: 'cart-id',
+      value: 'abc123',
+      domain: 'gigantti.fi',
+      path: '/',
+      expiresAt: 1000 + 3600 * 1000,
+      secure: true,
+      httpOnly: true,
+      hostOnly: false
+    });
+  });
+  
+  it('should keep cookies without a Domain on the host that set them', () => {
+    const jar = new CookieJar();
+    
+    jar.mergeSetCookieHeaders([
+      'cart-id=abc; Path=/',
+      'dwsid=xyz; Domain=gigantti.fi; Path=/',
+      'foreign=1; Domain=motonet.fi; Path=/'
+    ], 'https://www.gigantti.fi/api/cart/add');
+    
+    expect(jar.getCookies().map(cookie => [cookie.name, cookie.domain, cookie.hostOnly])).toEqual([
+      ['cart-id', 'www.gigantti.fi', true],
+      ['dwsid', 'gigantti.fi', false]
+    ]);
+    expect(jar.toCookieString('https://www.gigantti.fi/cart')).toBe('cart-id=abc; dwsid=xyz');
+    expect(jar.toCookieString('https://api.www.gigantti.fi/cart')).toBe('dwsid=xyz');
+    expect(jar.toCookieString('https://www.motonet.fi/cart')).toBe('');
+  });
+  
+  it('should replace cookies and drop expired ones when merging', () => {
+    const jar = new CookieJar(CookieJar.parseCookieString('a=1; b=2'));
+    
+    jar.mergeSetCookieHeaders(['a=3; Path=/', 'b=; Max-Age=0']);
+    
+    expect(jar.toCookieString()).toBe('a=3');
+  });
+  
+  it('should keep the attributes of browser cookies', () => {
+    const [cookie] = CookieJar.fromBrowserCookies([
+      { name: 'dwsid', value: 'abc', domain: '.gigantti.fi', path: '/', expires: 2000, secure: true, httpOnly: true }
+    ]);
+    const [sessionCookie] = CookieJar.fromBrowserCookies([{ name: 'cart-id', value: '1', domain: 'www.gigantti.fi', path: '/', expires: -1 }]);
+    
+    expect(cookie).toEqual({ name: 'dwsid', value: 'abc', domain: 'gigantti.fi', path: '/', expiresAt: 2000000, secure: true, httpOnly: true });
+    expect(sessionCookie.expiresAt).toBeNull();
+  });
+  
+  it('should only send the cookies that apply to a URL', () => {
+    const jar = new CookieJar([
+      { name: 'site', value: '1', domain: 'gigantti.fi', path: '/', expiresAt: null, secure: false, httpOnly: false },
+      { name: 'api', value: '2', domain: 'api.gigantti.fi', path: '/', expiresAt: null, secure: false, httpOnly: false },
+      { name: 'cart', value: '3', domain: 'gigantti.fi', path: '/cart', expiresAt: null, secure: false, httpOnly: false },
+      { name: 'secure', value: '4', domain: 'gigantti.fi', path: '/', expiresAt: null, secure: true, httpOnly: false },
+      { name: 'other', value: '5', domain: 'motonet.fi', path: '/', expiresAt: null, secure: false, httpOnly: false }
+    ]);
+    
+    expect(jar.toCookieString('https://www.gigantti.fi/cart/items')).toBe('cart=3; site=1; secure=4');
+    expect(jar.toCookieString('https://www.gigantti.fi/cartography')).toBe('site=1; secure=4');
+    expect(jar.toCookieString('http://api.gigantti.fi/search')).toBe('site=1; api=2');
+    expect(jar.toCookieString()).toBe('site=1; api=2; cart=3; secure=4; other=5');
+  });
+  
+  it('should expire with the earliest essential cookie', () => {
+    const cookies = [
+      { name: 'dwanonymous_abc', value: '1', expiresAt: 5000 },
+      { name: 'dwsid', value: '2', expiresAt: null },
+      { name: 'tracking', value: '3', expiresAt: 1000 }
+    ];
+    
+    expect(CookieJar.getEffectiveExpiry(cookies, ['dwsid', 'dwanonymous_'])).toBe(5000);
+    expect(CookieJar.getEffectiveExpiry(cookies)).toBe(1000);
+    expect(CookieJar.getEffectiveExpiry(cookies, ['dwsid'])).toBeNull();
+  });
+});
+
+describe('Adapter Cookie headers', () => {
+  afterEach(() => {
+    mock.resetHandlers();
+  });
+  
+  it('should send each request only the platform cookies that apply to its URL', async () => {
+    const adapter = new GiganttiAdapter({
+      getLatestCookies: async () => ({
+        cookieString: 'cart-id=1; checkout=2',
+        records: [
+          { name: 'cart-id', value: '1', domain: 'gigantti.fi', path: '/', expiresAt: null, secure: true, httpOnly: true },
+          { name: 'checkout', value: '2', domain: 'gigantti.fi', path: '/checkout', expiresAt: null, secure: true, httpOnly: true }
+        ]
+      })
+    });
+    mock.onGet('https://www.gigantti.fi/api/search').reply(200, { products: [] });
+    
+    await adapter.searchProducts('tv');
+    
+    expect(mock.history.get[mock.history.get.length - 1].headers.Cookie).toBe('cart-id=1');
+  });
+});
+
+describe('Per-user cookie jars', () => {
+  let adapter;
+  
+  beforeAll(() => {
+    adapter = new GiganttiAdapter(cookieManager);
+    
+    // This suite defines its own Gigantti responses
+    mock.resetHandlers();
+    
+    let visitor = 0;
+    mock.onGet('https://www.gigantti.fi').reply(() => {
+      visitor++;
+      return [200, '', { 'set-cookie': [`cart-id=cart-${visitor}; Path=/`] }];
+    });
+  });
+  
+  afterAll(() => {
+    cookieManager.clearSessionCookies('session-a');
+    cookieManager.clearSessionCookies('session-b');
+  });
+  
+  it('should bootstrap a separate platform session per user', async () => {
+    const first = await adapter.forSession('session-a').getCookies();
+    const second = await adapter.forSession('session-b').getCookies();
+    
+    expect(first.cookieString).toMatch(/^cart-id=cart-\d+$/);
+    expect(second.cookieString).toMatch(/^cart-id=cart-\d+$/);
+    expect(first.cookieString).not.toBe(second.cookieString);
+  });
+  
+  it('should merge response cookies into the user\'s jar only', async () => {
+    mock.onPost('https://www.gigantti.fi/api/cart/add').replyOnce(200, { success: true }, {
+      'set-cookie': ['dwsid=user-a-sid; Path=/']
+    });
+    
+    await adapter.forSession('session-a').addToCart('gigantti-1', 1);
+    
+    const first = await adapter.forSession('session-a').getCookies();
+    const second = await adapter.forSession('session-b').getCookies();
+    
+    expect(first.cookieString).toContain('dwsid=user-a-sid');
+    expect(second.cookieString).not.toContain('dwsid');
+  });
+});
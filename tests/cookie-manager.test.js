@@ -0,0 +1,115 @@
+/**
+ * Test suite for cookie manager storage and seeding
+ */
+
+const cookieManager = require('../cookie-management-system');
+const MemoryCookieStorage = require('../cookie-management-system/storage/memory-storage');
+
+/**
+ * Create an in-memory storage backend with spied methods
+ * @param {Object} rows - Cookies to store first, keyed by platform
+ * @returns {Promise<MemoryCookieStorage>} - Storage backend
+ */
+async function createStorage(rows = {}) {
+  const storage = new MemoryCookieStorage();
+
+  for (const [platform, cookieString] of Object.entries(rows)) {
+    await storage.storeCookies(platform, cookieString, 60000);
+  }
+
+  jest.spyOn(storage, 'initialize');
+  jest.spyOn(storage, 'storeCookies');
+  return storage;
+}
+
+describe('Cookie manager', () => {
+  const envCookie = process.env.SRYHMA_COOKIE;
+
+  afterEach(() => {
+    cookieManager.stop();
+    cookieManager.setRefreshStrategy(null);
+    cookieManager.cookies = {};
+    process.env.SRYHMA_COOKIE = envCookie;
+  });
+
+  it('should register every platform under the adapters\' ids', () => {
+    expect(cookieManager.getPlatforms()).toEqual(['motonet', 'sryhma', 'gigantti', 'rusta']);
+    expect(cookieManager.getPlatformConfig('sryhma').url).toBe('https://www.s-kaupat.fi');
+  });
+
+  it('should prefer stored cookies over environment variables', async () => {
+    process.env.SRYHMA_COOKIE = 'JSESSIONID=from-env';
+    const storage = await createStorage({ sryhma: 'JSESSIONID=stored' });
+
+    await cookieManager.start({ storage, scheduler: false });
+
+    expect(cookieManager.cookies.sryhma).toMatchObject({ cookieString: 'JSESSIONID=stored' });
+    expect(storage.storeCookies).not.toHaveBeenCalledWith('sryhma', expect.anything(), expect.anything());
+  });
+
+  it('should seed storage from environment variables', async () => {
+    process.env.SRYHMA_COOKIE = 'JSESSIONID=from-env';
+    const storage = await createStorage();
+
+    await cookieManager.start({ storage, scheduler: false });
+
+    expect(storage.storeCookies).toHaveBeenCalledWith('sryhma', [expect.objectContaining({ name: 'JSESSIONID', value: 'from-env' })], 86400000);
+  });
+
+  it('should expire extracted cookies with the earliest-expiring essential cookie', async () => {
+    const storage = await createStorage();
+    const inOneHour = Date.now() + 3600000;
+    await cookieManager.start({ storage, scheduler: false });
+    cookieManager.setRefreshStrategy(async () => [
+      { name: 'cart-id', value: 'fresh', domain: 'gigantti.fi', path: '/', expiresAt: inOneHour, secure: true, httpOnly: true },
+      { name: 'dwsid', value: 'sid', domain: 'gigantti.fi', path: '/', expiresAt: null, secure: true, httpOnly: true },
+      { name: 'tracking', value: '1', domain: 'gigantti.fi', path: '/', expiresAt: Date.now() + 60000, secure: false, httpOnly: false }
+    ]);
+
+    const cookies = await cookieManager.refreshPlatformCookies('gigantti');
+    const stored = await storage.getLatestCookies('gigantti');
+
+    expect(cookies.expiresAt).toBe(inOneHour);
+    expect(stored.records.map(cookie => cookie.name)).toEqual(['cart-id', 'dwsid', 'tracking']);
+  });
+
+  it('should persist extracted cookies', async () => {
+    const storage = await createStorage();
+    await cookieManager.start({ storage, scheduler: false });
+    cookieManager.setRefreshStrategy(async () => 'cart-id=fresh');
+
+    await cookieManager.refreshPlatformCookies('gigantti');
+
+    expect((await storage.getLatestCookies('gigantti')).cookieString).toBe('cart-id=fresh');
+  });
+
+  it('should keep working from memory when storage can\'t be opened', async () => {
+    process.env.SRYHMA_COOKIE = 'JSESSIONID=from-env';
+    const storage = await createStorage();
+    storage.initialize.mockRejectedValue(new Error('SQLITE_CANTOPEN'));
+
+    await cookieManager.start({ storage, scheduler: false });
+
+    expect(cookieManager.storage).toBeNull();
+    expect(cookieManager.cookies.sryhma.cookieString).toBe('JSESSIONID=from-env');
+  });
+
+  it('should wait for a refresh running in another process instead of extracting', async () => {
+    const storage = await createStorage();
+    const otherProcess = new cookieManager.constructor();
+    const strategy = jest.fn(async () => 'cart-id=ours');
+    await cookieManager.start({ storage, scheduler: false });
+    cookieManager.setRefreshStrategy(strategy);
+    cookieManager.refreshLockPollInterval = 10;
+
+    await storage.acquireLock('refresh:rusta', otherProcess.instanceId, 60000);
+    const refresh = cookieManager.refreshPlatformCookies('rusta');
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await storage.storeCookies('rusta', 'rusta_cart=theirs', 60000);
+    await storage.releaseLock('refresh:rusta', otherProcess.instanceId);
+
+    await expect(refresh).resolves.toMatchObject({ cookieString: 'rusta_cart=theirs' });
+    expect(strategy).not.toHaveBeenCalled();
+  });
+});
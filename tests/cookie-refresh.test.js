@@ -0,0 +1,81 @@
+/**
+ * Test suite for on-demand platform cookie refresh
+ */
+
+// Keep backoff short
+process.env.BASE_RETRY_DELAY = '5';
+
+const cookieManager = require('../cookie-management-system');
+const errorRecoverySystem = require('../error-recovery');
+const { withErrorRecovery } = require('../platform-adapters/src/error-recovery-integration');
+const { AuthenticationError } = require('../platform-adapters/src/errors');
+
+describe('cookieManager.refreshPlatformCookies', () => {
+  afterEach(() => {
+    cookieManager.setRefreshStrategy(null);
+    delete cookieManager.cookies.rusta;
+  });
+
+  it('should share one refresh between concurrent callers and store the result', async () => {
+    const strategy = jest.fn(async () => 'ASP.NET_SessionId=fresh');
+    cookieManager.setRefreshStrategy(strategy);
+
+    const results = await Promise.all([
+      cookieManager.refreshPlatformCookies('rusta'),
+      cookieManager.refreshPlatformCookies('rusta')
+    ]);
+
+    expect(strategy).toHaveBeenCalledTimes(1);
+    expect(results[0]).toBe(results[1]);
+    expect(cookieManager.cookies.rusta.cookieString).toBe('ASP.NET_SessionId=fresh');
+    expect(cookieManager.getStatus().rusta.lastRefreshResult).toMatchObject({ success: true, error: null });
+  });
+
+  it('should reject and record the failure when the strategy fails', async () => {
+    cookieManager.setRefreshStrategy(async () => {
+      throw new Error('Chrome crashed');
+    });
+
+    await expect(cookieManager.refreshPlatformCookies('rusta')).rejects.toThrow('Chrome crashed');
+    expect(cookieManager.lastRefreshResult.rusta).toMatchObject({ success: false, error: 'Chrome crashed' });
+    expect(cookieManager.pendingRefreshes.rusta).toBeUndefined();
+  });
+
+  it('should refuse unknown strategy names', () => {
+    expect(() => cookieManager.setRefreshStrategy('carrier-pigeon')).toThrow('Unknown cookie refresh strategy');
+  });
+});
+
+describe('Authentication recovery', () => {
+  beforeEach(() => {
+    errorRecoverySystem.circuitBreakers.reset();
+  });
+
+  afterEach(() => {
+    cookieManager.setRefreshStrategy(null);
+    delete cookieManager.cookies.gigantti;
+  });
+
+  it('should refresh cookies and retry the operation', async () => {
+    cookieManager.setRefreshStrategy(async () => 'JSESSIONID=fresh');
+    const method = jest.fn()
+      .mockRejectedValueOnce(new AuthenticationError('Session expired'))
+      .mockResolvedValue({ success: true });
+    const wrapped = withErrorRecovery(method, 'gigantti', 'getCart');
+
+    await expect(wrapped()).resolves.toEqual({ success: true });
+    expect(method).toHaveBeenCalledTimes(2);
+    expect(cookieManager.cookies.gigantti.cookieString).toBe('JSESSIONID=fresh');
+  });
+
+  it('should refresh at most once per call', async () => {
+    const strategy = jest.fn(async () => 'JSESSIONID=fresh');
+    cookieManager.setRefreshStrategy(strategy);
+    const method = jest.fn().mockRejectedValue(new AuthenticationError('Session expired'));
+    const wrapped = withErrorRecovery(method, 'gigantti', 'getCart');
+
+    await expect(wrapped()).rejects.toThrow('Authentication error for gigantti after refreshing cookies');
+    expect(strategy).toHaveBeenCalledTimes(1);
+    expect(method).toHaveBeenCalledTimes(2);
+  });
+});
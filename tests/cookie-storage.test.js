@@ -0,0 +1,231 @@
+/**
+ * Contract test suite run against every cookie storage backend
+ */
+
+const fs = require('fs');
+const { createStorage, storageTypes } = require('../cookie-management-system/storage');
+const { EnvelopeEncryption } = require('../cookie-management-system/encryption');
+
+/**
+ * Back the mocked fs module with an in-memory file system
+ * @returns {Map} - File contents keyed by path
+ */
+function useInMemoryFiles() {
+  const files = new Map();
+
+  fs.existsSync.mockImplementation(filePath => files.has(filePath));
+  fs.readFileSync.mockImplementation(filePath => files.get(filePath));
+  fs.writeFileSync.mockImplementation((filePath, data) => files.set(filePath, data));
+  fs.renameSync = jest.fn((from, to) => {
+    files.set(to, files.get(from));
+    files.delete(from);
+  });
+  fs.openSync = jest.fn((filePath, flags) => {
+    if (flags === 'wx' && files.has(filePath)) {
+      throw Object.assign(new Error(`EEXIST: file already exists, open '${filePath}'`), { code: 'EEXIST' });
+    }
+    files.set(filePath, '');
+    return filePath;
+  });
+  fs.closeSync = jest.fn();
+  fs.rmSync = jest.fn(filePath => files.delete(filePath));
+  fs.statSync = jest.fn(() => ({ mtimeMs: Date.now() }));
+
+  return files;
+}
+
+/**
+ * Find out why the sqlite3 native module can't be loaded here
+ * @returns {Error|null} - Load error, or null if SQLite is available
+ */
+function sqliteLoadError() {
+  // The module loader looks for the native binding on disk, which the mocked fs can't answer
+  const mockedExistsSync = fs.existsSync.getMockImplementation();
+  fs.existsSync.mockImplementation(jest.requireActual('fs').existsSync);
+
+  try {
+    require('sqlite3');
+    return null;
+  } catch (error) {
+    return error;
+  } finally {
+    fs.existsSync.mockImplementation(mockedExistsSync);
+  }
+}
+
+const backends = {
+  memory: { type: 'memory' },
+  json: { type: 'json', path: '/tmp/cookie-storage-test/cookies.json' },
+  sqlite: { type: 'sqlite', path: ':memory:' }
+};
+
+it('should cover every storage type', () => {
+  expect(Object.keys(backends).sort()).toEqual([...storageTypes].sort());
+});
+
+describe.each(Object.entries(backends))('%s cookie storage', (type, options) => {
+  // SQLite is the default backend, so a missing native module fails the run
+  // unless skipping it is asked for (SKIP_SQLITE_TESTS=true)
+  const loadError = type === 'sqlite' ? sqliteLoadError() : null;
+
+  if (loadError) {
+    (process.env.SKIP_SQLITE_TESTS === 'true' ? it.skip : it)('should load the sqlite3 native module', () => {
+      throw new Error(`sqlite3 can't be loaded (run npm rebuild sqlite3): ${loadError.message}`);
+    });
+    return;
+  }
+
+  describe('contract', () => {
+    let storage;
+    let files;
+
+    beforeEach(async () => {
+      files = useInMemoryFiles();
+      storage = createStorage(options);
+      await storage.initialize();
+    });
+
+    afterEach(() => {
+      storage.close();
+    });
+
+    it('should return the newest unexpired cookies of a platform', async () => {
+      await storage.storeCookies('motonet', 'cartId=1', 60000);
+      const id = await storage.storeCookies('motonet', 'cartId=2', 60000);
+      await storage.storeCookies('rusta', 'rusta_cart=1', 60000);
+
+      const latest = await storage.getLatestCookies('motonet');
+
+      expect(latest).toMatchObject({ id, cookieString: 'cartId=2' });
+      expect(latest.expiresAt).toBeGreaterThan(latest.createdAt);
+      expect(await storage.getLatestCookies('gigantti')).toBeNull();
+    });
+
+    it('should keep the attributes of cookie records', async () => {
+      const record = { name: 'dwsid', value: 'abc', domain: 'gigantti.fi', path: '/', expiresAt: 2000000, secure: true, httpOnly: true };
+      await storage.storeCookies('gigantti', [record], 60000);
+
+      expect(await storage.getLatestCookies('gigantti')).toMatchObject({ cookieString: 'dwsid=abc', records: [record] });
+    });
+
+    it('should skip expired cookies and clean them up', async () => {
+      await storage.storeCookies('motonet', 'cartId=old', -1000);
+
+      expect(await storage.getLatestCookies('motonet')).toBeNull();
+      expect(await storage.cleanupExpiredCookies()).toBe(1);
+      expect(await storage.getHistory('motonet')).toEqual([]);
+    });
+
+    it('should list history newest first, including expired cookies', async () => {
+      await storage.storeCookies('sryhma', 'JSESSIONID=1', -1000);
+      await storage.storeCookies('sryhma', 'JSESSIONID=2', 60000);
+      await storage.storeCookies('sryhma', 'JSESSIONID=3', 60000);
+
+      const history = await storage.getHistory('sryhma', { limit: 2 });
+
+      expect(history.map(entry => entry.cookieString)).toEqual(['JSESSIONID=3', 'JSESSIONID=2']);
+      expect(await storage.getHistory('sryhma')).toHaveLength(3);
+    });
+
+    it('should get single entries and keep pinned entries on cleanup', async () => {
+      const expiredId = await storage.storeCookies('rusta', 'rusta_cart=old', -1000);
+      await storage.storeCookies('rusta', 'rusta_cart=older', -2000);
+
+      expect(await storage.setPinned('rusta', expiredId, true)).toBe(true);
+      expect(await storage.setPinned('motonet', expiredId, true)).toBe(false);
+      expect(await storage.cleanupExpiredCookies()).toBe(1);
+      expect(await storage.getEntry('rusta', expiredId)).toMatchObject({ id: expiredId, cookieString: 'rusta_cart=old', pinned: true });
+      expect(await storage.getEntry('motonet', expiredId)).toBeNull();
+
+      await storage.setPinned('rusta', expiredId, false);
+      expect(await storage.cleanupExpiredCookies()).toBe(1);
+    });
+
+    it('should save, filter and clean up refresh jobs', async () => {
+      const now = Date.now();
+      await storage.saveRefreshJob({ id: 'a', platform: 'motonet', trigger: 'cron', status: 'running', queuedAt: now - 2000, finishedAt: null });
+      await storage.saveRefreshJob({ id: 'b', platform: 'rusta', trigger: 'manual', status: 'failed', queuedAt: now - 1000, finishedAt: now - 500, error: 'Chrome crashed' });
+      await storage.saveRefreshJob({ id: 'a', platform: 'motonet', trigger: 'cron', status: 'succeeded', queuedAt: now - 2000, finishedAt: now });
+
+      expect(await storage.getRefreshJob('a')).toMatchObject({ status: 'succeeded' });
+      expect(await storage.getRefreshJob('c')).toBeNull();
+      expect((await storage.getRefreshJobs()).map(job => job.id)).toEqual(['b', 'a']);
+      expect(await storage.getRefreshJobs({ platform: 'rusta', status: 'failed', trigger: 'manual' })).toEqual([expect.objectContaining({ id: 'b', error: 'Chrome crashed' })]);
+      expect((await storage.getRefreshJobs({ since: now - 1500 })).map(job => job.id)).toEqual(['b']);
+      expect(await storage.getRefreshJobs({ limit: 1 })).toHaveLength(1);
+
+      expect(await storage.cleanupRefreshJobs(now - 100)).toBe(1);
+      expect((await storage.getRefreshJobs()).map(job => job.id)).toEqual(['a']);
+    });
+
+    it('should give a lock to one owner at a time', async () => {
+      expect(await storage.acquireLock('refresh:motonet', 'a', 60000)).toBe(true);
+      expect(await storage.acquireLock('refresh:motonet', 'b', 60000)).toBe(false);
+      expect(await storage.isLocked('refresh:motonet')).toBe(true);
+
+      expect(await storage.releaseLock('refresh:motonet', 'b')).toBe(false);
+      expect(await storage.releaseLock('refresh:motonet', 'a')).toBe(true);
+
+      expect(await storage.isLocked('refresh:motonet')).toBe(false);
+      expect(await storage.acquireLock('refresh:motonet', 'b', 60000)).toBe(true);
+    });
+
+    it('should release a lock once it expires', async () => {
+      await storage.acquireLock('refresh:rusta', 'a', 20);
+      await new Promise(resolve => setTimeout(resolve, 40));
+
+      expect(await storage.isLocked('refresh:rusta')).toBe(false);
+      expect(await storage.acquireLock('refresh:rusta', 'b', 60000)).toBe(true);
+    });
+
+    if (type !== 'memory') {
+      it('should re-encrypt entries with the active key when keys rotate', async () => {
+        storage.encryption = new EnvelopeEncryption({ keys: 'old:old-secret' });
+        await storage.storeCookies('motonet', 'cartId=1', 60000);
+
+        storage.encryption = new EnvelopeEncryption({ keys: 'new:new-secret,old:old-secret' });
+        expect(await storage.rotateKeys()).toBe(1);
+        expect(await storage.rotateKeys()).toBe(0);
+
+        storage.encryption = new EnvelopeEncryption({ keys: 'new:new-secret' });
+        expect((await storage.getLatestCookies('motonet')).cookieString).toBe('cartId=1');
+      });
+
+      it('should only fail reads of entries that cannot be decrypted', async () => {
+        storage.encryption = new EnvelopeEncryption({ keys: 'old:old-secret' });
+        await storage.storeCookies('rusta', 'rusta_cart=1', 60000);
+
+        // The old key was removed without rotating first
+        storage.encryption = new EnvelopeEncryption({ keys: 'new:new-secret' });
+        await storage.storeCookies('motonet', 'cartId=1', 60000);
+
+        expect((await storage.getLatestCookies('motonet')).cookieString).toBe('cartId=1');
+        expect(await storage.setPinned('motonet', (await storage.getLatestCookies('motonet')).id, true)).toBe(true);
+        await expect(storage.getLatestCookies('rusta')).rejects.toThrow('unknown key old');
+      });
+    }
+
+    if (type === 'json') {
+      it('should encrypt cookies and share them between instances', async () => {
+        await storage.storeCookies('gigantti', 'cart-id=secret', 60000);
+
+        expect(files.get(options.path)).not.toContain('cart-id=secret');
+
+        const otherProcess = createStorage(options);
+        expect((await otherProcess.getLatestCookies('gigantti')).cookieString).toBe('cart-id=secret');
+      });
+
+      it('should give a lock to one of several processes taking it at once', async () => {
+        const otherProcess = createStorage(options);
+
+        const taken = await Promise.all([
+          storage.acquireLock('refresh:gigantti', 'a', 60000),
+          otherProcess.acquireLock('refresh:gigantti', 'b', 60000)
+        ]);
+
+        expect(taken.filter(Boolean)).toHaveLength(1);
+        expect(files.has(`${options.path}.lock`)).toBe(false);
+      });
+    }
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Test suite for envelope encryption of stored cookies
+ */
+
+const CryptoJS = require('crypto-js');
+const { EnvelopeEncryption, EncryptionKeyError } = require('../cookie-management-system/encryption');
+
+describe('EnvelopeEncryption', () => {
+  const keys = new EnvelopeEncryption({ keys: 'k2:second-secret,k1:first-secret' });
+
+  it('should encrypt with the first key and name it in the token', () => {
+    const token = keys.encrypt('cartId=1');
+
+    expect(token).toMatch(/^v1\.k2\./);
+    expect(token).not.toContain('cartId');
+    expect(keys.decrypt(token)).toBe('cartId=1');
+    expect(keys.encrypt('cartId=1')).not.toBe(token);
+  });
+
+  it('should decrypt values written with an older key', () => {
+    const token = new EnvelopeEncryption({ keys: 'k1:first-secret' }).encrypt('cartId=1');
+
+    expect(keys.decrypt(token)).toBe('cartId=1');
+    expect(keys.needsRotation(token)).toBe(true);
+    expect(keys.needsRotation(keys.encrypt('cartId=1'))).toBe(false);
+  });
+
+  it('should reject tampered values and unknown keys', () => {
+    const token = keys.encrypt('cartId=1');
+    const tampered = `${token.slice(0, -2)}${token.endsWith('AA') ? 'BB' : 'AA'}`;
+
+    expect(() => keys.decrypt(tampered)).toThrow(EncryptionKeyError);
+    expect(() => new EnvelopeEncryption({ keys: 'k3:third-secret' }).decrypt(token)).toThrow('unknown key k2');
+  });
+
+  it('should decrypt values from the earlier CryptoJS encryption', () => {
+    const legacy = CryptoJS.AES.encrypt('cartId=1', 'first-secret').toString();
+
+    expect(keys.decrypt(legacy)).toBe('cartId=1');
+    expect(keys.needsRotation(legacy)).toBe(true);
+  });
+
+  it('should treat ENCRYPTION_KEY as the key named default', () => {
+    const single = new EnvelopeEncryption({ secret: 'only-secret' });
+
+    expect(single.getActiveKeyId()).toBe('default');
+    expect(single.decrypt(single.encrypt('a'))).toBe('a');
+  });
+
+  it('should reject malformed key lists', () => {
+    expect(() => new EnvelopeEncryption({ keys: 'no-secret' })).toThrow(EncryptionKeyError);
+    expect(() => new EnvelopeEncryption({ keys: 'a.b:secret' })).toThrow(EncryptionKeyError);
+    expect(() => new EnvelopeEncryption({ keys: 'a:one,a:two' })).toThrow('configured twice');
+  });
+
+  it('should refuse missing or default keys in production only', () => {
+    const production = options => new EnvelopeEncryption({ ...options, environment: 'production' });
+
+    expect(() => production({}).assertKeyConfiguration()).toThrow('No encryption key configured');
+    expect(() => production({ secret: 'your_secure_encryption_key_here' }).assertKeyConfiguration()).toThrow('placeholder');
+    expect(() => production({ keys: 'new:a-random-secret,old:default-encryption-key' }).assertKeyConfiguration()).toThrow('key old');
+    expect(() => production({ keys: 'new:a-random-secret' }).assertKeyConfiguration()).not.toThrow();
+    expect(() => new EnvelopeEncryption({ environment: 'development' }).assertKeyConfiguration()).not.toThrow();
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Test suite for per-invocation error recovery
+ */
+
+// Keep backoff short
+process.env.BASE_RETRY_DELAY = '5';
+
+const mock = require('./mocks');
+const errorRecoverySystem = require('../error-recovery');
+const cookieManager = require('../cookie-management-system');
+const { withErrorRecovery } = require('../platform-adapters/src/error-recovery-integration');
+const { AuthenticationError, RecoveryFailedError, UpstreamUnavailableError } = require('../platform-adapters/src/errors');
+
+describe('Error recovery attempt context', () => {
+  beforeEach(() => {
+    errorRecoverySystem.circuitBreakers.reset();
+  });
+
+  it('should keep retries of concurrent calls apart', async () => {
+    const calls = { failing: 0, flaky: 0 };
+    const addToCart = jest.fn(async productId => {
+      calls[productId]++;
+
+      if (productId === 'failing' || calls.flaky <= 2) {
+        throw new Error(`Product ${productId} could not be added`);
+      }
+
+      return { success: true, productId };
+    });
+    const wrapped = withErrorRecovery(addToCart, 'motonet', 'addToCart');
+
+    const [failing, flaky] = await Promise.allSettled([wrapped('failing'), wrapped('flaky')]);
+
+    expect(flaky).toEqual({ status: 'fulfilled', value: { success: true, productId: 'flaky' } });
+    expect(calls.flaky).toBe(3);
+
+    expect(failing.status).toBe('rejected');
+    expect(failing.reason.message).toMatch(/^Max retries exceeded for motonet:addToCart/);
+    expect(failing.reason.attempts).toBe(errorRecoverySystem.maxRetries + 1);
+    expect(failing.reason.errors).toHaveLength(errorRecoverySystem.maxRetries + 1);
+    expect(calls.failing).toBe(errorRecoverySystem.maxRetries + 1);
+  });
+
+  it('should give every call its full retry allowance', async () => {
+    const method = jest.fn().mockRejectedValue(new Error('Cart is locked'));
+    const wrapped = withErrorRecovery(method, 'gigantti', 'addToCart');
+
+    const results = await Promise.allSettled([wrapped('1'), wrapped('2'), wrapped('3')]);
+
+    results.forEach(result => {
+      expect(result.reason.attempts).toBe(errorRecoverySystem.maxRetries + 1);
+    });
+    expect(method).toHaveBeenCalledTimes(3 * (errorRecoverySystem.maxRetries + 1));
+  });
+
+  it('should stop retrying when the next wait would pass the deadline', async () => {
+    const context = errorRecoverySystem.createAttemptContext('rusta', 'getCart', { timeout: 1 });
+    const retry = jest.fn();
+
+    await expect(errorRecoverySystem.handleError(new Error('Cart is locked'), 'rusta', 'getCart', retry, context))
+      .rejects.toThrow('Recovery deadline exceeded for rusta:getCart: Cart is locked');
+    expect(retry).not.toHaveBeenCalled();
+    expect(context.errors).toHaveLength(1);
+  });
+
+  it('should answer like the last attempt when giving up', async () => {
+    const unavailable = jest.fn().mockRejectedValue(new UpstreamUnavailableError('Gigantti answered 503', {
+      platformId: 'gigantti',
+      operation: 'getCart',
+      upstreamStatus: 503
+    }));
+    const untyped = jest.fn().mockRejectedValue(new Error('Cart is locked'));
+
+    const [typedError, untypedError] = await Promise.all([
+      withErrorRecovery(unavailable, 'gigantti', 'getCart')().catch(error => error),
+      withErrorRecovery(untyped, 'rusta', 'getCart')().catch(error => error)
+    ]);
+
+    expect(typedError).toBeInstanceOf(RecoveryFailedError);
+    expect(typedError).toMatchObject({ statusCode: 503, code: 'UPSTREAM_UNAVAILABLE', retryable: true });
+    expect(typedError.originalError).toBe(typedError.errors[typedError.errors.length - 1]);
+    expect(untypedError).toMatchObject({ statusCode: 500, code: 'RECOVERY_FAILED', attempts: errorRecoverySystem.maxRetries + 1 });
+  });
+});
+
+describe('Authentication error recovery', () => {
+  afterEach(() => {
+    mock.resetHandlers();
+    cookieManager.clearSessionCookies('session-recovery');
+  });
+
+  it('should start a new platform session for session-bound calls', async () => {
+    let visitor = 0;
+    mock.onGet('https://www.gigantti.fi').reply(() => {
+      visitor++;
+      return [200, '', { 'set-cookie': [`cart-id=visitor-${visitor}; Path=/`] }];
+    });
+    const refreshWithJob = jest.spyOn(cookieManager, 'refreshWithJob');
+    const adapter = { sessionId: 'session-recovery', baseUrl: 'https://www.gigantti.fi' };
+    const cookiesUsed = [];
+    const getCart = jest.fn(async function() {
+      const cookies = await cookieManager.getSessionCookies('gigantti', this.sessionId, { bootstrapUrl: this.baseUrl });
+      cookiesUsed.push(cookies.cookieString);
+
+      if (cookies.cookieString === 'cart-id=visitor-1') {
+        throw new AuthenticationError('Session expired', { platformId: 'gigantti', operation: 'getCart' });
+      }
+      return { items: [] };
+    });
+
+    try {
+      await expect(withErrorRecovery(getCart, 'gigantti', 'getCart').call(adapter)).resolves.toEqual({ items: [] });
+    } finally {
+      refreshWithJob.mockRestore();
+    }
+
+    expect(cookiesUsed).toEqual(['cart-id=visitor-1', 'cart-id=visitor-2']);
+    expect(refreshWithJob).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Test suite for typed adapter errors
+ */
+
+// Keep backoff short
+process.env.BASE_RETRY_DELAY = '5';
+
+const errorRecoverySystem = require('../error-recovery');
+const { withErrorRecovery } = require('../platform-adapters/src/error-recovery-integration');
+const BaseECommerceAdapter = require('../platform-adapters/src/base-adapter');
+const {
+  AdapterError,
+  AuthenticationError,
+  RateLimitedError,
+  ProductNotFoundError,
+  UpstreamUnavailableError,
+  ValidationError,
+  fromHttpError
+} = require('../platform-adapters/src/errors');
+
+/**
+ * Build an error shaped like a failed axios request
+ * @param {number} status - Response status, or undefined for a network error
+ * @param {Object} headers - Response headers
+ * @returns {Error} - Axios-like error
+ */
+function httpError(status, headers = {}) {
+  const error = new Error(status ? `Request failed with status code ${status}` : 'socket hang up');
+  error.isAxiosError = true;
+  if (status) {
+    error.response = { status, headers, data: {} };
+  }
+  return error;
+}
+
+describe('fromHttpError', () => {
+  const context = { platformId: 'gigantti', operation: 'getProductDetails', productId: '123' };
+
+  it('should map platform responses to typed errors', () => {
+    expect(fromHttpError(httpError(403), context)).toBeInstanceOf(AuthenticationError);
+    expect(fromHttpError(httpError(404), context)).toBeInstanceOf(ProductNotFoundError);
+    expect(fromHttpError(httpError(502), context)).toMatchObject({ upstreamStatus: 502, statusCode: 503 });
+    expect(fromHttpError(httpError(), context)).toMatchObject({ upstreamStatus: null, retryable: true });
+    expect(fromHttpError(httpError(429, { 'retry-after': '3' }), context)).toMatchObject({ retryAfter: 3000 });
+  });
+
+  it('should keep platform, operation and product on the error', () => {
+    const error = fromHttpError(httpError(404), context);
+
+    expect(error.toJSON()).toEqual({
+      error: 'gigantti getProductDetails failed: Request failed with status code 404',
+      code: 'PRODUCT_NOT_FOUND',
+      platform: 'gigantti',
+      operation: 'getProductDetails',
+      retryable: false
+    });
+    expect(error.productId).toBe('123');
+  });
+});
+
+describe('BaseECommerceAdapter error handling', () => {
+  const adapter = new BaseECommerceAdapter({});
+  adapter.platformId = 'rusta';
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('should wrap untyped errors with platform context', () => {
+    expect(() => adapter.handleError(new Error('boom'), 'getCart')).toThrow('rusta getCart failed: boom');
+    expect(() => adapter.handleError(new Error('boom'), 'getCart')).toThrow(AdapterError);
+    expect(() => adapter.handleError(httpError(503), 'getCart')).toThrow(UpstreamUnavailableError);
+  });
+
+  it('should reject invalid quantities', () => {
+    expect(() => adapter.assertValidQuantity(0)).toThrow(ValidationError);
+    expect(() => adapter.assertValidQuantity('2')).not.toThrow();
+  });
+});
+
+describe('Error recovery with typed errors', () => {
+  beforeEach(() => {
+    errorRecoverySystem.circuitBreakers.reset();
+  });
+
+  it('should not retry errors that are not retryable', async () => {
+    const method = jest.fn().mockRejectedValue(new ProductNotFoundError('Product 1 not found', { productId: '1' }));
+    const wrapped = withErrorRecovery(method, 'rusta', 'getProductDetails');
+
+    await expect(wrapped('1')).rejects.toBeInstanceOf(ProductNotFoundError);
+    expect(method).toHaveBeenCalledTimes(1);
+  });
+
+  it('should retry retryable errors', async () => {
+    const method = jest.fn()
+      .mockRejectedValueOnce(new UpstreamUnavailableError('Gateway timeout', { upstreamStatus: 504 }))
+      .mockResolvedValue({ success: true });
+    const wrapped = withErrorRecovery(method, 'rusta', 'getCart');
+
+    await expect(wrapped()).resolves.toEqual({ success: true });
+    expect(method).toHaveBeenCalledTimes(2);
+    expect(errorRecoverySystem.determineErrorType(new RateLimitedError('Slow down'), 'rusta')).toBe('rateLimiting');
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Test suite for declarative cookie extraction flows
+ */
+
+jest.mock('../cookie-management-system/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const request = require('supertest');
+const app = require('../server');
+const cookieManager = require('../cookie-management-system');
+const config = require('../cookie-management-system/config');
+const { runFlow, validateFlow, FlowStepError } = require('../cookie-management-system/extraction-flow');
+
+/**
+ * Create a fake puppeteer page
+ * @param {Object} options - Page options
+ * @param {Array} options.selectors - Selectors of the elements on the page
+ * @param {Array} options.cookies - Cookies the page has set
+ * @returns {Object} - Page recording what was clicked and typed
+ */
+function createFakePage({ selectors = [], cookies = [] } = {}) {
+  const page = {
+    clicked: [],
+    typed: [],
+    goto: jest.fn().mockResolvedValue(null),
+    waitForNavigation: jest.fn().mockResolvedValue(null),
+    cookies: jest.fn(async () => cookies),
+    waitForSelector: jest.fn(async selector => {
+      const found = selector.split(', ').find(candidate => selectors.includes(candidate));
+      if (!found) {
+        throw new Error(`Waiting for selector \`${selector}\` failed`);
+      }
+      return {
+        click: async () => page.clicked.push(found),
+        type: async value => page.typed.push([found, value])
+      };
+    })
+  };
+  return page;
+}
+
+const flowOptions = {
+  platform: 'sryhma',
+  url: 'https://www.s-kaupat.fi',
+  credentials: { username: 'shopper@example.com', password: 'secret' },
+  timeout: 1000
+};
+
+describe('Extraction flows', () => {
+  test('runs the steps in order with credentials from the platform', async () => {
+    const page = createFakePage({
+      selectors: ['#onetrust-accept-btn-handler', '#username', '#password', 'button[type="submit"]'],
+      cookies: [{ name: 's_kaupat_session', value: 'abc' }]
+    });
+
+    const results = await runFlow(page, [
+      { type: 'goto' },
+      { type: 'acceptConsent', selectors: ['#cookie-banner', '#onetrust-accept-btn-handler'] },
+      { type: 'goto', url: '/kirjaudu', timeout: 5000 },
+      { type: 'typeCredential', selector: '#username', credential: 'username' },
+      { type: 'typeCredential', selector: '#password', credential: 'password' },
+      { type: 'click', selector: 'button[type="submit"]', waitForNavigation: true },
+      { type: 'assertCookie', name: 's_kaupat_session' }
+    ], flowOptions);
+
+    expect(results.every(result => result.status === 'done')).toBe(true);
+    expect(page.goto.mock.calls).toEqual([
+      ['https://www.s-kaupat.fi/', { waitUntil: 'networkidle2', timeout: 1000 }],
+      ['https://www.s-kaupat.fi/kirjaudu', { waitUntil: 'networkidle2', timeout: 5000 }]
+    ]);
+    expect(page.clicked).toEqual(['#onetrust-accept-btn-handler', 'button[type="submit"]']);
+    expect(page.typed).toEqual([['#username', 'shopper@example.com'], ['#password', 'secret']]);
+    expect(page.waitForNavigation).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports which step failed', async () => {
+    const page = createFakePage({ selectors: ['#username'] });
+
+    const error = await runFlow(page, [
+      { type: 'goto' },
+      { type: 'typeCredential', selector: '#username', credential: 'username' },
+      { type: 'click', selector: '.login-button' }
+    ], flowOptions).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(FlowStepError);
+    expect(error).toMatchObject({ platform: 'sryhma', step: 3, stepType: 'click' });
+    expect(error.message).toBe('Step 3 of the sryhma flow (click .login-button) failed: Waiting for selector `.login-button` failed');
+  });
+
+  test('continues after optional steps and missing consent dialogs', async () => {
+    const page = createFakePage();
+
+    const results = await runFlow(page, [
+      { type: 'acceptConsent', selectors: ['#onetrust-accept-btn-handler'] },
+      { type: 'click', selector: '.product-card', optional: true },
+      { type: 'waitFor', delay: 0 }
+    ], flowOptions);
+
+    expect(results.map(result => result.status)).toEqual(['skipped', 'skipped', 'done']);
+    expect(results[0].reason).toBe('no consent dialog found');
+  });
+
+  test('fails typeCredential steps when the credential is not configured', async () => {
+    const page = createFakePage({ selectors: ['#password'] });
+
+    await expect(runFlow(page, [{ type: 'typeCredential', selector: '#password', credential: 'password' }], {
+      ...flowOptions,
+      credentials: { username: 'shopper@example.com', password: '' }
+    })).rejects.toThrow('Step 1 of the sryhma flow (typeCredential #password) failed: no password configured for sryhma');
+    expect(page.typed).toEqual([]);
+  });
+
+  test('fails assertCookie steps when the cookie is not set before the timeout', async () => {
+    const page = createFakePage({ cookies: [{ name: 'dwsid', value: 'x' }] });
+
+    await expect(runFlow(page, [{ type: 'assertCookie', name: 'dwanonymous_' }], { ...flowOptions, timeout: 10 }))
+      .rejects.toThrow('cookie dwanonymous_ was not set');
+    await expect(runFlow(page, [{ type: 'assertCookie', name: 'dwsid' }], flowOptions)).resolves.toHaveLength(1);
+  });
+
+  test('validates flows', () => {
+    for (const platform of Object.keys(config.platforms)) {
+      expect(validateFlow(config.platforms[platform].flow)).toBeNull();
+    }
+
+    expect(validateFlow([])).toBe('a flow must be a non-empty array of steps');
+    expect(validateFlow([{ type: 'goto' }, { type: 'hover', selector: 'a' }])).toMatch(/^step 2: type must be one of/);
+    expect(validateFlow([{ type: 'typeCredential', selector: '#pin', credential: 'pin' }])).toBe('step 1: credential must be one of username, password');
+    expect(validateFlow([{ type: 'waitFor', selector: '#cart', delay: 100 }])).toBe('step 1: waitFor takes either a selector or a delay');
+    expect(validateFlow([{ type: 'click', selector: '#cart', timeout: -1 }])).toBe('step 1: timeout must be a positive number of milliseconds');
+  });
+});
+
+describe('Extraction flow configuration', () => {
+  const liveConfig = cookieManager.scheduleConfig;
+
+  afterEach(() => {
+    cookieManager.setScheduleConfig(liveConfig);
+  });
+
+  test('the dashboard configuration replaces the configured flow', () => {
+    const flow = [{ type: 'goto', url: '/fi/kampanjat' }];
+
+    cookieManager.setScheduleConfig({ system: {}, platforms: { motonet: { flow } } });
+
+    expect(cookieManager.getExtractionFlow('motonet')).toBe(flow);
+    expect(cookieManager.getExtractionFlow('rusta')).toBe(config.platforms.rusta.flow);
+    expect(cookieManager.getExtractionFlow('unknown')).toBeNull();
+  });
+
+  test('the browser refresh strategy receives the live flow', async () => {
+    const flow = [{ type: 'goto' }];
+    const strategy = jest.fn().mockResolvedValue([{ name: 'cartId', value: 'abc' }]);
+    cookieManager.setScheduleConfig({ system: {}, platforms: { motonet: { flow } } });
+    cookieManager.setRefreshStrategy(strategy);
+
+    try {
+      await cookieManager.extractAndStoreCookies('motonet');
+    } finally {
+      cookieManager.setRefreshStrategy(null);
+    }
+
+    expect(strategy).toHaveBeenCalledWith('motonet', { flow });
+  });
+
+  test('POST /api/dashboard/config rejects invalid flows', async () => {
+    const response = await request(app)
+      .post('/api/dashboard/config')
+      .send({ platforms: { gigantti: { flow: [{ type: 'click' }] } } });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      error: 'Invalid extraction flow',
+      details: 'platforms.gigantti.flow: step 1: selector is required'
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Test suite for federated search
+ */
+
+const FederatedSearch = require('../platform-adapters/src/federated-search');
+const { createProduct } = require('../platform-adapters/src/product-schema');
+
+/**
+ * Create a canonical test product
+ * @param {string} platform - Platform identifier
+ * @param {string} id - Product id
+ * @param {string} name - Product name
+ * @param {number} price - Price
+ * @returns {Object} - Canonical product
+ */
+function product(platform, id, name, price) {
+  return createProduct({ platform, id, name, price, availability: { inStock: true } });
+}
+
+/**
+ * Create an adapter factory whose adapters answer from a table
+ * @param {Object} behaviours - Map of platform to search implementation
+ * @returns {Object} - Adapter factory stub
+ */
+function createFactory(behaviours) {
+  return {
+    getSupportedPlatforms: () => Object.keys(behaviours),
+    getAdapter: platform => ({ searchProducts: behaviours[platform] })
+  };
+}
+
+describe('FederatedSearch', () => {
+  it('should merge, de-duplicate and rank results from all platforms', async () => {
+    const search = new FederatedSearch(createFactory({
+      motonet: async () => [
+        product('motonet', '1', 'Castrol moottoriöljy 5W-30 4 l', 49.9),
+        product('motonet', '1', 'Castrol moottoriöljy 5W-30 4 l', 49.9),
+        product('motonet', '2', 'Öljynsuodatin', 9.9)
+      ],
+      rusta: async () => [product('rusta', 'r1', 'Moottoriöljy 5W-30 4 l', 29.9)]
+    }));
+
+    const result = await search.search('moottoriöljy 5w-30');
+
+    expect(result.partial).toBe(false);
+    expect(result.results.map(item => `${item.platform}:${item.id}`)).toEqual(['rusta:r1', 'motonet:1', 'motonet:2']);
+    expect(result.platforms.motonet).toMatchObject({ status: 'ok', count: 3 });
+  });
+
+  it('should sort by price when requested', async () => {
+    const search = new FederatedSearch(createFactory({
+      motonet: async () => [product('motonet', '1', 'Moottoriöljy', 49.9)],
+      rusta: async () => [product('rusta', 'r1', 'Moottoriöljy', 29.9)]
+    }));
+
+    const result = await search.search('moottoriöljy', { sort: 'price' });
+
+    expect(result.results.map(item => item.price.amount)).toEqual([29.9, 49.9]);
+  });
+
+  it('should search every platform within the request budget', async () => {
+    const factory = createFactory({
+      motonet: async () => [product('motonet', '1', 'Moottoriöljy', 49.9)],
+      rusta: async () => [product('rusta', 'r1', 'Moottoriöljy', 29.9)]
+    });
+    const getAdapter = jest.spyOn(factory, 'getAdapter');
+    const budget = { attempts: 0 };
+
+    await new FederatedSearch(factory).search('moottoriöljy', { sessionId: 'session-a', budget });
+
+    expect(getAdapter.mock.calls).toEqual([
+      ['motonet', { sessionId: 'session-a', budget }],
+      ['rusta', { sessionId: 'session-a', budget }]
+    ]);
+  });
+
+  it('should return partial results when platforms fail or time out', async () => {
+    const search = new FederatedSearch(createFactory({
+      motonet: async () => [product('motonet', '1', 'Moottoriöljy', 49.9)],
+      gigantti: async () => {
+        throw new Error('gigantti searchProducts failed: Request failed with status code 503');
+      },
+      rusta: () => new Promise(() => {})
+    }), { timeout: 50 });
+
+    const result = await search.search('moottoriöljy');
+
+    expect(result.partial).toBe(true);
+    expect(result.results).toHaveLength(1);
+    expect(result.platforms.gigantti.status).toBe('error');
+    expect(result.platforms.rusta.status).toBe('timeout');
+  });
+});
@@ -10,7 +10,7 @@ const MockAdapter = require('axios-mock-adapter');
 const mock = new MockAdapter(axios);
 
 // Mock responses for Motonet
-mock.onGet(/\/motonet\.fi\/api\/search/).reply(200, {
+mock.onGet(/motonet\.fi\/fi\/search/).reply(200, {
   products: [
     { id: '59-5064', name: 'Test Product 1', price: 119, inStock: true },
     { id: '59-5065', name: 'Test Product 2', price: 229, inStock: false }
@@ -18,7 +18,7 @@ mock.onGet(/\/motonet\.fi\/api\/search/).reply(200, {
   totalCount: 2
 });
 
-mock.onGet(/\/motonet\.fi\/api\/products\//).reply(200, {
+mock.onGet(/motonet\.fi\/api\/products\//).reply(200, {
   id: '59-5064',
   name: 'Test Product 1',
   price: 119,
@@ -27,13 +27,7 @@ mock.onGet(/\/motonet\.fi\/api\/products\//).reply(200, {
   inStock: true
 });
 
-mock.onPost(/\/motonet\.fi\/api\/tracking\/add-to-cart/).reply(200, {
-  success: true,
-  cartId: '12345',
-  itemCount: 1
-});
-
-mock.onGet(/\/motonet\.fi\/api\/cart/).reply(200, {
+mock.onGet(/motonet\.fi\/api\/cart/).reply(200, {
   items: [
     { id: '59-5064', name: 'Test Product 1', price: 119, quantity: 1 }
   ],
@@ -42,7 +36,7 @@ mock.onGet(/\/motonet\.fi\/api\/cart/).reply(200, {
 });
 
 // Mock responses for S-ryhmä
-mock.onGet(/\/s-kaupat\.fi\/api\/v2\/products\/search/).reply(200, {
+mock.onGet(/s-kaupat\.fi\/api\/v2\/products\/search/).reply(200, {
   products: [
     { id: 'product-1', name: 'S-ryhmä Test Product 1', price: 5.99, inStock: true },
     { id: 'product-2', name: 'S-ryhmä Test Product 2', price: 3.49, inStock: true }
@@ -50,7 +44,7 @@ mock.onGet(/\/s-kaupat\.fi\/api\/v2\/products\/search/).reply(200, {
   totalCount: 2
 });
 
-mock.onGet(/\/s-kaupat\.fi\/api\/v2\/products\//).reply(200, {
+mock.onGet(/s-kaupat\.fi\/api\/v2\/products\//).reply(200, {
   id: 'product-1',
   name: 'S-ryhmä Test Product 1',
   price: 5.99,
@@ -59,13 +53,23 @@ mock.onGet(/\/s-kaupat\.fi\/api\/v2\/products\//).reply(200, {
   inStock: true
 });
 
-mock.onPost(/\/s-kaupat\.fi\/api\/v2\/cart\/items/).reply(200, {
+mock.onPost(/s-kaupat\.fi\/api\/v2\/cart\/items/).reply(200, {
   success: true,
   cartId: '67890',
   itemCount: 1
 });
 
-mock.onGet(/\/s-kaupat\.fi\/api\/v2\/cart/).reply(200, {
+mock.onPatch(/s-kaupat\.fi\/api\/v2\/cart\/items\//).reply(200, {
+  success: true,
+  itemCount: 2
+});
+
+mock.onDelete(/s-kaupat\.fi\/api\/v2\/cart\/items\//).reply(200, {
+  success: true,
+  itemCount: 0
+});
+
+mock.onGet(/s-kaupat\.fi\/api\/v2\/cart/).reply(200, {
   items: [
     { id: 'product-1', name: 'S-ryhmä Test Product 1', price: 5.99, quantity: 1 }
   ],
@@ -74,7 +78,7 @@ mock.onGet(/\/s-kaupat\.fi\/api\/v2\/cart/).reply(200, {
 });
 
 // Mock responses for Gigantti
-mock.onGet(/\/gigantti\.fi\/api\/search/).reply(200, {
+mock.onGet(/gigantti\.fi\/api\/search/).reply(200, {
   products: [
     { id: 'gigantti-1', name: 'Gigantti Test Product 1', price: 499, inStock: true },
     { id: 'gigantti-2', name: 'Gigantti Test Product 2', price: 899, inStock: true }
@@ -82,7 +86,7 @@ mock.onGet(/\/gigantti\.fi\/api\/search/).reply(200, {
   totalCount: 2
 });
 
-mock.onGet(/\/gigantti\.fi\/api\/products\//).reply(200, {
+mock.onGet(/gigantti\.fi\/api\/products\//).reply(200, {
   id: 'gigantti-1',
   name: 'Gigantti Test Product 1',
   price: 499,
@@ -91,13 +95,45 @@ mock.onGet(/\/gigantti\.fi\/api\/products\//).reply(200, {
   inStock: true
 });
 
-mock.onPost(/\/gigantti\.fi\/api\/cart\/add/).reply(200, {
+mock.onPost(/gigantti\.fi\/api\/cart\/add/).reply(200, {
   success: true,
   cartId: 'abcde',
   itemCount: 1
 });
 
-mock.onGet(/\/gigantti\.fi\/api\/cart/).reply(200, {
+mock.onPost(/gigantti\.fi\/api\/cart\/update/).reply(200, {
+  success: true,
+  itemCount: 2
+});
+
+mock.onPost(/gigantti\.fi\/api\/cart\/remove/).reply(200, {
+  success: true,
+  itemCount: 0
+});
+
+mock.onGet(/gigantti\.fi\/api\/categories$/).reply(200, {
+  categories: [
+    {
+      id: 'tv-audio',
+      name: 'TV ja audio',
+      url: '/tv-ja-audio',
+      children: [
+        { id: 'televisiot', name: 'Televisiot', url: '/tv-ja-audio/televisiot', productCount: 3 },
+        { id: 'broken', url: '/tv-ja-audio/broken' }
+      ]
+    }
+  ]
+});
+
+mock.onGet(/gigantti\.fi\/api\/categories\/televisiot\/products/).reply(200, {
+  products: [
+    { id: 'gigantti-1', name: 'Gigantti Test Product 1', price: 499, inStock: true },
+    { id: 'gigantti-2', name: 'Gigantti Test Product 2', price: 899, inStock: true }
+  ],
+  totalCount: 3
+});
+
+mock.onGet(/gigantti\.fi\/api\/cart/).reply(200, {
   items: [
     { id: 'gigantti-1', name: 'Gigantti Test Product 1', price: 499, quantity: 1 }
   ],
@@ -105,4 +141,36 @@ mock.onGet(/\/gigantti\.fi\/api\/cart/).reply(200, {
   itemCount: 1
 });
 
+// Mock responses for Rusta
+mock.onGet(/rusta\.com\/api\/fi\/search/).reply(200, {
+  products: [
+    { id: '100123', name: 'Rusta Test Product 1', price: 24.95, inStock: true },
+    { id: '100124', name: 'Rusta Test Product 2', price: 9.95, inStock: true }
+  ],
+  totalCount: 2
+});
+
+mock.onGet(/rusta\.com\/api\/fi\/products\/100123$/).reply(200, {
+  id: '100123',
+  name: 'Rusta Test Product 1',
+  price: 24.95,
+  description: 'Test product description',
+  images: ['image1.jpg', 'image2.jpg'],
+  inStock: true
+});
+
+mock.onPost(/rusta\.com\/api\/fi\/cart\/items/).reply(200, {
+  success: true,
+  cartId: 'rusta-1',
+  itemCount: 1
+});
+
+mock.onGet(/rusta\.com\/api\/fi\/cart/).reply(200, {
+  items: [
+    { id: '100123', name: 'Rusta Test Product 1', price: 24.95, quantity: 1 }
+  ],
+  totalPrice: 24.95,
+  itemCount: 1
+});
+
 module.exports = mock;
@@ -0,0 +1,72 @@
+/**
+ * Test suite for the Motonet cart parser
+ */
+
+const path = require('path');
+const { parseMotonetCart } = require('../platform-adapters/src/parsers/motonet-cart-parser');
+
+// fs is mocked in setup.js, so read fixtures with the real module
+const fs = jest.requireActual('fs');
+
+/**
+ * Read an HTML fixture
+ * @param {string} name - Fixture file name
+ * @returns {string} - Fixture contents
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+const expectedItems = [
+  {
+    productId: '90-2514',
+    name: 'Tuulilasinpesuneste -20 °C 4 l',
+    quantity: 2,
+    unitPrice: 12.95,
+    lineTotal: 25.9,
+    url: 'https://www.motonet.fi/fi/tuote/90-2514'
+  },
+  {
+    productId: '59-5064',
+    name: 'Akku 74 Ah',
+    quantity: 1,
+    unitPrice: 119,
+    lineTotal: 119,
+    url: 'https://www.motonet.fi/fi/tuote/59-5064'
+  }
+];
+
+describe('Motonet cart parser', () => {
+  it('should parse the cart from the embedded page state', () => {
+    const cart = parseMotonetCart(readFixture('motonet-cart-state.html'));
+
+    expect(cart).toEqual({
+      items: expectedItems,
+      itemCount: 3,
+      totalPrice: 144.9,
+      currency: 'EUR'
+    });
+  });
+
+  it('should parse the cart from the page markup', () => {
+    const cart = parseMotonetCart(readFixture('motonet-cart-markup.html'));
+
+    expect(cart).toEqual({
+      items: expectedItems,
+      itemCount: 3,
+      totalPrice: 144.9,
+      currency: 'EUR'
+    });
+  });
+
+  it('should return an empty cart for the empty cart page', () => {
+    const cart = parseMotonetCart(readFixture('motonet-cart-empty.html'));
+
+    expect(cart).toEqual({ items: [], itemCount: 0, totalPrice: 0, currency: 'EUR' });
+  });
+
+  it('should fail on pages without a cart', () => {
+    expect(() => parseMotonetCart('<html><body><form class="login-form"></form></body></html>'))
+      .toThrow('Could not find cart contents');
+  });
+});
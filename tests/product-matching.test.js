@@ -0,0 +1,131 @@
+/**
+ * Test suite for cross-platform product matching
+ */
+
+const ProductMatcher = require('../platform-adapters/src/product-matching');
+const { matchProducts } = require('../platform-adapters/src/product-matching');
+const { createProduct } = require('../platform-adapters/src/product-schema');
+const RequestBudget = require('../platform-adapters/src/request-budget');
+
+const catalog = {
+  motonet: {
+    '90-1001': createProduct({
+      platform: 'motonet', id: '90-1001', name: 'Bosch GSR 18V-55 akkuporakone', brand: 'Bosch',
+      ean: '4059952512345', price: 149.9
+    })
+  },
+  gigantti: {
+    'g-1': createProduct({
+      platform: 'gigantti', id: 'g-1', name: 'Bosch Professional GSR 18V-55 porakone', brand: 'BOSCH',
+      ean: '04059952512345', price: 139
+    }),
+    'g-2': createProduct({
+      platform: 'gigantti', id: 'g-2', name: 'Bosch GSR 12V-15 porakone', brand: 'Bosch',
+      ean: '4059952599999', price: 99
+    })
+  },
+  rusta: {
+    'r-1': createProduct({
+      platform: 'rusta', id: 'r-1', name: 'Bosch GSR 18V-55 akkuporakone', brand: 'Bosch', price: 159
+    })
+  }
+};
+
+/**
+ * Create an adapter factory backed by the test catalog
+ * Search results leave out EANs, as real search listings often do.
+ * @returns {Object} - Adapter factory stub
+ */
+function createFactory() {
+  return {
+    getSupportedPlatforms: () => Object.keys(catalog),
+    getAdapter: platform => ({
+      searchProducts: async () => Object.values(catalog[platform]).map(product => ({ ...product, ean: null })),
+      getProductDetails: async productId => catalog[platform][productId]
+    })
+  };
+}
+
+describe('matchProducts', () => {
+  it('should let EANs decide when both products have one', () => {
+    expect(matchProducts(catalog.motonet['90-1001'], catalog.gigantti['g-1']))
+      .toEqual({ method: 'ean', confidence: 1 });
+    expect(matchProducts(catalog.motonet['90-1001'], catalog.gigantti['g-2'])).toBeNull();
+  });
+
+  it('should fall back to brand and model number', () => {
+    expect(matchProducts(catalog.motonet['90-1001'], catalog.rusta['r-1']))
+      .toEqual({ method: 'brand-model', confidence: 0.8 });
+  });
+
+  it('should never match different brands', () => {
+    const other = createProduct({ platform: 'rusta', id: 'x', name: 'Makita GSR 18V-55 akkuporakone', brand: 'Makita', price: 1 });
+
+    expect(matchProducts(catalog.motonet['90-1001'], other)).toBeNull();
+  });
+});
+
+describe('ProductMatcher', () => {
+  it('should return equivalent offers sorted by price', async () => {
+    const matcher = new ProductMatcher(createFactory());
+
+    const comparison = await matcher.compare('motonet', '90-1001');
+
+    expect(comparison.product.id).toBe('90-1001');
+    expect(comparison.offers.map(offer => [offer.platform, offer.productId, offer.match.method])).toEqual([
+      ['gigantti', 'g-1', 'ean'],
+      ['rusta', 'r-1', 'brand-model']
+    ]);
+  });
+
+  it('should make every lookup within the request budget', async () => {
+    const factory = createFactory();
+    const getAdapter = jest.spyOn(factory, 'getAdapter');
+    const budget = new RequestBudget();
+
+    await new ProductMatcher(factory).compare('motonet', '90-1001', { sessionId: 'session-a', budget });
+
+    expect(getAdapter).toHaveBeenCalled();
+    getAdapter.mock.calls.forEach(([, options]) => expect(options).toEqual({ sessionId: 'session-a', budget }));
+  });
+
+  it('should load candidate details concurrently and survive failed lookups', async () => {
+    const factory = createFactory();
+    // Gigantti lookups in flight at once
+    let inFlight = 0;
+    let maxInFlight = 0;
+    factory.getAdapter = platform => ({
+      searchProducts: async () => Object.values(catalog[platform]).map(product => ({ ...product, ean: null })),
+      getProductDetails: async productId => {
+        const counted = platform === 'gigantti';
+        inFlight += counted ? 1 : 0;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        inFlight -= counted ? 1 : 0;
+
+        if (productId === 'g-2') {
+          throw new Error('gigantti getProductDetails failed: Request failed with status code 503');
+        }
+        return catalog[platform][productId];
+      }
+    });
+
+    const comparison = await new ProductMatcher(factory).compare('motonet', '90-1001');
+
+    expect(maxInFlight).toBe(2);
+    expect(comparison.offers.map(offer => offer.productId)).toEqual(['g-1', 'r-1']);
+  });
+
+  it('should skip the name search once the request is out of time', async () => {
+    const factory = createFactory();
+    const searches = jest.fn(async () => []);
+    factory.getAdapter = () => ({ searchProducts: searches, getProductDetails: async () => catalog.motonet['90-1001'] });
+    // The deadline passes during the barcode search
+    const budget = { isExpired: jest.fn().mockReturnValueOnce(false).mockReturnValue(true) };
+
+    const comparison = await new ProductMatcher(factory).compare('motonet', '90-1001', { budget });
+
+    expect(comparison.offers).toEqual([]);
+    expect(searches).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Test suite for the canonical product schema
+ */
+
+require('./mocks');
+const {
+  parsePrice,
+  normalizeAvailability,
+  createProduct,
+  validateProduct,
+  extractJsonLdProduct,
+  mapJsonLdProduct
+} = require('../platform-adapters/src/product-schema');
+const MotonetAdapter = require('../platform-adapters/src/adapters/motonet-adapter');
+const SRyhmaAdapter = require('../platform-adapters/src/adapters/sryhma-adapter');
+const GiganttiAdapter = require('../platform-adapters/src/adapters/gigantti-adapter');
+const RustaAdapter = require('../platform-adapters/src/adapters/rusta-adapter');
+
+// Minimal cookie manager so adapters don't need stored cookies
+const cookieManager = {
+  getLatestCookies: async () => ({ cookieString: 'test=1' })
+};
+
+describe('Product schema', () => {
+  it('should build a canonical product from loosely typed fields', () => {
+    const product = createProduct({
+      id: 123,
+      platform: 'motonet',
+      name: ' Test Product ',
+      price: '12,95 €',
+      vatRate: 0.255,
+      unitPrice: '4,32',
+      unit: 'l',
+      images: [{ url: 'https://example.com/a.jpg' }],
+      availability: { status: 'Varastossa' },
+      url: 'https://www.motonet.fi/fi/tuote/123',
+      categoryPath: [{ name: 'Työkalut' }, 'Käsityökalut']
+    });
+
+    expect(product).toEqual({
+      id: '123',
+      platform: 'motonet',
+      name: 'Test Product',
+      brand: null,
+      ean: null,
+      mpn: null,
+      price: { amount: 12.95, currency: 'EUR', vatIncluded: true, vatRate: 0.255 },
+      unitPrice: { amount: 4.32, currency: 'EUR', unit: 'l' },
+      images: ['https://example.com/a.jpg'],
+      availability: { status: 'in_stock', inStock: true, quantity: null },
+      url: 'https://www.motonet.fi/fi/tuote/123',
+      categoryPath: ['Työkalut', 'Käsityökalut']
+    });
+    expect(validateProduct(product)).toEqual([]);
+  });
+
+  it('should read negative availability statuses before positive ones', () => {
+    const statusOf = status => normalizeAvailability({ status }).status;
+
+    expect(statusOf('Not available')).toBe('out_of_stock');
+    expect(statusOf('Not in stock')).toBe('out_of_stock');
+    expect(statusOf('Ei saatavilla')).toBe('out_of_stock');
+    expect(statusOf('Ei varastossa')).toBe('out_of_stock');
+    expect(statusOf('In stock')).toBe('in_stock');
+    expect(statusOf('Saatavilla')).toBe('in_stock');
+    expect(statusOf('https://schema.org/PreOrder')).toBe('preorder');
+  });
+
+  it('should parse prices with thousands separators', () => {
+    expect(parsePrice('1.234,56 €')).toBe(1234.56);
+    expect(parsePrice('1 234,56 €')).toBe(1234.56);
+    expect(parsePrice('1\u00a0234,56\u00a0€')).toBe(1234.56);
+    expect(parsePrice('1,234.56')).toBe(1234.56);
+    expect(parsePrice('1.234.567')).toBe(1234567);
+    expect(parsePrice('119.00')).toBe(119);
+    expect(parsePrice('12,95 €')).toBe(12.95);
+    expect(parsePrice('call us')).toBeNull();
+  });
+
+  it('should reject malformed products', () => {
+    const product = createProduct({ platform: 'gigantti', price: 'call us', url: '/relative' });
+
+    expect(validateProduct(product)).toEqual(expect.arrayContaining([
+      'id is required',
+      'name is required',
+      'price.amount must be a non-negative number',
+      'url must be an absolute URL or null'
+    ]));
+  });
+
+  it('should read products from JSON-LD markup', () => {
+    const html = `<html><head><script type="application/ld+json">
+      {"@context": "https://schema.org", "@type": "Product", "sku": "59-5064", "name": "Test Product 1",
+       "brand": {"@type": "Brand", "name": "Motonet"},
+       "offers": {"price": "119.00", "priceCurrency": "EUR", "availability": "https://schema.org/InStock"}}
+    </script></head></html>`;
+
+    const fields = mapJsonLdProduct(extractJsonLdProduct(html));
+
+    expect(fields).toMatchObject({ id: '59-5064', brand: 'Motonet', price: '119.00', currency: 'EUR' });
+    expect(createProduct(fields).availability.status).toBe('in_stock');
+  });
+});
+
+describe('Adapter product normalization', () => {
+  const adapters = [
+    new MotonetAdapter(cookieManager),
+    new SRyhmaAdapter(cookieManager),
+    new GiganttiAdapter(cookieManager),
+    new RustaAdapter(cookieManager)
+  ];
+
+  it.each(adapters.map(adapter => [adapter.platformId, adapter]))(
+    'should return canonical products from %s search',
+    async (platformId, adapter) => {
+      const products = await adapter.searchProducts('test');
+
+      expect(products.length).toBeGreaterThan(0);
+      products.forEach(product => {
+        expect(product.platform).toBe(platformId);
+        expect(validateProduct(product)).toEqual([]);
+      });
+    }
+  );
+
+  it('should skip products that cannot be mapped', () => {
+    const adapter = new GiganttiAdapter(cookieManager);
+
+    const products = adapter.normalizeProducts([
+      { id: 'gigantti-1', name: 'Valid', price: 499 },
+      { id: 'gigantti-2', price: 899 }
+    ]);
+
+    expect(products.map(product => product.id)).toEqual(['gigantti-1']);
+  });
+});
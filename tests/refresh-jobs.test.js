@@ -0,0 +1,102 @@
+/**
+ * Test suite for cookie refresh job records
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const cookieManager = require('../cookie-management-system');
+const MemoryCookieStorage = require('../cookie-management-system/storage/memory-storage');
+
+/**
+ * Poll a refresh job until it finishes
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} - Finished job record
+ */
+async function waitForJob(jobId) {
+  for (;;) {
+    const response = await request(app).get(`/api/dashboard/refresh-jobs/${jobId}`);
+    if (!['queued', 'running'].includes(response.body.job.status)) {
+      return response.body.job;
+    }
+  }
+}
+
+describe('Refresh jobs', () => {
+  beforeEach(async () => {
+    await cookieManager.start({ storage: new MemoryCookieStorage(), scheduler: false });
+  });
+
+  afterEach(() => {
+    cookieManager.stop();
+    cookieManager.setRefreshStrategy(null);
+    cookieManager.cookies = {};
+  });
+
+  it('should start manual refreshes in the background and return a job id to poll', async () => {
+    cookieManager.setRefreshStrategy(async () => 'cartId=fresh; puid=p1; tracking=1');
+
+    const response = await request(app).post('/api/dashboard/cookies/refresh').send({ platform: 'motonet' });
+
+    expect(response.status).toBe(202);
+    expect(response.body).toMatchObject({ success: true, platform: 'motonet', statusUrl: `/api/dashboard/refresh-jobs/${response.body.jobId}` });
+
+    const job = await waitForJob(response.body.jobId);
+    expect(job).toMatchObject({
+      platform: 'motonet',
+      trigger: 'manual',
+      status: 'succeeded',
+      attempts: 1,
+      error: null,
+      cookies: { extracted: 3, essential: 2, essentialExpected: 3, missingEssential: ['first_session'] },
+      cookieVersionId: cookieManager.cookies.motonet.id
+    });
+    expect(job.finishedAt).toBeGreaterThanOrEqual(job.startedAt);
+    expect(job.durationMs).toBe(job.finishedAt - job.startedAt);
+  });
+
+  it('should record every attempt and the last error of a failed job', async () => {
+    let calls = 0;
+    cookieManager.setRefreshStrategy(async () => {
+      calls++;
+      throw new Error(`Chrome crashed ${calls}`);
+    });
+
+    const job = await cookieManager.createRefreshJob('rusta', 'cron');
+    await expect(cookieManager.runRefreshJob(job, { maxAttempts: 2, retryDelay: 0 })).rejects.toThrow('Chrome crashed 2');
+
+    expect(await cookieManager.getRefreshJob(job.id)).toMatchObject({ status: 'failed', attempts: 2, error: 'Chrome crashed 2', cookies: null });
+  });
+
+  it('should share one job between concurrent recovery refreshes', async () => {
+    cookieManager.setRefreshStrategy(async () => 'rusta_cart=fresh');
+
+    await Promise.all([
+      cookieManager.refreshWithJob('rusta', 'recovery'),
+      cookieManager.refreshWithJob('rusta', 'recovery')
+    ]);
+
+    expect(await cookieManager.getRefreshJobs({ trigger: 'recovery' })).toHaveLength(1);
+  });
+
+  it('should list jobs newest first with filters', async () => {
+    cookieManager.setRefreshStrategy(async () => 'rusta_cart=fresh');
+    await cookieManager.forceRefreshCookies('rusta');
+    await cookieManager.createRefreshJob('gigantti', 'cron');
+
+    const all = await request(app).get('/api/dashboard/refresh-jobs');
+    expect(all.body.jobs.map(job => job.platform)).toEqual(['gigantti', 'rusta']);
+
+    const filtered = await request(app).get('/api/dashboard/refresh-jobs?trigger=manual&status=succeeded&platform=rusta');
+    expect(filtered.body.jobs).toEqual([expect.objectContaining({ platform: 'rusta', trigger: 'manual' })]);
+
+    const since = await request(app).get(`/api/dashboard/refresh-jobs?since=${new Date(Date.now() + 60000).toISOString()}`);
+    expect(since.body.jobs).toEqual([]);
+  });
+
+  it('should reject unknown filters, platforms and jobs', async () => {
+    expect((await request(app).get('/api/dashboard/refresh-jobs?trigger=hourly')).status).toBe(400);
+    expect((await request(app).get('/api/dashboard/refresh-jobs?since=yesterday')).status).toBe(400);
+    expect((await request(app).get('/api/dashboard/refresh-jobs/unknown')).status).toBe(404);
+    expect((await request(app).post('/api/dashboard/cookies/refresh').send({ platform: 'unknown' })).status).toBe(404);
+  });
+});
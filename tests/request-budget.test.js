@@ -0,0 +1,91 @@
+/**
+ * Test suite for request budgets
+ */
+
+// Keep backoff short
+process.env.BASE_RETRY_DELAY = '5';
+
+const request = require('supertest');
+const mock = require('./mocks');
+const app = require('../server');
+const RequestBudget = require('../platform-adapters/src/request-budget');
+const MotonetAdapter = require('../platform-adapters/src/adapters/motonet-adapter');
+const { withErrorRecovery } = require('../platform-adapters/src/error-recovery-integration');
+
+// Minimal cookie manager so the adapter doesn't need stored cookies
+const cookieManager = {
+  getLatestCookies: async () => ({ cookieString: 'test=1' }),
+  refreshCookies: async () => true
+};
+
+describe('Request budget', () => {
+  it('should stop error recovery once the retry budget is spent', async () => {
+    const budget = new RequestBudget({ maxAttempts: 2 });
+    const method = jest.fn(async function() {
+      this.budget.consumeAttempt('rusta', 'getCart');
+      throw new Error('Cart is locked');
+    });
+    const wrapped = withErrorRecovery(method, 'rusta', 'getCart');
+
+    await expect(wrapped.call({ budget })).rejects.toMatchObject({
+      code: 'REQUEST_TIMEOUT',
+      reason: 'retryBudget',
+      statusCode: 504
+    });
+    expect(budget.attempts).toBe(2);
+  });
+
+  it('should stop adapter fallbacks once the retry budget is spent', async () => {
+    const budget = new RequestBudget({ maxAttempts: 3 });
+    const adapter = new MotonetAdapter(cookieManager).withBudget(budget);
+    const postsBefore = mock.history.post.length;
+
+    // Cart endpoints aren't mocked, so every add-to-cart method fails
+    await expect(adapter.addToCart('59-5064', 1)).rejects.toMatchObject({ code: 'REQUEST_TIMEOUT' });
+    expect(mock.history.post.length - postsBefore).toBe(3);
+  });
+
+  it('should cover every add-to-cart fallback with the default budget', async () => {
+    const budget = new RequestBudget();
+    const adapter = new MotonetAdapter(cookieManager).withBudget(budget);
+    const postsBefore = mock.history.post.length;
+
+    const error = await adapter.addToCart('59-5064', 1).catch(caught => caught);
+
+    expect(error.code).not.toBe('REQUEST_TIMEOUT');
+    expect(mock.history.post.length - postsBefore).toBe(8);
+    expect(budget.attempts).toBeLessThan(budget.maxAttempts);
+  });
+
+  it('should answer add-to-cart with a 404 after one pass when the product is missing', async () => {
+    mock.onGet('https://www.motonet.fi').reply(200, '', { 'set-cookie': ['cart-id=cart-1; Path=/'] });
+    const postsBefore = mock.history.post.length;
+
+    // Cart endpoints aren't mocked, so every variation answers 404
+    const response = await request(app)
+      .post('/api/add-to-cart')
+      .send({ productId: '59-5064', quantity: 1 });
+
+    expect(response.status).toBe(404);
+    expect(response.body).toMatchObject({ code: 'PRODUCT_NOT_FOUND', platform: 'motonet' });
+    expect(mock.history.post.length - postsBefore).toBe(8);
+  });
+
+  it('should answer add-to-cart with a structured timeout', async () => {
+    process.env.REQUEST_RETRY_BUDGET = '2';
+    mock.onGet('https://www.motonet.fi').reply(200, '', { 'set-cookie': ['cart-id=cart-1; Path=/'] });
+
+    const response = await request(app)
+      .post('/api/add-to-cart')
+      .send({ productId: '59-5064', quantity: 1 });
+
+    delete process.env.REQUEST_RETRY_BUDGET;
+    expect(response.status).toBe(504);
+    expect(response.body).toMatchObject({
+      code: 'REQUEST_TIMEOUT',
+      reason: 'retryBudget',
+      platform: 'motonet',
+      budget: { attempts: 2, maxAttempts: 2 }
+    });
+  });
+});
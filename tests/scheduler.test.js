@@ -0,0 +1,172 @@
+/**
+ * Test suite for per-platform cookie refresh scheduling
+ */
+
+jest.mock('../cookie-management-system/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const cron = require('node-cron');
+const request = require('supertest');
+const app = require('../server');
+const cookieManager = require('../cookie-management-system');
+const config = require('../cookie-management-system/config');
+const scheduler = require('../cookie-management-system/scheduler');
+
+/**
+ * Let pending promise callbacks run, also while timers are faked
+ * @returns {Promise<void>}
+ */
+function flushPromises() {
+  return new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+}
+
+/**
+ * Create a promise with its resolve function
+ * @returns {Object} - Promise and resolve function
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+describe('Scheduler', () => {
+  const schedulerConfig = { ...config.scheduler };
+
+  beforeEach(() => {
+    jest.spyOn(cron, 'schedule');
+    Object.assign(config.scheduler, { jitter: 0, maxConcurrentRefreshes: 1, maxRetries: 1 });
+
+    // Every platform has valid cookies, so starting triggers no refresh
+    for (const platform of cookieManager.getPlatforms()) {
+      cookieManager.cookies[platform] = { cookieString: 'a=1', records: [], expiresAt: Date.now() + 60000 };
+    }
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    if (scheduler.running) {
+      scheduler.stop();
+    }
+    cookieManager.scheduler = null;
+    cookieManager.cookies = {};
+    Object.assign(config.scheduler, schedulerConfig);
+    await request(app).post('/api/dashboard/config').send({
+      system: { defaultRefreshInterval: schedulerConfig.refreshInterval },
+      platforms: Object.fromEntries(cookieManager.getPlatforms().map(platform => [platform, { refreshInterval: schedulerConfig.refreshInterval }]))
+    });
+    jest.restoreAllMocks();
+  });
+
+  it('should schedule each platform on its refresh interval from the dashboard configuration', async () => {
+    await request(app).post('/api/dashboard/config').send({ platforms: { rusta: { refreshInterval: '30 3 * * *' } } });
+
+    scheduler.start();
+
+    expect(scheduler.intervals).toEqual({
+      motonet: schedulerConfig.refreshInterval,
+      sryhma: schedulerConfig.refreshInterval,
+      gigantti: schedulerConfig.refreshInterval,
+      rusta: '30 3 * * *'
+    });
+  });
+
+  it('should reschedule only changed platforms when the configuration is updated', async () => {
+    scheduler.start();
+    cookieManager.scheduler = scheduler;
+    const motonetJob = scheduler.jobs.motonet;
+    const rustaJob = scheduler.jobs.rusta;
+    jest.spyOn(rustaJob, 'stop');
+
+    const response = await request(app).post('/api/dashboard/config').send({ platforms: { rusta: { refreshInterval: '*/30 * * * *' } } });
+
+    expect(response.status).toBe(200);
+    expect(rustaJob.stop).toHaveBeenCalled();
+    expect(scheduler.jobs.rusta).not.toBe(rustaJob);
+    expect(scheduler.intervals.rusta).toBe('*/30 * * * *');
+    expect(scheduler.jobs.motonet).toBe(motonetJob);
+  });
+
+  it('should report when each platform refreshes next', async () => {
+    const { CronTime } = require('cron');
+    await request(app).post('/api/dashboard/config').send({ platforms: { rusta: { refreshInterval: '*/30 * * * *' } } });
+    scheduler.start();
+    cookieManager.scheduler = scheduler;
+
+    const response = await request(app).get('/api/dashboard/cookies');
+    const nextRefreshes = Object.fromEntries(response.body.platforms.map(platform => [platform.id, platform.nextRefresh]));
+    const rustaNextRun = new CronTime('*/30 * * * *').sendAt().toJSDate().toISOString();
+
+    expect(nextRefreshes.rusta).toBe(rustaNextRun);
+    expect(nextRefreshes.motonet).toBe(new CronTime(schedulerConfig.refreshInterval).sendAt().toJSDate().toISOString());
+    expect(response.body.refreshSchedule.nextRun).toBe(rustaNextRun);
+  });
+
+  it('should reject invalid refresh intervals', async () => {
+    const response = await request(app).post('/api/dashboard/config').send({ platforms: { motonet: { refreshInterval: 'every hour' } } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toBe('platforms.motonet.refreshInterval is not a valid cron expression: every hour');
+    expect(scheduler.getRefreshInterval('motonet')).toBe(schedulerConfig.refreshInterval);
+  });
+
+  it('should run startup refreshes one at a time', async () => {
+    cookieManager.cookies = {};
+    const refreshes = { motonet: deferred(), sryhma: deferred(), gigantti: deferred(), rusta: deferred() };
+    const refresh = jest.spyOn(cookieManager, 'refreshPlatformCookies').mockImplementation(platform => refreshes[platform].promise);
+
+    scheduler.start();
+    await flushPromises();
+
+    expect(refresh.mock.calls).toEqual([['motonet']]);
+
+    refreshes.motonet.resolve({});
+    await flushPromises();
+
+    expect(refresh.mock.calls).toEqual([['motonet'], ['sryhma']]);
+    expect(scheduler.activeRefreshes).toBe(1);
+
+    // Queued refreshes are skipped once the scheduler stops
+    scheduler.stop();
+    refreshes.sryhma.resolve({});
+    await flushPromises();
+
+    expect(refresh).toHaveBeenCalledTimes(2);
+    expect(scheduler.activeRefreshes).toBe(0);
+
+    const jobs = await cookieManager.getRefreshJobs({ trigger: 'startup' });
+    expect(Object.fromEntries(jobs.map(job => [job.platform, job.status]))).toEqual({
+      motonet: 'succeeded',
+      sryhma: 'succeeded',
+      gigantti: 'cancelled',
+      rusta: 'cancelled'
+    });
+  });
+
+  it('should delay scheduled refreshes by up to the jitter and skip them once stopped', async () => {
+    jest.useFakeTimers();
+    config.scheduler.jitter = 60000;
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    const refresh = jest.spyOn(cookieManager, 'refreshPlatformCookies').mockResolvedValue({});
+
+    scheduler.start();
+    const first = scheduler.queueRefresh('motonet', config.scheduler.jitter);
+    await flushPromises();
+    jest.advanceTimersByTime(29999);
+    await flushPromises();
+    expect(refresh).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    await expect(first).resolves.toBe(true);
+    expect(refresh).toHaveBeenCalledWith('motonet');
+
+    const second = scheduler.queueRefresh('rusta', config.scheduler.jitter);
+    await flushPromises();
+    scheduler.stop();
+    await expect(second).resolves.toBe(false);
+    expect(refresh).toHaveBeenCalledTimes(1);
+  });
+});
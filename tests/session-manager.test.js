@@ -0,0 +1,160 @@
+/**
+ * Test suite for the session management system
+ */
+
+const { SessionManager, MemorySessionStore } = require('../session-manager');
+
+describe('Session Manager', () => {
+  let sessionManager;
+  
+  beforeEach(() => {
+    sessionManager = new SessionManager({ ttl: 60000, defaultPlatform: 'motonet' });
+  });
+  
+  it('should create sessions with the default platform', async () => {
+    const session = await sessionManager.createSession();
+    
+    expect(session.id).toBeDefined();
+    expect(session.platform).toBe('motonet');
+    expect(session.history).toEqual([]);
+  });
+  
+  it('should keep platform selection separate per session', async () => {
+    const first = await sessionManager.createSession();
+    const second = await sessionManager.createSession();
+    
+    sessionManager.setPlatform(first, 'gigantti');
+    
+    expect((await sessionManager.getSession(first.id)).platform).toBe('gigantti');
+    expect((await sessionManager.getSession(second.id)).platform).toBe('motonet');
+  });
+  
+  it('should expire sessions after the TTL', async () => {
+    const session = await sessionManager.createSession();
+    session.expiresAt = Date.now() - 1;
+    
+    expect(await sessionManager.getSession(session.id)).toBeNull();
+  });
+  
+  it('should read the session id from the header or cookie', () => {
+    const fromHeader = { headers: { 'x-session-id': 'session-header-1' } };
+    const fromCookie = { headers: { cookie: 'other=1; chatbot_session=session-cookie-1' } };
+    
+    expect(sessionManager.getSessionId(fromHeader)).toBe('session-header-1');
+    expect(sessionManager.getSessionId(fromCookie)).toBe('session-cookie-1');
+    expect(sessionManager.getSessionId({ headers: {} })).toBeNull();
+    // A malformed cookie is ignored rather than failing the request
+    expect(sessionManager.getSessionId({ headers: { cookie: 'chatbot_session=%E0%A4%A' } })).toBeNull();
+  });
+  
+  it('should not create sessions under client-chosen ids', async () => {
+    const session = await sessionManager.getOrCreateSession('attacker-chosen-id');
+    
+    expect(session.id).not.toBe('attacker-chosen-id');
+    expect(await sessionManager.getSession('attacker-chosen-id')).toBeNull();
+  });
+  
+  it('should not save destroyed sessions back', async () => {
+    const session = await sessionManager.createSession();
+    
+    await sessionManager.destroySession(session.id);
+    await sessionManager.saveSession(session);
+    
+    expect(await sessionManager.getSession(session.id)).toBeNull();
+  });
+  
+  it('should track cart additions and history', async () => {
+    const session = await sessionManager.createSession();
+    
+    sessionManager.recordCartAddition(session, 'motonet', '59-5064', 1);
+    sessionManager.recordCartAddition(session, 'motonet', '59-5064', 2);
+    
+    expect(session.carts.motonet.items).toEqual([{ productId: '59-5064', quantity: 3 }]);
+    expect(session.history).toHaveLength(2);
+  });
+  
+  it('should track cart lines by line id', async () => {
+    const session = await sessionManager.createSession();
+    
+    sessionManager.recordCartAddition(session, 'sryhma', 'product-1', 1);
+    sessionManager.recordCartUpdate(session, 'sryhma', 'line-7', 3);
+    sessionManager.recordCartUpdate(session, 'sryhma', 'line-7', 2);
+    
+    expect(session.carts.sryhma.items).toEqual([
+      { productId: 'product-1', quantity: 1 },
+      { productId: null, lineId: 'line-7', quantity: 2 }
+    ]);
+    
+    sessionManager.recordCartRemoval(session, 'sryhma', 'line-7');
+    expect(session.carts.sryhma.items).toEqual([{ productId: 'product-1', quantity: 1 }]);
+  });
+  
+  it('should match cart lines to added products when the platform tells the product', async () => {
+    const session = await sessionManager.createSession();
+    
+    sessionManager.recordCartAddition(session, 'motonet', '59-5064', 1);
+    sessionManager.recordCartUpdate(session, 'motonet', '59-5064', 4, '59-5064');
+    
+    expect(session.carts.motonet.items).toEqual([{ productId: '59-5064', lineId: '59-5064', quantity: 4 }]);
+    
+    sessionManager.recordCartRemoval(session, 'motonet', '59-5064', '59-5064');
+    expect(session.carts.motonet.items).toEqual([]);
+  });
+  
+  it('should load sessions from a persistent backend', async () => {
+    const saved = {};
+    const backend = {
+      get: async id => saved[id] || null,
+      set: async (id, session) => { saved[id] = session; },
+      destroy: async id => { delete saved[id]; }
+    };
+    
+    const writer = new SessionManager({ store: new MemorySessionStore(backend) });
+    const session = await writer.createSession();
+    writer.setPlatform(session, 'sryhma');
+    await writer.saveSession(session);
+    
+    const reader = new SessionManager({ store: new MemorySessionStore(backend) });
+    expect((await reader.getSession(session.id)).platform).toBe('sryhma');
+  });
+});
+
+describe('Session endpoints', () => {
+  const request = require('supertest');
+  const app = require('../server');
+  
+  it('should start a new session after DELETE /api/session', async () => {
+    const switched = await request(app)
+      .post('/api/switch-platform')
+      .send({ platform: 'gigantti' });
+    const sessionId = switched.headers['x-session-id'];
+    
+    const deleted = await request(app).delete('/api/session').set('X-Session-Id', sessionId);
+    const session = await request(app).get('/api/session').set('X-Session-Id', sessionId);
+    
+    expect(deleted.status).toBe(200);
+    expect(session.body.sessionId).not.toBe(sessionId);
+    expect(session.body.currentPlatform).toBe('motonet');
+  });
+  
+  it('should not create sessions for dashboard requests', async () => {
+    const sessionManager = require('../session-manager');
+    const before = sessionManager.getStats().activeSessions;
+    
+    const response = await request(app).get('/api/dashboard/config');
+    
+    expect(response.headers['x-session-id']).toBeUndefined();
+    expect(response.headers['set-cookie']).toBeUndefined();
+    expect(sessionManager.getStats().activeSessions).toBe(before);
+  });
+  
+  it('should renew the session cookie on every response', async () => {
+    const first = await request(app).get('/api/session');
+    const sessionId = first.headers['x-session-id'];
+    
+    const second = await request(app).get('/api/session').set('Cookie', `chatbot_session=${sessionId}`);
+    
+    expect(second.body.sessionId).toBe(sessionId);
+    expect(second.headers['set-cookie']).toEqual([expect.stringContaining(`chatbot_session=${sessionId}; Path=/; HttpOnly; Max-Age=`)]);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Test suite for platform session probes
+ */
+
+const mock = require('./mocks');
+const cookieManager = require('../cookie-management-system');
+const GiganttiAdapter = require('../platform-adapters/src/adapters/gigantti-adapter');
+
+const GIGANTTI_CART = 'https://www.gigantti.fi/api/cart';
+
+describe('BaseECommerceAdapter.validateSession', () => {
+  const adapter = new GiganttiAdapter(cookieManager);
+
+  afterEach(() => {
+    mock.resetHandlers();
+  });
+
+  it('should report a working session as valid', async () => {
+    mock.onGet(GIGANTTI_CART).reply(200, { items: [] });
+
+    await expect(adapter.validateSession('cart-id=1')).resolves.toMatchObject({ status: 'valid', statusCode: 200 });
+    expect(mock.history.get[mock.history.get.length - 1].headers.Cookie).toBe('cart-id=1');
+  });
+
+  it('should report rejections and login redirects as invalid', async () => {
+    mock.onGet(GIGANTTI_CART).replyOnce(401).onGet(GIGANTTI_CART).replyOnce(302, '', { location: '/login?returnUrl=/cart' });
+
+    await expect(adapter.validateSession('cart-id=1')).resolves.toMatchObject({ status: 'invalid', statusCode: 401 });
+    await expect(adapter.validateSession('cart-id=1')).resolves.toMatchObject({ status: 'invalid', statusCode: 302 });
+  });
+
+  it('should report server errors and timeouts as unknown', async () => {
+    mock.onGet(GIGANTTI_CART).replyOnce(503).onGet(GIGANTTI_CART).timeoutOnce();
+
+    await expect(adapter.validateSession('cart-id=1')).resolves.toMatchObject({ status: 'unknown', statusCode: 503 });
+    await expect(adapter.validateSession('cart-id=1')).resolves.toMatchObject({ status: 'unknown', statusCode: null });
+  });
+});
+
+describe('Cookie manager session validation', () => {
+  afterEach(() => {
+    mock.resetHandlers();
+    cookieManager.setRefreshStrategy(null);
+    cookieManager.cookies = {};
+    cookieManager.sessionValidity = {};
+  });
+
+  it('should replace the cookies of an invalid session before a critical operation', async () => {
+    mock.onGet(GIGANTTI_CART).reply(config => (config.headers.Cookie === 'cart-id=fresh' ? [200, {}] : [401]));
+    cookieManager.setRefreshStrategy(async () => 'cart-id=fresh');
+
+    const validity = await cookieManager.ensureValidSession('gigantti');
+
+    expect(validity.status).toBe('valid');
+    expect(cookieManager.cookies.gigantti.cookieString).toBe('cart-id=fresh');
+    expect(cookieManager.getStatus().gigantti.session).toMatchObject({ status: 'valid' });
+  });
+
+  it('should reuse a recent probe of the same cookies', async () => {
+    mock.onGet(GIGANTTI_CART).reply(200, {});
+
+    await cookieManager.ensureValidSession('gigantti');
+    const probes = mock.history.get.length;
+    await cookieManager.ensureValidSession('gigantti');
+
+    expect(mock.history.get.length).toBe(probes);
+  });
+
+  it('should keep cookies past their max age while probes show they work', async () => {
+    mock.onGet(GIGANTTI_CART).reply(200, {});
+    await cookieManager.validateSession('gigantti');
+    cookieManager.cookies.gigantti.expiresAt = Date.now() - 1000;
+    const refreshCookies = jest.spyOn(cookieManager, 'refreshCookies');
+
+    await cookieManager.getLatestCookies('gigantti');
+
+    expect(refreshCookies).not.toHaveBeenCalled();
+    refreshCookies.mockRestore();
+  });
+});
+
+describe('Session probes of user cookie jars', () => {
+  const request = require('supertest');
+  const app = require('../server');
+  
+  afterEach(() => {
+    mock.resetHandlers();
+  });
+  
+  /**
+   * Start a chat session on Gigantti
+   * @returns {Promise<string>} - Session id
+   */
+  async function startGiganttiSession() {
+    const switched = await request(app).post('/api/switch-platform').send({ platform: 'gigantti' });
+    return switched.headers['x-session-id'];
+  }
+  
+  it('should probe the session jar before adding to the cart', async () => {
+    mock.onGet(GIGANTTI_CART).reply(200, { items: [] });
+    mock.onPost(`${GIGANTTI_CART}/add`).reply(200, { success: true });
+    const sessionId = await startGiganttiSession();
+    mock.resetHistory();
+    
+    const response = await request(app)
+      .post('/api/add-to-cart')
+      .set('X-Session-Id', sessionId)
+      .send({ productId: 'gigantti-1' });
+    
+    expect(response.status).toBe(200);
+    expect(mock.history.get.map(call => call.url)).toContain(GIGANTTI_CART);
+    expect(mock.history.post.map(call => call.url)).toEqual([`${GIGANTTI_CART}/add`]);
+  });
+  
+  it('should replace an invalid session jar before adding to the cart', async () => {
+    let visitor = 0;
+    mock.onGet('https://www.gigantti.fi').reply(() => {
+      visitor++;
+      return [200, '', { 'set-cookie': [`cart-id=visitor-${visitor}; Path=/`] }];
+    });
+    mock.onGet(GIGANTTI_CART).reply(config => (config.headers.Cookie === 'cart-id=visitor-1' ? [401] : [200, {}]));
+    mock.onPost(`${GIGANTTI_CART}/add`).reply(200, { success: true });
+    const sessionId = await startGiganttiSession();
+    mock.resetHistory();
+    
+    const response = await request(app)
+      .post('/api/add-to-cart')
+      .set('X-Session-Id', sessionId)
+      .send({ productId: 'gigantti-1' });
+    
+    expect(response.status).toBe(200);
+    expect(visitor).toBe(2);
+    expect(mock.history.post[0].headers.Cookie).toBe('cart-id=visitor-2');
+  });
+});
@@ -12,10 +12,12 @@ process.env.ENCRYPTION_KEY = 'test-encryption-key';
 process.env.MOTONET_COOKIE = 'test-motonet-cookie';
 process.env.SRYHMA_COOKIE = 'test-sryhma-cookie';
 process.env.GIGANTTI_COOKIE = 'test-gigantti-cookie';
+process.env.RUSTA_COOKIE = 'test-rusta-cookie';
 process.env.REFRESH_INTERVAL = '0 */12 * * *';
 process.env.MOTONET_COOKIE_MAX_AGE = '86400000';
 process.env.SRYHMA_COOKIE_MAX_AGE = '86400000';
 process.env.GIGANTTI_COOKIE_MAX_AGE = '86400000';
+process.env.RUSTA_COOKIE_MAX_AGE = '86400000';
 
 // Silence console output during tests
 global.console = {